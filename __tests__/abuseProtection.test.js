@@ -0,0 +1,165 @@
+/**
+ * Abuse Protection Unit Tests
+ * Tests impression bot filtering and dedupe, and the rate limiters guarding
+ * the public storefront API
+ */
+
+process.env.SHOPIFY_API_KEY = 'test-app-key';
+process.env.SHOPIFY_API_SECRET = 'test-app-secret';
+process.env.HOST = 'https://countdown.example.com';
+
+// Rate limiting never touches the database
+jest.mock('../app/models', () => ({ Shop: {} }));
+
+// The auth module starts a rate limit cleanup interval on load
+jest.useFakeTimers({ now: new Date('2026-03-10T12:00:00Z') });
+
+// Quiet the Shopify library's start-up notices
+jest.spyOn(console, 'log').mockImplementation(() => { });
+const { createRateLimit } = require('../app/middleware');
+console.log.mockRestore();
+
+const {
+    IMPRESSION_DEDUPE_MS,
+    MAX_VISITOR_IDS_PER_ADDRESS,
+    isBotRequest,
+    getVisitorKey,
+    getEventVisitorKey,
+    claimTimerEvent,
+    resetImpressions
+} = require('../app/services/impressionGuard');
+
+const BROWSER = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Safari/605.1.15';
+
+const request = ({ ip = '203.0.113.7', userAgent = BROWSER, body = {}, clientIp } = {}) => ({
+    ip,
+    clientIp,
+    body,
+    get: (name) => (name.toLowerCase() === 'user-agent' ? userAgent : undefined)
+});
+
+describe('Abuse Protection', () => {
+    afterAll(() => {
+        jest.useRealTimers();
+    });
+
+    /**
+     * Test 1: Bot Filtering
+     */
+    describe('Bot Filtering', () => {
+        test('flags crawlers, scripts and missing user agents', () => {
+            expect(isBotRequest('Googlebot/2.1 (+http://www.google.com/bot.html)')).toBe(true);
+            expect(isBotRequest('curl/8.4.0')).toBe(true);
+            expect(isBotRequest('')).toBe(true);
+            expect(isBotRequest(undefined)).toBe(true);
+        });
+
+        test('lets browsers through', () => {
+            expect(isBotRequest(BROWSER)).toBe(false);
+        });
+    });
+
+    /**
+     * Test 2: Impression Dedupe
+     */
+    describe('Impression Dedupe', () => {
+        const NOW = new Date('2026-03-10T12:00:00Z').getTime();
+
+        beforeEach(() => {
+            resetImpressions();
+        });
+
+        test('counts a visitor once per timer within the window', () => {
+            expect(claimTimerEvent('timer-1', 'impression', 'v:visitor-1', NOW)).toBe(true);
+            expect(claimTimerEvent('timer-1', 'impression', 'v:visitor-1', NOW + 1000)).toBe(false);
+            expect(claimTimerEvent('timer-2', 'impression', 'v:visitor-1', NOW + 1000)).toBe(true);
+            expect(claimTimerEvent('timer-1', 'impression', 'v:visitor-2', NOW + 1000)).toBe(true);
+        });
+
+        test('dedupes each event type separately', () => {
+            claimTimerEvent('timer-1', 'impression', 'v:visitor-1', NOW);
+            expect(claimTimerEvent('timer-1', 'expiry', 'v:visitor-1', NOW)).toBe(true);
+        });
+
+        test('counts the visitor again after the window', () => {
+            claimTimerEvent('timer-1', 'impression', 'v:visitor-1', NOW);
+            expect(claimTimerEvent('timer-1', 'impression', 'v:visitor-1', NOW + IMPRESSION_DEDUPE_MS)).toBe(true);
+        });
+
+        test('knows visitors by widget ID, or by address and user agent', () => {
+            expect(getVisitorKey(request({ body: { visitorId: 'a1b2c3d4-e5f6' } }))).toBe('v:a1b2c3d4-e5f6');
+
+            const anonymous = getVisitorKey(request({ body: { visitorId: '<script>' } }));
+            expect(anonymous).toMatch(/^a:/);
+            expect(getVisitorKey(request())).toBe(anonymous);
+            expect(getVisitorKey(request({ ip: '198.51.100.1' }))).not.toBe(anonymous);
+            expect(getVisitorKey(request({ ip: '10.0.0.1', clientIp: '203.0.113.7' }))).toBe(anonymous);
+        });
+
+        test('counts visitor IDs rotated from one address as that address', () => {
+            const visitor = (n, ip) => request({ ip, body: { visitorId: `visitor-${String(n).padStart(4, '0')}` } });
+            const anonymous = getVisitorKey(request());
+
+            for (let n = 0; n < MAX_VISITOR_IDS_PER_ADDRESS; n++) {
+                expect(getEventVisitorKey(visitor(n), NOW)).toBe(`v:visitor-${String(n).padStart(4, '0')}`);
+            }
+            expect(getEventVisitorKey(visitor(MAX_VISITOR_IDS_PER_ADDRESS), NOW)).toBe(anonymous);
+            expect(getEventVisitorKey(visitor(MAX_VISITOR_IDS_PER_ADDRESS + 1), NOW)).toBe(anonymous);
+
+            // Visitors already seen keep their key, and other addresses are unaffected
+            expect(getEventVisitorKey(visitor(0), NOW)).toBe('v:visitor-0000');
+            expect(getEventVisitorKey(visitor(99, '198.51.100.1'), NOW)).toBe('v:visitor-0099');
+
+            // Rotated IDs dedupe as one visitor
+            expect(claimTimerEvent('timer-1', 'impression', getEventVisitorKey(visitor(50), NOW), NOW)).toBe(true);
+            expect(claimTimerEvent('timer-1', 'impression', getEventVisitorKey(visitor(51), NOW), NOW)).toBe(false);
+        });
+
+        test('makes room for new visitor IDs after the window', () => {
+            const visitor = (n) => request({ body: { visitorId: `visitor-${String(n).padStart(4, '0')}` } });
+            for (let n = 0; n < MAX_VISITOR_IDS_PER_ADDRESS; n++) {
+                getEventVisitorKey(visitor(n), NOW);
+            }
+
+            expect(getEventVisitorKey(visitor(50), NOW + IMPRESSION_DEDUPE_MS)).toBe('v:visitor-0050');
+        });
+    });
+
+    /**
+     * Test 3: Rate Limiting
+     */
+    describe('Rate Limiting', () => {
+        const send = (limit, req) => {
+            const res = {
+                status: jest.fn().mockReturnThis(),
+                json: jest.fn().mockReturnThis()
+            };
+            const next = jest.fn();
+            limit(req, res, next);
+            return { res, next };
+        };
+
+        test('limits each key separately and resets after the window', () => {
+            const limit = createRateLimit({ windowMs: 1000, max: 2, keyGenerator: (req) => req.ip });
+
+            send(limit, request());
+            send(limit, request());
+            const blocked = send(limit, request());
+            expect(blocked.next).not.toHaveBeenCalled();
+            expect(blocked.res.status).toHaveBeenCalledWith(429);
+            expect(blocked.res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'RATE_LIMITED' }));
+
+            expect(send(limit, request({ ip: '198.51.100.1' })).next).toHaveBeenCalled();
+
+            jest.advanceTimersByTime(1001);
+            expect(send(limit, request()).next).toHaveBeenCalled();
+        });
+
+        test('skips requests without a key', () => {
+            const limit = createRateLimit({ max: 1, keyGenerator: () => null });
+
+            send(limit, request());
+            expect(send(limit, request()).next).toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,133 @@
+/**
+ * App Proxy Signature Unit Tests
+ * Tests that storefront requests through the Shopify app proxy are only
+ * accepted with a valid signature, and that the shop comes from it
+ */
+
+const crypto = require('crypto');
+
+const SECRET = 'test-app-secret';
+const NOW = new Date('2026-03-10T12:00:00Z');
+
+process.env.SHOPIFY_API_KEY = 'test-app-key';
+process.env.SHOPIFY_API_SECRET = SECRET;
+process.env.HOST = 'https://countdown.example.com';
+
+// Signature checks never touch the database
+jest.mock('../app/models', () => ({ Shop: {} }));
+
+// The auth module starts a rate limit cleanup interval on load
+jest.useFakeTimers({ now: NOW });
+
+// Quiet the Shopify library's start-up notices
+jest.spyOn(console, 'log').mockImplementation(() => { });
+const { verifyAppProxySignature } = require('../app/middleware');
+console.log.mockRestore();
+
+/**
+ * Sign a query the way Shopify does: sorted key=value pairs, no separator,
+ * list values joined with commas
+ */
+const sign = (query, secret = SECRET) => {
+    const message = Object.keys(query)
+        .sort()
+        .map(key => `${key}=${[].concat(query[key]).join(',')}`)
+        .join('');
+    return crypto.createHmac('sha256', secret).update(message).digest('hex');
+};
+
+const proxyQuery = (overrides = {}) => ({
+    shop: 'shop.myshopify.com',
+    logged_in_customer_id: '',
+    path_prefix: '/apps/countdown',
+    timestamp: String(Math.floor(NOW.getTime() / 1000)),
+    productId: 'gid://shopify/Product/1',
+    ...overrides
+});
+
+// ips: the addresses the app's trusted proxies added, as Express lists them
+const run = async (query, headers = {}, ips = []) => {
+    const req = { query, ips, get: (name) => headers[name.toLowerCase()] };
+    const res = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn().mockReturnThis()
+    };
+    const next = jest.fn();
+
+    await verifyAppProxySignature(req, res, next);
+    return { req, res, next };
+};
+
+describe('App Proxy Signature', () => {
+    afterAll(() => {
+        jest.useRealTimers();
+    });
+
+    test('accepts a signed request and takes the shop from it', async () => {
+        const query = proxyQuery();
+        const { req, next } = await run({ ...query, signature: sign(query) });
+
+        expect(next).toHaveBeenCalled();
+        expect(req.shop).toBe('shop.myshopify.com');
+    });
+
+    test('takes the visitor address Shopify forwarded', async () => {
+        const query = proxyQuery();
+        const { req } = await run({ ...query, signature: sign(query) }, { 'x-forwarded-for': '203.0.113.7' });
+
+        expect(req.clientIp).toBe('203.0.113.7');
+    });
+
+    test('ignores addresses the visitor forwarded themselves', async () => {
+        const query = proxyQuery();
+        const headers = { 'x-forwarded-for': '198.51.100.1, 198.51.100.2, 203.0.113.7' };
+        const { req } = await run({ ...query, signature: sign(query) }, headers);
+
+        expect(req.clientIp).toBe('203.0.113.7');
+    });
+
+    test('skips the addresses the app\'s own proxies added', async () => {
+        const query = proxyQuery();
+        const headers = { 'x-forwarded-for': '198.51.100.1, 203.0.113.7, 23.227.38.65' };
+        const { req } = await run({ ...query, signature: sign(query) }, headers, ['23.227.38.65']);
+
+        expect(req.clientIp).toBe('203.0.113.7');
+    });
+
+    test('signs list values joined with commas', async () => {
+        const query = proxyQuery({ collectionIds: ['1', '2'] });
+        const { next } = await run({ ...query, signature: sign(query) });
+
+        expect(next).toHaveBeenCalled();
+    });
+
+    test('rejects a request for another shop', async () => {
+        const query = proxyQuery();
+        const { res, next } = await run({ ...query, shop: 'other.myshopify.com', signature: sign(query) });
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_SIGNATURE' }));
+    });
+
+    test('rejects missing or wrongly keyed signatures', async () => {
+        const query = proxyQuery();
+
+        expect((await run(query)).next).not.toHaveBeenCalled();
+        expect((await run({ ...query, signature: sign(query, 'other-secret') })).next).not.toHaveBeenCalled();
+    });
+
+    test('rejects stale timestamps', async () => {
+        const query = proxyQuery({ timestamp: String(Math.floor(NOW.getTime() / 1000) - 10 * 60) });
+        const { res } = await run({ ...query, signature: sign(query) });
+
+        expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    test('rejects signed requests without a valid shop domain', async () => {
+        const query = proxyQuery({ shop: 'not a shop' });
+        const { res } = await run({ ...query, signature: sign(query) });
+
+        expect(res.status).toHaveBeenCalledWith(401);
+    });
+});
@@ -0,0 +1,124 @@
+/**
+ * Evergreen Session Unit Tests
+ * Tests the signed visitor tokens holding evergreen start times and the
+ * expiry policies deciding when a countdown may restart
+ */
+
+process.env.SHOPIFY_API_SECRET = 'test-app-secret';
+
+const {
+    SESSION_RETENTION_MS,
+    signSessionToken,
+    verifySessionToken,
+    getVisitorFingerprint,
+    canRestart,
+    getFingerprintWindowMs
+} = require('../app/services/evergreenSession');
+
+const NOW = new Date('2026-03-10T12:00:00Z').getTime();
+const MINUTE = 60 * 1000;
+
+const session = {
+    timerId: '65f0c0ffee0000000000abcd',
+    visitorId: '0b8c3c4e-6a55-4d2c-9a7e-1f2d3c4b5a69',
+    startedAt: new Date(NOW - 10 * MINUTE),
+    expiresAt: new Date(NOW + SESSION_RETENTION_MS)
+};
+
+// Re-encode a token's payload with changes, keeping the old signature
+const tamper = (token, changes) => {
+    const [payload, signature] = token.split('.');
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return `${Buffer.from(JSON.stringify({ ...data, ...changes })).toString('base64url')}.${signature}`;
+};
+
+describe('Evergreen Sessions', () => {
+    /**
+     * Test 1: Session Tokens
+     */
+    describe('Session Tokens', () => {
+        test('round-trips the session it was signed for', () => {
+            expect(verifySessionToken(signSessionToken(session), NOW)).toEqual({
+                timerId: session.timerId,
+                visitorId: session.visitorId,
+                startedAt: session.startedAt
+            });
+        });
+
+        test('rejects a token whose start time was moved', () => {
+            const token = signSessionToken(session);
+
+            expect(verifySessionToken(tamper(token, { s: NOW }), NOW)).toBeNull();
+            expect(verifySessionToken(tamper(token, { v: 'someone-else' }), NOW)).toBeNull();
+        });
+
+        test('rejects a token signed with another secret', () => {
+            const token = signSessionToken(session);
+            process.env.SHOPIFY_API_SECRET = 'another-secret';
+            try {
+                expect(verifySessionToken(token, NOW)).toBeNull();
+            } finally {
+                process.env.SHOPIFY_API_SECRET = 'test-app-secret';
+            }
+        });
+
+        test('rejects a token once its session has expired', () => {
+            const token = signSessionToken({ ...session, expiresAt: new Date(NOW + MINUTE) });
+
+            expect(verifySessionToken(token, NOW)).not.toBeNull();
+            expect(verifySessionToken(token, NOW + MINUTE)).toBeNull();
+            expect(verifySessionToken(tamper(token, { e: NOW + SESSION_RETENTION_MS }), NOW + MINUTE)).toBeNull();
+        });
+
+        test('rejects malformed tokens', () => {
+            expect(verifySessionToken(undefined, NOW)).toBeNull();
+            expect(verifySessionToken('', NOW)).toBeNull();
+            expect(verifySessionToken('no-signature', NOW)).toBeNull();
+            expect(verifySessionToken({ token: 'x.y' }, NOW)).toBeNull();
+        });
+
+        test('fingerprints visitors per timer, address and browser', () => {
+            const request = (ip, userAgent, clientIp) => ({ ip, clientIp, get: () => userAgent });
+            const fingerprint = getVisitorFingerprint(request('203.0.113.7', 'Safari'), session.timerId);
+
+            expect(getVisitorFingerprint(request('203.0.113.7', 'Safari'), session.timerId)).toBe(fingerprint);
+            expect(getVisitorFingerprint(request('203.0.113.8', 'Safari'), session.timerId)).not.toBe(fingerprint);
+            expect(getVisitorFingerprint(request('203.0.113.7', 'Firefox'), session.timerId)).not.toBe(fingerprint);
+            expect(getVisitorFingerprint(request('203.0.113.7', 'Safari'), '65f0c0ffee0000000000abce')).not.toBe(fingerprint);
+            // App proxy requests carry the visitor's address separately
+            expect(getVisitorFingerprint(request('10.0.0.1', 'Safari', '203.0.113.7'), session.timerId)).toBe(fingerprint);
+        });
+    });
+
+    /**
+     * Test 2: Expiry Policy
+     */
+    describe('Expiry Policy', () => {
+        const endTime = NOW - 5 * MINUTE;
+
+        test('restarts by default', () => {
+            expect(canRestart({}, endTime, NOW)).toBe(true);
+            expect(canRestart({ onExpire: { action: 'restart' } }, endTime, NOW)).toBe(true);
+        });
+
+        test('restarts only once the cooldown has passed', () => {
+            const timer = { onExpire: { action: 'cooldown', cooldownMinutes: 10 } };
+
+            expect(canRestart(timer, endTime, NOW)).toBe(false);
+            expect(canRestart(timer, endTime, endTime + 10 * MINUTE)).toBe(true);
+        });
+
+        test('never restarts hidden or message timers', () => {
+            expect(canRestart({ onExpire: { action: 'hide' } }, endTime, NOW + SESSION_RETENTION_MS)).toBe(false);
+            expect(canRestart({ onExpire: { action: 'message' } }, endTime, NOW + SESSION_RETENTION_MS)).toBe(false);
+        });
+
+        test('matches fingerprints for as long as the session decides the countdown', () => {
+            const timer = (onExpire) => ({ durationMinutes: 120, onExpire });
+
+            expect(getFingerprintWindowMs(timer())).toBe(120 * MINUTE);
+            expect(getFingerprintWindowMs(timer({ action: 'cooldown', cooldownMinutes: 60 }))).toBe(180 * MINUTE);
+            expect(getFingerprintWindowMs(timer({ action: 'hide' }))).toBe(120 * MINUTE + SESSION_RETENTION_MS);
+        });
+    });
+});
@@ -0,0 +1,180 @@
+/**
+ * Experiments Unit Tests
+ * Tests visitor assignment to timer variants, the variant payloads the
+ * storefront serves and the significance of the results
+ */
+
+const {
+    HOLDOUT_VARIANT,
+    getVariantKey,
+    hasVariant,
+    assignVariant,
+    applyVariant,
+    normalCdf,
+    twoProportionTest,
+    getExperimentResults
+} = require('../app/services/experiments');
+
+const experiment = (overrides = {}) => ({
+    _id: '65f0c0ffee0000000000e001',
+    holdoutPercent: 0,
+    variants: [
+        { key: 'a', name: 'Hurry', weight: 1, appearance: { headline: 'Hurry! Offer ends soon' } },
+        { key: 'b', name: 'Last chance', weight: 1, appearance: { headline: 'Last chance', backgroundColor: '#B91C1C' } }
+    ],
+    ...overrides
+});
+
+const countAssignments = (exp, visitors = 20000) => {
+    const counts = {};
+    for (let i = 0; i < visitors; i++) {
+        const variant = assignVariant(exp, `v:visitor-${i}`);
+        counts[variant] = (counts[variant] || 0) + 1;
+    }
+    return counts;
+};
+
+describe('Experiments', () => {
+    /**
+     * Test 1: Assignment
+     */
+    describe('Assignment', () => {
+        test('gives a visitor the same variant every time', () => {
+            const exp = experiment();
+            const first = assignVariant(exp, 'v:visitor-1');
+            for (let i = 0; i < 5; i++) {
+                expect(assignVariant(exp, 'v:visitor-1')).toBe(first);
+            }
+        });
+
+        test('splits visitors by weight after the holdout share', () => {
+            const exp = experiment({ holdoutPercent: 20 });
+            exp.variants[1].weight = 3;
+
+            const counts = countAssignments(exp);
+            expect(counts[HOLDOUT_VARIANT] / 20000).toBeCloseTo(0.2, 1);
+            expect(counts.a / 20000).toBeCloseTo(0.2, 1);
+            expect(counts.b / 20000).toBeCloseTo(0.6, 1);
+        });
+
+        test('has no holdout unless one is set', () => {
+            expect(countAssignments(experiment(), 2000)[HOLDOUT_VARIANT]).toBeUndefined();
+            expect(hasVariant(experiment(), HOLDOUT_VARIANT)).toBe(false);
+            expect(hasVariant(experiment({ holdoutPercent: 10 }), HOLDOUT_VARIANT)).toBe(true);
+            expect(hasVariant(experiment(), 'c')).toBe(false);
+        });
+
+        test('names variants a, b, c, ...', () => {
+            expect([0, 1, 4].map(getVariantKey)).toEqual(['a', 'b', 'e']);
+        });
+    });
+
+    /**
+     * Test 2: Variant Payloads
+     */
+    describe('Variant Payloads', () => {
+        const response = {
+            id: 't1',
+            type: 'fixed',
+            endDate: new Date('2026-03-10T13:00:00Z'),
+            appearance: { headline: 'Sale', supportingText: 'Today only', backgroundColor: '#000000', textColor: '#FFFFFF' }
+        };
+
+        test('overrides the timer\'s appearance with the variant\'s', () => {
+            const payload = applyVariant(response, experiment(), 'b');
+
+            expect(payload.appearance).toEqual({
+                headline: 'Last chance',
+                supportingText: 'Today only',
+                backgroundColor: '#B91C1C',
+                textColor: '#FFFFFF'
+            });
+            expect(payload.endDate).toBe(response.endDate);
+            expect(payload.experiment).toEqual({ id: '65f0c0ffee0000000000e001', variant: 'b' });
+            expect(response.appearance.headline).toBe('Sale');
+        });
+
+        test('serves the holdout no timer', () => {
+            expect(applyVariant(response, experiment({ holdoutPercent: 10 }), HOLDOUT_VARIANT)).toEqual({
+                id: 't1',
+                holdout: true,
+                experiment: { id: '65f0c0ffee0000000000e001', variant: HOLDOUT_VARIANT }
+            });
+        });
+    });
+
+    /**
+     * Test 3: Significance
+     */
+    describe('Significance', () => {
+        test('computes the normal CDF', () => {
+            expect(normalCdf(0)).toBeCloseTo(0.5, 6);
+            expect(normalCdf(1.96)).toBeCloseTo(0.975, 4);
+            expect(normalCdf(-1.96)).toBeCloseTo(0.025, 4);
+        });
+
+        test('runs a two-proportion z-test', () => {
+            const { zScore, pValue } = twoProportionTest({ trials: 1000, conversions: 100 }, { trials: 1000, conversions: 130 });
+            expect(zScore).toBeCloseTo(2.103, 3);
+            expect(pValue).toBeCloseTo(0.0355, 4);
+        });
+
+        test('has no result without visitors or differences', () => {
+            expect(twoProportionTest({ trials: 0, conversions: 0 }, { trials: 100, conversions: 5 })).toBeNull();
+            expect(twoProportionTest({ trials: 100, conversions: 0 }, { trials: 100, conversions: 0 })).toBeNull();
+        });
+    });
+
+    /**
+     * Test 4: Results
+     */
+    describe('Results', () => {
+        const rows = [
+            { variant: HOLDOUT_VARIANT, visitors: 1000, orders: 100, revenue: 4999.999 },
+            { variant: 'a', visitors: 1000, impressions: 800, clicks: 40, orders: 110 },
+            { variant: 'b', visitors: 1000, impressions: 800, clicks: 64, orders: 140 }
+        ];
+
+        test('compares each variant with the holdout and picks a significant winner', () => {
+            const results = getExperimentResults(experiment({ holdoutPercent: 20 }), rows);
+
+            expect(results.baseline).toBe(HOLDOUT_VARIANT);
+            expect(results.winner).toBe('b');
+
+            const [a, b, holdout] = results.variants;
+            expect(a).toEqual(expect.objectContaining({ key: 'a', clickRate: 0.05, conversionRate: 0.11, lift: 0.1, significant: false }));
+            expect(b).toEqual(expect.objectContaining({ key: 'b', conversionRate: 0.14, lift: 0.4, zScore: 2.75, significant: true }));
+            expect(holdout).toEqual(expect.objectContaining({ name: 'No timer', revenue: 5000, lift: null, pValue: null }));
+        });
+
+        test('compares with the first variant without a holdout', () => {
+            const results = getExperimentResults(experiment(), rows.slice(1));
+
+            expect(results.baseline).toBe('a');
+            expect(results.variants[0].lift).toBeNull();
+            expect(results.variants[1]).toEqual(expect.objectContaining({ lift: 0.2727, pValue: 0.0425 }));
+            expect(results.winner).toBe('b');
+        });
+
+        test('lists variants nobody saw yet with zero counts', () => {
+            const { variants } = getExperimentResults(experiment(), []);
+
+            expect(variants.map(variant => [variant.key, variant.visitors, variant.conversionRate])).toEqual([
+                ['a', 0, null],
+                ['b', 0, null]
+            ]);
+        });
+
+        test('requires the chosen confidence', () => {
+            const results = getExperimentResults(experiment({ holdoutPercent: 20 }), rows, { confidence: 0.99 });
+
+            expect(results.confidence).toBe(0.99);
+            expect(results.variants[1].significant).toBe(true);
+            expect(getExperimentResults(experiment({ holdoutPercent: 20 }), [
+                { ...rows[0] },
+                { ...rows[1] },
+                { ...rows[2], orders: 128 }
+            ], { confidence: 0.99 }).winner).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,148 @@
+/**
+ * Order Attribution Unit Tests
+ * Tests the orders/create webhook signature check and reading the timer an
+ * order is attributed to from its cart attributes
+ */
+
+const crypto = require('crypto');
+
+const SECRET = 'test-app-secret';
+const TIMER_ID = '65f0c0ffee0000000000abcd';
+
+process.env.SHOPIFY_API_KEY = 'test-app-key';
+process.env.SHOPIFY_API_SECRET = SECRET;
+process.env.HOST = 'https://countdown.example.com';
+
+// Signature checks never touch the database
+jest.mock('../app/models', () => ({ Shop: {} }));
+
+// The auth module starts a rate limit cleanup interval on load
+jest.useFakeTimers();
+
+// Quiet the Shopify library's start-up notices
+jest.spyOn(console, 'log').mockImplementation(() => { });
+const { verifyShopifyWebhook } = require('../app/middleware');
+console.log.mockRestore();
+
+const { parseOrderAttribution, getOrderRevenue } = require('../app/services/orderAttribution');
+
+const order = (overrides = {}) => ({
+    id: 5551234,
+    total_price: '59.90',
+    currency: 'eur',
+    created_at: '2026-03-10T12:00:00Z',
+    note_attributes: [{ name: '_countdown_timer', value: `${TIMER_ID}:visitor-1234` }],
+    ...overrides
+});
+
+/**
+ * Deliver a webhook the way Shopify does: the HMAC (base64) covers the
+ * raw body
+ */
+const deliver = async (body, { secret = SECRET, topic = 'orders/create' } = {}) => {
+    const rawBody = Buffer.from(JSON.stringify(body));
+    const req = {
+        method: 'POST',
+        url: '/api/webhooks/orders/create',
+        body: rawBody,
+        headers: {
+            'x-shopify-hmac-sha256': crypto.createHmac('sha256', secret).update(rawBody).digest('base64'),
+            'x-shopify-topic': topic,
+            'x-shopify-shop-domain': 'shop.myshopify.com',
+            'x-shopify-api-version': '2026-01',
+            'x-shopify-webhook-id': 'webhook-1'
+        }
+    };
+    const res = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn().mockReturnThis(),
+        getHeaders: () => ({})
+    };
+    const next = jest.fn();
+
+    await verifyShopifyWebhook(req, res, next);
+    return { req, res, next };
+};
+
+describe('Order Attribution', () => {
+    afterAll(() => {
+        jest.useRealTimers();
+    });
+
+    /**
+     * Test 1: Webhook Signature
+     */
+    describe('Webhook Signature', () => {
+        test('accepts a signed webhook and parses its body', async () => {
+            const { req, next } = await deliver(order());
+
+            expect(next).toHaveBeenCalled();
+            expect(req.shop).toBe('shop.myshopify.com');
+            expect(req.webhook).toEqual({ topic: 'ORDERS_CREATE', id: 'webhook-1' });
+            expect(req.body.id).toBe(5551234);
+        });
+
+        test('rejects a webhook signed with another secret', async () => {
+            const { res, next } = await deliver(order(), { secret: 'other-secret' });
+
+            expect(next).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_SIGNATURE' }));
+        });
+
+        test('rejects a webhook without the raw body', async () => {
+            const { req } = await deliver(order());
+            const res = { status: jest.fn().mockReturnThis(), json: jest.fn(), getHeaders: () => ({}) };
+            const next = jest.fn();
+
+            // e.g. already parsed by express.json()
+            await verifyShopifyWebhook({ ...req, body: order() }, res, next);
+
+            expect(next).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(401);
+        });
+    });
+
+    /**
+     * Test 2: Cart Attribute
+     */
+    describe('Cart Attribute', () => {
+        test('reads the timer and visitor from the cart attribute', () => {
+            expect(parseOrderAttribution(order())).toEqual({ timerId: TIMER_ID, visitorId: 'visitor-1234' });
+        });
+
+        test('keeps the timer when the visitor is unknown', () => {
+            const attributes = [{ name: '_countdown_timer', value: `${TIMER_ID}:` }];
+            expect(parseOrderAttribution(order({ note_attributes: attributes }))).toEqual({ timerId: TIMER_ID, visitorId: null });
+        });
+
+        test('reads the experiment variant the visitor was in', () => {
+            const experimentId = '65f0c0ffee0000000000e001';
+            const attribute = (value) => order({ note_attributes: [{ name: '_countdown_timer', value }] });
+
+            expect(parseOrderAttribution(attribute(`${TIMER_ID}:visitor-1234:${experimentId}:holdout`))).toEqual({
+                timerId: TIMER_ID,
+                visitorId: 'visitor-1234',
+                experimentId,
+                variant: 'holdout'
+            });
+            expect(parseOrderAttribution(attribute(`${TIMER_ID}:visitor-1234:${experimentId}:B`))).toEqual({
+                timerId: TIMER_ID,
+                visitorId: 'visitor-1234'
+            });
+        });
+
+        test('ignores orders without a valid attribute', () => {
+            expect(parseOrderAttribution(order({ note_attributes: [] }))).toBeNull();
+            expect(parseOrderAttribution(order({ note_attributes: null }))).toBeNull();
+            expect(parseOrderAttribution(order({
+                note_attributes: [null, { name: '_countdown_timer', value: 'not-a-timer:visitor-1234' }]
+            }))).toBeNull();
+        });
+
+        test('takes the order total and currency', () => {
+            expect(getOrderRevenue(order())).toEqual({ revenue: 59.9, currency: 'EUR' });
+            expect(getOrderRevenue(order({ total_price: 'n/a', currency: undefined }))).toEqual({ revenue: 0, currency: null });
+        });
+    });
+});
@@ -0,0 +1,144 @@
+/**
+ * Recurring Schedule Unit Tests
+ * Tests occurrence resolution for daily/weekly/monthly timers and timezones
+ */
+
+const {
+    getCurrentOccurrence,
+    getNextOccurrence,
+    validateSchedule
+} = require('../app/services/schedule');
+const { parseZonedDateTime, formatZonedDateTime } = require('../app/services/timezone');
+
+describe('Recurring Schedule', () => {
+
+    /**
+     * Test 1: Current Occurrence
+     */
+    describe('Current Occurrence', () => {
+        const dispatchCutoff = { frequency: 'daily', startTime: '00:00', endTime: '14:00' };
+
+        test('resolves the window running today', () => {
+            const now = new Date('2026-03-10T09:30:00Z');
+            const occurrence = getCurrentOccurrence(dispatchCutoff, now);
+
+            expect(occurrence.startDate.toISOString()).toBe('2026-03-10T00:00:00.000Z');
+            expect(occurrence.endDate.toISOString()).toBe('2026-03-10T14:00:00.000Z');
+        });
+
+        test('returns null between windows', () => {
+            const now = new Date('2026-03-10T15:00:00Z');
+            expect(getCurrentOccurrence(dispatchCutoff, now)).toBeNull();
+        });
+
+        test('keeps a window that runs past midnight active the next day', () => {
+            const overnight = { frequency: 'daily', startTime: '22:00', endTime: '02:00' };
+            const occurrence = getCurrentOccurrence(overnight, new Date('2026-03-11T01:00:00Z'));
+
+            expect(occurrence.startDate.toISOString()).toBe('2026-03-10T22:00:00.000Z');
+            expect(occurrence.endDate.toISOString()).toBe('2026-03-11T02:00:00.000Z');
+        });
+
+        test('only runs on selected weekdays', () => {
+            const weekdays = { frequency: 'weekly', startTime: '09:00', endTime: '17:00', daysOfWeek: [1, 2, 3, 4, 5] };
+
+            expect(getCurrentOccurrence(weekdays, new Date('2026-03-13T12:00:00Z'))).not.toBeNull(); // Friday
+            expect(getCurrentOccurrence(weekdays, new Date('2026-03-14T12:00:00Z'))).toBeNull();     // Saturday
+        });
+
+        test('clamps day 31 to the last day of shorter months', () => {
+            const monthEnd = { frequency: 'monthly', startTime: '00:00', endTime: '23:59', dayOfMonth: 31 };
+
+            expect(getCurrentOccurrence(monthEnd, new Date('2026-02-28T12:00:00Z'))).not.toBeNull();
+            expect(getCurrentOccurrence(monthEnd, new Date('2026-03-30T12:00:00Z'))).toBeNull();
+        });
+    });
+
+    /**
+     * Test 2: Next Occurrence
+     */
+    describe('Next Occurrence', () => {
+        test('finds the next weekday window', () => {
+            const weekdays = { frequency: 'weekly', startTime: '09:00', endTime: '17:00', daysOfWeek: [1] };
+            const next = getNextOccurrence(weekdays, new Date('2026-03-10T12:00:00Z')); // Tuesday
+
+            expect(next.startDate.toISOString()).toBe('2026-03-16T09:00:00.000Z');
+        });
+
+        test('returns null for an unknown frequency', () => {
+            expect(getNextOccurrence({ frequency: 'hourly' })).toBeNull();
+            expect(getNextOccurrence(null)).toBeNull();
+        });
+    });
+
+    /**
+     * Test 3: Shop Timezones and DST
+     */
+    describe('Shop Timezones and DST', () => {
+        const businessHours = { frequency: 'daily', startTime: '09:00', endTime: '17:00' };
+
+        test('evaluates windows on the shop wall clock', () => {
+            const occurrence = getCurrentOccurrence(businessHours, new Date('2026-07-01T08:00:00Z'), 'Europe/Berlin');
+            expect(occurrence.startDate.toISOString()).toBe('2026-07-01T07:00:00.000Z');
+        });
+
+        test('keeps the same local time across a DST transition', () => {
+            const beforeDst = getNextOccurrence(businessHours, new Date('2026-03-07T00:00:00Z'), 'America/New_York');
+            const afterDst = getNextOccurrence(businessHours, new Date('2026-03-09T00:00:00Z'), 'America/New_York');
+
+            expect(beforeDst.startDate.toISOString()).toBe('2026-03-07T14:00:00.000Z');
+            expect(afterDst.startDate.toISOString()).toBe('2026-03-09T13:00:00.000Z');
+        });
+
+        test('uses the shop calendar day to pick weekdays', () => {
+            // Monday 01:00 in Sydney is still Sunday in UTC
+            const mondays = { frequency: 'weekly', startTime: '00:00', endTime: '12:00', daysOfWeek: [1] };
+            expect(getCurrentOccurrence(mondays, new Date('2026-03-15T14:00:00Z'), 'Australia/Sydney')).not.toBeNull();
+        });
+
+        test('reads local datetimes in the shop timezone', () => {
+            expect(parseZonedDateTime('2026-11-27T09:00', 'America/New_York').toISOString())
+                .toBe('2026-11-27T14:00:00.000Z');
+            expect(parseZonedDateTime('2026-11-27T09:00:00Z', 'America/New_York').toISOString())
+                .toBe('2026-11-27T09:00:00.000Z');
+        });
+
+        test('moves times skipped by DST forward', () => {
+            expect(parseZonedDateTime('2026-03-08T02:30', 'America/New_York').toISOString())
+                .toBe('2026-03-08T07:30:00.000Z');
+        });
+
+        test('formats instants for datetime-local inputs', () => {
+            expect(formatZonedDateTime('2026-11-27T14:00:00Z', 'America/New_York')).toBe('2026-11-27T09:00');
+        });
+    });
+
+    /**
+     * Test 4: Schedule Validation
+     */
+    describe('Schedule Validation', () => {
+        test('accepts a valid weekly schedule', () => {
+            const schedule = { frequency: 'weekly', startTime: '00:00', endTime: '14:00', daysOfWeek: [1, 5] };
+            expect(validateSchedule(schedule)).toEqual([]);
+        });
+
+        test('requires a schedule', () => {
+            expect(validateSchedule(undefined)[0].field).toBe('schedule');
+        });
+
+        test('rejects malformed and identical times', () => {
+            const fields = validateSchedule({ frequency: 'daily', startTime: '9am', endTime: '00:00' })
+                .map(e => e.field);
+
+            expect(fields).toContain('schedule.startTime');
+            expect(fields).toContain('schedule.endTime');
+        });
+
+        test('requires weekdays and day of month for their frequencies', () => {
+            expect(validateSchedule({ frequency: 'weekly', endTime: '14:00', daysOfWeek: [] })[0].field)
+                .toBe('schedule.daysOfWeek');
+            expect(validateSchedule({ frequency: 'monthly', endTime: '14:00', dayOfMonth: 32 })[0].field)
+                .toBe('schedule.dayOfMonth');
+        });
+    });
+});
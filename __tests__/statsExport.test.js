@@ -0,0 +1,254 @@
+/**
+ * Stats Export Unit Tests
+ * Tests the records and CSV/NDJSON serialization of analytics exports, and
+ * streaming them as a download
+ */
+
+const http = require('http');
+const express = require('express');
+
+const SHOP = 'shop.myshopify.com';
+
+// The shop's timers, read through cursors as from MongoDB
+let mockTimers = [];
+
+jest.mock('../app/models', () => {
+    const find = (rows) => {
+        const query = {
+            sort: () => query,
+            lean: () => query,
+            cursor: () => rows()[Symbol.iterator]()
+        };
+        return query;
+    };
+    return {
+        Timer: { find: jest.fn(() => find(() => mockTimers)) },
+        TimerStatsDaily: { find: jest.fn(() => find(() => [])) },
+        TimerOrder: {},
+        Experiment: {}
+    };
+});
+
+// Admin requests are authenticated as SHOP
+jest.mock('../app/middleware', () => ({
+    verifyShopifySession: (req, res, next) => {
+        req.shop = SHOP;
+        next();
+    },
+    rateLimit: (req, res, next) => next()
+}));
+
+const timersRouter = require('../app/routes/timers');
+
+const {
+    EXPORT_COLUMNS,
+    getTimerExportFields,
+    fillStatsDays,
+    createExportSerializer,
+    getExportFilename
+} = require('../app/services/statsExport');
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+
+const timer = {
+    _id: '65f0c0ffee0000000000abcd',
+    name: 'Spring sale, "final"',
+    type: 'fixed',
+    isActive: true,
+    priority: 10,
+    timezone: 'Europe/Berlin',
+    startDate: new Date('2026-03-01T00:00:00Z'),
+    endDate: new Date('2026-03-20T00:00:00Z'),
+    targeting: { context: 'page', scope: 'collections', pageTypes: ['product', 'collection'] },
+    appearance: { headline: '=1+1' },
+    currency: 'EUR'
+};
+
+// Async iterable over rows, like a Mongo cursor, recording when it is closed
+const cursor = (rows) => {
+    const state = { read: 0, closed: false };
+    state[Symbol.asyncIterator] = () => ({
+        next: async () => (state.read < rows.length
+            ? { value: rows[state.read++], done: false }
+            : { value: undefined, done: true }),
+        return: async () => {
+            state.closed = true;
+            return { value: undefined, done: true };
+        }
+    });
+    return state;
+};
+
+const collect = async (iterable) => {
+    const items = [];
+    for await (const item of iterable) {
+        items.push(item);
+    }
+    return items;
+};
+
+describe('Stats Export', () => {
+    /**
+     * Test 1: Records
+     */
+    describe('Records', () => {
+        test('lists the timer\'s settings', () => {
+            expect(getTimerExportFields(timer, NOW)).toEqual({
+                timerId: '65f0c0ffee0000000000abcd',
+                timerName: 'Spring sale, "final"',
+                type: 'fixed',
+                status: 'active',
+                isActive: true,
+                priority: 10,
+                timezone: 'Europe/Berlin',
+                startDate: timer.startDate,
+                endDate: timer.endDate,
+                durationMinutes: null,
+                scheduleFrequency: null,
+                targetingContext: 'page',
+                targetingScope: 'collections',
+                pageTypes: ['product', 'collection'],
+                headline: '=1+1',
+                currency: 'EUR'
+            });
+        });
+
+        test('fills every day of the range, reading rows one at a time', async () => {
+            const rows = cursor([
+                { date: '2026-02-27', impressions: 99 },
+                { date: '2026-03-02', impressions: 4, orders: 1, revenue: 10.005 },
+                { date: '2026-03-04', impressions: 2 }
+            ]);
+
+            const days = await collect(fillStatsDays(rows, { from: '2026-03-01', to: '2026-03-03' }));
+
+            expect(days.map(day => [day.date, day.impressions])).toEqual([
+                ['2026-03-01', 0],
+                ['2026-03-02', 4],
+                ['2026-03-03', 0]
+            ]);
+            expect(days[1]).toEqual(expect.objectContaining({ orders: 1, revenue: 10.01, clicks: 0 }));
+            expect(rows.closed).toBe(true);
+        });
+
+        test('closes the cursor when the export stops early', async () => {
+            const rows = cursor([{ date: '2026-03-01', impressions: 1 }, { date: '2026-03-02', impressions: 2 }]);
+
+            for await (const day of fillStatsDays(rows, { from: '2026-03-01', to: '2026-03-31' })) {
+                expect(day.date).toBe('2026-03-01');
+                break;
+            }
+
+            expect(rows.closed).toBe(true);
+        });
+    });
+
+    /**
+     * Test 2: Formats
+     */
+    describe('Formats', () => {
+        const record = { ...getTimerExportFields(timer, NOW), date: '2026-03-02', impressions: 4, revenue: 10.01 };
+
+        test('writes CSV with a header row and escaped cells', () => {
+            const csv = createExportSerializer('csv');
+            const header = csv.header();
+            const line = csv.record(record);
+
+            expect(header).toBe(`${EXPORT_COLUMNS.join(',')}\r\n`);
+            expect(line.endsWith('\r\n')).toBe(true);
+            expect(line).toContain('"Spring sale, ""final"""');
+            expect(line).toContain(',2026-03-01T00:00:00.000Z,');
+            expect(line).toContain(',product collection,');
+            // Missing metrics are left empty
+            expect(line.split(',').length).toBe(EXPORT_COLUMNS.length + 1);
+        });
+
+        test('keeps spreadsheets from running text as formulas', () => {
+            const line = createExportSerializer('csv').record(record);
+            expect(line).toContain(",'=1+1,");
+        });
+
+        test('writes NDJSON with one object per line', () => {
+            const ndjson = createExportSerializer('ndjson');
+            const line = ndjson.record(record);
+
+            expect(ndjson.header()).toBe('');
+            expect(line.endsWith('\n')).toBe(true);
+            expect(JSON.parse(line)).toEqual(expect.objectContaining({
+                timerName: 'Spring sale, "final"',
+                headline: '=1+1',
+                pageTypes: ['product', 'collection'],
+                impressions: 4
+            }));
+        });
+
+        test('names the file after the range and format', () => {
+            expect(getExportFilename('timers', { from: '2026-03-01', to: '2026-03-30' }, 'ndjson'))
+                .toBe('timers-2026-03-01-to-2026-03-30.ndjson');
+        });
+    });
+
+    /**
+     * Test 3: Downloads
+     */
+    describe('Downloads', () => {
+        let server;
+        let baseUrl;
+        let watchResponse = () => { };
+
+        beforeAll((done) => {
+            const app = express();
+            app.use((req, res, next) => {
+                watchResponse(res);
+                next();
+            });
+            app.use('/api/timers', timersRouter);
+            server = app.listen(0, () => {
+                baseUrl = `http://127.0.0.1:${server.address().port}`;
+                done();
+            });
+        });
+
+        afterAll((done) => {
+            server.close(done);
+        });
+
+        // Download a file, not reading it for a moment so the server has
+        // to wait for the client
+        const download = (path) => new Promise((resolve, reject) => {
+            http.get(`${baseUrl}${path}`, (res) => {
+                let text = '';
+                res.setEncoding('utf8');
+                res.pause();
+                setTimeout(() => res.resume(), 50);
+                res.on('data', (chunk) => {
+                    text += chunk;
+                });
+                res.on('end', () => resolve({ status: res.statusCode, text }));
+            }).on('error', reject);
+        });
+
+        test('waits for a slow client without piling up listeners', async () => {
+            mockTimers = Array.from({ length: 40 }, (_, i) => ({ ...timer, _id: `65f0c0ffee00000000000${String(i).padStart(3, '0')}` }));
+            let drains = 0;
+            let closeListeners;
+            watchResponse = (res) => {
+                const initial = res.listenerCount('close');
+                res.on('drain', () => {
+                    drains++;
+                });
+                res.on('finish', () => {
+                    closeListeners = res.listenerCount('close') - initial;
+                });
+            };
+
+            const { status, text } = await download('/api/timers/export?from=2026-01-01&to=2026-03-31');
+
+            expect(status).toBe(200);
+            // A header row and a row per timer per day
+            expect(text.trim().split('\r\n')).toHaveLength(1 + 40 * 90);
+            expect(drains).toBeGreaterThan(10);
+            expect(closeListeners).toBe(0);
+        });
+    });
+});
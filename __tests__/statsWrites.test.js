@@ -0,0 +1,238 @@
+/**
+ * Stats Writes Tests
+ * Tests that batches of storefront events and attributed orders are
+ * written to the stats once, however often a failed write is retried,
+ * against in-memory collections
+ */
+
+const {
+    Timer,
+    TimerStatsDaily,
+    TimerDailyVisitor,
+    TimerOrder,
+    ExperimentStats,
+    ExperimentVisitor
+} = require('../app/models');
+
+const SHOP = 'shop.myshopify.com';
+const TIMER_ID = '65f0c0ffee0000000000abcd';
+const EXPERIMENT_ID = '65f0c0ffee0000000000ef01';
+
+/**
+ * A collection applying the update operators the stats writes use, which
+ * can be made to fail its next write
+ */
+const collection = (docs = []) => {
+    const matches = (doc, filter) => Object.entries(filter).every(([field, value]) => (value?.$ne !== undefined
+        ? !(doc[field] || []).includes(value.$ne)
+        : String(doc[field]) === String(value)));
+
+    const store = {
+        docs,
+        failNext: false,
+        async updateOne(filter, update, { upsert = false } = {}) {
+            if (store.failNext) {
+                store.failNext = false;
+                throw new Error('Write failed');
+            }
+            let doc = docs.find(candidate => matches(candidate, filter));
+            const upserted = !doc && upsert;
+            if (!doc) {
+                if (!upsert) {
+                    return { matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+                }
+                doc = { ...filter, ...update.$setOnInsert };
+                docs.push(doc);
+            }
+            for (const [field, count] of Object.entries(update.$inc || {})) {
+                doc[field] = (doc[field] || 0) + count;
+            }
+            Object.assign(doc, update.$set);
+            for (const [field, value] of Object.entries(update.$addToSet || {})) {
+                doc[field] = [...new Set([...(doc[field] || []), value])];
+            }
+            for (const [field, { $each, $slice }] of Object.entries(update.$push || {})) {
+                doc[field] = [...(doc[field] || []), ...$each].slice($slice);
+            }
+            for (const [field, value] of Object.entries(update.$pull || {})) {
+                doc[field] = (doc[field] || []).filter(item => item !== value);
+            }
+            return { matchedCount: upserted ? 0 : 1, modifiedCount: upserted ? 0 : 1, upsertedCount: upserted ? 1 : 0 };
+        },
+        async bulkWrite(ops) {
+            for (const { updateOne: { filter, update, upsert } } of ops) {
+                await store.updateOne(filter, update, { upsert });
+            }
+        },
+        async countDocuments(filter) {
+            return docs.filter(doc => matches(doc, filter)).length;
+        },
+        findOne(filter) {
+            // A copy, as read from the database
+            const query = {
+                select: () => query,
+                lean: async () => structuredClone(docs.find(doc => matches(doc, filter)) || null)
+            };
+            return query;
+        }
+    };
+    return store;
+};
+
+// Replace a model's writes with an in-memory collection
+const useCollection = (Model, docs) => {
+    const store = collection(docs);
+    jest.spyOn(Model, 'bulkWrite').mockImplementation(store.bulkWrite);
+    jest.spyOn(Model, 'countDocuments').mockImplementation(store.countDocuments);
+    jest.spyOn(Model, 'updateOne').mockImplementation(store.updateOne);
+    jest.spyOn(Model, 'findOne').mockImplementation(store.findOne);
+    return store;
+};
+
+describe('Stats Writes', () => {
+    let stats;
+    let timers;
+    let dailyVisitors;
+    let variantStats;
+    let variantVisitors;
+    let orders;
+
+    beforeEach(() => {
+        stats = useCollection(TimerStatsDaily);
+        timers = useCollection(Timer, [{ _id: TIMER_ID }]);
+        dailyVisitors = useCollection(TimerDailyVisitor);
+        variantStats = useCollection(ExperimentStats);
+        variantVisitors = useCollection(ExperimentVisitor);
+        orders = useCollection(TimerOrder);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    /**
+     * Test 1: Event Batches
+     */
+    describe('Event Batches', () => {
+        const entries = [{
+            shop: SHOP,
+            timer: TIMER_ID,
+            date: '2026-03-10',
+            counts: { renders: 3, impressions: 2 },
+            visitors: ['visitor-1', 'visitor-2'],
+            variants: [{ experiment: EXPERIMENT_ID, variant: 'b', counts: { renders: 3 }, visitors: ['visitor-1'] }]
+        }];
+
+        const expectCountedOnce = () => {
+            expect(stats.docs).toEqual([expect.objectContaining({ shop: SHOP, renders: 3, impressions: 2, uniqueVisitors: 2 })]);
+            expect(timers.docs).toEqual([expect.objectContaining({ renders: 3, impressions: 2 })]);
+            expect(variantStats.docs).toEqual([expect.objectContaining({ variant: 'b', renders: 3, visitors: 1 })]);
+        };
+
+        test('adds the counts to the rollup, the timer and the variant', async () => {
+            await TimerStatsDaily.recordBatch(entries, 'flush-1');
+
+            expectCountedOnce();
+        });
+
+        test.each([
+            ['daily stats', () => stats],
+            ['timer counters', () => timers],
+            ['variant stats', () => variantStats],
+            ['visitors', () => dailyVisitors]
+        ])('counts a batch once when it is retried after the %s failed', async (name, failing) => {
+            failing().failNext = true;
+
+            await expect(TimerStatsDaily.recordBatch(entries, 'flush-1')).rejects.toThrow('Write failed');
+            await TimerStatsDaily.recordBatch(entries, 'flush-1');
+
+            expectCountedOnce();
+        });
+
+        test('counts a visitor seen again in a later flush once', async () => {
+            await TimerStatsDaily.recordBatch(entries, 'flush-1');
+            await TimerStatsDaily.recordBatch(entries, 'flush-2');
+
+            expect(stats.docs[0]).toEqual(expect.objectContaining({ renders: 6, uniqueVisitors: 2 }));
+            expect(variantStats.docs[0]).toEqual(expect.objectContaining({ renders: 6, visitors: 1 }));
+            expect(variantVisitors.docs).toHaveLength(1);
+        });
+    });
+
+    /**
+     * Test 2: Attributed Orders
+     */
+    describe('Attributed Orders', () => {
+        const order = {
+            shop: SHOP,
+            timer: TIMER_ID,
+            orderId: '5551234',
+            experiment: EXPERIMENT_ID,
+            variant: 'b',
+            revenue: 59.9,
+            currency: 'EUR',
+            date: '2026-03-10',
+            orderedAt: new Date('2026-03-10T12:00:00Z')
+        };
+
+        const expectCountedOnce = () => {
+            expect(variantStats.docs).toEqual([expect.objectContaining({ orders: 1, revenue: 59.9 })]);
+            expect(stats.docs).toEqual([expect.objectContaining({ orders: 1, revenue: 59.9 })]);
+            expect(timers.docs).toEqual([expect.objectContaining({ orders: 1, revenue: 59.9, currency: 'EUR' })]);
+        };
+
+        test('stores the order once and adds it to each of the stats', async () => {
+            expect(await TimerOrder.recordOrder(order)).toBe(true);
+            expect(await TimerOrder.recordOrder(order)).toBe(false);
+
+            expect(orders.docs).toHaveLength(1);
+            expectCountedOnce();
+        });
+
+        test.each([
+            ['variant stats', () => variantStats],
+            ['daily stats', () => stats],
+            ['timer counters', () => timers]
+        ])('completes the stats on a retried delivery after the %s failed', async (name, failing) => {
+            failing().failNext = true;
+
+            await expect(TimerOrder.recordOrder(order)).rejects.toThrow('Write failed');
+            expect(await TimerOrder.recordOrder(order)).toBe(true);
+            expect(await TimerOrder.recordOrder(order)).toBe(false);
+
+            expectCountedOnce();
+        });
+
+        test('adds concurrent duplicate deliveries once', async () => {
+            await Promise.all([TimerOrder.recordOrder(order), TimerOrder.recordOrder(order)]);
+
+            expect(orders.docs).toEqual([expect.objectContaining({ statsApplied: ['experiment', 'daily', 'timer'] })]);
+            expectCountedOnce();
+            expect(await TimerOrder.recordOrder(order)).toBe(false);
+        });
+
+        test('completes the stats with the stored totals, whatever the retry carries', async () => {
+            stats.failNext = true;
+
+            await expect(TimerOrder.recordOrder(order)).rejects.toThrow('Write failed');
+            expect(await TimerOrder.recordOrder({ ...order, revenue: 99, currency: 'USD' })).toBe(true);
+
+            expectCountedOnce();
+        });
+
+        test('adds holdout orders to the experiment only', async () => {
+            await TimerOrder.recordOrder({ ...order, variant: 'holdout' });
+
+            expect(variantStats.docs).toEqual([expect.objectContaining({ variant: 'holdout', orders: 1 })]);
+            expect(stats.docs).toHaveLength(0);
+            expect(timers.docs[0].orders).toBeUndefined();
+        });
+
+        test('leaves orders recorded before their stats were tracked alone', async () => {
+            orders.docs.push({ ...order });
+
+            expect(await TimerOrder.recordOrder(order)).toBe(false);
+            expect(variantStats.docs).toHaveLength(0);
+        });
+    });
+});
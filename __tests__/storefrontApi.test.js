@@ -0,0 +1,598 @@
+/**
+ * Storefront API Tests
+ * Runs the app's storefront routes over HTTP, through the app proxy,
+ * against in-memory timers
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+
+const SECRET = 'test-app-secret';
+
+process.env.SHOPIFY_API_KEY = 'test-app-key';
+process.env.SHOPIFY_API_SECRET = SECRET;
+process.env.HOST = 'https://countdown.example.com';
+
+const SHOP = 'shop.myshopify.com';
+const BROWSER = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_4) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Safari/605.1.15';
+
+// The shop's timers and running experiments, as MongoDB would return them
+let mockTimers = [];
+let mockExperiments = [];
+// Evergreen sessions as stored
+let mockSessions = [];
+
+jest.mock('../app/models', () => {
+    const query = (results) => {
+        const chain = {
+            sort: () => chain,
+            select: () => chain,
+            lean: () => Promise.resolve(results())
+        };
+        return chain;
+    };
+    return {
+        Timer: {
+            find: jest.fn(() => query(() => mockTimers)),
+            findOne: jest.fn(({ _id }) => query(() => mockTimers.find(timer => timer._id === _id) || null))
+        },
+        Experiment: { find: jest.fn(() => query(() => mockExperiments)) },
+        EvergreenSession: Object.assign(function EvergreenSession(fields) {
+            Object.assign(this, fields);
+            this.save = async () => {
+                if (!mockSessions.includes(this)) {
+                    mockSessions.push(this);
+                }
+                this.updatedAt = new Date();
+                return this;
+            };
+        }, {
+            findOne: jest.fn((filter) => {
+                const session = mockSessions.find(candidate => Object.entries(filter).every(([field, value]) => (value?.$gte
+                    ? candidate[field] >= value.$gte
+                    : String(candidate[field]) === String(value))));
+                const result = Promise.resolve(session || null);
+                result.sort = () => result;
+                return result;
+            })
+        }),
+        Shop: { getWithAccessToken: jest.fn(() => Promise.resolve({ accessToken: 'shpat_test' })) },
+        TimerStatsDaily: {}
+    };
+});
+
+// The auth module starts a rate limit cleanup interval on load; keep it
+// off the real clock so the test run can exit
+jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+jest.spyOn(console, 'log').mockImplementation(() => { });
+const { app } = require('../app/server');
+console.log.mockRestore();
+jest.useRealTimers();
+
+const { Timer } = require('../app/models');
+const { invalidateShopTimers } = require('../app/services/timerCache');
+const { resetImpressions } = require('../app/services/impressionGuard');
+const { assignVariant } = require('../app/services/experiments');
+const { resetCartCollections } = require('../app/services/cartCollections');
+const { shopify } = require('../app/middleware');
+
+const timer = (id, overrides = {}) => ({
+    _id: id,
+    shop: SHOP,
+    name: `Timer ${id}`,
+    type: 'fixed',
+    isActive: true,
+    startDate: new Date(Date.now() - 60 * 60 * 1000),
+    endDate: new Date(Date.now() + 60 * 60 * 1000),
+    updatedAt: new Date('2026-03-01T00:00:00Z'),
+    createdAt: new Date('2026-03-01T00:00:00Z'),
+    targeting: { scope: 'all' },
+    appearance: { headline: 'Sale ends soon' },
+    ...overrides
+});
+
+/**
+ * A storefront API path as the app proxy forwards it: the shop and a
+ * timestamp added to the query and signed with the app secret
+ */
+const proxied = (path, query = {}, shop = SHOP) => {
+    const params = {
+        shop,
+        logged_in_customer_id: '',
+        path_prefix: '/apps/countdown',
+        timestamp: String(Math.floor(Date.now() / 1000)),
+        ...query
+    };
+    const message = Object.keys(params).sort().map(key => `${key}=${params[key]}`).join('');
+    const signature = crypto.createHmac('sha256', SECRET).update(message).digest('hex');
+    return `/apps/countdown/api/storefront${path}?${new URLSearchParams({ ...params, signature })}`;
+};
+
+// A collection grid product as the theme sends it
+const gridProduct = (id, overrides = {}) => ({
+    productId: String(id),
+    collectionIds: Array.from({ length: 10 }, (_, i) => `gid://shopify/Collection/${4000000000 + i}`),
+    tags: ['summer', 'new-arrival', 'bestseller'],
+    vendor: 'Acme Outdoor Supply',
+    productType: 'Backpacks',
+    ...overrides
+});
+
+describe('Storefront API', () => {
+    let server;
+    let baseUrl;
+
+    beforeAll((done) => {
+        server = app.listen(0, () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            done();
+        });
+    });
+
+    afterAll((done) => {
+        server.close(done);
+    });
+
+    beforeEach(async () => {
+        mockTimers = [];
+        mockExperiments = [];
+        mockSessions = [];
+        resetImpressions();
+        resetCartCollections();
+        await invalidateShopTimers(SHOP);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const post = async (path, body) => {
+        const response = await fetch(`${baseUrl}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'User-Agent': BROWSER },
+            body: typeof body === 'string' ? body : JSON.stringify(body)
+        });
+        return {
+            status: response.status,
+            cacheControl: response.headers.get('cache-control'),
+            body: await response.json().catch(() => null)
+        };
+    };
+
+    // Plain http rather than fetch: fetch marks requests with their own
+    // If-None-Match as no-cache, which a server must answer in full
+    const get = (path, headers = {}) => new Promise((resolve, reject) => {
+        http.get(`${baseUrl}${path}`, { headers }, (response) => {
+            let text = '';
+            response.setEncoding('utf8');
+            response.on('data', (chunk) => {
+                text += chunk;
+            });
+            response.on('end', () => resolve({
+                status: response.statusCode,
+                etag: response.headers.etag,
+                cacheControl: response.headers['cache-control'],
+                body: text ? JSON.parse(text) : null
+            }));
+        }).on('error', reject);
+    });
+
+    /**
+     * Test 1: App Proxy
+     */
+    describe('App Proxy', () => {
+        test('serves the shop the proxy signed for, whatever the request says', async () => {
+            mockTimers = [timer('65f0c0ffee0000000000a001')];
+
+            const { status } = await get(proxied('/timer', { productId: '1' }).replace('?', '?shop=other.myshopify.com&'));
+            const signed = await get(proxied('/timer', { productId: '1' }));
+
+            expect(status).toBe(401);
+            expect(signed.status).toBe(200);
+            expect(Timer.find).toHaveBeenLastCalledWith(expect.objectContaining({ shop: SHOP }));
+
+            await invalidateShopTimers(SHOP);
+            await post(proxied('/timers/batch'), { shop: 'other.myshopify.com', products: [gridProduct(1)] });
+            expect(Timer.find).toHaveBeenLastCalledWith(expect.objectContaining({ shop: SHOP }));
+        });
+
+        test('rejects unsigned and re-signed requests', async () => {
+            const path = proxied('/timer', { productId: '1' });
+
+            expect((await get(path.replace(/&signature=\w+/, ''))).status).toBe(401);
+            expect((await get(path.replace('productId=1', 'productId=2'))).status).toBe(401);
+        });
+
+        test('does not serve unsigned storefront routes outside development', async () => {
+            expect((await get(`/api/storefront/timer?shop=${SHOP}&productId=1`)).status).toBe(404);
+            expect((await post('/api/storefront/timer/cart', { shop: SHOP, items: [] })).status).toBe(404);
+        });
+    });
+
+    /**
+     * Test 2: Timer Lookups
+     */
+    describe('Timer Lookups', () => {
+        const path = proxied('/timer', { productId: '1' });
+
+        test('serves a cacheable payload without the server time', async () => {
+            mockTimers = [timer('65f0c0ffee0000000000a001')];
+
+            const { status, etag, cacheControl, body } = await get(path);
+
+            expect(status).toBe(200);
+            expect(etag).toMatch(/^"[\w-]+"$/);
+            expect(cacheControl).toMatch(/^public, max-age=60, stale-while-revalidate=\d+$/);
+            expect(body.data.id).toBe('65f0c0ffee0000000000a001');
+            expect(body.data).not.toHaveProperty('serverNow');
+        });
+
+        test('answers a matching If-None-Match with an empty 304', async () => {
+            mockTimers = [timer('65f0c0ffee0000000000a001')];
+            const { etag } = await get(path);
+
+            const revalidated = await get(path, { 'If-None-Match': etag });
+
+            expect(revalidated.status).toBe(304);
+            expect(revalidated.etag).toBe(etag);
+            expect(revalidated.body).toBeNull();
+        });
+
+        test('changes the ETag when the timer is edited', async () => {
+            mockTimers = [timer('65f0c0ffee0000000000a001')];
+            const { etag } = await get(path);
+
+            mockTimers = [timer('65f0c0ffee0000000000a001', {
+                updatedAt: new Date('2026-03-02T00:00:00Z'),
+                appearance: { headline: 'Last chance' }
+            })];
+            await invalidateShopTimers(SHOP);
+            const edited = await get(path, { 'If-None-Match': etag });
+
+            expect(edited.status).toBe(200);
+            expect(edited.etag).not.toBe(etag);
+            expect(edited.body.data.appearance.headline).toBe('Last chance');
+        });
+
+        test('caches and revalidates the 404 when there is no timer', async () => {
+            const missing = await get(path);
+
+            expect(missing.status).toBe(404);
+            expect(missing.cacheControl).toMatch(/^public, max-age=60/);
+            expect(missing.etag).toBeTruthy();
+            expect((await get(path, { 'If-None-Match': missing.etag })).status).toBe(304);
+
+            // A timer created since then is served
+            mockTimers = [timer('65f0c0ffee0000000000a001')];
+            await invalidateShopTimers(SHOP);
+            expect((await get(path, { 'If-None-Match': missing.etag })).status).toBe(200);
+        });
+
+        test('gives each page its own ETag', async () => {
+            mockTimers = [timer('65f0c0ffee0000000000a001')];
+
+            const product1 = await get(path);
+            const product2 = await get(proxied('/timer', { productId: '2' }));
+
+            expect(product2.etag).not.toBe(product1.etag);
+        });
+
+        test('hides a timer without an end-of-timer action once it ends', async () => {
+            mockTimers = [timer('65f0c0ffee0000000000a001')];
+
+            const { body } = await get(path);
+
+            expect(body.data.appearance.expiryAction).toEqual({
+                type: 'hide',
+                message: '',
+                backgroundColor: '#6B7280',
+                textColor: '#FFFFFF'
+            });
+        });
+    });
+
+    /**
+     * Test 3: Batch Lookups
+     */
+    describe('Batch Lookups', () => {
+        const batch = (body) => post(proxied('/timers/batch'), body);
+
+        test('requires 1 to 100 products', async () => {
+            expect((await batch({})).status).toBe(400);
+            expect((await batch({ products: [] })).status).toBe(400);
+            expect((await batch({ products: 'gid://shopify/Product/1' })).status).toBe(400);
+
+            const tooMany = await batch({ products: Array.from({ length: 101 }, (_, i) => gridProduct(i)) });
+            expect(tooMany.status).toBe(400);
+            expect(tooMany.body.error).toBe('Products must be a list of 1 to 100 products');
+        });
+
+        test('accepts a full grid of 100 products, well over the default body limit', async () => {
+            const products = Array.from({ length: 100 }, (_, i) => gridProduct(7000000000 + i));
+            expect(JSON.stringify({ products }).length).toBeGreaterThan(50 * 1024);
+
+            const { status, body } = await batch({ products });
+
+            expect(status).toBe(200);
+            expect(Object.keys(body.data.products)).toHaveLength(100);
+        });
+
+        test('still rejects oversized bodies', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => { });
+            const products = [gridProduct(1, { tags: ['x'.repeat(300 * 1024)] })];
+
+            expect((await batch({ products })).status).toBe(413);
+        });
+
+        test('keeps the 10kb limit on other storefront routes', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => { });
+            const { status } = await post(proxied(`/timer/${'a'.repeat(24)}/render`), {
+                padding: 'x'.repeat(20 * 1024)
+            });
+
+            expect(status).toBe(413);
+        });
+
+        test('matches each product on its own, sharing payloads between products', async () => {
+            mockTimers = [
+                timer('65f0c0ffee0000000000a001', {
+                    targeting: { scope: 'products', productIds: ['gid://shopify/Product/1', 'gid://shopify/Product/2'] }
+                }),
+                timer('65f0c0ffee0000000000a002', {
+                    targeting: { scope: 'tags', tags: ['Clearance'] }
+                })
+            ];
+
+            const { status, body } = await batch({
+                products: [
+                    gridProduct(1),
+                    gridProduct('gid://shopify/Product/2'),
+                    gridProduct(3, { tags: ['clearance'] }),
+                    gridProduct(4),
+                    { collectionIds: [] },
+                    null
+                ]
+            });
+
+            expect(status).toBe(200);
+            expect(body.data.products).toEqual({
+                1: '65f0c0ffee0000000000a001',
+                'gid://shopify/Product/2': '65f0c0ffee0000000000a001',
+                3: '65f0c0ffee0000000000a002',
+                4: null
+            });
+            expect(Object.keys(body.data.timers).sort()).toEqual(['65f0c0ffee0000000000a001', '65f0c0ffee0000000000a002']);
+            expect(body.data.timers['65f0c0ffee0000000000a002']).toEqual(expect.objectContaining({
+                id: '65f0c0ffee0000000000a002',
+                type: 'fixed',
+                appearance: expect.objectContaining({ headline: 'Sale ends soon' })
+            }));
+        });
+    });
+
+    /**
+     * Test 4: Cart Lookups
+     */
+    describe('Cart Lookups', () => {
+        test('accepts a cart of 500 line items', async () => {
+            mockTimers = [timer('65f0c0ffee0000000000a003', { targeting: { scope: 'all', context: 'cart' } })];
+            const items = Array.from({ length: 500 }, (_, i) => ({
+                productId: 7000000000 + i,
+                collectionIds: ['gid://shopify/Collection/4000000000', 'gid://shopify/Collection/4000000001']
+            }));
+
+            const { status, body } = await post(proxied('/timer/cart'), { items, subtotal: 120 });
+
+            expect(status).toBe(200);
+            expect(body.data.id).toBe('65f0c0ffee0000000000a003');
+            // Never cached, so the widget may sync its clock with it
+            expect(new Date(body.data.serverNow).getTime()).not.toBeNaN();
+        });
+
+        describe('collection targeting', () => {
+            const SALE = 'gid://shopify/Collection/4000000041';
+            let adminApi;
+
+            beforeEach(() => {
+                mockTimers = [timer('65f0c0ffee0000000000a004', {
+                    targeting: { scope: 'all', context: 'cart', cart: { collectionIds: [SALE] } }
+                })];
+                adminApi = jest.spyOn(shopify.clients.Graphql.prototype, 'request');
+            });
+
+            // The widget only has collections for the items in the cart when the page loaded
+            const lookUp = (collectionIds = []) => post(proxied('/timer/cart'), {
+                items: [{ productId: 7000000001, collectionIds }],
+                subtotal: 20
+            });
+
+            test('asks the Admin API about items added since the page loaded', async () => {
+                adminApi.mockResolvedValue({ data: { p0: { c0: true } } });
+
+                const { status, body } = await lookUp();
+
+                expect(status).toBe(200);
+                expect(body.data.id).toBe('65f0c0ffee0000000000a004');
+                expect(adminApi).toHaveBeenCalledWith(expect.stringContaining('inCollection'), {
+                    variables: { p0: 'gid://shopify/Product/7000000001', c0: SALE }
+                });
+            });
+
+            test('does not match an item outside the targeted collections, and remembers it', async () => {
+                adminApi.mockResolvedValue({ data: { p0: { c0: false } } });
+
+                expect((await lookUp()).status).toBe(404);
+                expect((await lookUp()).status).toBe(404);
+                expect(adminApi).toHaveBeenCalledTimes(1);
+            });
+
+            test('trusts the collections the page rendered', async () => {
+                const { status } = await lookUp([SALE]);
+
+                expect(status).toBe(200);
+                expect(adminApi).not.toHaveBeenCalled();
+            });
+
+            test('still answers when the Admin API fails', async () => {
+                adminApi.mockRejectedValue(new Error('Throttled'));
+                jest.spyOn(console, 'error').mockImplementation(() => { });
+
+                expect((await lookUp()).status).toBe(404);
+                expect((await lookUp([SALE])).status).toBe(200);
+            });
+        });
+    });
+
+    /**
+     * Test 5: Timer Events
+     */
+    describe('Timer Events', () => {
+        const impression = (id, body = {}) => post(proxied(`/timer/${id}/impression`), body);
+        const visitorId = '0b8c3c4e-6a55-4d2c-9a7e-1f2d3c4b5a69';
+
+        test('does not count an event for a timer that does not exist', async () => {
+            const id = '65f0c0ffee0000000000a004';
+
+            expect((await impression(id, { visitorId })).status).toBe(404);
+
+            // The 404 did not use up the visitor's impression
+            mockTimers = [timer(id)];
+            expect((await impression(id, { visitorId })).body.message).toBe('Impression recorded');
+            expect((await impression(id, { visitorId })).body.message).toBe('Impression already recorded');
+        });
+    });
+
+    /**
+     * Test 6: Experiments
+     */
+    describe('Experiments', () => {
+        const TIMER_ID = '65f0c0ffee0000000000a005';
+        const experiment = {
+            _id: '65f0c0ffee0000000000e001',
+            timer: TIMER_ID,
+            status: 'running',
+            variants: [
+                { key: 'a', appearance: { headline: 'Variant A' } },
+                { key: 'b', appearance: { headline: 'Variant B' } }
+            ]
+        };
+        const visitors = ['0b8c3c4e-6a55-4d2c-9a7e-1f2d3c4b5a69', '7d1e2f3a-4b5c-4d6e-8f70-8192a3b4c5d6'];
+
+        beforeEach(() => {
+            mockTimers = [timer(TIMER_ID)];
+            mockExperiments = [experiment];
+        });
+
+        test('serves every visitor the same cacheable timer lookup', async () => {
+            const lookups = await Promise.all(visitors.map(visitorId => get(proxied('/timer', { productId: '1', visitorId }))));
+
+            expect(lookups[0].cacheControl).toMatch(/^public, /);
+            expect(lookups[1].etag).toBe(lookups[0].etag);
+            expect(lookups[1].body).toEqual(lookups[0].body);
+            expect(lookups[0].body.data).toEqual(expect.objectContaining({
+                appearance: expect.objectContaining({ headline: 'Sale ends soon' }),
+                experiment: { id: experiment._id }
+            }));
+        });
+
+        test('changes the lookup ETag when the experiment stops', async () => {
+            const { etag } = await get(proxied('/timer', { productId: '1' }));
+
+            mockExperiments = [];
+            await invalidateShopTimers(SHOP);
+            const stopped = await get(proxied('/timer', { productId: '1' }), { 'If-None-Match': etag });
+
+            expect(stopped.status).toBe(200);
+            expect(stopped.body.data).not.toHaveProperty('experiment');
+        });
+
+        test('serves each visitor their own variant, uncached', async () => {
+            for (const visitorId of visitors) {
+                const variant = assignVariant(experiment, `v:${visitorId}`);
+
+                const { status, cacheControl, body } = await post(proxied(`/timer/${TIMER_ID}/variant`), { visitorId });
+
+                expect(status).toBe(200);
+                expect(cacheControl).toBe('no-store');
+                expect(body.data.experiment).toEqual({ id: experiment._id, variant });
+                expect(body.data.appearance.headline).toBe(`Variant ${variant.toUpperCase()}`);
+            }
+        });
+
+        test('serves the timer as it is once the experiment has stopped', async () => {
+            mockExperiments = [];
+
+            const { body } = await post(proxied(`/timer/${TIMER_ID}/variant`), { visitorId: visitors[0] });
+
+            expect(body.data.appearance.headline).toBe('Sale ends soon');
+            expect(body.data).not.toHaveProperty('experiment');
+        });
+
+        test('answers 404 for a timer the shop is not running', async () => {
+            const { status } = await post(proxied('/timer/65f0c0ffee0000000000a006/variant'), { visitorId: visitors[0] });
+
+            expect(status).toBe(404);
+        });
+    });
+
+    /**
+     * Test 7: Evergreen Sessions
+     */
+    describe('Evergreen Sessions', () => {
+        const TIMER_ID = '65f0c0ffee0000000000a007';
+        const HOUR = 60 * 60 * 1000;
+        const evergreen = (onExpire) => timer(TIMER_ID, { type: 'evergreen', durationMinutes: 120, onExpire });
+
+        // A visit without the token, as from a private window
+        const visit = async () => (await post(proxied(`/timer/${TIMER_ID}/session`), {})).body.data;
+
+        // Move the stored session, and the visitor's last visit, back in time
+        const startedAgo = (ms) => {
+            const [session] = mockSessions;
+            session.startedAt = new Date(session.startedAt.getTime() - ms);
+            session.updatedAt = new Date(session.updatedAt.getTime() - ms);
+        };
+
+        test('finds a running countdown by fingerprint long after the last visit', async () => {
+            mockTimers = [evergreen()];
+            await visit();
+            startedAgo(45 * 60 * 1000);
+
+            const { startedAt } = await visit();
+
+            expect(new Date(startedAt)).toEqual(mockSessions[0].startedAt);
+            expect(mockSessions).toHaveLength(1);
+        });
+
+        test('keeps a hidden countdown expired for a visitor without their token', async () => {
+            mockTimers = [evergreen({ action: 'hide' })];
+            await visit();
+            startedAgo(5 * HOUR);
+
+            const { endDate } = await visit();
+
+            expect(new Date(endDate).getTime()).toBeLessThan(Date.now());
+        });
+
+        test('waits out the cooldown before restarting', async () => {
+            mockTimers = [evergreen({ action: 'cooldown', cooldownMinutes: 180 })];
+            await visit();
+            startedAgo(3 * HOUR);
+
+            expect(new Date((await visit()).endDate).getTime()).toBeLessThan(Date.now());
+
+            startedAgo(3 * HOUR);
+            expect(new Date((await visit()).endDate).getTime()).toBeGreaterThan(Date.now());
+        });
+
+        test('does not hand a countdown that restarts anyway to another visitor', async () => {
+            mockTimers = [evergreen()];
+            await visit();
+            startedAgo(3 * HOUR);
+
+            await visit();
+
+            expect(mockSessions).toHaveLength(2);
+        });
+    });
+});
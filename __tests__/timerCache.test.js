@@ -0,0 +1,172 @@
+/**
+ * Timer Cache Unit Tests
+ * Tests the per-shop storefront timer cache: hits, invalidation, expiry at
+ * schedule boundaries and the pluggable backends
+ */
+
+const {
+    createMemoryBackend,
+    createRedisBackend,
+    setTimerCacheBackend,
+    connectRedisBackend,
+    getNextBoundary,
+    getShopTimers,
+    invalidateShopTimers
+} = require('../app/services/timerCache');
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+const SHOP = 'shop.myshopify.com';
+
+const fixedTimer = (startDate, endDate) => ({
+    type: 'fixed',
+    isActive: true,
+    startDate: new Date(startDate),
+    endDate: new Date(endDate)
+});
+
+describe('Timer Cache', () => {
+    beforeEach(() => {
+        setTimerCacheBackend(createMemoryBackend());
+    });
+
+    /**
+     * Test 1: Caching and Invalidation
+     */
+    describe('Caching and Invalidation', () => {
+        test('loads once per shop until invalidated', async () => {
+            const load = jest.fn().mockResolvedValue([{ type: 'evergreen' }]);
+
+            await getShopTimers(SHOP, load);
+            await getShopTimers(SHOP, load);
+            expect(load).toHaveBeenCalledTimes(1);
+
+            await invalidateShopTimers(SHOP);
+            await getShopTimers(SHOP, load);
+            expect(load).toHaveBeenCalledTimes(2);
+        });
+
+        test('concurrent misses share one load', async () => {
+            const load = jest.fn().mockResolvedValue([]);
+
+            await Promise.all([getShopTimers(SHOP, load), getShopTimers(SHOP, load)]);
+            expect(load).toHaveBeenCalledTimes(1);
+        });
+
+        test('does not cache a load that an invalidation overtook', async () => {
+            let finishLoad;
+            const slowLoad = jest.fn(() => new Promise(resolve => {
+                finishLoad = resolve;
+            }));
+
+            const pending = getShopTimers(SHOP, slowLoad);
+            await new Promise(setImmediate);
+            expect(slowLoad).toHaveBeenCalled();
+            await invalidateShopTimers(SHOP);
+            finishLoad([{ name: 'stale' }]);
+            await pending;
+
+            const load = jest.fn().mockResolvedValue([{ name: 'fresh' }]);
+            expect(await getShopTimers(SHOP, load)).toEqual([{ name: 'fresh' }]);
+        });
+
+        test('falls back to loading when the backend fails', async () => {
+            setTimerCacheBackend({
+                get: () => Promise.reject(new Error('down')),
+                set: () => Promise.reject(new Error('down')),
+                del: () => Promise.reject(new Error('down'))
+            });
+            jest.spyOn(console, 'error').mockImplementation(() => { });
+
+            const load = jest.fn().mockResolvedValue([{ name: 'timer' }]);
+            expect(await getShopTimers(SHOP, load)).toEqual([{ name: 'timer' }]);
+            await expect(invalidateShopTimers(SHOP)).resolves.toBeUndefined();
+
+            console.error.mockRestore();
+        });
+    });
+
+    /**
+     * Test 2: Schedule Boundaries
+     */
+    describe('Schedule Boundaries', () => {
+        test('finds the next fixed start or end', () => {
+            const upcoming = fixedTimer('2026-03-10T15:00:00Z', '2026-03-11T00:00:00Z');
+            const running = fixedTimer('2026-03-10T00:00:00Z', '2026-03-10T13:00:00Z');
+
+            expect(getNextBoundary([upcoming], NOW)).toBe(new Date('2026-03-10T15:00:00Z').getTime());
+            expect(getNextBoundary([upcoming, running], NOW)).toBe(new Date('2026-03-10T13:00:00Z').getTime() + 1);
+        });
+
+        test('finds the next recurring window edge', () => {
+            const daily = {
+                type: 'recurring',
+                isActive: true,
+                timezone: 'UTC',
+                schedule: { frequency: 'daily', startTime: '09:00', endTime: '11:00' }
+            };
+
+            expect(getNextBoundary([daily], NOW)).toBe(new Date('2026-03-11T09:00:00Z').getTime());
+            expect(getNextBoundary([daily], new Date('2026-03-10T10:00:00Z'))).toBe(new Date('2026-03-10T11:00:00Z').getTime());
+        });
+
+        test('evergreen timers have no boundary', () => {
+            expect(getNextBoundary([{ type: 'evergreen' }], NOW)).toBe(Infinity);
+        });
+
+        test('expires entries at the next boundary', async () => {
+            const backend = createMemoryBackend();
+            const set = jest.spyOn(backend, 'set');
+            setTimerCacheBackend(backend);
+
+            const timers = [fixedTimer('2026-03-10T12:00:30Z', '2026-03-11T00:00:00Z')];
+            await getShopTimers(SHOP, async () => timers, NOW);
+
+            expect(set).toHaveBeenCalledWith(SHOP, timers, 30 * 1000);
+        });
+    });
+
+    /**
+     * Test 3: Redis Backend
+     */
+    describe('Redis Backend', () => {
+        test('stores JSON with a millisecond expiry under a prefix', async () => {
+            const store = new Map();
+            const client = {
+                get: jest.fn(async key => store.get(key) || null),
+                set: jest.fn(async (key, value) => store.set(key, value)),
+                del: jest.fn(async key => store.delete(key))
+            };
+            const backend = createRedisBackend(client);
+
+            await backend.set(SHOP, [{ name: 'timer' }], 5000);
+            expect(client.set).toHaveBeenCalledWith(`countdown:timers:${SHOP}`, '[{"name":"timer"}]', 'PX', 5000);
+            expect(await backend.get(SHOP)).toEqual([{ name: 'timer' }]);
+
+            await backend.del(SHOP);
+            expect(await backend.get(SHOP)).toBeUndefined();
+        });
+
+        test('keeps caching in memory when ioredis is not installed', async () => {
+            const loadTimers = jest.fn(async () => [{ name: 'timer' }]);
+
+            expect(connectRedisBackend('redis://cache:6379')).toBe(false);
+
+            await getShopTimers(SHOP, loadTimers, NOW);
+            await getShopTimers(SHOP, loadTimers, NOW);
+            expect(loadTimers).toHaveBeenCalledTimes(1);
+        });
+
+        test('connects through ioredis when it is installed', () => {
+            const Redis = jest.fn(function () {
+                this.get = jest.fn();
+            });
+
+            jest.isolateModules(() => {
+                jest.doMock('ioredis', () => Redis, { virtual: true });
+                expect(require('../app/services/timerCache').connectRedisBackend('redis://cache:6379')).toBe(true);
+            });
+
+            expect(Redis).toHaveBeenCalledWith('redis://cache:6379');
+        });
+    });
+});
@@ -0,0 +1,192 @@
+/**
+ * Timer Expiry Tests
+ * Tests the settings deciding what a timer does once it runs out, as the
+ * admin API validates and stores them
+ */
+
+const express = require('express');
+
+const SHOP = 'shop.myshopify.com';
+
+// Saved timers are kept in memory instead of MongoDB
+jest.mock('../app/models', () => {
+    const Timer = jest.requireActual('../app/models/Timer');
+    return { Timer, TimerStatsDaily: {}, TimerOrder: {}, Experiment: {} };
+});
+
+// Admin requests are authenticated as SHOP
+jest.mock('../app/middleware', () => ({
+    verifyShopifySession: (req, res, next) => {
+        req.shop = SHOP;
+        next();
+    },
+    rateLimit: (req, res, next) => next()
+}));
+
+const { Timer } = require('../app/models');
+const timersRouter = require('../app/routes/timers');
+
+const fixedTimer = (expiryAction) => ({
+    name: 'Spring sale',
+    type: 'fixed',
+    startDate: '2026-03-10T00:00:00Z',
+    endDate: '2026-03-20T00:00:00Z',
+    appearance: { expiryAction }
+});
+
+const evergreenTimer = (onExpire) => ({
+    name: 'Welcome offer',
+    type: 'evergreen',
+    durationMinutes: 30,
+    onExpire
+});
+
+describe('Timer Expiry', () => {
+    let server;
+    let baseUrl;
+    let saved;
+
+    beforeAll((done) => {
+        const app = express();
+        app.use(express.json());
+        app.use('/api/timers', timersRouter);
+        server = app.listen(0, () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            done();
+        });
+    });
+
+    afterAll((done) => {
+        server.close(done);
+    });
+
+    beforeEach(() => {
+        saved = [];
+        jest.spyOn(Timer.prototype, 'save').mockImplementation(async function () {
+            await this.validate();
+            saved.push(this);
+            return this;
+        });
+        jest.spyOn(Timer, 'find').mockReturnValue({ lean: () => Promise.resolve([]) });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const createTimer = async (body) => {
+        const response = await fetch(`${baseUrl}/api/timers`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    /**
+     * Test 1: Evergreen Cooldown
+     */
+    describe('Evergreen Cooldown', () => {
+        test('stores a cooldown of whole minutes', async () => {
+            const { status } = await createTimer(evergreenTimer({ action: 'cooldown', cooldownMinutes: 1440 }));
+
+            expect(status).toBe(201);
+            expect(saved[0].onExpire).toEqual(expect.objectContaining({ action: 'cooldown', cooldownMinutes: 1440 }));
+        });
+
+        test.each([
+            ['missing', undefined],
+            ['zero', 0],
+            ['fractional', 1.5],
+            ['over 30 days', 43201],
+            ['not a number', '60']
+        ])('rejects a cooldown that is %s', async (_, cooldownMinutes) => {
+            const { status, body } = await createTimer(evergreenTimer({ action: 'cooldown', cooldownMinutes }));
+
+            expect(status).toBe(400);
+            expect(body.errors).toEqual([expect.objectContaining({ field: 'onExpire.cooldownMinutes' })]);
+            expect(saved).toHaveLength(0);
+        });
+
+        test('only asks for a cooldown when the timer cools down', async () => {
+            const { status } = await createTimer(evergreenTimer({ action: 'hide' }));
+
+            expect(status).toBe(201);
+            expect(saved[0].onExpire.cooldownMinutes).toBeUndefined();
+        });
+
+        test('rejects unknown expiry actions', async () => {
+            const { status, body } = await createTimer(evergreenTimer({ action: 'pause' }));
+
+            expect(status).toBe(400);
+            expect(body.errors).toEqual([expect.objectContaining({ field: 'onExpire.action' })]);
+        });
+
+        test('requires the cooldown in the model too', () => {
+            const timer = new Timer({ shop: SHOP, ...evergreenTimer({ action: 'cooldown' }) });
+
+            expect(timer.validateSync().errors).toHaveProperty(['onExpire.cooldownMinutes']);
+        });
+    });
+
+    /**
+     * Test 2: End-of-Timer Actions
+     */
+    describe('End-of-Timer Actions', () => {
+        test.each([
+            ['a store path', '/collections/sale'],
+            ['an https URL', 'https://shop.example/pages/next-sale']
+        ])('redirects to %s', async (_, redirectUrl) => {
+            const { status } = await createTimer(fixedTimer({ type: 'redirect', redirectUrl: ` ${redirectUrl} ` }));
+
+            expect(status).toBe(201);
+            expect(saved[0].appearance.expiryAction.redirectUrl).toBe(redirectUrl);
+        });
+
+        test.each([
+            ['missing', undefined],
+            ['a script', 'javascript:alert(1)'],
+            ['another protocol', 'ftp://shop.example/sale'],
+            ['protocol-relative, so off-site', '//evil.example/sale'],
+            ['a backslash path, which browsers take off-site', '/\\evil.example/sale'],
+            ['not a URL', 'collections/sale']
+        ])('rejects a redirect URL that is %s', async (_, redirectUrl) => {
+            const { status, body } = await createTimer(fixedTimer({ type: 'redirect', redirectUrl }));
+
+            expect(status).toBe(400);
+            expect(body.errors).toEqual([expect.objectContaining({ field: 'appearance.expiryAction.redirectUrl' })]);
+            expect(saved).toHaveLength(0);
+        });
+
+        test('rejects off-site redirect URLs in the model too', () => {
+            const timer = new Timer({ shop: SHOP, ...fixedTimer({ type: 'redirect', redirectUrl: '/\\evil.example' }) });
+
+            expect(timer.validateSync().errors).toHaveProperty(['appearance.expiryAction.redirectUrl']);
+        });
+
+        test('shows the default message when none is given', async () => {
+            const { status } = await createTimer(fixedTimer({ type: 'message' }));
+
+            expect(status).toBe(201);
+            expect(saved[0].appearance.expiryAction.message).toBe('Sale has ended');
+        });
+
+        test('cuts a message that is too long to 100 characters', async () => {
+            const { status } = await createTimer(fixedTimer({ type: 'message', message: `  ${'x'.repeat(150)}` }));
+
+            expect(status).toBe(201);
+            expect(saved[0].appearance.expiryAction.message).toBe('x'.repeat(100));
+            expect(new Timer({ shop: SHOP, ...fixedTimer({ type: 'message', message: 'x'.repeat(101) }) }).validateSync().errors)
+                .toHaveProperty(['appearance.expiryAction.message']);
+        });
+
+        test('hides the timer by default and rejects unknown actions', async () => {
+            await createTimer(fixedTimer(undefined));
+            const unknown = await createTimer(fixedTimer({ type: 'confetti' }));
+
+            expect(saved[0].appearance.expiryAction.type).toBe('hide');
+            expect(unknown.status).toBe(400);
+            expect(unknown.body.errors).toEqual([expect.objectContaining({ field: 'appearance.expiryAction.type' })]);
+        });
+    });
+});
@@ -0,0 +1,159 @@
+/**
+ * Timer ID Normalisation Tests
+ * Tests that product and collection IDs are stored as GIDs when timers are
+ * saved, that invalid IDs are rejected, and that they match exactly
+ */
+
+const express = require('express');
+
+const SHOP = 'shop.myshopify.com';
+
+// Saved timers are kept in memory instead of MongoDB
+jest.mock('../app/models', () => {
+    const Timer = jest.requireActual('../app/models/Timer');
+    return { Timer, TimerStatsDaily: {}, TimerOrder: {}, Experiment: {} };
+});
+
+// Admin requests are authenticated as SHOP
+jest.mock('../app/middleware', () => ({
+    verifyShopifySession: (req, res, next) => {
+        req.shop = SHOP;
+        next();
+    },
+    rateLimit: (req, res, next) => next()
+}));
+
+const { Timer } = require('../app/models');
+const timersRouter = require('../app/routes/timers');
+
+const fixedTimer = (targeting) => ({
+    name: 'Spring sale',
+    type: 'fixed',
+    startDate: '2026-03-10T00:00:00Z',
+    endDate: '2026-03-20T00:00:00Z',
+    targeting
+});
+
+describe('Timer IDs', () => {
+    let server;
+    let baseUrl;
+    let saved;
+
+    beforeAll((done) => {
+        const app = express();
+        app.use(express.json());
+        app.use('/api/timers', timersRouter);
+        server = app.listen(0, () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            done();
+        });
+    });
+
+    afterAll((done) => {
+        server.close(done);
+    });
+
+    beforeEach(() => {
+        saved = [];
+        jest.spyOn(Timer.prototype, 'save').mockImplementation(function () {
+            saved.push(this);
+            return Promise.resolve(this);
+        });
+        jest.spyOn(Timer, 'find').mockReturnValue({ lean: () => Promise.resolve([]) });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const createTimer = async (body) => {
+        const response = await fetch(`${baseUrl}/api/timers`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    /**
+     * Test 1: Normalising on Save
+     */
+    describe('Normalising on Save', () => {
+        test('stores numeric, REST and GID forms as one GID each', async () => {
+            const { status } = await createTimer(fixedTimer({
+                scope: 'products',
+                productIds: ['123', 123, ' gid://shopify/Product/123 ', 'gid://shopify/Product/45'],
+                excludeCollectionIds: ['9']
+            }));
+
+            expect(status).toBe(201);
+            expect(saved).toHaveLength(1);
+            expect(saved[0].targeting.productIds).toEqual(['gid://shopify/Product/123', 'gid://shopify/Product/45']);
+            expect(saved[0].targeting.excludeCollectionIds).toEqual(['gid://shopify/Collection/9']);
+        });
+
+        test('rejects IDs that are not product or collection IDs', async () => {
+            const { status, body } = await createTimer(fixedTimer({
+                scope: 'collections',
+                collectionIds: ['gid://shopify/Product/1', 'summer']
+            }));
+
+            expect(status).toBe(400);
+            expect(body.errors).toEqual([expect.objectContaining({
+                field: 'targeting.collectionIds',
+                message: expect.stringContaining('gid://shopify/Product/1, summer')
+            })]);
+            expect(saved).toHaveLength(0);
+        });
+
+        test('compares exclusions after normalising', async () => {
+            const { status, body } = await createTimer(fixedTimer({
+                scope: 'products',
+                productIds: ['gid://shopify/Product/5'],
+                excludeProductIds: ['5']
+            }));
+
+            expect(status).toBe(400);
+            expect(body.errors).toEqual([expect.objectContaining({ field: 'targeting.excludeProductIds' })]);
+        });
+    });
+
+    /**
+     * Test 2: Exact Matching
+     */
+    describe('Exact Matching', () => {
+        test('applies a saved timer to its products only, in any ID form', () => {
+            const timer = new Timer({
+                shop: SHOP,
+                name: 'Product 12',
+                type: 'evergreen',
+                durationMinutes: 30,
+                targeting: { scope: 'products', productIds: ['gid://shopify/Product/12'] }
+            });
+
+            expect(timer.appliesToProduct('12')).toBe(true);
+            expect(timer.appliesToProduct('gid://shopify/Product/12')).toBe(true);
+            expect(timer.appliesToProduct('123')).toBe(false);
+            expect(timer.appliesToProduct('gid://shopify/Product/1')).toBe(false);
+            expect(timer.appliesToProduct('gid://shopify/Collection/12')).toBe(false);
+        });
+
+        test('matches collections exactly and lets exclusions win', () => {
+            const timer = new Timer({
+                shop: SHOP,
+                name: 'Collection 7',
+                type: 'evergreen',
+                durationMinutes: 30,
+                targeting: {
+                    scope: 'collections',
+                    collectionIds: ['gid://shopify/Collection/7'],
+                    excludeProductIds: ['gid://shopify/Product/3']
+                }
+            });
+
+            expect(timer.appliesToProduct('1', ['70', '7'])).toBe(true);
+            expect(timer.appliesToProduct('1', ['77'])).toBe(false);
+            expect(timer.appliesToProduct('3', ['7'])).toBe(false);
+        });
+    });
+});
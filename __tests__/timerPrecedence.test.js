@@ -0,0 +1,125 @@
+/**
+ * Timer Precedence Unit Tests
+ * Tests which timer wins when several match, and which timers the admin
+ * warns about as competing for the same products
+ */
+
+const {
+    compareTimerPrecedence,
+    sortByPrecedence,
+    targetsOverlap,
+    schedulesOverlap,
+    timersOverlap
+} = require('../app/services/timerPrecedence');
+
+const fixedTimer = (overrides = {}) => ({
+    type: 'fixed',
+    isActive: true,
+    startDate: new Date('2026-03-10T00:00:00Z'),
+    endDate: new Date('2026-03-11T00:00:00Z'),
+    createdAt: new Date('2026-03-01T00:00:00Z'),
+    targeting: { scope: 'all' },
+    ...overrides
+});
+
+const targeting = (scope, values) => fixedTimer({ targeting: { scope, ...values } });
+
+describe('Timer Precedence', () => {
+    /**
+     * Test 1: Precedence
+     */
+    describe('Precedence', () => {
+        test('ranks by priority, then specificity, then newest', () => {
+            const storeWide = fixedTimer({ name: 'store-wide', createdAt: new Date('2026-03-09') });
+            const tagged = targeting('tags', { tags: ['sale'] });
+            const product = targeting('products', { productIds: ['gid://shopify/Product/1'] });
+            const newerProduct = { ...product, createdAt: new Date('2026-03-05') };
+            const urgent = { ...storeWide, priority: 5 };
+
+            expect(sortByPrecedence([storeWide, tagged, product, newerProduct, urgent]))
+                .toEqual([urgent, newerProduct, product, tagged, storeWide]);
+        });
+
+        test('treats tag, vendor and product type scopes like collections', () => {
+            const collection = targeting('collections', { collectionIds: ['gid://shopify/Collection/1'] });
+            const vendor = { ...targeting('vendors', { vendors: ['Acme'] }), createdAt: new Date('2026-03-02') };
+
+            expect(compareTimerPrecedence(vendor, collection)).toBeLessThan(0);
+        });
+
+        test('does not change the list it sorts', () => {
+            const timers = [fixedTimer(), fixedTimer({ priority: 1 })];
+            sortByPrecedence(timers);
+            expect(timers[0].priority).toBeUndefined();
+        });
+    });
+
+    /**
+     * Test 2: Overlapping Targets
+     */
+    describe('Overlapping Targets', () => {
+        test('matches tags, vendors and product types case-insensitively, like targeting', () => {
+            expect(targetsOverlap(targeting('tags', { tags: ['Sale'] }), targeting('tags', { tags: [' sale'] }))).toBe(true);
+            expect(targetsOverlap(targeting('vendors', { vendors: ['ACME'] }), targeting('vendors', { vendors: ['Acme'] }))).toBe(true);
+            expect(targetsOverlap(
+                targeting('productTypes', { productTypes: ['T-Shirt'] }),
+                targeting('productTypes', { productTypes: ['t-shirt'] })
+            )).toBe(true);
+            expect(targetsOverlap(targeting('tags', { tags: ['sale'] }), targeting('tags', { tags: ['summer'] }))).toBe(false);
+        });
+
+        test('compares product and collection IDs in any form', () => {
+            const gid = targeting('products', { productIds: ['gid://shopify/Product/12'] });
+
+            expect(targetsOverlap(gid, targeting('products', { productIds: ['12'] }))).toBe(true);
+            expect(targetsOverlap(gid, targeting('products', { productIds: ['123'] }))).toBe(false);
+        });
+
+        test('ignores products either timer excludes', () => {
+            const storeWide = fixedTimer({ targeting: { scope: 'all', excludeProductIds: ['1'] } });
+            const product = targeting('products', { productIds: ['gid://shopify/Product/1'] });
+
+            expect(targetsOverlap(storeWide, product)).toBe(false);
+            expect(targetsOverlap(storeWide, targeting('products', { productIds: ['1', '2'] }))).toBe(true);
+        });
+
+        test('does not flag timers on different pages or different scopes', () => {
+            const home = fixedTimer({ targeting: { scope: 'all', pageTypes: ['home'] } });
+            const tagged = targeting('tags', { tags: ['sale'] });
+            const collection = targeting('collections', { collectionIds: ['gid://shopify/Collection/1'] });
+
+            expect(targetsOverlap(home, fixedTimer())).toBe(false);
+            expect(targetsOverlap(tagged, collection)).toBe(false);
+            expect(targetsOverlap(fixedTimer(), tagged)).toBe(true);
+        });
+
+        test('only flags cart timers against other cart timers', () => {
+            const cart = fixedTimer({ targeting: { context: 'cart' } });
+
+            expect(targetsOverlap(cart, fixedTimer({ targeting: { context: 'cart' } }))).toBe(true);
+            expect(targetsOverlap(cart, fixedTimer())).toBe(false);
+        });
+    });
+
+    /**
+     * Test 3: Overlapping Schedules
+     */
+    describe('Overlapping Schedules', () => {
+        test('flags fixed timers running at the same time', () => {
+            const later = fixedTimer({
+                startDate: new Date('2026-03-11T00:00:00Z'),
+                endDate: new Date('2026-03-12T00:00:00Z')
+            });
+
+            expect(schedulesOverlap(fixedTimer(), later)).toBe(false);
+            expect(schedulesOverlap(fixedTimer(), { ...later, startDate: new Date('2026-03-10T23:00:00Z') })).toBe(true);
+        });
+
+        test('treats evergreen and recurring timers as always running', () => {
+            const evergreen = { type: 'evergreen', targeting: { scope: 'all' } };
+
+            expect(schedulesOverlap(fixedTimer(), evergreen)).toBe(true);
+            expect(timersOverlap(evergreen, { type: 'recurring', targeting: { scope: 'all' } })).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,256 @@
+/**
+ * Timer Rules Unit Tests
+ * Tests the shared status, targeting and selection rules used by the
+ * model, the admin and storefront routes and the client utils
+ */
+
+const {
+    getTimerStatus,
+    getCurrentWindow,
+    isTimerLive,
+    matchesTargeting,
+    buildActiveTimerQuery,
+    selectTimers
+} = require('../app/services/timerRules');
+const { normalizeShopifyId, normalizeShopifyIds } = require('../app/services/targeting');
+const { sortByPrecedence, timersOverlap } = require('../app/services/timerPrecedence');
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+
+const fixedTimer = (overrides = {}) => ({
+    type: 'fixed',
+    isActive: true,
+    startDate: new Date('2026-03-10T00:00:00Z'),
+    endDate: new Date('2026-03-11T00:00:00Z'),
+    targeting: { scope: 'all' },
+    ...overrides
+});
+
+describe('Timer Rules', () => {
+
+    /**
+     * Test 1: Status
+     */
+    describe('Status', () => {
+        test('inactive wins over every type', () => {
+            expect(getTimerStatus(fixedTimer({ isActive: false }), NOW)).toBe('inactive');
+            expect(getTimerStatus({ type: 'evergreen', isActive: false }, NOW)).toBe('inactive');
+        });
+
+        test('evergreen timers are always active', () => {
+            expect(getTimerStatus({ type: 'evergreen', isActive: true }, NOW)).toBe('active');
+        });
+
+        test('fixed timers are scheduled, active, then expired', () => {
+            expect(getTimerStatus(fixedTimer(), new Date('2026-03-09T12:00:00Z'))).toBe('scheduled');
+            expect(getTimerStatus(fixedTimer(), NOW)).toBe('active');
+            expect(getTimerStatus(fixedTimer(), new Date('2026-03-12T00:00:00Z'))).toBe('expired');
+        });
+
+        test('fixed timers are active on their exact start and end', () => {
+            const timer = fixedTimer();
+            expect(getTimerStatus(timer, timer.startDate)).toBe('active');
+            expect(getTimerStatus(timer, timer.endDate)).toBe('active');
+        });
+
+        test('recurring timers are scheduled between occurrences', () => {
+            const timer = {
+                type: 'recurring',
+                isActive: true,
+                timezone: 'UTC',
+                schedule: { frequency: 'daily', startTime: '09:00', endTime: '11:00' }
+            };
+
+            expect(getTimerStatus(timer, new Date('2026-03-10T10:00:00Z'))).toBe('active');
+            expect(getTimerStatus(timer, NOW)).toBe('scheduled');
+        });
+
+        test('accepts ISO strings as stored by lean queries', () => {
+            const timer = fixedTimer({
+                startDate: '2026-03-10T00:00:00.000Z',
+                endDate: '2026-03-11T00:00:00.000Z'
+            });
+            expect(getTimerStatus(timer, NOW)).toBe('active');
+        });
+    });
+
+    /**
+     * Test 2: Current Window
+     */
+    describe('Current Window', () => {
+        test('returns the fixed range while running', () => {
+            const timer = fixedTimer();
+            expect(getCurrentWindow(timer, NOW)).toEqual({ startDate: timer.startDate, endDate: timer.endDate });
+        });
+
+        test('returns null for evergreen timers', () => {
+            expect(getCurrentWindow({ type: 'evergreen', isActive: true }, NOW)).toBeNull();
+            expect(isTimerLive({ type: 'evergreen', isActive: true }, NOW)).toBe(true);
+        });
+    });
+
+    /**
+     * Test 3: ID Normalisation
+     */
+    describe('ID Normalisation', () => {
+        test('accepts numeric IDs, REST IDs and GIDs', () => {
+            expect(normalizeShopifyId(123, 'Product')).toBe('gid://shopify/Product/123');
+            expect(normalizeShopifyId(' 123 ', 'Product')).toBe('gid://shopify/Product/123');
+            expect(normalizeShopifyId('gid://shopify/Product/123', 'Product')).toBe('gid://shopify/Product/123');
+        });
+
+        test('rejects other resources and junk', () => {
+            expect(normalizeShopifyId('gid://shopify/Collection/123', 'Product')).toBeNull();
+            expect(normalizeShopifyId('abc', 'Product')).toBeNull();
+            expect(normalizeShopifyId(undefined, 'Product')).toBeNull();
+        });
+
+        test('drops duplicates', () => {
+            expect(normalizeShopifyIds(['123', 'gid://shopify/Product/123'], 'Product'))
+                .toEqual(['gid://shopify/Product/123']);
+        });
+    });
+
+    /**
+     * Test 4: Targeting
+     */
+    describe('Targeting', () => {
+        const productTimer = fixedTimer({
+            targeting: { scope: 'products', productIds: ['gid://shopify/Product/12'] }
+        });
+
+        test('matches products exactly, not by substring', () => {
+            expect(matchesTargeting(productTimer, { productId: 'gid://shopify/Product/12' })).toBe(true);
+            expect(matchesTargeting(productTimer, { productId: '12' })).toBe(true);
+            expect(matchesTargeting(productTimer, { productId: 'gid://shopify/Product/123' })).toBe(false);
+            expect(matchesTargeting(productTimer, { productId: '1' })).toBe(false);
+        });
+
+        test('matches any of the product collections', () => {
+            const timer = fixedTimer({
+                targeting: { scope: 'collections', collectionIds: ['gid://shopify/Collection/7'] }
+            });
+            expect(matchesTargeting(timer, { collectionIds: ['5', '7'] })).toBe(true);
+            expect(matchesTargeting(timer, { collectionIds: ['77'] })).toBe(false);
+            expect(matchesTargeting(timer, {})).toBe(false);
+        });
+
+        test('exclusions win over every scope', () => {
+            const timer = fixedTimer({
+                targeting: {
+                    scope: 'all',
+                    excludeProductIds: ['gid://shopify/Product/1'],
+                    excludeCollectionIds: ['gid://shopify/Collection/9']
+                }
+            });
+            expect(matchesTargeting(timer, { productId: '2' })).toBe(true);
+            expect(matchesTargeting(timer, { productId: '1' })).toBe(false);
+            expect(matchesTargeting(timer, { productId: '2', collectionIds: ['9'] })).toBe(false);
+        });
+
+        test('shows timers on product pages unless other page types are chosen', () => {
+            const productPageTimer = fixedTimer();
+            const homeAndCart = fixedTimer({ targeting: { scope: 'all', pageTypes: ['home', 'cart'] } });
+
+            expect(matchesTargeting(productPageTimer, {})).toBe(true);
+            expect(matchesTargeting(productPageTimer, { pageType: 'home' })).toBe(false);
+            expect(matchesTargeting(homeAndCart, { pageType: 'cart' })).toBe(true);
+            expect(matchesTargeting(homeAndCart, { pageType: 'product' })).toBe(false);
+        });
+
+        test('limits custom pages to the chosen handles', () => {
+            const timer = fixedTimer({ targeting: { scope: 'all', pageTypes: ['page'], pageHandles: ['black-friday'] } });
+
+            expect(matchesTargeting(timer, { pageType: 'page', pageHandle: 'Black-Friday' })).toBe(true);
+            expect(matchesTargeting(timer, { pageType: 'page', pageHandle: 'about-us' })).toBe(false);
+        });
+
+        test('matches tags, vendors and product types case-insensitively', () => {
+            const tagTimer = fixedTimer({ targeting: { scope: 'tags', tags: ['Summer-Sale'] } });
+            const vendorTimer = fixedTimer({ targeting: { scope: 'vendors', vendors: ['Acme'] } });
+            const typeTimer = fixedTimer({ targeting: { scope: 'productTypes', productTypes: ['Shoes'] } });
+
+            expect(matchesTargeting(tagTimer, { tags: ['new', 'summer-sale'] })).toBe(true);
+            expect(matchesTargeting(tagTimer, { tags: ['summer'] })).toBe(false);
+            expect(matchesTargeting(vendorTimer, { vendor: 'ACME' })).toBe(true);
+            expect(matchesTargeting(typeTimer, { productType: 'Hats' })).toBe(false);
+        });
+    });
+
+    /**
+     * Test 5: Cart Targeting
+     */
+    describe('Cart Targeting', () => {
+        const cartTimer = (cart = {}) => fixedTimer({ targeting: { context: 'cart', cart } });
+        const cart = {
+            items: [{ productId: 5, collectionIds: ['9'] }],
+            subtotal: 40
+        };
+
+        test('cart timers only match carts, page timers only match pages', () => {
+            expect(matchesTargeting(cartTimer(), { cart })).toBe(true);
+            expect(matchesTargeting(cartTimer(), { pageType: 'cart' })).toBe(false);
+            expect(matchesTargeting(fixedTimer({ targeting: { scope: 'all', pageTypes: ['cart'] } }), { cart })).toBe(false);
+        });
+
+        test('never matches an empty cart', () => {
+            expect(matchesTargeting(cartTimer(), { cart: { items: [], subtotal: 0 } })).toBe(false);
+        });
+
+        test('matches carts containing any chosen product or collection', () => {
+            expect(matchesTargeting(cartTimer({ productIds: ['gid://shopify/Product/5'] }), { cart })).toBe(true);
+            expect(matchesTargeting(cartTimer({ collectionIds: ['gid://shopify/Collection/9'] }), { cart })).toBe(true);
+            expect(matchesTargeting(cartTimer({ productIds: ['gid://shopify/Product/55'] }), { cart })).toBe(false);
+        });
+
+        test('requires the minimum subtotal', () => {
+            expect(matchesTargeting(cartTimer({ minSubtotal: 40 }), { cart })).toBe(true);
+            expect(matchesTargeting(cartTimer({ minSubtotal: 50 }), { cart })).toBe(false);
+        });
+
+        test('cart and page timers never overlap', () => {
+            expect(timersOverlap(cartTimer(), fixedTimer({ targeting: { scope: 'all', pageTypes: ['cart'] } }))).toBe(false);
+            expect(timersOverlap(cartTimer(), cartTimer({ minSubtotal: 100 }))).toBe(true);
+        });
+    });
+
+    /**
+     * Test 6: Selection and Precedence
+     */
+    describe('Selection and Precedence', () => {
+        const storeWide = fixedTimer({ name: 'all', createdAt: new Date('2026-03-09') });
+        const productSpecific = fixedTimer({
+            name: 'product',
+            createdAt: new Date('2026-03-01'),
+            targeting: { scope: 'products', productIds: ['gid://shopify/Product/5'] }
+        });
+
+        test('more specific targeting beats a newer store-wide timer', () => {
+            const [winner] = selectTimers([storeWide, productSpecific], { productId: '5' }, NOW);
+            expect(winner.name).toBe('product');
+        });
+
+        test('explicit priority beats specificity', () => {
+            const urgent = { ...storeWide, priority: 10 };
+            expect(sortByPrecedence([productSpecific, urgent])[0]).toBe(urgent);
+        });
+
+        test('skips timers that are not live', () => {
+            const expired = fixedTimer({ endDate: new Date('2026-03-10T06:00:00Z') });
+            expect(selectTimers([expired], {}, NOW)).toEqual([]);
+        });
+
+        test('flags overlapping timers only when their targets can meet', () => {
+            const otherProduct = fixedTimer({ targeting: { scope: 'products', productIds: ['gid://shopify/Product/6'] } });
+            expect(timersOverlap(storeWide, productSpecific)).toBe(true);
+            expect(timersOverlap(productSpecific, otherProduct)).toBe(false);
+        });
+
+        test('builds one query for every live timer type', () => {
+            const query = buildActiveTimerQuery('shop.myshopify.com', NOW);
+            expect(query.shop).toBe('shop.myshopify.com');
+            expect(query.isActive).toBe(true);
+            expect(query.$or.map(clause => clause.type)).toEqual(['evergreen', 'fixed', 'recurring']);
+        });
+    });
+});
@@ -0,0 +1,280 @@
+/**
+ * Timer Stats Unit Tests
+ * Tests the buffered daily rollups of storefront events and the analytics
+ * series built from them
+ */
+
+const {
+    MAX_BUFFERED_VISITORS,
+    getStatsDate,
+    recordTimerEvent,
+    flushTimerStats,
+    getPeriodStart,
+    buildStatsSeries,
+    getOrderMetrics
+} = require('../app/services/timerStats');
+
+const SHOP = 'shop.myshopify.com';
+const NOW = new Date('2026-03-10T12:00:00Z');
+
+const timer = (id, timezone = 'UTC') => ({ _id: id, timezone });
+
+const row = (date, impressions, uniqueVisitors = 0, expiries = 0, clicks = 0, addToCarts = 0) => ({
+    date,
+    renders: 0,
+    impressions,
+    uniqueVisitors,
+    expiries,
+    clicks,
+    addToCarts,
+    orders: 0,
+    revenue: 0
+});
+
+describe('Timer Stats', () => {
+    // Start every test with an empty buffer
+    beforeEach(async () => {
+        await flushTimerStats(async () => { });
+    });
+
+    /**
+     * Test 1: Daily Buckets
+     */
+    describe('Daily Buckets', () => {
+        test('takes the day in the timer\'s timezone', () => {
+            const lateEvening = new Date('2026-03-10T03:00:00Z');
+            expect(getStatsDate(lateEvening, 'UTC')).toBe('2026-03-10');
+            expect(getStatsDate(lateEvening, 'America/New_York')).toBe('2026-03-09');
+        });
+
+        test('finds the Monday of a week and the first of a month', () => {
+            expect(getPeriodStart('2026-03-15', 'week')).toBe('2026-03-09');
+            expect(getPeriodStart('2026-03-09', 'week')).toBe('2026-03-09');
+            expect(getPeriodStart('2026-03-15', 'month')).toBe('2026-03-01');
+            expect(getPeriodStart('2026-03-15', 'day')).toBe('2026-03-15');
+        });
+    });
+
+    /**
+     * Test 2: Buffering
+     */
+    describe('Buffering', () => {
+        test('writes one entry per timer per day', async () => {
+            recordTimerEvent({ shop: SHOP, timer: timer('a'), type: 'render', visitorKey: 'v:3', now: NOW });
+            recordTimerEvent({ shop: SHOP, timer: timer('a'), type: 'impression', visitorKey: 'v:1', now: NOW });
+            recordTimerEvent({ shop: SHOP, timer: timer('a'), type: 'impression', visitorKey: 'v:2', now: NOW });
+            recordTimerEvent({ shop: SHOP, timer: timer('a'), type: 'expiry', visitorKey: 'v:1', now: NOW });
+            recordTimerEvent({ shop: SHOP, timer: timer('a'), type: 'click', visitorKey: 'v:1', now: NOW });
+            recordTimerEvent({ shop: SHOP, timer: timer('a'), type: 'addToCart', visitorKey: 'v:1', now: NOW });
+            recordTimerEvent({ shop: SHOP, timer: timer('b'), type: 'impression', visitorKey: 'v:1', now: NOW });
+
+            const write = jest.fn().mockResolvedValue();
+            await flushTimerStats(write);
+
+            const [entries] = write.mock.calls[0];
+            expect(entries).toHaveLength(2);
+            expect(entries[0]).toEqual(expect.objectContaining({
+                shop: SHOP,
+                timer: 'a',
+                date: '2026-03-10',
+                counts: { renders: 1, impressions: 2, expiries: 1, clicks: 1, addToCarts: 1 }
+            }));
+            // Only visitors who viewed the timer count as unique visitors
+            expect(entries[0].visitors).toHaveLength(2);
+        });
+
+        test('stores visitors hashed, once each', async () => {
+            recordTimerEvent({ shop: SHOP, timer: timer('a'), type: 'impression', visitorKey: 'v:1', now: NOW });
+            recordTimerEvent({ shop: SHOP, timer: timer('a'), type: 'impression', visitorKey: 'v:1', now: NOW });
+
+            const write = jest.fn().mockResolvedValue();
+            await flushTimerStats(write);
+
+            const [[{ visitors }]] = write.mock.calls[0];
+            expect(visitors).toHaveLength(1);
+            expect(visitors[0]).not.toContain('v:1');
+        });
+
+        test('skips the write when nothing happened', async () => {
+            const write = jest.fn();
+            await flushTimerStats(write);
+            expect(write).not.toHaveBeenCalled();
+        });
+
+        test('retries a failed write unchanged, under the same flush ID, before newer counts', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => { });
+            recordTimerEvent({ shop: SHOP, timer: timer('a'), type: 'impression', visitorKey: 'v:1', now: NOW });
+            const failed = jest.fn().mockRejectedValue(new Error('down'));
+            await flushTimerStats(failed);
+            recordTimerEvent({ shop: SHOP, timer: timer('a'), type: 'impression', visitorKey: 'v:2', now: NOW });
+
+            const write = jest.fn().mockResolvedValue();
+            await flushTimerStats(write);
+
+            const [[entries, flushId]] = failed.mock.calls;
+            expect(write.mock.calls).toEqual([
+                [entries, flushId],
+                [[expect.objectContaining({ counts: { impressions: 1 } })], expect.not.stringMatching(flushId)]
+            ]);
+            console.error.mockRestore();
+        });
+
+        test('holds newer counts back while the retry fails', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => { });
+            recordTimerEvent({ shop: SHOP, timer: timer('a'), type: 'impression', visitorKey: 'v:1', now: NOW });
+            const failed = jest.fn().mockRejectedValue(new Error('down'));
+            await flushTimerStats(failed);
+            recordTimerEvent({ shop: SHOP, timer: timer('a'), type: 'impression', visitorKey: 'v:2', now: NOW });
+            await flushTimerStats(failed);
+
+            expect(failed).toHaveBeenCalledTimes(2);
+            expect(failed.mock.calls[1]).toEqual(failed.mock.calls[0]);
+
+            const write = jest.fn().mockResolvedValue();
+            await flushTimerStats(write);
+            expect(write).toHaveBeenCalledTimes(2);
+            console.error.mockRestore();
+        });
+
+        test('runs one flush at a time', async () => {
+            let finishWrite;
+            const slow = jest.fn(() => new Promise((resolve) => {
+                finishWrite = resolve;
+            }));
+            recordTimerEvent({ shop: SHOP, timer: timer('a'), type: 'impression', visitorKey: 'v:1', now: NOW });
+            const first = flushTimerStats(slow);
+            await new Promise(setImmediate);
+
+            // A shutdown flush waits for the one in progress
+            recordTimerEvent({ shop: SHOP, timer: timer('a'), type: 'impression', visitorKey: 'v:2', now: NOW });
+            const write = jest.fn().mockResolvedValue();
+            const second = flushTimerStats(write);
+            await new Promise(setImmediate);
+            expect(write).not.toHaveBeenCalled();
+
+            finishWrite();
+            await Promise.all([first, second]);
+            expect(slow).toHaveBeenCalledTimes(1);
+            expect(write).toHaveBeenCalledTimes(1);
+        });
+
+        test('keeps counting but stops adding visitors while writes keep failing', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => { });
+            const failing = jest.fn().mockRejectedValue(new Error('Mongo down'));
+            const total = MAX_BUFFERED_VISITORS + 10;
+            for (let n = 0; n < total; n++) {
+                recordTimerEvent({ shop: SHOP, timer: timer('a'), type: 'impression', visitorKey: `v:${n}`, now: NOW });
+                if (n % 20000 === 0) {
+                    await flushTimerStats(failing);
+                }
+            }
+
+            const write = jest.fn().mockResolvedValue();
+            await flushTimerStats(write);
+            console.error.mockRestore();
+
+            // The first failed batch is retried, then the rest goes in one
+            const entries = write.mock.calls.map(([[entry]]) => entry);
+            expect(entries).toHaveLength(2);
+            expect(entries[0].counts.impressions + entries[1].counts.impressions).toBe(total);
+            expect(entries[1].visitors).toHaveLength(MAX_BUFFERED_VISITORS);
+
+            // Once written, visitors are counted again
+            recordTimerEvent({ shop: SHOP, timer: timer('a'), type: 'impression', visitorKey: 'v:new', now: NOW });
+            await flushTimerStats(write);
+            expect(write.mock.calls[2][0][0].visitors).toHaveLength(1);
+        });
+
+        test('also counts events of an experiment for their variant', async () => {
+            const variantB = { id: 'e1', variant: 'b' };
+            const holdout = { id: 'e1', variant: 'holdout' };
+            recordTimerEvent({ shop: SHOP, timer: timer('a'), type: 'render', visitorKey: 'v:1', experiment: variantB, now: NOW });
+            recordTimerEvent({ shop: SHOP, timer: timer('a'), type: 'impression', visitorKey: 'v:1', experiment: variantB, now: NOW });
+            recordTimerEvent({ shop: SHOP, timer: timer('a'), type: 'expiry', visitorKey: 'v:1', experiment: variantB, now: NOW });
+            recordTimerEvent({ shop: SHOP, timer: timer('a'), type: 'render', visitorKey: 'v:2', experiment: holdout, now: NOW });
+            recordTimerEvent({ shop: SHOP, timer: timer('a'), type: 'addToCart', visitorKey: 'v:2', experiment: holdout, now: NOW });
+
+            const write = jest.fn().mockResolvedValue();
+            await flushTimerStats(write);
+
+            // Holdout visitors saw no timer, so only count for the experiment
+            const [[entry]] = write.mock.calls[0];
+            expect(entry.counts).toEqual({ renders: 1, impressions: 1, expiries: 1 });
+            expect(entry.visitors).toHaveLength(1);
+            expect(entry.variants).toEqual([
+                { experiment: 'e1', variant: 'b', counts: { renders: 1, impressions: 1 }, visitors: [expect.any(String)] },
+                { experiment: 'e1', variant: 'holdout', counts: { renders: 1, addToCarts: 1 }, visitors: [expect.any(String)] }
+            ]);
+        });
+
+        test('rejects unknown event types', () => {
+            expect(() => recordTimerEvent({ shop: SHOP, timer: timer('a'), type: 'purchase', now: NOW })).toThrow();
+        });
+    });
+
+    /**
+     * Test 3: Series
+     */
+    describe('Series', () => {
+        const rows = [row('2026-03-02', 5, 4, 1), row('2026-03-04', 3, 3), row('2026-03-10', 2, 2)];
+
+        test('fills days without events with zeros', () => {
+            const { series, totals } = buildStatsSeries(rows, { from: '2026-03-01', to: '2026-03-04', granularity: 'day' });
+
+            expect(series.map(point => point.date)).toEqual(['2026-03-01', '2026-03-02', '2026-03-03', '2026-03-04']);
+            expect(series[0]).toEqual(row('2026-03-01', 0));
+            expect(series[1]).toEqual(row('2026-03-02', 5, 4, 1));
+            expect(totals).toEqual({
+                renders: 0,
+                impressions: 8,
+                uniqueVisitors: 7,
+                expiries: 1,
+                clicks: 0,
+                addToCarts: 0,
+                orders: 0,
+                revenue: 0
+            });
+        });
+
+        test('sums days into weeks and months', () => {
+            const weeks = buildStatsSeries(rows, { from: '2026-03-01', to: '2026-03-14', granularity: 'week' });
+            expect(weeks.series).toEqual([
+                row('2026-02-23', 0),
+                row('2026-03-02', 8, 7, 1),
+                row('2026-03-09', 2, 2)
+            ]);
+
+            const months = buildStatsSeries(rows, { from: '2026-02-20', to: '2026-03-31', granularity: 'month' });
+            expect(months.series).toEqual([row('2026-02-01', 0), row('2026-03-01', 10, 9, 1)]);
+        });
+
+        test('leaves out rows outside the range', () => {
+            const { totals } = buildStatsSeries(rows, { from: '2026-03-03', to: '2026-03-09', granularity: 'week' });
+            expect(totals.impressions).toBe(3);
+        });
+    });
+
+    /**
+     * Test 4: Orders
+     */
+    describe('Orders', () => {
+        test('sums revenue to the cent', () => {
+            const rows = [
+                { date: '2026-03-02', impressions: 40, orders: 1, revenue: 19.99 },
+                { date: '2026-03-03', impressions: 60, orders: 2, revenue: 5.01 + 0.1 + 0.2 }
+            ];
+            const { series, totals } = buildStatsSeries(rows, { from: '2026-03-02', to: '2026-03-03', granularity: 'week' });
+
+            expect(series[0].revenue).toBe(25.3);
+            expect(totals).toEqual(expect.objectContaining({ orders: 3, revenue: 25.3 }));
+            expect(getOrderMetrics(totals)).toEqual({ conversionRate: 0.03, averageOrderValue: 8.43 });
+        });
+
+        test('has no rates without impressions or orders', () => {
+            expect(getOrderMetrics({ impressions: 0, orders: 0, revenue: 0 })).toEqual({
+                conversionRate: null,
+                averageOrderValue: null
+            });
+        });
+    });
+});
@@ -0,0 +1,596 @@
+/**
+ * Timer Widget Clock Sync Tests
+ * Loads the storefront widget against a stubbed browser and checks that
+ * countdowns follow the server's clock when the device clock is wrong
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const WIDGET_SOURCE = fs.readFileSync(
+    path.join(__dirname, '../extensions/theme-app-extension/assets/timer-widget.js'),
+    'utf8'
+);
+
+const SERVER_NOW = new Date('2026-03-10T12:00:00Z').getTime();
+const END_DATE = new Date('2026-03-10T13:00:00Z');
+const PAGE_URL = 'https://shop.example/products/tee';
+
+const createStorage = () => {
+    const values = new Map();
+    return {
+        getItem: (key) => (values.has(key) ? values.get(key) : null),
+        setItem: (key, value) => values.set(key, String(value)),
+        removeItem: (key) => values.delete(key)
+    };
+};
+
+// Minimal event target: records listeners and dispatches to them
+const createEventTarget = (target = {}) => {
+    const listeners = {};
+    return Object.assign(target, {
+        listeners,
+        addEventListener: (type, listener) => {
+            (listeners[type] = listeners[type] || []).push(listener);
+        },
+        dispatch: (type, event = {}) => (listeners[type] || []).forEach(listener => listener(event))
+    });
+};
+
+const createContainer = () => {
+    const timeDisplay = { textContent: '', style: {} };
+    const widget = { style: {} };
+    return createEventTarget({
+        timeDisplay,
+        widget,
+        dataset: {},
+        style: {},
+        innerHTML: '',
+        offsetHeight: 40,
+        querySelector: (selector) => ({ '.countdown-time': timeDisplay, '.countdown-widget': widget }[selector] || null)
+    });
+};
+
+// Enough of an element for the widget to escape text with (textContent in,
+// innerHTML out)
+const createElement = () => {
+    const element = { textContent: '' };
+    Object.defineProperty(element, 'innerHTML', {
+        get: () => element.textContent.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    });
+    return element;
+};
+
+// IntersectionObserver stub: show(ratio) reports how much of every observed
+// widget is on screen
+const createIntersectionObserver = () => {
+    const observers = new Set();
+    class IntersectionObserver {
+        constructor(callback) {
+            this.callback = callback;
+            this.targets = [];
+            observers.add(this);
+        }
+
+        observe(target) {
+            this.targets.push(target);
+        }
+
+        disconnect() {
+            observers.delete(this);
+        }
+    }
+
+    const show = (ratio) => [...observers].forEach(observer => observer.callback(observer.targets.map(target => ({
+        target,
+        isIntersecting: ratio > 0,
+        intersectionRatio: ratio
+    }))));
+
+    return { IntersectionObserver, show };
+};
+
+const jsonResponse = (body) => Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(body) });
+
+/**
+ * Load the widget with the device clock `skewMs` away from the server's.
+ * Timer responses report `serverNow` as given by serverNowFor(url)
+ */
+const loadWidget = ({ skewMs, timer, variant, serverNowFor = () => new Date(SERVER_NOW), IntersectionObserver }) => {
+    jest.setSystemTime(SERVER_NOW + skewMs);
+
+    const fetch = jest.fn((url) => {
+        const serverNow = serverNowFor(url);
+        if (url.endsWith('/api/storefront/time')) {
+            return jsonResponse({ success: true, data: { serverNow } });
+        }
+        if (url.includes('/session')) {
+            return jsonResponse({ success: true, data: { token: 'token', startedAt: serverNow, serverNow } });
+        }
+        if (url.endsWith('/variant')) {
+            return jsonResponse({ success: true, data: { ...variant, serverNow } });
+        }
+        return jsonResponse({ success: true, data: { ...timer, serverNow } });
+    });
+
+    const sendBeacon = jest.fn(() => true);
+    const context = createEventTarget({
+        console,
+        URL,
+        URLSearchParams,
+        Date,
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval,
+        fetch,
+        ...(IntersectionObserver ? { IntersectionObserver } : {}),
+        Blob,
+        navigator: { sendBeacon },
+        localStorage: createStorage(),
+        sessionStorage: createStorage(),
+        XMLHttpRequest: function () { },
+        location: { href: PAGE_URL, assign: jest.fn() },
+        document: createEventTarget({
+            querySelectorAll: () => [],
+            createElement,
+            body: { style: {} }
+        })
+    });
+    context.window = context;
+    context.XMLHttpRequest.prototype = { open() { }, send() { } };
+
+    vm.runInNewContext(WIDGET_SOURCE, context);
+    return {
+        CountdownTimer: context.CountdownTimer,
+        fetch,
+        sendBeacon,
+        window: context,
+        document: context.document,
+        location: context.location
+    };
+};
+
+const startTimer = async (CountdownTimer, config = {}) => {
+    const container = createContainer();
+    const widget = new CountdownTimer(container, { shop: 'shop.myshopify.com', apiUrl: '', layout: 'inline', mode: 'page', ...config });
+    await jest.advanceTimersByTimeAsync(0);
+    return { widget, container };
+};
+
+describe('Timer Widget', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    /**
+     * Test 1: Fixed Timers
+     */
+    describe('Fixed Timers', () => {
+        const timer = { id: 't1', type: 'fixed', endDate: END_DATE };
+
+        test.each([
+            ['ahead', 5 * 60 * 1000],
+            ['behind', -5 * 60 * 1000],
+            ['in sync', 0]
+        ])('shows the server-side remaining time when the device clock is %s', async (_, skewMs) => {
+            const { CountdownTimer } = loadWidget({ skewMs, timer });
+            const { container } = await startTimer(CountdownTimer);
+
+            expect(container.timeDisplay.textContent).toBe('01:00:00');
+        });
+
+        test('ignores the serverNow of a cached timer lookup', async () => {
+            // The timer response comes from a CDN cache and is six minutes old
+            const { CountdownTimer, fetch } = loadWidget({
+                skewMs: -5 * 60 * 1000,
+                timer,
+                serverNowFor: (url) => new Date(SERVER_NOW - (url.endsWith('/time') ? 0 : 6 * 60 * 1000))
+            });
+
+            const { container } = await startTimer(CountdownTimer);
+
+            expect(fetch).toHaveBeenCalledWith('/api/storefront/time', { cache: 'no-store' });
+            expect(container.timeDisplay.textContent).toBe('01:00:00');
+        });
+
+        test('syncs the clock once per page', async () => {
+            const { CountdownTimer, fetch } = loadWidget({ skewMs: 5 * 60 * 1000, timer });
+
+            await startTimer(CountdownTimer);
+            const { container } = await startTimer(CountdownTimer);
+
+            expect(fetch.mock.calls.filter(([url]) => url.endsWith('/time'))).toHaveLength(1);
+            expect(container.timeDisplay.textContent).toBe('01:00:00');
+        });
+
+        test('re-syncs periodically with the server', async () => {
+            // The device clock drifts two minutes ahead after loading
+            let drift = 0;
+            const { CountdownTimer, fetch } = loadWidget({
+                skewMs: 0,
+                timer,
+                serverNowFor: () => new Date(Date.now() - drift)
+            });
+            const { container } = await startTimer(CountdownTimer);
+
+            jest.setSystemTime(Date.now() + 2 * 60 * 1000);
+            drift = 2 * 60 * 1000;
+            await jest.advanceTimersByTimeAsync(10 * 60 * 1000);
+
+            expect(fetch.mock.calls.filter(([url]) => url.endsWith('/time'))).toHaveLength(2);
+            expect(container.timeDisplay.textContent).toBe('00:50:00');
+        });
+    });
+
+    /**
+     * Test 2: Expiry Tracking
+     */
+    describe('Expiry Tracking', () => {
+        const expiryCalls = (fetch) => fetch.mock.calls.filter(([url]) => url.endsWith('/expiry'));
+
+        test('reports a countdown that runs out while watched, once', async () => {
+            const timer = { id: 't3', type: 'fixed', endDate: new Date(SERVER_NOW + 5000) };
+            const { CountdownTimer, fetch } = loadWidget({ skewMs: 0, timer });
+            await startTimer(CountdownTimer);
+
+            await jest.advanceTimersByTimeAsync(10 * 1000);
+
+            expect(expiryCalls(fetch)).toHaveLength(1);
+            expect(JSON.parse(expiryCalls(fetch)[0][1].body)).toEqual(expect.objectContaining({ shop: 'shop.myshopify.com' }));
+        });
+
+        test('does not report a countdown that had already run out', async () => {
+            const timer = { id: 't4', type: 'fixed', endDate: new Date(SERVER_NOW - 5000) };
+            const { CountdownTimer, fetch } = loadWidget({ skewMs: 0, timer });
+            await startTimer(CountdownTimer);
+
+            await jest.advanceTimersByTimeAsync(10 * 1000);
+
+            expect(expiryCalls(fetch)).toHaveLength(0);
+        });
+    });
+
+    /**
+     * Test 3: Impressions
+     */
+    describe('Impressions', () => {
+        const timer = { id: 't6', type: 'fixed', endDate: END_DATE };
+        const eventCalls = (fetch, type) => fetch.mock.calls.filter(([url]) => url.endsWith(`/t6/${type}`));
+
+        test('counts a render at once and an impression once half the timer was seen long enough', async () => {
+            const { IntersectionObserver, show } = createIntersectionObserver();
+            const { CountdownTimer, fetch } = loadWidget({ skewMs: 0, timer, IntersectionObserver });
+            await startTimer(CountdownTimer, { impressionDwellMs: 2000 });
+
+            expect(eventCalls(fetch, 'render')).toHaveLength(1);
+
+            // Below the fold
+            await jest.advanceTimersByTimeAsync(10 * 1000);
+            expect(eventCalls(fetch, 'impression')).toHaveLength(0);
+
+            // Scrolled past too quickly, then only partly on screen
+            show(1);
+            await jest.advanceTimersByTimeAsync(1500);
+            show(0);
+            show(0.3);
+            await jest.advanceTimersByTimeAsync(5000);
+            expect(eventCalls(fetch, 'impression')).toHaveLength(0);
+
+            show(0.6);
+            await jest.advanceTimersByTimeAsync(2000);
+            show(1);
+            await jest.advanceTimersByTimeAsync(2000);
+
+            expect(eventCalls(fetch, 'impression')).toHaveLength(1);
+            expect(eventCalls(fetch, 'render')).toHaveLength(1);
+        });
+
+        test('falls back to the dwell time without IntersectionObserver', async () => {
+            const { CountdownTimer, fetch } = loadWidget({ skewMs: 0, timer });
+            await startTimer(CountdownTimer);
+
+            await jest.advanceTimersByTimeAsync(1000);
+
+            expect(eventCalls(fetch, 'impression')).toHaveLength(1);
+        });
+    });
+
+    /**
+     * Test 4: Interactions
+     */
+    describe('Interactions', () => {
+        const timer = { id: 't5', type: 'fixed', endDate: END_DATE };
+        const addToCartClick = {
+            target: { closest: (selector) => (selector.includes('/cart/add') ? {} : null) }
+        };
+
+        const sentEvents = async (sendBeacon, call = 0) => {
+            const [url, blob] = sendBeacon.mock.calls[call];
+            return { url, ...JSON.parse(await blob.text()) };
+        };
+
+        test('batches widget and add to cart clicks into one beacon', async () => {
+            const { CountdownTimer, sendBeacon, document } = loadWidget({ skewMs: 0, timer });
+            const { container } = await startTimer(CountdownTimer, { productId: 'gid://shopify/Product/1' });
+
+            container.dispatch('click');
+            container.dispatch('click');
+            document.dispatch('click', addToCartClick);
+            expect(sendBeacon).not.toHaveBeenCalled();
+
+            await jest.advanceTimersByTimeAsync(5000);
+
+            expect(sendBeacon).toHaveBeenCalledTimes(1);
+            const beacon = await sentEvents(sendBeacon);
+            expect(beacon.url).toBe('/api/storefront/events');
+            expect(beacon.shop).toBe('shop.myshopify.com');
+            expect(beacon.events).toEqual([
+                { timerId: 't5', type: 'click' },
+                { timerId: 't5', type: 'addToCart' }
+            ]);
+        });
+
+        test('writes the timer to the cart once the add to cart request is done', async () => {
+            const { CountdownTimer, fetch, window, document } = loadWidget({ skewMs: 0, timer });
+            await startTimer(CountdownTimer, { productId: 'gid://shopify/Product/1' });
+
+            document.dispatch('click', addToCartClick);
+            const cartUpdates = () => fetch.mock.calls.filter(([url]) => url === '/cart/update.js');
+            expect(cartUpdates()).toHaveLength(0);
+
+            // The theme's own add to cart request
+            await window.fetch('/cart/add.js', { method: 'POST' });
+            await jest.advanceTimersByTimeAsync(0);
+
+            expect(cartUpdates()).toHaveLength(1);
+            expect(JSON.parse(cartUpdates()[0][1].body)).toEqual({
+                attributes: { _countdown_timer: expect.stringMatching(/^t5:[\w-]+$/) }
+            });
+        });
+
+        test('sends queued interactions when the page is left', async () => {
+            const { CountdownTimer, sendBeacon, window } = loadWidget({ skewMs: 0, timer });
+            const { container } = await startTimer(CountdownTimer);
+
+            container.dispatch('click');
+            window.dispatch('pagehide');
+
+            expect(sendBeacon).toHaveBeenCalledTimes(1);
+        });
+
+        test('ignores add to cart clicks for badges and hidden timers', async () => {
+            const { CountdownTimer, sendBeacon, document } = loadWidget({ skewMs: 0, timer });
+            await startTimer(CountdownTimer, { productId: 'gid://shopify/Product/1', layout: 'badge' });
+            const { container } = await startTimer(CountdownTimer, { productId: 'gid://shopify/Product/2' });
+            container.style.display = 'none';
+
+            document.dispatch('click', addToCartClick);
+            await jest.advanceTimersByTimeAsync(5000);
+
+            expect(sendBeacon).not.toHaveBeenCalled();
+        });
+    });
+
+    /**
+     * Test 5: Evergreen Timers
+     */
+    describe('Evergreen Timers', () => {
+        test('counts down from the server session start despite a skewed clock', async () => {
+            const timer = { id: 't2', type: 'evergreen', durationMinutes: 30 };
+            const { CountdownTimer } = loadWidget({ skewMs: 3 * 60 * 60 * 1000, timer });
+            const { container } = await startTimer(CountdownTimer);
+
+            expect(container.timeDisplay.textContent).toBe('00:30:00');
+        });
+
+        test('hides for the cooldown once the countdown ends, then restarts', async () => {
+            const timer = { id: 't3', type: 'evergreen', durationMinutes: 1, onExpire: { action: 'cooldown', cooldownMinutes: 5 } };
+            const { CountdownTimer } = loadWidget({ skewMs: 0, timer, serverNowFor: () => new Date() });
+            const { container } = await startTimer(CountdownTimer);
+
+            await jest.advanceTimersByTimeAsync(61 * 1000);
+            expect(container.style.display).toBe('none');
+
+            await jest.advanceTimersByTimeAsync(4 * 60 * 1000);
+            expect(container.style.display).toBe('none');
+
+            // Restarted five minutes after it ended, a second ago
+            await jest.advanceTimersByTimeAsync(60 * 1000);
+            expect(container.style.display).toBe('');
+            expect(container.timeDisplay.textContent).toBe('00:00:59');
+        });
+    });
+
+    /**
+     * Test 6: Experiments
+     */
+    describe('Experiments', () => {
+        const EXPERIMENT_ID = '65f0c0ffee0000000000e001';
+        const addToCartClick = {
+            target: { closest: (selector) => (selector.includes('/cart/add') ? {} : null) }
+        };
+        const eventBodies = (fetch, type) => fetch.mock.calls
+            .filter(([url]) => url.endsWith(`/${type}`))
+            .map(([, options]) => JSON.parse(options.body));
+        const cartAttribute = async (fetch, window) => {
+            await window.fetch('/cart/add.js', { method: 'POST' });
+            await jest.advanceTimersByTimeAsync(0);
+            const [[, options]] = fetch.mock.calls.filter(([url]) => url === '/cart/update.js');
+            return JSON.parse(options.body).attributes._countdown_timer;
+        };
+
+        const timer = { id: 't7', type: 'fixed', endDate: END_DATE, experiment: { id: EXPERIMENT_ID } };
+
+        test('asks for its variant apart from the cacheable timer lookup', async () => {
+            const variant = { ...timer, appearance: { headline: 'Variant B' }, experiment: { id: EXPERIMENT_ID, variant: 'b' } };
+            const { CountdownTimer, fetch, window } = loadWidget({ skewMs: 0, timer, variant });
+            const { widget, container } = await startTimer(CountdownTimer, { productId: 'gid://shopify/Product/1' });
+
+            // The lookup is the same for every visitor; the visitor ID keeps
+            // the visitor in the same variant
+            const visitorId = window.localStorage.getItem('countdown_timer_visitor');
+            const [timerUrl] = fetch.mock.calls.find(([url]) => url.includes('/timer?'));
+            expect(timerUrl).not.toContain('visitorId');
+            const [variantUrl, options] = fetch.mock.calls.find(([url]) => url.endsWith('/variant'));
+            expect(variantUrl).toBe('/api/storefront/timer/t7/variant');
+            expect(JSON.parse(options.body)).toEqual({ shop: 'shop.myshopify.com', visitorId });
+            expect(widget.timer.appearance.headline).toBe('Variant B');
+            expect(container.innerHTML).toContain('>Variant B</div>');
+        });
+
+        test('does not ask for a variant of a timer outside an experiment', async () => {
+            const { CountdownTimer, fetch } = loadWidget({ skewMs: 0, timer: { ...timer, experiment: undefined } });
+            await startTimer(CountdownTimer, { productId: 'gid://shopify/Product/1' });
+
+            expect(fetch.mock.calls.filter(([url]) => url.endsWith('/variant'))).toHaveLength(0);
+        });
+
+        test('reports the variant it was served with its events and order', async () => {
+            const variant = { ...timer, experiment: { id: EXPERIMENT_ID, variant: 'b' } };
+            const { CountdownTimer, fetch, sendBeacon, window, document } = loadWidget({ skewMs: 0, timer, variant });
+            const { container } = await startTimer(CountdownTimer, { productId: 'gid://shopify/Product/1' });
+
+            const visitorId = window.localStorage.getItem('countdown_timer_visitor');
+            expect(eventBodies(fetch, 'render')).toEqual([
+                { shop: 'shop.myshopify.com', visitorId, experimentId: EXPERIMENT_ID, variant: 'b' }
+            ]);
+
+            container.dispatch('click');
+            document.dispatch('click', addToCartClick);
+            await jest.advanceTimersByTimeAsync(5000);
+
+            const { events } = JSON.parse(await sendBeacon.mock.calls[0][1].text());
+            expect(events).toEqual([
+                { timerId: 't7', type: 'click', experimentId: EXPERIMENT_ID, variant: 'b' },
+                { timerId: 't7', type: 'addToCart', experimentId: EXPERIMENT_ID, variant: 'b' }
+            ]);
+            expect(await cartAttribute(fetch, window)).toBe(`t7:${visitorId}:${EXPERIMENT_ID}:b`);
+        });
+
+        test('shows no timer to holdout visitors but still counts them', async () => {
+            const variant = { id: 't8', holdout: true, experiment: { id: EXPERIMENT_ID, variant: 'holdout' } };
+            const { CountdownTimer, fetch, window, document } = loadWidget({ skewMs: 0, timer: { ...timer, id: 't8' }, variant });
+            const { container } = await startTimer(CountdownTimer, { productId: 'gid://shopify/Product/1' });
+            await jest.advanceTimersByTimeAsync(5000);
+
+            expect(container.style.display).toBe('none');
+            expect(container.innerHTML).toBe('');
+            expect(eventBodies(fetch, 'render')).toEqual([expect.objectContaining({ variant: 'holdout' })]);
+            expect(eventBodies(fetch, 'impression')).toHaveLength(0);
+
+            // Their orders are the baseline the variants are compared with
+            document.dispatch('click', addToCartClick);
+            expect(await cartAttribute(fetch, window)).toMatch(new RegExp(`^t8:[\\w-]+:${EXPERIMENT_ID}:holdout$`));
+        });
+    });
+
+    /**
+     * Test 7: Announcement Bar
+     */
+    describe('Announcement Bar', () => {
+        const barTimer = (position, overrides = {}) => ({
+            id: 't9',
+            type: 'fixed',
+            endDate: END_DATE,
+            appearance: { position },
+            ...overrides
+        });
+
+        test('sticks to the edge the timer is set to and pads the page for it', async () => {
+            const { CountdownTimer, document } = loadWidget({ skewMs: 0, timer: barTimer('bottom') });
+            const { container } = await startTimer(CountdownTimer, { layout: 'bar', barPosition: 'top' });
+
+            expect(container.style).toEqual(expect.objectContaining({ position: 'fixed', top: '', bottom: '0' }));
+            expect(container.innerHTML).toContain('countdown-bar');
+            expect(container.timeDisplay.textContent).toBe('01:00:00');
+            expect(document.body.style.paddingBottom).toBe('40px');
+            expect(document.body.style.paddingTop).toBeUndefined();
+        });
+
+        test('uses the embed\'s position for timers not set to top or bottom', async () => {
+            const { CountdownTimer, document } = loadWidget({ skewMs: 0, timer: barTimer('above-cart') });
+            const { container } = await startTimer(CountdownTimer, { layout: 'bar', barPosition: 'top' });
+
+            expect(container.style).toEqual(expect.objectContaining({ top: '0', bottom: '' }));
+            expect(document.body.style.paddingTop).toBe('40px');
+        });
+
+        test('gives the page its padding back when the countdown is hidden', async () => {
+            const timer = barTimer('top', { endDate: new Date(SERVER_NOW + 5000) });
+            const { CountdownTimer, document } = loadWidget({ skewMs: 0, timer });
+            document.body.style.paddingTop = '12px';
+            const { container } = await startTimer(CountdownTimer, { layout: 'bar', barPosition: 'top' });
+            expect(document.body.style.paddingTop).toBe('40px');
+
+            await jest.advanceTimersByTimeAsync(10 * 1000);
+
+            expect(container.style.display).toBe('none');
+            expect(document.body.style.paddingTop).toBe('12px');
+        });
+    });
+
+    /**
+     * Test 8: End-of-Timer Actions
+     */
+    describe('End-of-Timer Actions', () => {
+        const endingTimer = (expiryAction) => ({
+            id: 't20',
+            type: 'fixed',
+            endDate: new Date(SERVER_NOW + 5000),
+            appearance: { expiryAction }
+        });
+
+        const runOut = async (expiryAction, config) => {
+            const { CountdownTimer, location } = loadWidget({ skewMs: 0, timer: endingTimer(expiryAction) });
+            const { container } = await startTimer(CountdownTimer, config);
+            await jest.advanceTimersByTimeAsync(10 * 1000);
+            return { container, location };
+        };
+
+        test('hides the countdown by default', async () => {
+            const { container } = await runOut(undefined);
+
+            expect(container.style.display).toBe('none');
+        });
+
+        test('shows the merchant\'s message, or a default one', async () => {
+            const custom = await runOut({ type: 'message', message: 'See you at the next drop' });
+            const fallback = await runOut({ type: 'message' });
+
+            expect(custom.container.timeDisplay.textContent).toBe('See you at the next drop');
+            expect(fallback.container.timeDisplay.textContent).toBe('Sale has ended');
+            expect(custom.container.style.display).not.toBe('none');
+        });
+
+        test('redirects to the merchant\'s page', async () => {
+            const { location } = await runOut({ type: 'redirect', redirectUrl: '/collections/sale' });
+
+            expect(location.assign).toHaveBeenCalledWith('https://shop.example/collections/sale');
+        });
+
+        test.each([
+            ['the page the visitor is on', { redirectUrl: PAGE_URL }, {}],
+            ['a non-http(s) URL', { redirectUrl: 'javascript:alert(1)' }, {}],
+            ['a badge', { redirectUrl: '/collections/sale' }, { layout: 'badge' }]
+        ])('hides instead of redirecting from %s', async (_, expiryAction, config) => {
+            const { container, location } = await runOut({ type: 'redirect', ...expiryAction }, config);
+
+            expect(location.assign).not.toHaveBeenCalled();
+            expect(container.style.display).toBe('none');
+        });
+
+        test('stays at zero in the expired colours', async () => {
+            const { container } = await runOut({ type: 'zero', backgroundColor: '#111111' });
+
+            expect(container.timeDisplay.textContent).toBe('00:00:00');
+            expect(container.widget.style).toEqual({ backgroundColor: '#111111', color: '#FFFFFF' });
+            expect(container.style.display).not.toBe('none');
+        });
+    });
+});
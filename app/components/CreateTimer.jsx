@@ -6,6 +6,7 @@ import {
     FormLayout,
     TextField,
     Select,
+    ChoiceList,
     Button,
     Banner,
     Text,
@@ -18,6 +19,13 @@ import { useMutation } from '@tanstack/react-query';
 import { useNavigate } from 'react-router-dom';
 import { useAuthenticatedFetch } from '../hooks/useAuthenticatedFetch';
 
+// Scopes that match product attributes, with their field labels
+const ATTRIBUTE_SCOPES = {
+    tags: 'Product tags',
+    vendors: 'Vendors',
+    productTypes: 'Product types'
+};
+
 /**
  * CreateTimer Component - Form to create new countdown timers
  * Includes AI generation feature and ResourcePicker for products/collections
@@ -33,7 +41,22 @@ export default function CreateTimer() {
         startDate: '',
         endDate: '',
         durationMinutes: 60,
+        schedule: {
+            frequency: 'daily',
+            startTime: '00:00',
+            endTime: '14:00',
+            daysOfWeek: [1, 2, 3, 4, 5],
+            dayOfMonth: 1
+        },
+        onExpire: {
+            action: 'restart',
+            cooldownMinutes: 1440,
+            message: 'This offer has expired'
+        },
+        priority: 0,
         targeting: {
+            context: 'page',
+            pageTypes: ['product'],
             scope: 'all',
             productIds: [],
             collectionIds: []
@@ -43,10 +66,32 @@ export default function CreateTimer() {
             textColor: '#FFFFFF',
             position: 'above-cart',
             headline: 'Hurry! Offer ends soon',
-            supportingText: ''
+            supportingText: '',
+            expiryAction: {
+                type: 'hide',
+                message: 'Sale has ended',
+                redirectUrl: '',
+                backgroundColor: '#6B7280',
+                textColor: '#FFFFFF'
+            }
         }
     });
 
+    // Tag/vendor/product type values are edited as a comma-separated list
+    const [attributeValues, setAttributeValues] = useState('');
+
+    // Custom page handles are edited as a comma-separated list
+    const [pageHandles, setPageHandles] = useState('');
+
+    // Exclusions are edited as one ID per line
+    const [exclusions, setExclusions] = useState({ products: '', collections: '' });
+
+    // Cart timer conditions, edited as one ID per line and a subtotal
+    const [cartConditions, setCartConditions] = useState({ products: '', collections: '', minSubtotal: '0' });
+
+    // Overlap warnings returned after saving
+    const [overlapWarnings, setOverlapWarnings] = useState([]);
+
     // Resource picker state
     const [resourcePickerOpen, setResourcePickerOpen] = useState(false);
     const [resourceType, setResourceType] = useState('Product');
@@ -70,7 +115,12 @@ export default function CreateTimer() {
 
             return response.json();
         },
-        onSuccess: () => {
+        onSuccess: (result) => {
+            // Stay on the page so the merchant sees which timers compete
+            if (result.warnings?.length > 0) {
+                setOverlapWarnings(result.warnings);
+                return;
+            }
             navigate('/');
         }
     });
@@ -93,6 +143,17 @@ export default function CreateTimer() {
         }));
     }, []);
 
+    // Handle end-of-timer action changes (appearance.expiryAction)
+    const handleExpiryActionChange = useCallback((field, value) => {
+        setFormData(prev => ({
+            ...prev,
+            appearance: {
+                ...prev.appearance,
+                expiryAction: { ...prev.appearance.expiryAction, [field]: value }
+            }
+        }));
+    }, []);
+
     // Validate form
     const validateForm = useCallback(() => {
         const newErrors = {};
@@ -119,55 +180,178 @@ export default function CreateTimer() {
             if (!formData.durationMinutes || formData.durationMinutes < 1) {
                 newErrors.durationMinutes = 'Duration must be at least 1 minute';
             }
+            if (formData.onExpire.action === 'cooldown' && !(formData.onExpire.cooldownMinutes >= 1)) {
+                newErrors.cooldownMinutes = 'Cooldown must be at least 1 minute';
+            }
         }
 
-        if (formData.targeting.scope === 'products' && formData.targeting.productIds.length === 0) {
+        if (formData.type === 'recurring') {
+            const { frequency, startTime, endTime, daysOfWeek } = formData.schedule;
+            if (!endTime) {
+                newErrors.endTime = 'End time is required';
+            } else if (endTime === (startTime || '00:00')) {
+                newErrors.endTime = 'End time must differ from start time';
+            }
+            if (frequency === 'weekly' && daysOfWeek.length === 0) {
+                newErrors.daysOfWeek = 'Select at least one day';
+            }
+        }
+
+        if (formData.type !== 'evergreen') {
+            const { type, redirectUrl } = formData.appearance.expiryAction;
+            if (type === 'redirect' && !/^(https?:\/\/|\/(?![/\\]))\S+$/i.test(redirectUrl.trim())) {
+                newErrors.redirectUrl = 'Enter a URL starting with http(s):// or a path starting with /';
+            }
+        }
+
+        const isPageTimer = formData.targeting.context === 'page';
+        if (isPageTimer && formData.targeting.scope === 'products' && formData.targeting.productIds.length === 0) {
             newErrors.products = 'Select at least one product';
         }
 
-        if (formData.targeting.scope === 'collections' && formData.targeting.collectionIds.length === 0) {
+        if (isPageTimer && formData.targeting.scope === 'collections' && formData.targeting.collectionIds.length === 0) {
             newErrors.collections = 'Select at least one collection';
         }
 
+        const minSubtotal = Number(cartConditions.minSubtotal || 0);
+        if (!isPageTimer && !(minSubtotal >= 0)) {
+            newErrors.minSubtotal = 'Enter 0 or more';
+        }
+
+        if (isPageTimer && formData.targeting.pageTypes.length === 0) {
+            newErrors.pageTypes = 'Select at least one page type';
+        }
+
+        if (isPageTimer && ATTRIBUTE_SCOPES[formData.targeting.scope] && !attributeValues.trim()) {
+            newErrors.attributeValues = 'Enter at least one value';
+        }
+
         setErrors(newErrors);
         return Object.keys(newErrors).length === 0;
-    }, [formData]);
+    }, [formData, attributeValues, cartConditions]);
 
     // Handle form submission
     const handleSubmit = useCallback(() => {
         if (validateForm()) {
             // Convert duration hours to minutes if needed
             const submitData = { ...formData };
+            const parseIds = (text) => text.split('\n').map(id => id.trim()).filter(Boolean);
+            submitData.targeting = {
+                ...formData.targeting,
+                excludeProductIds: parseIds(exclusions.products),
+                excludeCollectionIds: parseIds(exclusions.collections),
+                pageHandles: formData.targeting.pageTypes.includes('page')
+                    ? pageHandles.split(',').map(handle => handle.trim()).filter(Boolean)
+                    : [],
+                cart: {
+                    productIds: parseIds(cartConditions.products),
+                    collectionIds: parseIds(cartConditions.collections),
+                    minSubtotal: Number(cartConditions.minSubtotal || 0)
+                }
+            };
+            if (ATTRIBUTE_SCOPES[formData.targeting.scope]) {
+                submitData.targeting[formData.targeting.scope] = attributeValues.split(',').map(value => value.trim()).filter(Boolean);
+            }
 
-            // Convert dates to ISO strings for fixed timers
+            // Fixed dates are sent as local times; the server resolves them
+            // in the shop's timezone rather than the browser's
             if (formData.type === 'fixed') {
-                submitData.startDate = new Date(formData.startDate).toISOString();
-                submitData.endDate = new Date(formData.endDate).toISOString();
                 delete submitData.durationMinutes;
+                delete submitData.schedule;
+                delete submitData.onExpire;
+            } else if (formData.type === 'recurring') {
+                const { frequency, startTime, endTime, daysOfWeek, dayOfMonth } = formData.schedule;
+                submitData.schedule = { frequency, startTime, endTime };
+                if (frequency === 'weekly') {
+                    submitData.schedule.daysOfWeek = daysOfWeek;
+                } else if (frequency === 'monthly') {
+                    submitData.schedule.dayOfMonth = dayOfMonth;
+                }
+                delete submitData.startDate;
+                delete submitData.endDate;
+                delete submitData.durationMinutes;
+                delete submitData.onExpire;
             } else {
+                const { action, cooldownMinutes, message } = formData.onExpire;
+                submitData.onExpire = { action };
+                if (action === 'cooldown') {
+                    submitData.onExpire.cooldownMinutes = cooldownMinutes;
+                } else if (action === 'message') {
+                    submitData.onExpire.message = message;
+                }
                 delete submitData.startDate;
                 delete submitData.endDate;
+                delete submitData.schedule;
+                submitData.appearance = { ...formData.appearance };
+                delete submitData.appearance.expiryAction;
             }
 
             createMutation.mutate(submitData);
         }
-    }, [formData, validateForm, createMutation]);
+    }, [formData, exclusions, attributeValues, pageHandles, cartConditions, validateForm, createMutation]);
 
 
     // Timer type options
     const typeOptions = [
         { label: 'Evergreen (resets per visitor)', value: 'evergreen' },
-        { label: 'Fixed (same for everyone)', value: 'fixed' }
+        { label: 'Fixed (same for everyone)', value: 'fixed' },
+        { label: 'Recurring (repeats on a schedule)', value: 'recurring' }
+    ];
+
+    // Where the timer is shown
+    const contextOptions = [
+        { label: 'Store pages', value: 'page' },
+        { label: 'Cart (cart page and cart drawer)', value: 'cart' }
+    ];
+
+    // Evergreen expiry options
+    const expireOptions = [
+        { label: 'Restart immediately', value: 'restart' },
+        { label: 'Restart after a cooldown', value: 'cooldown' },
+        { label: 'Hide for this visitor', value: 'hide' },
+        { label: 'Show an "offer expired" message', value: 'message' }
+    ];
+
+    // Recurring frequency options
+    const frequencyOptions = [
+        { label: 'Every day', value: 'daily' },
+        { label: 'On specific weekdays', value: 'weekly' },
+        { label: 'On a day of the month', value: 'monthly' }
+    ];
+
+    // Weekday choices (0 = Sunday)
+    const weekdayChoices = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+        .map((label, index) => ({ label, value: String(index) }));
+
+    // Storefront page type choices
+    const pageTypeChoices = [
+        { label: 'Home page', value: 'home' },
+        { label: 'Collection pages', value: 'collection' },
+        { label: 'Product pages', value: 'product' },
+        { label: 'Cart page', value: 'cart' },
+        { label: 'Search results', value: 'search' },
+        { label: 'Custom pages', value: 'page' }
     ];
 
     // Target scope options
     const scopeOptions = [
         { label: 'All products', value: 'all' },
         { label: 'Specific products', value: 'products' },
-        { label: 'Specific collections', value: 'collections' }
+        { label: 'Specific collections', value: 'collections' },
+        { label: 'Products with tags', value: 'tags' },
+        { label: 'Products from vendors', value: 'vendors' },
+        { label: 'Products of types', value: 'productTypes' }
     ];
 
     // Position options
+    // Fixed/recurring end-of-timer options
+    const expiryActionOptions = [
+        { label: 'Hide the timer', value: 'hide' },
+        { label: 'Show a "Sale has ended" message', value: 'message' },
+        { label: 'Redirect to a URL', value: 'redirect' },
+        { label: 'Keep showing 00:00:00', value: 'zero' }
+    ];
+
     const positionOptions = [
         { label: 'Above Add to Cart', value: 'above-cart' },
         { label: 'Below Add to Cart', value: 'below-cart' },
@@ -194,11 +378,28 @@ export default function CreateTimer() {
             primaryAction={{
                 content: 'Save',
                 onAction: handleSubmit,
-                loading: createMutation.isPending
+                loading: createMutation.isPending,
+                disabled: overlapWarnings.length > 0
             }}
         >
             <Layout>
 
+                {overlapWarnings.length > 0 && (
+                    <Layout.Section>
+                        <Banner
+                            tone="warning"
+                            title="Timer created, but it overlaps other active timers"
+                            action={{ content: 'Back to timers', onAction: () => navigate('/') }}
+                        >
+                            <BlockStack gap="100">
+                                {overlapWarnings.map(warning => (
+                                    <p key={warning.timerId}>{warning.message}</p>
+                                ))}
+                            </BlockStack>
+                        </Banner>
+                    </Layout.Section>
+                )}
+
                 {createMutation.isError && (
                     <Layout.Section>
                         <Banner tone="critical">
@@ -227,11 +428,10 @@ export default function CreateTimer() {
                                     options={typeOptions}
                                     value={formData.type}
                                     onChange={(value) => handleChange('type', value)}
-                                    helpText={
-                                        formData.type === 'evergreen'
-                                            ? 'Timer starts when each visitor first sees it'
-                                            : 'Same countdown for all visitors'
-                                    }
+                                    helpText={{
+                                        evergreen: 'Timer starts when each visitor first sees it',
+                                        recurring: 'Counts down to the end of each scheduled window'
+                                    }[formData.type] || 'Same countdown for all visitors'}
                                 />
 
                                 {formData.type === 'fixed' && (
@@ -249,19 +449,98 @@ export default function CreateTimer() {
                                             value={formData.endDate}
                                             onChange={(value) => handleChange('endDate', value)}
                                             error={errors.endDate}
+                                            helpText="In your store's timezone"
                                         />
                                     </FormLayout.Group>
                                 )}
 
                                 {formData.type === 'evergreen' && (
-                                    <Select
-                                        label="Duration"
-                                        options={durationOptions}
-                                        value={String(formData.durationMinutes)}
-                                        onChange={(value) => handleChange('durationMinutes', parseInt(value))}
-                                        error={errors.durationMinutes}
-                                        helpText="How long the countdown lasts for each visitor"
-                                    />
+                                    <BlockStack gap="400">
+                                        <Select
+                                            label="Duration"
+                                            options={durationOptions}
+                                            value={String(formData.durationMinutes)}
+                                            onChange={(value) => handleChange('durationMinutes', parseInt(value))}
+                                            error={errors.durationMinutes}
+                                            helpText="How long the countdown lasts for each visitor"
+                                        />
+                                        <Select
+                                            label="When the countdown ends"
+                                            options={expireOptions}
+                                            value={formData.onExpire.action}
+                                            onChange={(value) => handleNestedChange('onExpire', 'action', value)}
+                                        />
+                                        {formData.onExpire.action === 'cooldown' && (
+                                            <TextField
+                                                label="Cooldown (minutes)"
+                                                type="number"
+                                                min={1}
+                                                max={43200}
+                                                value={String(formData.onExpire.cooldownMinutes)}
+                                                onChange={(value) => handleNestedChange('onExpire', 'cooldownMinutes', parseInt(value))}
+                                                error={errors.cooldownMinutes}
+                                                helpText="The countdown restarts for a visitor once this has passed"
+                                            />
+                                        )}
+                                        {formData.onExpire.action === 'message' && (
+                                            <TextField
+                                                label="Expired message"
+                                                value={formData.onExpire.message}
+                                                onChange={(value) => handleNestedChange('onExpire', 'message', value)}
+                                                maxLength={100}
+                                                showCharacterCount
+                                            />
+                                        )}
+                                    </BlockStack>
+                                )}
+
+                                {formData.type === 'recurring' && (
+                                    <BlockStack gap="400">
+                                        <Select
+                                            label="Repeats"
+                                            options={frequencyOptions}
+                                            value={formData.schedule.frequency}
+                                            onChange={(value) => handleNestedChange('schedule', 'frequency', value)}
+                                        />
+                                        <FormLayout.Group>
+                                            <TextField
+                                                label="Starts at"
+                                                type="time"
+                                                value={formData.schedule.startTime}
+                                                onChange={(value) => handleNestedChange('schedule', 'startTime', value)}
+                                            />
+                                            <TextField
+                                                label="Ends at"
+                                                type="time"
+                                                value={formData.schedule.endTime}
+                                                onChange={(value) => handleNestedChange('schedule', 'endTime', value)}
+                                                error={errors.endTime}
+                                                helpText="In your store's timezone. An end time before the start time runs past midnight"
+                                            />
+                                        </FormLayout.Group>
+                                        {formData.schedule.frequency === 'weekly' && (
+                                            <ChoiceList
+                                                title="Weekdays"
+                                                allowMultiple
+                                                choices={weekdayChoices}
+                                                selected={formData.schedule.daysOfWeek.map(String)}
+                                                onChange={(values) => handleNestedChange('schedule', 'daysOfWeek', values.map(Number))}
+                                                error={errors.daysOfWeek}
+                                            />
+                                        )}
+                                        {formData.schedule.frequency === 'monthly' && (
+                                            <TextField
+                                                label="Day of month"
+                                                type="number"
+                                                min={1}
+                                                max={31}
+                                                value={String(formData.schedule.dayOfMonth)}
+                                                onChange={(value) => handleNestedChange('schedule', 'dayOfMonth', parseInt(value))}
+                                                helpText="Days past the end of a shorter month fall on its last day"
+                                                autoComplete="off"
+                                            />
+                                        )}
+                                    </BlockStack>
                                 )}
                             </FormLayout>
                         </BlockStack>
@@ -275,53 +554,155 @@ export default function CreateTimer() {
 
                             <FormLayout>
                                 <Select
-                                    label="Show timer on"
-                                    options={scopeOptions}
-                                    value={formData.targeting.scope}
-                                    onChange={(value) => handleNestedChange('targeting', 'scope', value)}
+                                    label="Show timer in"
+                                    options={contextOptions}
+                                    value={formData.targeting.context}
+                                    onChange={(value) => handleNestedChange('targeting', 'context', value)}
+                                    helpText={formData.targeting.context === 'cart'
+                                        ? 'Shown on the cart page and in the cart drawer, and re-checked when the cart changes'
+                                        : undefined}
                                 />
 
-                                {formData.targeting.scope === 'products' && (
-                                    <BlockStack gap="200">
-                                        <Button onClick={() => {
-                                            setResourceType('Product');
-                                            setResourcePickerOpen(true);
-                                        }}>
-                                            Select Products
-                                        </Button>
-                                        {formData.targeting.productIds.length > 0 && (
-                                            <Text variant="bodySm" as="p">
-                                                {formData.targeting.productIds.length} product(s) selected
-                                            </Text>
+                                {formData.targeting.context === 'cart' && (
+                                    <>
+                                        <FormLayout.Group>
+                                            <TextField
+                                                label="Cart contains product IDs"
+                                                value={cartConditions.products}
+                                                onChange={(value) => setCartConditions(prev => ({ ...prev, products: value }))}
+                                                multiline={2}
+                                                placeholder="One per line"
+                                            />
+                                            <TextField
+                                                label="Cart contains collection IDs"
+                                                value={cartConditions.collections}
+                                                onChange={(value) => setCartConditions(prev => ({ ...prev, collections: value }))}
+                                                multiline={2}
+                                                helpText="Leave both empty to show the timer for any cart"
+                                            />
+                                        </FormLayout.Group>
+                                        <TextField
+                                            label="Minimum cart subtotal"
+                                            type="number"
+                                            min={0}
+                                            step={0.01}
+                                            value={cartConditions.minSubtotal}
+                                            onChange={(value) => setCartConditions(prev => ({ ...prev, minSubtotal: value }))}
+                                            error={errors.minSubtotal}
+                                            helpText="In your store currency; 0 for no minimum"
+                                        />
+                                    </>
+                                )}
+
+                                {formData.targeting.context === 'page' && (
+                                    <>
+                                        <ChoiceList
+                                            title="Pages"
+                                            allowMultiple
+                                            choices={pageTypeChoices}
+                                            selected={formData.targeting.pageTypes}
+                                            onChange={(values) => handleNestedChange('targeting', 'pageTypes', values)}
+                                            error={errors.pageTypes}
+                                        />
+
+                                        {formData.targeting.pageTypes.includes('page') && (
+                                            <TextField
+                                                label="Page handles"
+                                                value={pageHandles}
+                                                onChange={setPageHandles}
+                                                placeholder="shipping, black-friday"
+                                                helpText="Comma-separated; leave empty to show on every custom page"
+                                            />
                                         )}
-                                        {errors.products && (
-                                            <Text variant="bodySm" as="p" tone="critical">
-                                                {errors.products}
-                                            </Text>
+
+                                        <Select
+                                            label="Show timer on"
+                                            options={scopeOptions}
+                                            value={formData.targeting.scope}
+                                            onChange={(value) => handleNestedChange('targeting', 'scope', value)}
+                                        />
+
+                                        {formData.targeting.scope === 'products' && (
+                                            <BlockStack gap="200">
+                                                <Button onClick={() => {
+                                                    setResourceType('Product');
+                                                    setResourcePickerOpen(true);
+                                                }}>
+                                                    Select Products
+                                                </Button>
+                                                {formData.targeting.productIds.length > 0 && (
+                                                    <Text variant="bodySm" as="p">
+                                                        {formData.targeting.productIds.length} product(s) selected
+                                                    </Text>
+                                                )}
+                                                {errors.products && (
+                                                    <Text variant="bodySm" as="p" tone="critical">
+                                                        {errors.products}
+                                                    </Text>
+                                                )}
+                                            </BlockStack>
                                         )}
-                                    </BlockStack>
-                                )}
 
-                                {formData.targeting.scope === 'collections' && (
-                                    <BlockStack gap="200">
-                                        <Button onClick={() => {
-                                            setResourceType('Collection');
-                                            setResourcePickerOpen(true);
-                                        }}>
-                                            Select Collections
-                                        </Button>
-                                        {formData.targeting.collectionIds.length > 0 && (
-                                            <Text variant="bodySm" as="p">
-                                                {formData.targeting.collectionIds.length} collection(s) selected
-                                            </Text>
+                                        {formData.targeting.scope === 'collections' && (
+                                            <BlockStack gap="200">
+                                                <Button onClick={() => {
+                                                    setResourceType('Collection');
+                                                    setResourcePickerOpen(true);
+                                                }}>
+                                                    Select Collections
+                                                </Button>
+                                                {formData.targeting.collectionIds.length > 0 && (
+                                                    <Text variant="bodySm" as="p">
+                                                        {formData.targeting.collectionIds.length} collection(s) selected
+                                                    </Text>
+                                                )}
+                                                {errors.collections && (
+                                                    <Text variant="bodySm" as="p" tone="critical">
+                                                        {errors.collections}
+                                                    </Text>
+                                                )}
+                                            </BlockStack>
                                         )}
-                                        {errors.collections && (
-                                            <Text variant="bodySm" as="p" tone="critical">
-                                                {errors.collections}
-                                            </Text>
+
+                                        {ATTRIBUTE_SCOPES[formData.targeting.scope] && (
+                                            <TextField
+                                                label={ATTRIBUTE_SCOPES[formData.targeting.scope]}
+                                                value={attributeValues}
+                                                onChange={setAttributeValues}
+                                                error={errors.attributeValues}
+                                                placeholder="summer-sale, clearance"
+                                                helpText="Comma-separated, not case-sensitive"
+                                            />
                                         )}
-                                    </BlockStack>
+
+                                        <FormLayout.Group>
+                                            <TextField
+                                                label="Exclude product IDs"
+                                                value={exclusions.products}
+                                                onChange={(value) => setExclusions(prev => ({ ...prev, products: value }))}
+                                                multiline={2}
+                                                placeholder="One per line, e.g. gift cards"
+                                            />
+                                            <TextField
+                                                label="Exclude collection IDs"
+                                                value={exclusions.collections}
+                                                onChange={(value) => setExclusions(prev => ({ ...prev, collections: value }))}
+                                                multiline={2}
+                                                helpText="Products in these collections never show this timer"
+                                            />
+                                        </FormLayout.Group>
+                                    </>
                                 )}
+
+                                <TextField
+                                    label="Priority"
+                                    type="number"
+                                    min={0}
+                                    max={100}
+                                    value={String(formData.priority)}
+                                    onChange={(value) => handleChange('priority', parseInt(value) || 0)}
+                                    helpText="When timers overlap, the highest priority wins, then products over collections over all products"
+                                />
                             </FormLayout>
                         </BlockStack>
                     </Card>
@@ -392,6 +773,49 @@ export default function CreateTimer() {
                                         }
                                     />
                                 </FormLayout.Group>
+
+                                {formData.type !== 'evergreen' && (
+                                    <BlockStack gap="400">
+                                        <Select
+                                            label="When the timer ends"
+                                            options={expiryActionOptions}
+                                            value={formData.appearance.expiryAction.type}
+                                            onChange={(value) => handleExpiryActionChange('type', value)}
+                                        />
+                                        {formData.appearance.expiryAction.type === 'message' && (
+                                            <TextField
+                                                label="Ended message"
+                                                value={formData.appearance.expiryAction.message}
+                                                onChange={(value) => handleExpiryActionChange('message', value)}
+                                                maxLength={100}
+                                                showCharacterCount
+                                            />
+                                        )}
+                                        {formData.appearance.expiryAction.type === 'redirect' && (
+                                            <TextField
+                                                label="Redirect URL"
+                                                value={formData.appearance.expiryAction.redirectUrl}
+                                                onChange={(value) => handleExpiryActionChange('redirectUrl', value)}
+                                                placeholder="/collections/all"
+                                                error={errors.redirectUrl}
+                                            />
+                                        )}
+                                        {formData.appearance.expiryAction.type === 'zero' && (
+                                            <FormLayout.Group>
+                                                <TextField
+                                                    label="Ended Background Color"
+                                                    value={formData.appearance.expiryAction.backgroundColor}
+                                                    onChange={(value) => handleExpiryActionChange('backgroundColor', value)}
+                                                />
+                                                <TextField
+                                                    label="Ended Text Color"
+                                                    value={formData.appearance.expiryAction.textColor}
+                                                    onChange={(value) => handleExpiryActionChange('textColor', value)}
+                                                />
+                                            </FormLayout.Group>
+                                        )}
+                                    </BlockStack>
+                                )}
                             </FormLayout>
 
                             {/* Preview */}
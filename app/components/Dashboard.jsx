@@ -17,6 +17,7 @@ import {
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { useNavigate } from 'react-router-dom';
 import { useAuthenticatedFetch } from '../hooks/useAuthenticatedFetch';
+import { formatRate, formatMoney } from '../utils';
 
 /**
  * Dashboard Component - Displays all timers in a table
@@ -137,11 +138,41 @@ export default function Dashboard() {
             <IndexTable.Cell>
                 {getTypeBadge(timer.type)}
             </IndexTable.Cell>
+            <IndexTable.Cell>
+                <Text variant="bodyMd" as="span">
+                    {formatNumber(timer.renders)}
+                </Text>
+            </IndexTable.Cell>
             <IndexTable.Cell>
                 <Text variant="bodyMd" as="span">
                     {formatNumber(timer.impressions)}
                 </Text>
             </IndexTable.Cell>
+            <IndexTable.Cell>
+                <Text variant="bodyMd" as="span">
+                    {formatRate(timer.clicks, timer.impressions)}
+                </Text>
+            </IndexTable.Cell>
+            <IndexTable.Cell>
+                <Text variant="bodyMd" as="span">
+                    {formatRate(timer.addToCarts, timer.impressions)}
+                </Text>
+            </IndexTable.Cell>
+            <IndexTable.Cell>
+                <Text variant="bodyMd" as="span">
+                    {formatMoney(timer.revenue || 0, timer.currency)}
+                </Text>
+            </IndexTable.Cell>
+            <IndexTable.Cell>
+                <Text variant="bodyMd" as="span">
+                    {formatRate(timer.orders, timer.impressions)}
+                </Text>
+            </IndexTable.Cell>
+            <IndexTable.Cell>
+                <Text variant="bodyMd" as="span">
+                    {formatMoney(timer.orders ? timer.revenue / timer.orders : null, timer.currency)}
+                </Text>
+            </IndexTable.Cell>
             <IndexTable.Cell>
                 <div style={{ display: 'flex', gap: '8px' }}>
                     <Button size="slim" onClick={() => handleEditClick(timer._id)}>
@@ -227,7 +258,13 @@ export default function Dashboard() {
                                 { title: 'Name' },
                                 { title: 'Status' },
                                 { title: 'Type' },
-                                { title: 'Impressions' },
+                                { title: 'Rendered' },
+                                { title: 'Viewed' },
+                                { title: 'Click-through' },
+                                { title: 'Add to cart' },
+                                { title: 'Revenue' },
+                                { title: 'Conversion' },
+                                { title: 'Avg. order' },
                                 { title: 'Actions' }
                             ]}
                         >
@@ -8,7 +8,7 @@ const { Shop } = require('../models');
 const shopify = shopifyApi({
     apiKey: process.env.SHOPIFY_API_KEY,
     apiSecretKey: process.env.SHOPIFY_API_SECRET,
-    scopes: (process.env.SCOPES || 'write_products,read_products').split(','),
+    scopes: (process.env.SCOPES || 'write_products,read_products,read_orders').split(','),
     hostName: (process.env.HOST || '').replace(/https?:\/\//, ''),
     apiVersion: ApiVersion.January26,
     isEmbeddedApp: true
@@ -143,6 +143,85 @@ async function optionalShopifySession(req, res, next) {
     }
 }
 
+/**
+ * Verify a storefront request forwarded by the Shopify app proxy
+ * Shopify signs the query (including the shop) with the app secret, so the
+ * shop is taken from there rather than trusted from the widget
+ */
+async function verifyAppProxySignature(req, res, next) {
+    let valid = false;
+    try {
+        valid = await shopify.utils.validateHmac(req.query, { signator: 'appProxy' });
+    } catch (error) {
+        // Missing signature or a timestamp outside the allowed window
+    }
+
+    const shop = valid ? shopify.utils.sanitizeShop(String(req.query.shop)) : null;
+
+    if (!shop) {
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid app proxy signature',
+            code: 'INVALID_SIGNATURE'
+        });
+    }
+
+    req.shop = shop;
+
+    // Proxied requests come from Shopify, which appends the visitor's address
+    // to X-Forwarded-For. Entries before it are whatever the visitor sent;
+    // after it come the ones the app's trusted proxies (req.ips) added
+    const forwardedFor = (req.get('x-forwarded-for') || '')
+        .split(',')
+        .map(address => address.trim())
+        .filter(Boolean);
+    const clientIp = forwardedFor[forwardedFor.length - (req.ips?.length || 0) - 1];
+    if (clientIp) {
+        req.clientIp = clientIp;
+    }
+
+    next();
+}
+
+/**
+ * Verify a webhook delivered by Shopify
+ * Expects the raw body (express.raw): the signature covers its exact bytes.
+ * Sets req.shop and req.webhook ({ topic, id }) and parses the body as JSON
+ */
+async function verifyShopifyWebhook(req, res, next) {
+    const rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+
+    let check = { valid: false };
+    try {
+        check = await shopify.webhooks.validate({ rawBody, rawRequest: req, rawResponse: res });
+    } catch (error) {
+        // Missing or malformed headers
+    }
+
+    const shop = check.valid ? shopify.utils.sanitizeShop(String(check.domain)) : null;
+
+    if (!shop) {
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid webhook signature',
+            code: 'INVALID_SIGNATURE'
+        });
+    }
+
+    try {
+        req.body = JSON.parse(rawBody);
+    } catch (error) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid JSON body'
+        });
+    }
+
+    req.shop = shop;
+    req.webhook = { topic: check.topic, id: check.webhookId };
+    next();
+}
+
 /**
  * Verify shop ownership for a resource
  * Use after verifyShopifySession to ensure user owns the resource
@@ -167,48 +246,72 @@ function verifyShopOwnership(shopField = 'shop') {
  * Rate limiting middleware (simple in-memory implementation)
  * For production, use Redis-based rate limiting
  */
-const rateLimitMap = new Map();
 const RATE_LIMIT_WINDOW = 60 * 1000; // 1 minute
 const RATE_LIMIT_MAX = 100; // requests per window
 
-function rateLimit(req, res, next) {
-    const identifier = req.shop || req.ip;
-    const now = Date.now();
+// Every limiter's records, for the periodic clean-up
+const rateLimitStores = [];
 
-    if (!rateLimitMap.has(identifier)) {
-        rateLimitMap.set(identifier, { count: 1, windowStart: now });
-        return next();
-    }
+/**
+ * Create a rate limiting middleware allowing `max` requests per `windowMs`
+ * for each key; requests without a key are not limited
+ */
+function createRateLimit({
+    windowMs = RATE_LIMIT_WINDOW,
+    max = RATE_LIMIT_MAX,
+    keyGenerator = (req) => req.shop || req.ip
+} = {}) {
+    const rateLimitMap = new Map();
+    rateLimitStores.push({ rateLimitMap, windowMs });
+
+    return function limit(req, res, next) {
+        const identifier = keyGenerator(req);
+        if (!identifier) {
+            return next();
+        }
 
-    const record = rateLimitMap.get(identifier);
+        const now = Date.now();
 
-    if (now - record.windowStart > RATE_LIMIT_WINDOW) {
-        // Reset window
-        record.count = 1;
-        record.windowStart = now;
-        return next();
-    }
+        if (!rateLimitMap.has(identifier)) {
+            rateLimitMap.set(identifier, { count: 1, windowStart: now });
+            return next();
+        }
 
-    record.count++;
+        const record = rateLimitMap.get(identifier);
 
-    if (record.count > RATE_LIMIT_MAX) {
-        return res.status(429).json({
-            success: false,
-            error: 'Too many requests',
-            code: 'RATE_LIMITED',
-            retryAfter: Math.ceil((RATE_LIMIT_WINDOW - (now - record.windowStart)) / 1000)
-        });
-    }
+        if (now - record.windowStart > windowMs) {
+            // Reset window
+            record.count = 1;
+            record.windowStart = now;
+            return next();
+        }
 
-    next();
+        record.count++;
+
+        if (record.count > max) {
+            return res.status(429).json({
+                success: false,
+                error: 'Too many requests',
+                code: 'RATE_LIMITED',
+                retryAfter: Math.ceil((windowMs - (now - record.windowStart)) / 1000)
+            });
+        }
+
+        next();
+    };
 }
 
-// Clean up rate limit map periodically
+// Admin API: per shop, or per IP before authentication
+const rateLimit = createRateLimit();
+
+// Clean up rate limit maps periodically
 setInterval(() => {
     const now = Date.now();
-    for (const [key, record] of rateLimitMap.entries()) {
-        if (now - record.windowStart > RATE_LIMIT_WINDOW * 2) {
-            rateLimitMap.delete(key);
+    for (const { rateLimitMap, windowMs } of rateLimitStores) {
+        for (const [key, record] of rateLimitMap.entries()) {
+            if (now - record.windowStart > windowMs * 2) {
+                rateLimitMap.delete(key);
+            }
         }
     }
 }, RATE_LIMIT_WINDOW);
@@ -217,6 +320,9 @@ module.exports = {
     shopify,
     verifyShopifySession,
     optionalShopifySession,
+    verifyAppProxySignature,
+    verifyShopifyWebhook,
     verifyShopOwnership,
+    createRateLimit,
     rateLimit
 };
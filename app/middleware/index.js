@@ -5,7 +5,10 @@ const {
     shopify,
     verifyShopifySession,
     optionalShopifySession,
+    verifyAppProxySignature,
+    verifyShopifyWebhook,
     verifyShopOwnership,
+    createRateLimit,
     rateLimit
 } = require('./auth');
 
@@ -13,6 +16,9 @@ module.exports = {
     shopify,
     verifyShopifySession,
     optionalShopifySession,
+    verifyAppProxySignature,
+    verifyShopifyWebhook,
     verifyShopOwnership,
+    createRateLimit,
     rateLimit
 };
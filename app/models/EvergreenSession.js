@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+/**
+ * EvergreenSession Schema - Server-side start time of an evergreen countdown
+ * One record per visitor per timer, so clearing localStorage or opening a
+ * private window does not restart the countdown. Expired records are
+ * removed by MongoDB's TTL monitor.
+ */
+const evergreenSessionSchema = new mongoose.Schema({
+    // Multi-tenant: Each session belongs to a specific shop
+    shop: {
+        type: String,
+        required: [true, 'Shop domain is required'],
+        trim: true,
+        lowercase: true
+    },
+
+    timer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Timer',
+        required: [true, 'Timer is required']
+    },
+
+    // Random ID carried in the visitor's signed token
+    visitorId: {
+        type: String,
+        required: [true, 'Visitor ID is required']
+    },
+
+    // Keyed hash of IP + user agent, used when the token has been cleared
+    fingerprint: {
+        type: String,
+        required: [true, 'Fingerprint is required']
+    },
+
+    startedAt: {
+        type: Date,
+        required: true,
+        default: Date.now
+    },
+
+    // TTL: MongoDB deletes the session once this date passes
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+evergreenSessionSchema.index({ timer: 1, visitorId: 1 }, { unique: true });
+evergreenSessionSchema.index({ timer: 1, fingerprint: 1 });
+evergreenSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const EvergreenSession = mongoose.model('EvergreenSession', evergreenSessionSchema);
+
+module.exports = EvergreenSession;
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const { MAX_VARIANTS, MAX_HOLDOUT_PERCENT } = require('../services/experiments');
+
+const HEX_COLOR = [/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/, 'Invalid hex color'];
+
+/**
+ * Variant Schema - One appearance to test
+ * Unset appearance fields fall back to the timer's own
+ */
+const variantSchema = new mongoose.Schema({
+    // Stable key reported by the widget: a, b, c, ...
+    key: {
+        type: String,
+        required: true,
+        match: /^[a-z]$/
+    },
+
+    name: {
+        type: String,
+        required: [true, 'Variant name is required'],
+        maxlength: [50, 'Variant name cannot exceed 50 characters'],
+        trim: true
+    },
+
+    // Share of the non-holdout visitors, relative to the other variants
+    weight: {
+        type: Number,
+        default: 1,
+        min: [1, 'Weight must be between 1 and 100'],
+        max: [100, 'Weight must be between 1 and 100']
+    },
+
+    appearance: {
+        headline: {
+            type: String,
+            maxlength: [50, 'Headline cannot exceed 50 characters']
+        },
+        supportingText: {
+            type: String,
+            maxlength: [100, 'Supporting text cannot exceed 100 characters']
+        },
+        backgroundColor: {
+            type: String,
+            match: HEX_COLOR
+        },
+        textColor: {
+            type: String,
+            match: HEX_COLOR
+        }
+    }
+}, { _id: false });
+
+/**
+ * Experiment Schema - A/B test of a timer's appearance
+ * Visitors are split between the variants and an optional holdout that
+ * sees no timer. A timer has at most one running experiment; variants are
+ * fixed once it starts, so assignments stay the same for every visitor.
+ */
+const experimentSchema = new mongoose.Schema({
+    // Multi-tenant: Each experiment belongs to a specific shop
+    shop: {
+        type: String,
+        required: [true, 'Shop domain is required'],
+        index: true,
+        trim: true,
+        lowercase: true
+    },
+
+    timer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Timer',
+        required: [true, 'Timer is required']
+    },
+
+    name: {
+        type: String,
+        required: [true, 'Experiment name is required'],
+        maxlength: [100, 'Name cannot exceed 100 characters'],
+        trim: true
+    },
+
+    status: {
+        type: String,
+        enum: {
+            values: ['running', 'stopped'],
+            message: 'Status must be "running" or "stopped"'
+        },
+        default: 'running'
+    },
+
+    variants: {
+        type: [variantSchema],
+        validate: {
+            validator: (variants) => variants.length >= 1 && variants.length <= MAX_VARIANTS,
+            message: `An experiment has 1 to ${MAX_VARIANTS} variants`
+        }
+    },
+
+    // Percent of visitors who see no timer (0 for none)
+    holdoutPercent: {
+        type: Number,
+        default: 0,
+        min: [0, `Holdout must be between 0 and ${MAX_HOLDOUT_PERCENT} percent`],
+        max: [MAX_HOLDOUT_PERCENT, `Holdout must be between 0 and ${MAX_HOLDOUT_PERCENT} percent`]
+    },
+
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    stoppedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+experimentSchema.index({ timer: 1, status: 1 });
+
+/**
+ * Static method: Delete experiments matching a filter, with their stats
+ */
+experimentSchema.statics.deleteWithStats = async function (filter) {
+    const ExperimentStats = mongoose.model('ExperimentStats');
+    const ExperimentVisitor = mongoose.model('ExperimentVisitor');
+
+    const experiments = await this.find(filter).select('_id').lean();
+    if (experiments.length === 0) {
+        return 0;
+    }
+
+    const ids = experiments.map(experiment => experiment._id);
+    await this.deleteMany({ _id: { $in: ids } });
+    await ExperimentStats.deleteMany({ experiment: { $in: ids } });
+    await ExperimentVisitor.deleteMany({ experiment: { $in: ids } });
+    return ids.length;
+};
+
+const Experiment = mongoose.model('Experiment', experimentSchema);
+
+module.exports = Experiment;
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+/**
+ * ExperimentStats Schema - Lifetime counts for one variant of an experiment
+ * (or its holdout). Storefront events are added in batches with the timer
+ * stats, attributed orders by the orders webhook.
+ */
+const experimentStatsSchema = new mongoose.Schema({
+    shop: {
+        type: String,
+        required: [true, 'Shop domain is required'],
+        trim: true,
+        lowercase: true
+    },
+
+    experiment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Experiment',
+        required: [true, 'Experiment is required']
+    },
+
+    // Variant key, or "holdout"
+    variant: {
+        type: String,
+        required: [true, 'Variant is required']
+    },
+
+    // Unique visitors the variant was rendered for (or, in the holdout,
+    // who would have seen the timer)
+    visitors: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    renders: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    impressions: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    clicks: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    addToCarts: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    orders: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    // Attributed order totals, in the shop's currency
+    revenue: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    // Latest stats flushes applied, so a retried flush is not counted twice
+    appliedFlushes: {
+        type: [String],
+        select: false
+    }
+}, {
+    timestamps: true
+});
+
+experimentStatsSchema.index({ experiment: 1, variant: 1 }, { unique: true });
+
+const ExperimentStats = mongoose.model('ExperimentStats', experimentStatsSchema);
+
+module.exports = ExperimentStats;
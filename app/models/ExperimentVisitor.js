@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+/**
+ * ExperimentVisitor Schema - Visitors exposed to an experiment
+ * Lets the variant stats count unique visitors across instances and
+ * flushes: a visitor adds to their variant's count only when their record
+ * is first inserted. Removed with the experiment.
+ */
+const experimentVisitorSchema = new mongoose.Schema({
+    experiment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Experiment',
+        required: [true, 'Experiment is required']
+    },
+
+    // Hash of the visitor key - no raw IPs or visitor IDs are stored
+    visitor: {
+        type: String,
+        required: [true, 'Visitor is required']
+    },
+
+    // Stats flush that inserted the record, which counted the visitor
+    flush: {
+        type: String,
+        default: null
+    },
+
+    variant: {
+        type: String,
+        required: [true, 'Variant is required']
+    }
+});
+
+experimentVisitorSchema.index({ experiment: 1, visitor: 1 }, { unique: true });
+
+const ExperimentVisitor = mongoose.model('ExperimentVisitor', experimentVisitorSchema);
+
+module.exports = ExperimentVisitor;
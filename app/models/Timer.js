@@ -1,10 +1,21 @@
 const mongoose = require('mongoose');
+const { FREQUENCIES, TIME_PATTERN } = require('../services/schedule');
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require('../services/timezone');
+const { PAGE_TYPES, TIMER_CONTEXTS } = require('../services/targeting');
+const {
+    getCurrentWindow,
+    getTimerStatus,
+    matchesTargeting,
+    buildActiveTimerQuery,
+    selectTimers
+} = require('../services/timerRules');
 
 /**
  * Timer Schema - Countdown timer configuration for Shopify stores
- * Supports two timer types:
+ * Supports three timer types:
  * - Fixed: Specific start/end datetime (same countdown for all users)
  * - Evergreen: Session-based, duration in minutes (resets per visitor)
+ * - Recurring: Daily/weekly/monthly window (same countdown for all users)
  */
 const timerSchema = new mongoose.Schema({
     // Multi-tenant: Each timer belongs to a specific shop
@@ -24,16 +35,27 @@ const timerSchema = new mongoose.Schema({
         trim: true
     },
 
-    // Timer type: fixed or evergreen
+    // Timer type: fixed, evergreen or recurring
     type: {
         type: String,
         enum: {
-            values: ['fixed', 'evergreen'],
-            message: 'Type must be either "fixed" or "evergreen"'
+            values: ['fixed', 'evergreen', 'recurring'],
+            message: 'Type must be "fixed", "evergreen", or "recurring"'
         },
         required: [true, 'Timer type is required']
     },
 
+    // IANA timezone the timer was authored in (defaults to the shop's timezone)
+    // Fixed dates are stored as UTC instants; recurring windows use its wall clock
+    timezone: {
+        type: String,
+        default: DEFAULT_TIMEZONE,
+        validate: {
+            validator: isValidTimeZone,
+            message: 'Invalid timezone'
+        }
+    },
+
     // For fixed timers: specific start and end dates
     startDate: {
         type: Date,
@@ -67,13 +89,88 @@ const timerSchema = new mongoose.Schema({
         max: [10080, 'Duration cannot exceed 7 days (10080 minutes)']
     },
 
+    // For evergreen timers: what a visitor sees once their countdown runs out
+    onExpire: {
+        action: {
+            type: String,
+            enum: {
+                values: ['restart', 'cooldown', 'hide', 'message'],
+                message: 'Expiry action must be "restart", "cooldown", "hide", or "message"'
+            },
+            default: 'restart'
+        },
+        // Cooldown: hidden for this long, then the countdown restarts
+        cooldownMinutes: {
+            type: Number,
+            required: function () {
+                return this.onExpire?.action === 'cooldown';
+            },
+            min: [1, 'Cooldown must be at least 1 minute'],
+            max: [43200, 'Cooldown cannot exceed 30 days (43200 minutes)']
+        },
+        // Message: replaces the countdown for this visitor
+        message: {
+            type: String,
+            maxlength: [100, 'Expiry message cannot exceed 100 characters'],
+            default: 'This offer has expired'
+        }
+    },
+
+    // For recurring timers: window that repeats on a schedule
+    schedule: {
+        frequency: {
+            type: String,
+            enum: {
+                values: FREQUENCIES,
+                message: 'Frequency must be "daily", "weekly", or "monthly"'
+            },
+            required: function () {
+                return this.type === 'recurring';
+            }
+        },
+        // Window start/end as "HH:mm"; an end at or before the start runs past midnight
+        startTime: {
+            type: String,
+            match: [TIME_PATTERN, 'Start time must be in HH:mm format']
+        },
+        endTime: {
+            type: String,
+            match: [TIME_PATTERN, 'End time must be in HH:mm format'],
+            required: function () {
+                return this.type === 'recurring';
+            }
+        },
+        // Weekly: 0 (Sunday) - 6 (Saturday)
+        daysOfWeek: [{
+            type: Number,
+            min: 0,
+            max: 6
+        }],
+        // Monthly: clamped to the last day of shorter months
+        dayOfMonth: {
+            type: Number,
+            min: [1, 'Day of month must be between 1 and 31'],
+            max: [31, 'Day of month must be between 1 and 31']
+        }
+    },
+
     // Targeting configuration
     targeting: {
+        // "page" timers target the page being viewed; "cart" timers target
+        // the visitor's cart and show on the cart page and in the cart drawer
+        context: {
+            type: String,
+            enum: {
+                values: TIMER_CONTEXTS,
+                message: 'Context must be "page" or "cart"'
+            },
+            default: 'page'
+        },
         scope: {
             type: String,
             enum: {
-                values: ['all', 'products', 'collections'],
-                message: 'Scope must be "all", "products", or "collections"'
+                values: ['all', 'products', 'collections', 'tags', 'vendors', 'productTypes'],
+                message: 'Scope must be "all", "products", "collections", "tags", "vendors", or "productTypes"'
             },
             default: 'all'
         },
@@ -86,7 +183,65 @@ const timerSchema = new mongoose.Schema({
         collectionIds: [{
             type: String,
             trim: true
-        }]
+        }],
+        // Product tags, vendors and types (matched case-insensitively)
+        tags: [{
+            type: String,
+            trim: true
+        }],
+        vendors: [{
+            type: String,
+            trim: true
+        }],
+        productTypes: [{
+            type: String,
+            trim: true
+        }],
+        // Products never shown this timer, whatever the scope
+        excludeProductIds: [{
+            type: String,
+            trim: true
+        }],
+        // Products in these collections are never shown this timer
+        excludeCollectionIds: [{
+            type: String,
+            trim: true
+        }],
+        // Storefront pages the timer appears on (empty = product pages)
+        pageTypes: {
+            type: [{
+                type: String,
+                enum: {
+                    values: PAGE_TYPES,
+                    message: 'Page type must be one of: ' + PAGE_TYPES.join(', ')
+                }
+            }],
+            default: ['product']
+        },
+        // Limits "page" to these page handles (empty = every page)
+        pageHandles: [{
+            type: String,
+            trim: true,
+            lowercase: true
+        }],
+        // Cart conditions (cart context): the cart contains any of these
+        // products or collections (none = any cart) and reaches a subtotal
+        cart: {
+            productIds: [{
+                type: String,
+                trim: true
+            }],
+            collectionIds: [{
+                type: String,
+                trim: true
+            }],
+            // In the shop's currency, e.g. 50 for $50.00
+            minSubtotal: {
+                type: Number,
+                default: 0,
+                min: [0, 'Minimum cart subtotal cannot be negative']
+            }
+        }
     },
 
     // Appearance customization
@@ -114,16 +269,102 @@ const timerSchema = new mongoose.Schema({
         supportingText: {
             type: String,
             maxlength: [100, 'Supporting text cannot exceed 100 characters']
+        },
+        // What a fixed or recurring timer shows once it reaches zero
+        expiryAction: {
+            type: {
+                type: String,
+                enum: {
+                    values: ['hide', 'message', 'redirect', 'zero'],
+                    message: 'Expiry action must be "hide", "message", "redirect", or "zero"'
+                },
+                default: 'hide'
+            },
+            message: {
+                type: String,
+                maxlength: [100, 'Expiry message cannot exceed 100 characters'],
+                default: 'Sale has ended'
+            },
+            redirectUrl: {
+                type: String,
+                trim: true,
+                match: [/^(https?:\/\/|\/(?![/\\]))\S+$/i, 'Redirect URL must be an http(s) URL or a path starting with "/"'],
+                required: function () {
+                    return this.appearance?.expiryAction?.type === 'redirect';
+                }
+            },
+            // Colours used while "zero" keeps showing 00:00:00
+            backgroundColor: {
+                type: String,
+                default: '#6B7280',
+                match: [/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/, 'Invalid hex color']
+            },
+            textColor: {
+                type: String,
+                default: '#FFFFFF',
+                match: [/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/, 'Invalid hex color']
+            }
         }
     },
 
-    // Analytics
+    // Analytics (lifetime totals of the daily stats)
+    // Renders count every page showing the timer; impressions only views
+    renders: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
     impressions: {
         type: Number,
         default: 0,
         min: 0
     },
 
+    clicks: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    addToCarts: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    orders: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    revenue: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    // Currency of the revenue (the shop's currency, from the latest order)
+    currency: {
+        type: String,
+        match: [/^[A-Z]{3}$/, 'Currency must be an ISO 4217 code']
+    },
+
+    // Latest stats flushes applied, so a retried flush is not counted twice
+    appliedFlushes: {
+        type: [String],
+        select: false
+    },
+
+    // Precedence when several timers match a product (higher wins)
+    priority: {
+        type: Number,
+        default: 0,
+        min: [0, 'Priority must be between 0 and 100'],
+        max: [100, 'Priority must be between 0 and 100']
+    },
+
     // Active status (can be toggled by merchant)
     isActive: {
         type: Boolean,
@@ -145,30 +386,12 @@ const timerSchema = new mongoose.Schema({
 /**
  * Virtual field: Calculate timer status based on dates
  * - active: Timer is currently running (for fixed: between start and end)
- * - scheduled: Timer will start in the future (for fixed only)
+ * - scheduled: Timer will start in the future (recurring: between occurrences)
  * - expired: Timer has ended (for fixed only)
  * - evergreen: Always active for evergreen timers
  */
 timerSchema.virtual('status').get(function () {
-    if (!this.isActive) {
-        return 'inactive';
-    }
-
-    if (this.type === 'evergreen') {
-        return 'active';
-    }
-
-    const now = new Date();
-
-    if (this.startDate > now) {
-        return 'scheduled';
-    }
-
-    if (this.endDate < now) {
-        return 'expired';
-    }
-
-    return 'active';
+    return getTimerStatus(this);
 });
 
 // Compound indexes for optimized queries
@@ -188,69 +411,32 @@ timerSchema.index({
 });
 
 /**
- * Static method: Find active timers for a shop that match product/collection
+ * Static method: Find active timers for a shop that match product/collection,
+ * ordered by precedence (the first one is shown)
+ * product: optional { tags, vendor, productType } for attribute scopes
  */
-timerSchema.statics.findActiveForProduct = async function (shop, productId, collectionIds = []) {
+timerSchema.statics.findActiveForProduct = async function (shop, productId, collectionIds = [], product = {}) {
     const now = new Date();
 
-    const query = {
-        shop,
-        isActive: true,
-        $or: [
-            // Evergreen timers are always active
-            { type: 'evergreen' },
-            // Fixed timers within date range
-            {
-                type: 'fixed',
-                startDate: { $lte: now },
-                endDate: { $gte: now }
-            }
-        ]
-    };
-
-    const timers = await this.find(query).sort({ createdAt: -1 });
+    const timers = await this.find(buildActiveTimerQuery(shop, now)).sort({ createdAt: -1 });
 
-    // Filter by targeting
-    return timers.filter(timer => {
-        const scope = timer.targeting?.scope || 'all';
-
-        if (scope === 'all') {
-            return true;
-        }
-
-        if (scope === 'products' && productId) {
-            return timer.targeting.productIds?.includes(productId);
-        }
-
-        if (scope === 'collections' && collectionIds.length > 0) {
-            return timer.targeting.collectionIds?.some(id =>
-                collectionIds.includes(id)
-            );
-        }
-
-        return false;
-    });
+    // Filter by schedule and targeting, winner first
+    return selectTimers(timers, { ...product, productId, collectionIds }, now);
 };
 
 /**
  * Instance method: Check if timer applies to a product
  */
-timerSchema.methods.appliesToProduct = function (productId, collectionIds = []) {
-    const scope = this.targeting?.scope || 'all';
-
-    if (scope === 'all') return true;
-
-    if (scope === 'products') {
-        return this.targeting.productIds?.includes(productId);
-    }
-
-    if (scope === 'collections') {
-        return this.targeting.collectionIds?.some(id =>
-            collectionIds.includes(id)
-        );
-    }
+timerSchema.methods.appliesToProduct = function (productId, collectionIds = [], product = {}) {
+    return matchesTargeting(this, { ...product, productId, collectionIds });
+};
 
-    return false;
+/**
+ * Instance method: Get the start/end of the occurrence running at `now`
+ * Fixed timers have a single occurrence; evergreen timers have none
+ */
+timerSchema.methods.getCurrentOccurrence = function (now = new Date()) {
+    return getCurrentWindow(this, now);
 };
 
 /**
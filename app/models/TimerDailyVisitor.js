@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+/**
+ * TimerDailyVisitor Schema - Visitors who saw a timer on a given day
+ * Lets the daily rollups count unique visitors across instances and
+ * flushes: a visitor adds to the count only when their record is first
+ * inserted. Records are removed by MongoDB's TTL monitor once the day is over.
+ */
+const timerDailyVisitorSchema = new mongoose.Schema({
+    timer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Timer',
+        required: [true, 'Timer is required']
+    },
+
+    // Day in the timer's timezone, YYYY-MM-DD
+    date: {
+        type: String,
+        required: [true, 'Date is required']
+    },
+
+    // Hash of the visitor key - no raw IPs or visitor IDs are stored
+    visitor: {
+        type: String,
+        required: [true, 'Visitor is required']
+    },
+
+    // Stats flush that inserted the record, which counted the visitor
+    flush: {
+        type: String,
+        default: null
+    },
+
+    // TTL: MongoDB deletes the record once this date passes
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+timerDailyVisitorSchema.index({ timer: 1, date: 1, visitor: 1 }, { unique: true });
+timerDailyVisitorSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const TimerDailyVisitor = mongoose.model('TimerDailyVisitor', timerDailyVisitorSchema);
+
+module.exports = TimerDailyVisitor;
@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const { HOLDOUT_VARIANT } = require('../services/experiments');
+
+/**
+ * TimerOrder Schema - An order attributed to a timer
+ * Written by the orders/create webhook from the cart attribute the widget
+ * sets at add to cart. Each order is stored once, so webhook retries and
+ * duplicate deliveries are not counted twice.
+ */
+const timerOrderSchema = new mongoose.Schema({
+    // Multi-tenant: Each order belongs to a specific shop
+    shop: {
+        type: String,
+        required: [true, 'Shop domain is required'],
+        trim: true,
+        lowercase: true
+    },
+
+    timer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Timer',
+        required: [true, 'Timer is required']
+    },
+
+    // Shopify order ID
+    orderId: {
+        type: String,
+        required: [true, 'Order ID is required']
+    },
+
+    // Experiment variant the visitor saw (or "holdout"), if any
+    experiment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Experiment',
+        default: null
+    },
+
+    variant: {
+        type: String,
+        default: null
+    },
+
+    // Hash of the visitor key, as in TimerDailyVisitor (null if unknown)
+    visitor: {
+        type: String,
+        default: null
+    },
+
+    // Order total (including shipping and taxes) in the shop's currency
+    revenue: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    currency: {
+        type: String,
+        default: null
+    },
+
+    // Day of the order in the timer's timezone, YYYY-MM-DD
+    date: {
+        type: String,
+        required: [true, 'Date is required'],
+        match: [/^\d{4}-\d{2}-\d{2}$/, 'Date must be YYYY-MM-DD']
+    },
+
+    orderedAt: {
+        type: Date,
+        required: true
+    },
+
+    // Stats the order has been added to so far (ORDER_STATS); a retried
+    // delivery adds it to the rest. Missing on orders recorded in full
+    // before this was kept
+    statsApplied: {
+        type: [String],
+        default: undefined
+    }
+}, {
+    timestamps: true
+});
+
+timerOrderSchema.index({ shop: 1, orderId: 1 }, { unique: true });
+timerOrderSchema.index({ timer: 1, date: 1 });
+
+// Stats each order is added to, in the order they are written
+const ORDER_STATS = ['experiment', 'daily', 'timer'];
+
+const addOrderToStats = {
+    experiment: async ({ shop, experiment, variant, revenue }) => {
+        if (experiment) {
+            await mongoose.model('ExperimentStats').updateOne(
+                { experiment, variant },
+                {
+                    $setOnInsert: { shop },
+                    $inc: { orders: 1, revenue }
+                },
+                { upsert: true }
+            );
+        }
+    },
+
+    daily: async ({ shop, timer, date, variant, revenue }) => {
+        if (variant !== HOLDOUT_VARIANT) {
+            await mongoose.model('TimerStatsDaily').updateOne(
+                { timer, date },
+                {
+                    $setOnInsert: { shop },
+                    $inc: { orders: 1, revenue }
+                },
+                { upsert: true }
+            );
+        }
+    },
+
+    timer: async ({ timer, variant, revenue, currency }) => {
+        if (variant !== HOLDOUT_VARIANT) {
+            await mongoose.model('Timer').updateOne(
+                { _id: timer },
+                {
+                    $inc: { orders: 1, revenue },
+                    ...(currency ? { $set: { currency } } : {})
+                }
+            );
+        }
+    }
+};
+
+/**
+ * Static method: Store an attributed order and add it to the timer's
+ * daily stats and lifetime counters, and to its experiment variant's stats.
+ * Holdout orders count for the experiment only: no timer was shown.
+ * Each of the stats is claimed on the order before it is written, so of
+ * concurrent deliveries only one adds to it, and given back if the write
+ * fails, so a retried delivery adds the order to the rest only. Totals are
+ * the stored order's, whatever a redelivery carries
+ * Returns false if the order was already recorded
+ */
+timerOrderSchema.statics.recordOrder = async function (order) {
+    const { shop, orderId } = order;
+
+    await this.updateOne(
+        { shop, orderId },
+        { $setOnInsert: { ...order, statsApplied: [] } },
+        { upsert: true }
+    );
+    const stored = await this.findOne({ shop, orderId }).lean();
+    if (!stored?.statsApplied) {
+        // Recorded in full before the stats were tracked
+        return false;
+    }
+
+    let added = false;
+    for (const stats of ORDER_STATS.filter(name => !stored.statsApplied.includes(name))) {
+        const claim = await this.updateOne(
+            { shop, orderId, statsApplied: { $ne: stats } },
+            { $addToSet: { statsApplied: stats } }
+        );
+        if (claim.modifiedCount !== 1) {
+            // Another delivery got there first
+            continue;
+        }
+
+        try {
+            await addOrderToStats[stats](stored);
+        } catch (error) {
+            await this.updateOne({ shop, orderId }, { $pull: { statsApplied: stats } });
+            throw error;
+        }
+        added = true;
+    }
+
+    return added;
+};
+
+const TimerOrder = mongoose.model('TimerOrder', timerOrderSchema);
+
+module.exports = TimerOrder;
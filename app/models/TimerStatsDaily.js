@@ -0,0 +1,229 @@
+const mongoose = require('mongoose');
+const { TIMER_COUNTER_FIELDS } = require('../services/timerStats');
+
+// Days are at most 26 hours long in any timezone; visitor records are kept
+// a little longer so late flushes still dedupe
+const VISITOR_RETENTION_MS = 2 * 24 * 60 * 60 * 1000;
+
+// Flushes remembered per document; a failed flush is retried before the
+// instance flushes anything newer, so only other instances' flushes can
+// come in between
+const APPLIED_FLUSHES_KEPT = 50;
+
+/**
+ * TimerStatsDaily Schema - Storefront event counts per timer per day
+ * Written in batches by the timer stats service; the day is taken in the
+ * timer's timezone so it lines up with the merchant's calendar.
+ */
+const timerStatsDailySchema = new mongoose.Schema({
+    // Multi-tenant: Each rollup belongs to a specific shop
+    shop: {
+        type: String,
+        required: [true, 'Shop domain is required'],
+        trim: true,
+        lowercase: true
+    },
+
+    timer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Timer',
+        required: [true, 'Timer is required']
+    },
+
+    // Day in the timer's timezone, YYYY-MM-DD (sorts chronologically)
+    date: {
+        type: String,
+        required: [true, 'Date is required'],
+        match: [/^\d{4}-\d{2}-\d{2}$/, 'Date must be YYYY-MM-DD']
+    },
+
+    // Times the timer rendered on a page, and was viewed (at least half of
+    // it on screen for the dwell time) - an impression
+    renders: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    impressions: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    uniqueVisitors: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    expiries: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    // Clicks on the widget, and add to cart clicks while it was showing
+    clicks: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    addToCarts: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    // Orders attributed to the timer, and their total in the shop's currency
+    orders: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    revenue: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    // Latest stats flushes applied, so a retried flush is not counted twice
+    appliedFlushes: {
+        type: [String],
+        select: false
+    }
+}, {
+    timestamps: true
+});
+
+timerStatsDailySchema.index({ timer: 1, date: 1 }, { unique: true });
+timerStatsDailySchema.index({ shop: 1, date: 1 });
+
+/**
+ * Static method: Apply a batch of buffered counts
+ * entries: [{ shop, timer, date, counts: { impressions, clicks, ... }, visitors: [hash],
+ *            variants: [{ experiment, variant, counts, visitors: [hash] }] }]
+ * New visitors are counted once per timer per day, and each timer's
+ * lifetime counters (renders, impressions, clicks, addToCarts) are kept in step
+ * with its rollups. Experiment variants count each visitor once.
+ * A failed batch is retried with the same flushId; every write is applied
+ * once per flush, so the retry only completes what the failure left out
+ */
+timerStatsDailySchema.statics.recordBatch = async function (entries, flushId, now = new Date()) {
+    const TimerDailyVisitor = mongoose.model('TimerDailyVisitor');
+    const Timer = mongoose.model('Timer');
+
+    const statsOps = [];
+    const countersByTimer = new Map();
+    const countersByVariant = new Map();
+
+    for (const { shop, timer, date, counts, visitors, variants = [] } of entries) {
+        for (const variant of variants) {
+            await recordExperimentVisitors(variant, flushId);
+            const key = `${variant.experiment}|${variant.variant}`;
+            const current = countersByVariant.get(key) || { shop, experiment: variant.experiment, variant: variant.variant, counts: {} };
+            for (const [field, count] of Object.entries(variant.counts)) {
+                current.counts[field] = (current.counts[field] || 0) + count;
+            }
+            countersByVariant.set(key, current);
+        }
+
+        // Only holdout events - nothing to add for the timer
+        if (Object.keys(counts).length === 0 && visitors.length === 0) {
+            continue;
+        }
+
+        // Visitors are new if this flush inserted them, on any attempt
+        let uniqueVisitors = 0;
+        if (visitors.length > 0) {
+            await TimerDailyVisitor.bulkWrite(visitors.map(visitor => ({
+                updateOne: {
+                    filter: { timer, date, visitor },
+                    update: { $setOnInsert: { flush: flushId, expiresAt: new Date(now.getTime() + VISITOR_RETENTION_MS) } },
+                    upsert: true
+                }
+            })), { ordered: false });
+            uniqueVisitors = await TimerDailyVisitor.countDocuments({ timer, date, flush: flushId });
+        }
+
+        statsOps.push(...incrementOnce({ timer, date }, { shop }, { ...counts, uniqueVisitors }, flushId));
+
+        const counters = countersByTimer.get(String(timer)) || {};
+        for (const field of TIMER_COUNTER_FIELDS) {
+            if (counts[field]) {
+                counters[field] = (counters[field] || 0) + counts[field];
+            }
+        }
+        if (Object.keys(counters).length > 0) {
+            countersByTimer.set(String(timer), counters);
+        }
+    }
+
+    if (statsOps.length > 0) {
+        await this.bulkWrite(statsOps, { ordered: true });
+    }
+
+    if (countersByTimer.size > 0) {
+        await Timer.bulkWrite([...countersByTimer].flatMap(
+            ([timer, counters]) => incrementOnce({ _id: timer }, null, counters, flushId)
+        ), { ordered: false });
+    }
+
+    if (countersByVariant.size > 0) {
+        const ExperimentVisitor = mongoose.model('ExperimentVisitor');
+        const variantOps = [];
+        for (const { shop, experiment, variant, counts } of countersByVariant.values()) {
+            const visitors = await ExperimentVisitor.countDocuments({ experiment, variant, flush: flushId });
+            variantOps.push(...incrementOnce({ experiment, variant }, { shop }, { ...counts, visitors }, flushId));
+        }
+        await mongoose.model('ExperimentStats').bulkWrite(variantOps, { ordered: true });
+    }
+};
+
+/**
+ * Insert a variant's visitors into the experiment, marked with the flush
+ * that inserted them
+ */
+const recordExperimentVisitors = async ({ experiment, variant, visitors }, flushId) => {
+    if (visitors.length === 0) {
+        return;
+    }
+    await mongoose.model('ExperimentVisitor').bulkWrite(visitors.map(visitor => ({
+        updateOne: {
+            filter: { experiment, visitor },
+            update: { $setOnInsert: { variant, flush: flushId } },
+            upsert: true
+        }
+    })), { ordered: false });
+};
+
+/**
+ * Bulk write operations adding counts to a document once per flush: the
+ * document keeps the IDs of its latest flushes, and a retried flush skips
+ * it if its ID is there. Documents to upsert are created first (with
+ * insertFields), as the guarded update cannot insert them
+ */
+const incrementOnce = (filter, insertFields, $inc, flushId) => [
+    ...(insertFields ? [{
+        updateOne: {
+            filter,
+            update: { $setOnInsert: insertFields },
+            upsert: true
+        }
+    }] : []),
+    {
+        updateOne: {
+            filter: { ...filter, appliedFlushes: { $ne: flushId } },
+            update: {
+                $inc,
+                $push: { appliedFlushes: { $each: [flushId], $slice: -APPLIED_FLUSHES_KEPT } }
+            }
+        }
+    }
+];
+
+const TimerStatsDaily = mongoose.model('TimerStatsDaily', timerStatsDailySchema);
+
+module.exports = TimerStatsDaily;
@@ -3,8 +3,22 @@
  */
 const Timer = require('./Timer');
 const Shop = require('./Shop');
+const EvergreenSession = require('./EvergreenSession');
+const TimerStatsDaily = require('./TimerStatsDaily');
+const TimerDailyVisitor = require('./TimerDailyVisitor');
+const TimerOrder = require('./TimerOrder');
+const Experiment = require('./Experiment');
+const ExperimentStats = require('./ExperimentStats');
+const ExperimentVisitor = require('./ExperimentVisitor');
 
 module.exports = {
     Timer,
-    Shop
+    Shop,
+    EvergreenSession,
+    TimerStatsDaily,
+    TimerDailyVisitor,
+    TimerOrder,
+    Experiment,
+    ExperimentStats,
+    ExperimentVisitor
 };
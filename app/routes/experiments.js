@@ -0,0 +1,414 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { Timer, Experiment, ExperimentStats } = require('../models');
+const { verifyShopifySession, rateLimit } = require('../middleware');
+const {
+    MAX_VARIANTS,
+    MAX_HOLDOUT_PERCENT,
+    VARIANT_APPEARANCE_FIELDS,
+    getVariantKey,
+    getExperimentResults,
+    invalidateShopTimers
+} = require('../services');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(verifyShopifySession);
+router.use(rateLimit);
+
+const HEX_COLOR_REGEX = /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/;
+// Confidence levels results may be computed at
+const CONFIDENCE_LEVELS = [0.8, 0.9, 0.95, 0.99];
+
+/**
+ * Validation helper for new experiments
+ */
+const validateExperimentInput = (data) => {
+    const errors = [];
+
+    if (!mongoose.Types.ObjectId.isValid(data.timerId)) {
+        errors.push({ field: 'timerId', message: 'A valid timer ID is required' });
+    }
+
+    if (!data.name?.trim()) {
+        errors.push({ field: 'name', message: 'Experiment name is required' });
+    } else if (data.name.length > 100) {
+        errors.push({ field: 'name', message: 'Name cannot exceed 100 characters' });
+    }
+
+    const holdoutPercent = data.holdoutPercent ?? 0;
+    if (typeof holdoutPercent !== 'number' || holdoutPercent < 0 || holdoutPercent > MAX_HOLDOUT_PERCENT) {
+        errors.push({ field: 'holdoutPercent', message: `Holdout must be between 0 and ${MAX_HOLDOUT_PERCENT} percent` });
+    }
+
+    if (!Array.isArray(data.variants) || data.variants.length === 0 || data.variants.length > MAX_VARIANTS) {
+        errors.push({ field: 'variants', message: `An experiment has 1 to ${MAX_VARIANTS} variants` });
+        return errors;
+    }
+
+    // A single variant is only an experiment against the holdout
+    if (data.variants.length === 1 && !(holdoutPercent > 0)) {
+        errors.push({ field: 'variants', message: 'Add a second variant or a holdout to compare against' });
+    }
+
+    data.variants.forEach((variant, index) => {
+        const field = `variants.${index}`;
+        if (!variant || typeof variant !== 'object') {
+            errors.push({ field, message: 'Variant must be an object' });
+            return;
+        }
+        if (!variant.name?.trim()) {
+            errors.push({ field: `${field}.name`, message: 'Variant name is required' });
+        } else if (variant.name.length > 50) {
+            errors.push({ field: `${field}.name`, message: 'Variant name cannot exceed 50 characters' });
+        }
+        if (variant.weight !== undefined && (!Number.isInteger(variant.weight) || variant.weight < 1 || variant.weight > 100)) {
+            errors.push({ field: `${field}.weight`, message: 'Weight must be a whole number between 1 and 100' });
+        }
+
+        const appearance = variant.appearance || {};
+        if (appearance.headline && appearance.headline.length > 50) {
+            errors.push({ field: `${field}.appearance.headline`, message: 'Headline cannot exceed 50 characters' });
+        }
+        if (appearance.supportingText && appearance.supportingText.length > 100) {
+            errors.push({ field: `${field}.appearance.supportingText`, message: 'Supporting text cannot exceed 100 characters' });
+        }
+        for (const color of ['backgroundColor', 'textColor']) {
+            if (appearance[color] && !HEX_COLOR_REGEX.test(appearance[color])) {
+                errors.push({ field: `${field}.appearance.${color}`, message: 'Invalid hex color format' });
+            }
+        }
+    });
+
+    return errors;
+};
+
+/**
+ * Variants as stored: keys are assigned here (a, b, c, ...) and only
+ * appearance fields that were set are kept
+ */
+const buildVariants = (variants) => variants.map((variant, index) => {
+    const appearance = {};
+    for (const field of VARIANT_APPEARANCE_FIELDS) {
+        if (typeof variant.appearance?.[field] === 'string' && variant.appearance[field].trim()) {
+            appearance[field] = variant.appearance[field].trim();
+        }
+    }
+    return {
+        key: getVariantKey(index),
+        name: variant.name.trim(),
+        weight: variant.weight ?? 1,
+        appearance
+    };
+});
+
+/**
+ * GET /api/experiments - List the shop's experiments, newest first
+ * Query params:
+ *   - timerId: Only experiments of this timer (optional)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { timerId } = req.query;
+        const query = { shop: req.shop };
+
+        if (timerId !== undefined) {
+            if (!mongoose.Types.ObjectId.isValid(timerId)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid timer ID format'
+                });
+            }
+            query.timer = timerId;
+        }
+
+        const experiments = await Experiment.find(query).sort({ createdAt: -1 }).lean();
+
+        res.json({
+            success: true,
+            data: experiments
+        });
+    } catch (error) {
+        console.error('Error fetching experiments:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch experiments',
+            message: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * POST /api/experiments - Start an experiment on a timer
+ * Body:
+ *   - timerId: The timer to test (required)
+ *   - name: Experiment name (required)
+ *   - variants: [{ name, weight, appearance: { headline, supportingText,
+ *     backgroundColor, textColor } }] (1 to 5; unset fields use the timer's)
+ *   - holdoutPercent: Share of visitors who see no timer, 0-50 (optional)
+ * A timer runs one experiment at a time
+ */
+router.post('/', async (req, res) => {
+    try {
+        const shop = req.shop;
+        const data = req.body || {};
+
+        const errors = validateExperimentInput(data);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                errors
+            });
+        }
+
+        const timer = await Timer.findOne({ _id: data.timerId, shop }).select('_id').lean();
+        if (!timer) {
+            return res.status(404).json({
+                success: false,
+                error: 'Timer not found'
+            });
+        }
+
+        if (await Experiment.exists({ timer: timer._id, status: 'running' })) {
+            return res.status(400).json({
+                success: false,
+                error: 'This timer already has a running experiment. Stop it first.'
+            });
+        }
+
+        const experiment = new Experiment({
+            shop,
+            timer: timer._id,
+            name: data.name.trim(),
+            variants: buildVariants(data.variants),
+            holdoutPercent: data.holdoutPercent ?? 0
+        });
+        await experiment.save();
+        await invalidateShopTimers(shop);
+
+        res.status(201).json({
+            success: true,
+            data: experiment,
+            message: 'Experiment started successfully'
+        });
+    } catch (error) {
+        console.error('Error creating experiment:', error);
+
+        // Handle Mongoose validation errors
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(e => ({
+                field: e.path,
+                message: e.message
+            }));
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                errors
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create experiment',
+            message: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * GET /api/experiments/:id - Get a single experiment
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // Validate ObjectId format
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid experiment ID format'
+            });
+        }
+
+        const experiment = await Experiment.findOne({ _id: id, shop: req.shop }).lean();
+
+        if (!experiment) {
+            return res.status(404).json({
+                success: false,
+                error: 'Experiment not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: experiment
+        });
+    } catch (error) {
+        console.error('Error fetching experiment:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch experiment',
+            message: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * GET /api/experiments/:id/results - Per-variant stats and significance
+ * Query params:
+ *   - confidence: 0.8, 0.9, 0.95 or 0.99 (optional, defaults to 0.95)
+ * Each variant's conversion rate (attributed orders per exposed visitor) is
+ * compared with the baseline - the holdout if there is one, otherwise the
+ * first variant. The winner is the best variant that beats it significantly
+ */
+router.get('/:id/results', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // Validate ObjectId format
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid experiment ID format'
+            });
+        }
+
+        const confidence = req.query.confidence === undefined ? 0.95 : Number(req.query.confidence);
+        if (!CONFIDENCE_LEVELS.includes(confidence)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                errors: [{ field: 'confidence', message: `Confidence must be one of ${CONFIDENCE_LEVELS.join(', ')}` }]
+            });
+        }
+
+        const experiment = await Experiment.findOne({ _id: id, shop: req.shop }).lean();
+
+        if (!experiment) {
+            return res.status(404).json({
+                success: false,
+                error: 'Experiment not found'
+            });
+        }
+
+        const [rows, timer] = await Promise.all([
+            ExperimentStats.find({ experiment: experiment._id }).lean(),
+            Timer.findById(experiment.timer).select('currency').lean()
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                experiment: {
+                    id: experiment._id,
+                    name: experiment.name,
+                    status: experiment.status,
+                    startedAt: experiment.startedAt,
+                    stoppedAt: experiment.stoppedAt
+                },
+                currency: timer?.currency || null,
+                ...getExperimentResults(experiment, rows, { confidence })
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching experiment results:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch experiment results',
+            message: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * POST /api/experiments/:id/stop - Stop a running experiment
+ * The timer goes back to its own appearance for everyone; results are kept
+ */
+router.post('/:id/stop', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // Validate ObjectId format
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid experiment ID format'
+            });
+        }
+
+        const shop = req.shop;
+        const experiment = await Experiment.findOne({ _id: id, shop });
+
+        if (!experiment) {
+            return res.status(404).json({
+                success: false,
+                error: 'Experiment not found'
+            });
+        }
+
+        if (experiment.status === 'running') {
+            experiment.status = 'stopped';
+            experiment.stoppedAt = new Date();
+            await experiment.save();
+            await invalidateShopTimers(shop);
+        }
+
+        res.json({
+            success: true,
+            data: experiment,
+            message: 'Experiment stopped successfully'
+        });
+    } catch (error) {
+        console.error('Error stopping experiment:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to stop experiment',
+            message: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * DELETE /api/experiments/:id - Delete an experiment and its results
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // Validate ObjectId format
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid experiment ID format'
+            });
+        }
+
+        const shop = req.shop;
+        const deleted = await Experiment.deleteWithStats({ _id: id, shop });
+
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                error: 'Experiment not found'
+            });
+        }
+
+        await invalidateShopTimers(shop);
+
+        res.json({
+            success: true,
+            message: 'Experiment deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting experiment:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete experiment',
+            message: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
@@ -3,8 +3,12 @@
  */
 const timersRouter = require('./timers');
 const storefrontRouter = require('./storefront');
+const webhooksRouter = require('./webhooks');
+const experimentsRouter = require('./experiments');
 
 module.exports = {
     timersRouter,
-    storefrontRouter
+    storefrontRouter,
+    webhooksRouter,
+    experimentsRouter
 };
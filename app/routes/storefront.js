@@ -1,24 +1,230 @@
+const crypto = require('crypto');
 const express = require('express');
 const mongoose = require('mongoose');
-const { Timer } = require('../models');
+const { Session } = require('@shopify/shopify-api');
+const { Timer, EvergreenSession, Experiment, Shop } = require('../models');
+const { shopify, createRateLimit } = require('../middleware');
+const {
+    getCurrentWindow,
+    buildCandidateTimerQuery,
+    selectTimers,
+    getShopTimers,
+    getNextBoundary,
+    parseList,
+    SESSION_RETENTION_MS,
+    signSessionToken,
+    verifySessionToken,
+    getVisitorFingerprint,
+    canRestart,
+    getFingerprintWindowMs,
+    createVisitorId,
+    isBotRequest,
+    getVisitorKey,
+    getEventVisitorKey,
+    claimTimerEvent,
+    recordTimerEvent,
+    assignVariant,
+    applyVariant,
+    addCartCollections
+} = require('../services');
 
 const router = express.Router();
 
+// Per visitor IP - generous, since shoppers behind one address (offices,
+// mobile carriers) share it and each page view makes a few requests
+router.use(createRateLimit({
+    max: 300,
+    keyGenerator: (req) => req.clientIp || req.ip
+}));
+
+// Per visitor - a page view records about two events per timer (render
+// and impression). Keyed like the event dedupe, so rotating visitor IDs
+// does not buy more requests
+const eventRateLimit = createRateLimit({
+    max: 60,
+    keyGenerator: (req) => getEventVisitorKey(req)
+});
+
 /**
  * PUBLIC API - No authentication required
- * These endpoints are called from the customer-facing storefront
+ * These endpoints are called from the customer-facing storefront through
+ * the Shopify app proxy (/apps/countdown, verified upstream), or directly
+ * in development
+ */
+
+/**
+ * The requesting shop: the one Shopify signed for app proxy requests,
+ * otherwise (development only) the shop the widget sent
+ */
+const getRequestShop = (req) => req.shop || req.query.shop || req.body?.shop;
+
+/**
+ * A shop's candidate timers, newest first, from the timer cache
+ * Each carries its running experiment, if any, as timer.experiment
+ */
+const loadShopTimers = (shop, now) => {
+    const loadTimers = async () => {
+        const [timers, experiments] = await Promise.all([
+            Timer.find(buildCandidateTimerQuery(shop, now))
+                .sort({ createdAt: -1 })
+                .lean(),
+            Experiment.find({ shop, status: 'running' }).lean()
+        ]);
+        const experimentsByTimer = new Map(experiments.map(experiment => [String(experiment.timer), experiment]));
+        return timers.map(timer => ({ ...timer, experiment: experimentsByTimer.get(String(timer._id)) || null }));
+    };
+    return getShopTimers(shop, loadTimers, now);
+};
+
+/**
+ * The variant of the timer's running experiment a visitor sees, if any
+ */
+const getTimerVariant = (timer, visitorKey) => (timer?.experiment
+    ? assignVariant(timer.experiment, visitorKey)
+    : null);
+
+/**
+ * The timer payload for a visitor, for uncached responses: with their
+ * experiment variant applied, and serverNow, which lets the widget correct
+ * for a visitor's wrong device clock
  */
+const buildVisitorTimerResponse = (timer, now, visitorKey) => {
+    const response = buildTimerResponse(timer, now);
+    const variant = getTimerVariant(timer, visitorKey);
+    return {
+        ...(variant ? applyVariant(response, timer.experiment, variant) : response),
+        serverNow: now
+    };
+};
+
+/**
+ * The experiment variant an event reports, as { id, variant }, if it is the
+ * one the visitor is assigned in the timer's running experiment; otherwise
+ * null (e.g. a page served before the experiment stopped)
+ */
+const getReportedVariant = (timers, timerId, visitorKey, { experimentId, variant }) => {
+    const timer = timers.find(candidate => String(candidate._id) === String(timerId));
+    if (!timer?.experiment || String(timer.experiment._id) !== String(experimentId)
+        || getTimerVariant(timer, visitorKey) !== variant) {
+        return null;
+    }
+    return { id: timer.experiment._id, variant };
+};
+
+// Browser/CDN cache lifetimes for timer lookups, in seconds
+const TIMER_MAX_AGE = 60;
+const TIMER_STALE_WHILE_REVALIDATE = 300;
+
+/**
+ * ETag for a timer lookup: the winning timer's version (or none) plus the
+ * inputs it was selected with, so it can be checked before the body is built
+ * Recurring timers also include their current window, which the body serves,
+ * and timers in an experiment the experiment
+ */
+const buildTimerEtag = (shop, context, timer, now) => {
+    const window = timer?.type === 'recurring' ? getCurrentWindow(timer, now) : null;
+    const hash = crypto.createHash('sha1')
+        .update(JSON.stringify([
+            shop,
+            context,
+            timer ? String(timer._id) : null,
+            timer ? new Date(timer.updatedAt || 0).getTime() : null,
+            window ? new Date(window.startDate).getTime() : null,
+            timer?.experiment ? String(timer.experiment._id) : null
+        ]))
+        .digest('base64url');
+    return `"${hash}"`;
+};
+
+/**
+ * Cache-Control for a timer lookup; browsers and CDN edges may serve it
+ * stale while revalidating, but never past the shop's next timer start or
+ * end, so timers still flip on time
+ */
+const setTimerCacheControl = (res, timers, now) => {
+    const untilBoundary = Math.floor((getNextBoundary(timers, now) - now.getTime()) / 1000);
+    const maxAge = Math.min(TIMER_MAX_AGE, untilBoundary);
+    const staleWhileRevalidate = Math.min(TIMER_STALE_WHILE_REVALIDATE, untilBoundary - maxAge);
+
+    res.set('Cache-Control', staleWhileRevalidate > 0
+        ? `public, max-age=${maxAge}, stale-while-revalidate=${staleWhileRevalidate}`
+        : `public, max-age=${maxAge}`);
+};
+
+/**
+ * Build the minimal timer payload the widget needs, for security and performance
+ * Recurring timers are served as their current fixed window. The payload
+ * only depends on what the lookup ETag covers, so it is safe to cache; it
+ * carries no serverNow, which a cached copy would serve stale
+ */
+const buildTimerResponse = (timer, now) => {
+    const response = {
+        id: timer._id,
+        type: timer.type,
+        appearance: {
+            backgroundColor: timer.appearance?.backgroundColor || '#000000',
+            textColor: timer.appearance?.textColor || '#FFFFFF',
+            position: timer.appearance?.position || 'above-cart',
+            headline: timer.appearance?.headline || '',
+            supportingText: timer.appearance?.supportingText || ''
+        }
+    };
+
+    // Add type-specific fields
+    if (timer.type === 'fixed' || timer.type === 'recurring') {
+        const expiryAction = timer.appearance?.expiryAction || {};
+        response.appearance.expiryAction = {
+            type: expiryAction.type || 'hide',
+            message: expiryAction.message || '',
+            redirectUrl: expiryAction.redirectUrl,
+            backgroundColor: expiryAction.backgroundColor || '#6B7280',
+            textColor: expiryAction.textColor || '#FFFFFF'
+        };
+    }
+
+    if (timer.type === 'fixed') {
+        response.endDate = timer.endDate;
+        response.startDate = timer.startDate;
+    } else if (timer.type === 'evergreen') {
+        response.durationMinutes = timer.durationMinutes;
+        response.onExpire = {
+            action: timer.onExpire?.action || 'restart',
+            cooldownMinutes: timer.onExpire?.cooldownMinutes,
+            message: timer.onExpire?.message || ''
+        };
+    } else if (timer.type === 'recurring') {
+        // Served as the current occurrence's fixed window so the widget
+        // counts down to it without knowing about schedules
+        const occurrence = getCurrentWindow(timer, now);
+        response.type = 'fixed';
+        response.startDate = occurrence.startDate;
+        response.endDate = occurrence.endDate;
+    }
+
+    return response;
+};
 
 /**
  * GET /api/storefront/timer - Get active timer for a product/page
  * Query params:
  *   - shop: Shop domain (required)
- *   - productId: Shopify product GID (optional)
- *   - collectionIds: Comma-separated collection GIDs (optional)
+ *   - productId: Shopify product GID or numeric ID (optional)
+ *   - collectionIds: Comma-separated collection GIDs or numeric IDs (optional)
+ *   - tags: Comma-separated product tags (optional)
+ *   - vendor: Product vendor (optional)
+ *   - productType: Product type (optional)
+ *   - pageType: home, collection, product, cart, search or page (optional, defaults to product)
+ *   - pageHandle: Handle of a custom page (optional)
+ * The response is the same for every visitor, so browsers and CDNs can
+ * cache it. Timers in an experiment carry experiment: { id }; the widget
+ * then asks POST /timer/:id/variant for the visitor's variant.
+ * Responses carry an ETag; a matching If-None-Match gets a 304, including
+ * when there is still no timer
  */
 router.get('/timer', async (req, res) => {
     try {
-        const { shop, productId, collectionIds } = req.query;
+        const { productId, collectionIds, vendor, productType, pageType, pageHandle } = req.query;
+        const shop = getRequestShop(req);
 
         // Validate shop parameter
         if (!shop) {
@@ -32,106 +238,289 @@ router.get('/timer', async (req, res) => {
         const collectionIdArray = collectionIds
             ? collectionIds.split(',').map(id => id.trim()).filter(Boolean)
             : [];
+        const context = {
+            pageType,
+            pageHandle,
+            productId,
+            collectionIds: collectionIdArray,
+            tags: parseList(req.query.tags),
+            vendor,
+            productType
+        };
 
         const now = new Date();
 
-        // Build query for active timers
-        const query = {
-            shop: normalizedShop,
-            isActive: true,
-            $or: [
-                // Evergreen timers are always active
-                { type: 'evergreen' },
-                // Fixed timers within date range
-                {
-                    type: 'fixed',
-                    startDate: { $lte: now },
-                    endDate: { $gte: now }
-                }
-            ]
-        };
+        // Find all candidate timers, sorted by newest first
+        const timers = await loadShopTimers(normalizedShop, now);
 
-        // Find all matching timers, sorted by newest first
-        const timers = await Timer.find(query)
-            .sort({ createdAt: -1 })
-            .lean();
+        // Filter by schedule and targeting rules; the winner (by priority,
+        // then specificity, then newest) comes first
+        const [timer] = selectTimers(timers, context, now);
 
-        // Filter by targeting rules
-        const matchingTimers = timers.filter(timer => {
-            const scope = timer.targeting?.scope || 'all';
+        // Set cache headers even for 404
+        setTimerCacheControl(res, timers, now);
+        res.set('ETag', buildTimerEtag(normalizedShop, context, timer, now));
 
-            // 'all' scope matches everything
-            if (scope === 'all') {
-                return true;
-            }
+        // The visitor's copy is still current - skip building the body
+        if (req.fresh) {
+            return res.status(304).end();
+        }
+
+        if (!timer) {
+            return res.status(404).json({
+                success: false,
+                error: 'No active timer found'
+            });
+        }
+
+        const response = buildTimerResponse(timer, now);
+
+        res.json({
+            success: true,
+            data: timer.experiment ? { ...response, experiment: { id: timer.experiment._id } } : response
+        });
+    } catch (error) {
+        console.error('Storefront timer error:', error);
+        // Fail gracefully - don't break the storefront
+        res.set('Cache-Control', 'public, max-age=30');
+        res.status(500).json({
+            success: false,
+            error: 'Unable to fetch timer'
+        });
+    }
+});
+
+// Enough for the largest collection page a theme renders
+const MAX_BATCH_PRODUCTS = 100;
+
+/**
+ * POST /api/storefront/timers/batch - Get the winning timer for many products at once
+ * Body:
+ *   - shop: Shop domain (required)
+ *   - products: [{ productId, collectionIds, tags, vendor, productType }] (required)
+ *   - visitorId: Random ID the widget keeps for the visitor (optional)
+ * Used for countdown badges on collection grids. Each product is matched as
+ * it would be on its own product page. Products sharing a timer share one
+ * payload: { timers: { [timerId]: timer }, products: { [productId]: timerId | null } }
+ */
+router.post('/timers/batch', async (req, res) => {
+    try {
+        const { products } = req.body;
+        const shop = getRequestShop(req);
+
+        if (!shop) {
+            return res.status(400).json({
+                success: false,
+                error: 'Shop parameter is required'
+            });
+        }
 
-            // 'products' scope - check if productId matches
-            if (scope === 'products' && productId) {
-                return timer.targeting.productIds?.some(id =>
-                    id === productId ||
-                    id.includes(productId) ||
-                    productId.includes(id)
-                );
+        if (!Array.isArray(products) || products.length === 0 || products.length > MAX_BATCH_PRODUCTS) {
+            return res.status(400).json({
+                success: false,
+                error: `Products must be a list of 1 to ${MAX_BATCH_PRODUCTS} products`
+            });
+        }
+
+        const now = new Date();
+
+        // One cached lookup for every product; targeting is applied in memory
+        const timers = await loadShopTimers(shop.toLowerCase().trim(), now);
+
+        const visitorKey = getVisitorKey(req);
+        const timerPayloads = {};
+        const productTimers = {};
+
+        for (const product of products) {
+            if (!product || product.productId === undefined || product.productId === null) {
+                continue;
             }
 
-            // 'collections' scope - check if any collection matches
-            if (scope === 'collections' && collectionIdArray.length > 0) {
-                return timer.targeting.collectionIds?.some(id =>
-                    collectionIdArray.some(cid =>
-                        cid === id ||
-                        cid.includes(id) ||
-                        id.includes(cid)
-                    )
-                );
+            const [timer] = selectTimers(timers, {
+                pageType: 'product',
+                productId: product.productId,
+                collectionIds: parseList(product.collectionIds),
+                tags: parseList(product.tags),
+                vendor: product.vendor,
+                productType: product.productType
+            }, now);
+
+            productTimers[product.productId] = timer ? String(timer._id) : null;
+            if (timer && !timerPayloads[timer._id]) {
+                timerPayloads[timer._id] = buildVisitorTimerResponse(timer, now, visitorKey);
             }
+        }
 
-            return false;
+        res.json({
+            success: true,
+            data: {
+                timers: timerPayloads,
+                products: productTimers
+            }
+        });
+    } catch (error) {
+        console.error('Storefront batch timer error:', error);
+        // Fail gracefully - the grid renders without badges
+        res.status(500).json({
+            success: false,
+            error: 'Unable to fetch timers'
         });
+    }
+});
 
-        // Return the most recently created matching timer
-        const timer = matchingTimers[0];
+// Shopify carts hold at most 500 line items
+const MAX_CART_ITEMS = 500;
+
+/**
+ * Run an Admin API query for a shop with its offline access token,
+ * resolving to the query's data
+ */
+const queryAdminApi = async (shop, query, variables) => {
+    const shopRecord = await Shop.getWithAccessToken(shop);
+    if (!shopRecord?.accessToken) {
+        throw new Error(`No access token for ${shop}`);
+    }
+
+    const client = new shopify.clients.Graphql({
+        session: new Session({
+            id: shopify.session.getOfflineId(shop),
+            shop,
+            state: '',
+            isOnline: false,
+            accessToken: shopRecord.accessToken
+        })
+    });
+    const { data } = await client.request(query, { variables });
+    return data;
+};
+
+/**
+ * POST /api/storefront/timer/cart - Get the active cart timer for a visitor's cart
+ * Body:
+ *   - shop: Shop domain (required)
+ *   - items: Cart line items as [{ productId, collectionIds }] (required);
+ *     collections are looked up for items sent without any
+ *   - subtotal: Cart subtotal in the shop's currency, e.g. 54.5 (optional)
+ *   - visitorId: Random ID the widget keeps for the visitor (optional)
+ * Called by the widget on the cart page and in the cart drawer, and again
+ * whenever the cart changes
+ */
+router.post('/timer/cart', async (req, res) => {
+    try {
+        const { items, subtotal } = req.body;
+        const shop = getRequestShop(req);
+
+        // Depends on the visitor's cart - never cache
+        res.set('Cache-Control', 'no-store');
+
+        if (!shop) {
+            return res.status(400).json({
+                success: false,
+                error: 'Shop parameter is required'
+            });
+        }
+
+        if (!Array.isArray(items) || items.length > MAX_CART_ITEMS) {
+            return res.status(400).json({
+                success: false,
+                error: `Items must be a list of up to ${MAX_CART_ITEMS} cart line items`
+            });
+        }
+
+        const cart = {
+            items: items
+                .filter(item => item && typeof item === 'object')
+                .map(item => ({
+                    productId: item.productId,
+                    collectionIds: parseList(item.collectionIds)
+                })),
+            subtotal: Number(subtotal) || 0
+        };
+
+        const now = new Date();
+        const normalizedShop = shop.toLowerCase().trim();
+        const timers = await loadShopTimers(normalizedShop, now);
+
+        // Items added since the page loaded come without their collections
+        try {
+            cart.items = await addCartCollections(normalizedShop, cart.items, timers,
+                (query, variables) => queryAdminApi(normalizedShop, query, variables));
+        } catch (error) {
+            // Match on the collections the widget sent
+            console.error('Storefront cart collections error:', error);
+        }
+
+        const [timer] = selectTimers(timers, { cart }, now);
 
         if (!timer) {
-            // Set cache header even for 404
-            res.set('Cache-Control', 'public, max-age=60');
             return res.status(404).json({
                 success: false,
                 error: 'No active timer found'
             });
         }
 
-        // Build minimal response for security and performance
-        const response = {
-            id: timer._id,
-            type: timer.type,
-            appearance: {
-                backgroundColor: timer.appearance?.backgroundColor || '#000000',
-                textColor: timer.appearance?.textColor || '#FFFFFF',
-                position: timer.appearance?.position || 'above-cart',
-                headline: timer.appearance?.headline || '',
-                supportingText: timer.appearance?.supportingText || ''
-            }
-        };
+        res.json({
+            success: true,
+            data: buildVisitorTimerResponse(timer, now, getVisitorKey(req))
+        });
+    } catch (error) {
+        console.error('Storefront cart timer error:', error);
+        // Fail gracefully - don't break the cart
+        res.status(500).json({
+            success: false,
+            error: 'Unable to fetch timer'
+        });
+    }
+});
 
-        // Add type-specific fields
-        if (timer.type === 'fixed') {
-            response.endDate = timer.endDate;
-            response.startDate = timer.startDate;
-        } else if (timer.type === 'evergreen') {
-            response.durationMinutes = timer.durationMinutes;
+/**
+ * POST /api/storefront/timer/:id/variant - A timer as a visitor sees it
+ * Body:
+ *   - shop: Shop domain (required)
+ *   - visitorId: Random ID the widget keeps for the visitor (optional)
+ * For timers in an experiment: the visitor's variant, or a holdout payload
+ * ({ id, holdout: true }) for visitors who see no timer. Never cached, so
+ * timer lookups can be the same for everyone
+ */
+router.post('/timer/:id/variant', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const shop = getRequestShop(req);
+
+        res.set('Cache-Control', 'no-store');
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid timer ID'
+            });
         }
 
-        // Set cache header (1 minute)
-        res.set('Cache-Control', 'public, max-age=60');
+        if (!shop) {
+            return res.status(400).json({
+                success: false,
+                error: 'Shop parameter is required'
+            });
+        }
+
+        const now = new Date();
+        const timers = await loadShopTimers(shop.toLowerCase().trim(), now);
+        const timer = timers.find(candidate => String(candidate._id) === id);
+
+        if (!timer) {
+            return res.status(404).json({
+                success: false,
+                error: 'Timer not found'
+            });
+        }
 
+        // Served as it is if the experiment has stopped since the lookup
         res.json({
             success: true,
-            data: response
+            data: buildVisitorTimerResponse(timer, now, getVisitorKey(req))
         });
     } catch (error) {
-        console.error('Storefront timer error:', error);
-        // Fail gracefully - don't break the storefront
-        res.set('Cache-Control', 'public, max-age=30');
+        console.error('Timer variant error:', error);
         res.status(500).json({
             success: false,
             error: 'Unable to fetch timer'
@@ -140,15 +529,21 @@ router.get('/timer', async (req, res) => {
 });
 
 /**
- * POST /api/storefront/timer/:id/impression - Record timer impression
- * This endpoint increments the impression count for analytics
+ * POST /api/storefront/timer/:id/session - Get or start a visitor's evergreen session
+ * Body:
+ *   - shop: Shop domain (required)
+ *   - token: Signed session token from a previous visit (optional)
+ * The start time is kept server-side, so clearing storage does not restart it
  */
-router.post('/timer/:id/impression', async (req, res) => {
+router.post('/timer/:id/session', async (req, res) => {
     try {
         const { id } = req.params;
-        const { shop } = req.body;
+        const { token } = req.body;
+        const shop = getRequestShop(req);
+
+        // Sessions are per visitor - never cache
+        res.set('Cache-Control', 'no-store');
 
-        // Validate ObjectId format
         if (!mongoose.Types.ObjectId.isValid(id)) {
             return res.status(400).json({
                 success: false,
@@ -156,15 +551,19 @@ router.post('/timer/:id/impression', async (req, res) => {
             });
         }
 
-        // Find and increment impression count atomically
-        const timer = await Timer.findOneAndUpdate(
-            {
-                _id: id,
-                ...(shop ? { shop: shop.toLowerCase().trim() } : {})
-            },
-            { $inc: { impressions: 1 } },
-            { new: false } // Don't need updated doc back
-        );
+        if (!shop) {
+            return res.status(400).json({
+                success: false,
+                error: 'Shop parameter is required'
+            });
+        }
+
+        const timer = await Timer.findOne({
+            _id: id,
+            shop: shop.toLowerCase().trim(),
+            type: 'evergreen',
+            isActive: true
+        }).lean();
 
         if (!timer) {
             return res.status(404).json({
@@ -173,21 +572,303 @@ router.post('/timer/:id/impression', async (req, res) => {
             });
         }
 
+        const now = new Date();
+        const durationMs = timer.durationMinutes * 60 * 1000;
+        const fingerprint = getVisitorFingerprint(req, timer._id);
+
+        // Only trust tokens signed for this timer
+        const claimed = verifySessionToken(token, now.getTime());
+        const claim = claimed && claimed.timerId === String(timer._id) ? claimed : null;
+
+        // Prefer the visitor's own token, then fall back to a session of
+        // their fingerprint that still decides the countdown
+        let session = claim
+            ? await EvergreenSession.findOne({ timer: timer._id, visitorId: claim.visitorId })
+            : null;
+        if (!session && !claim) {
+            session = await EvergreenSession.findOne({
+                timer: timer._id,
+                fingerprint,
+                startedAt: { $gte: new Date(now.getTime() - getFingerprintWindowMs(timer)) }
+            }).sort({ updatedAt: -1 });
+        }
+
+        if (!session) {
+            // A signed token outlives a session removed by the TTL index
+            session = new EvergreenSession({
+                shop: timer.shop,
+                timer: timer._id,
+                visitorId: claim ? claim.visitorId : createVisitorId(),
+                startedAt: claim ? claim.startedAt : now
+            });
+        }
+
+        // Countdown has run out - restart it if the expiry policy allows
+        const endTime = session.startedAt.getTime() + durationMs;
+        if (endTime <= now.getTime() && canRestart(timer, endTime, now.getTime())) {
+            session.startedAt = now;
+        }
+
+        // Keep expired sessions while the visitor keeps coming back, so
+        // "hide" and "message" policies stick
+        const lastRelevant = Math.max(session.startedAt.getTime() + durationMs, now.getTime());
+        session.fingerprint = fingerprint;
+        session.expiresAt = new Date(lastRelevant + SESSION_RETENTION_MS);
+        await session.save();
+
+        res.json({
+            success: true,
+            data: {
+                token: signSessionToken({
+                    timerId: timer._id,
+                    visitorId: session.visitorId,
+                    startedAt: session.startedAt,
+                    expiresAt: session.expiresAt
+                }),
+                startedAt: session.startedAt,
+                endDate: new Date(session.startedAt.getTime() + durationMs),
+                serverNow: now
+            }
+        });
+    } catch (error) {
+        console.error('Evergreen session error:', error);
+        // The widget falls back to localStorage
+        res.status(500).json({
+            success: false,
+            error: 'Unable to start session'
+        });
+    }
+});
+
+// Storefront event types and how responses name them
+const EVENT_LABELS = {
+    render: 'Render',
+    impression: 'Impression',
+    expiry: 'Expiry'
+};
+
+/**
+ * Handler recording a storefront timer event in the daily stats
+ * Body:
+ *   - shop: Shop domain (required)
+ *   - visitorId: Random ID the widget keeps for the visitor (optional)
+ *   - experimentId, variant: The experiment variant the widget was served (optional)
+ * Bots are not counted, and each visitor counts once per timer and event
+ * within the dedupe window. Counts are buffered and written in batches
+ */
+const recordEvent = (type) => async (req, res) => {
+    const label = EVENT_LABELS[type];
+
+    try {
+        const { id } = req.params;
+        const shop = getRequestShop(req);
+
         // No cache for POST requests
+        res.set('Cache-Control', 'no-store');
+
+        // Validate ObjectId format
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid timer ID'
+            });
+        }
+
+        if (!shop) {
+            return res.status(400).json({
+                success: false,
+                error: 'Shop parameter is required'
+            });
+        }
+
+        if (isBotRequest(req.get('user-agent'))) {
+            return res.status(403).json({
+                success: false,
+                error: 'Automated requests are not counted',
+                code: 'BOT_DETECTED'
+            });
+        }
+
+        const timer = await Timer.findOne({ _id: id, shop: shop.toLowerCase().trim() })
+            .select('shop timezone')
+            .lean();
+
+        if (!timer) {
+            return res.status(404).json({
+                success: false,
+                error: 'Timer not found'
+            });
+        }
+
+        // Claimed only for real timers, so requests for made-up IDs cannot
+        // fill the dedupe window or use up a visitor's event
+        const eventKey = getEventVisitorKey(req);
+        if (!claimTimerEvent(id, type, eventKey)) {
+            return res.json({
+                success: true,
+                message: `${label} already recorded`
+            });
+        }
+
+        const experiment = req.body.experimentId
+            ? getReportedVariant(await loadShopTimers(timer.shop, new Date()), timer._id, getVisitorKey(req), req.body)
+            : null;
+
+        recordTimerEvent({ shop: timer.shop, timer, type, visitorKey: eventKey, experiment });
+
         res.json({
             success: true,
-            message: 'Impression recorded'
+            message: `${label} recorded`
         });
     } catch (error) {
-        console.error('Impression tracking error:', error);
-        // Fail silently for analytics - don't break the storefront
+        console.error(`${label} tracking error:`, error);
+        // The widget ignores failures, so the storefront is unaffected
+        res.status(500).json({
+            success: false,
+            error: `Unable to record ${label.toLowerCase()}`
+        });
+    }
+};
+
+/**
+ * POST /api/storefront/timer/:id/render - Record a timer rendered on a page,
+ * whether or not the visitor scrolled to it
+ */
+router.post('/timer/:id/render', eventRateLimit, recordEvent('render'));
+
+/**
+ * POST /api/storefront/timer/:id/impression - Record timer impression: the
+ * widget sends it once at least half the timer was on screen for a while
+ */
+router.post('/timer/:id/impression', eventRateLimit, recordEvent('impression'));
+
+/**
+ * POST /api/storefront/timer/:id/expiry - Record a countdown running out
+ * while a visitor watched it
+ */
+router.post('/timer/:id/expiry', eventRateLimit, recordEvent('expiry'));
+
+// Interactions the widget reports in batches
+const INTERACTION_TYPES = ['click', 'addToCart'];
+
+// A page view reports at most a click and an add to cart per timer
+const MAX_EVENT_BATCH = 20;
+
+/**
+ * Parse beacon bodies: navigator.sendBeacon posts JSON as text/plain, which
+ * (unlike application/json) needs no CORS preflight
+ */
+const parseBeaconBody = [
+    express.text({ type: 'text/plain', limit: '10kb' }),
+    (req, res, next) => {
+        if (typeof req.body === 'string') {
+            try {
+                req.body = JSON.parse(req.body);
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid JSON body'
+                });
+            }
+        }
+        next();
+    }
+];
+
+/**
+ * POST /api/storefront/events - Record a batch of widget interactions
+ * Body (JSON, sent with navigator.sendBeacon):
+ *   - shop: Shop domain (required)
+ *   - visitorId: Random ID the widget keeps for the visitor (optional)
+ *   - events: [{ timerId, type: 'click' | 'addToCart', experimentId, variant }] (required;
+ *     experimentId and variant only for timers in an experiment)
+ * Clicks on the widget, and add to cart clicks while a timer shows, count
+ * once per visitor per timer within the dedupe window, like impressions
+ */
+router.post('/events', parseBeaconBody, eventRateLimit, async (req, res) => {
+    try {
+        const { events } = req.body;
+        const shop = getRequestShop(req);
+
+        res.set('Cache-Control', 'no-store');
+
+        if (!shop) {
+            return res.status(400).json({
+                success: false,
+                error: 'Shop parameter is required'
+            });
+        }
+
+        const isValidEvent = (event) => mongoose.Types.ObjectId.isValid(event?.timerId)
+            && INTERACTION_TYPES.includes(event?.type);
+        if (!Array.isArray(events) || events.length === 0 || events.length > MAX_EVENT_BATCH
+            || !events.every(isValidEvent)) {
+            return res.status(400).json({
+                success: false,
+                error: `Events must be a list of 1 to ${MAX_EVENT_BATCH} events of type ${INTERACTION_TYPES.join(' or ')}`
+            });
+        }
+
+        if (isBotRequest(req.get('user-agent'))) {
+            return res.status(403).json({
+                success: false,
+                error: 'Automated requests are not counted',
+                code: 'BOT_DETECTED'
+            });
+        }
+
+        const timerIds = [...new Set(events.map(event => String(event.timerId)))];
+        const timers = await Timer.find({ _id: { $in: timerIds }, shop: shop.toLowerCase().trim() })
+            .select('shop timezone')
+            .lean();
+        const timersById = new Map(timers.map(timer => [String(timer._id), timer]));
+
+        const shopTimers = events.some(event => event.experimentId)
+            ? await loadShopTimers(shop.toLowerCase().trim(), new Date())
+            : [];
+
+        const visitorKey = getVisitorKey(req);
+        const eventKey = getEventVisitorKey(req);
+        let recorded = 0;
+        for (const event of events) {
+            const timer = timersById.get(String(event.timerId));
+            if (timer && claimTimerEvent(timer._id, event.type, eventKey)) {
+                const experiment = event.experimentId
+                    ? getReportedVariant(shopTimers, timer._id, visitorKey, event)
+                    : null;
+                recordTimerEvent({ shop: timer.shop, timer, type: event.type, visitorKey: eventKey, experiment });
+                recorded++;
+            }
+        }
+
         res.json({
             success: true,
-            message: 'Impression recorded'
+            data: { recorded }
+        });
+    } catch (error) {
+        console.error('Event tracking error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Unable to record events'
         });
     }
 });
 
+/**
+ * GET /api/storefront/time - Current server time
+ * Long-lived pages re-sync the widget's clock with this; unlike timer
+ * lookups it is never cached, so the time is always current
+ */
+router.get('/time', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.json({
+        success: true,
+        data: {
+            serverNow: new Date()
+        }
+    });
+});
+
 /**
  * GET /api/storefront/health - Health check for storefront API
  */
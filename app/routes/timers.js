@@ -1,7 +1,31 @@
 const express = require('express');
 const mongoose = require('mongoose');
-const { Timer } = require('../models');
+const { Timer, TimerStatsDaily, TimerOrder, Experiment } = require('../models');
 const { verifyShopifySession, rateLimit } = require('../middleware');
+const {
+    validateSchedule,
+    getTimerStatus,
+    TIMER_STATUSES,
+    DEFAULT_TIMEZONE,
+    isValidTimeZone,
+    parseZonedDateTime,
+    timersOverlap,
+    compareTimerPrecedence,
+    normalizeShopifyId,
+    PAGE_TYPES,
+    TIMER_CONTEXTS,
+    invalidateShopTimers,
+    STATS_GRANULARITIES,
+    getStatsDate,
+    parseStatsDate,
+    buildStatsSeries,
+    getOrderMetrics,
+    EXPORT_FORMATS,
+    getTimerExportFields,
+    fillStatsDays,
+    createExportSerializer,
+    getExportFilename
+} = require('../services');
 
 const router = express.Router();
 
@@ -9,6 +33,30 @@ const router = express.Router();
 router.use(verifyShopifySession);
 router.use(rateLimit);
 
+const TIMER_TYPES = ['fixed', 'evergreen', 'recurring'];
+const EXPIRE_ACTIONS = ['restart', 'cooldown', 'hide', 'message'];
+const EXPIRY_ACTION_TYPES = ['hide', 'message', 'redirect', 'zero'];
+const TARGETING_SCOPES = ['all', 'products', 'collections', 'tags', 'vendors', 'productTypes'];
+// Targeting ID fields and the Shopify resource their IDs belong to
+const ID_FIELDS = {
+    productIds: 'Product',
+    collectionIds: 'Collection',
+    excludeProductIds: 'Product',
+    excludeCollectionIds: 'Collection'
+};
+// Cart-context ID fields ("cart contains any of these")
+const CART_ID_FIELDS = {
+    productIds: 'Product',
+    collectionIds: 'Collection'
+};
+const ATTRIBUTE_LABELS = { tags: 'tag', vendors: 'vendor', productTypes: 'product type' };
+// http(s) URLs, or paths on the store: "//host" and "/\\host" lead off-site
+const REDIRECT_URL_REGEX = /^(https?:\/\/|\/(?![/\\]))\S+$/i;
+// Analytics ranges: the last 30 days by default, at most two years
+const DEFAULT_ANALYTICS_DAYS = 30;
+const MAX_ANALYTICS_DAYS = 731;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 /**
  * Validation helper functions
  */
@@ -20,8 +68,8 @@ const validateTimerInput = (data, isUpdate = false) => {
         if (!data.name?.trim()) {
             errors.push({ field: 'name', message: 'Timer name is required' });
         }
-        if (!data.type || !['fixed', 'evergreen'].includes(data.type)) {
-            errors.push({ field: 'type', message: 'Timer type must be "fixed" or "evergreen"' });
+        if (!data.type || !TIMER_TYPES.includes(data.type)) {
+            errors.push({ field: 'type', message: 'Timer type must be "fixed", "evergreen", or "recurring"' });
         }
     }
 
@@ -30,6 +78,12 @@ const validateTimerInput = (data, isUpdate = false) => {
         errors.push({ field: 'name', message: 'Name cannot exceed 100 characters' });
     }
 
+    // Timezone validation (dates are read in this zone below)
+    if (data.timezone !== undefined && !isValidTimeZone(data.timezone)) {
+        errors.push({ field: 'timezone', message: 'Timezone must be a valid IANA timezone (e.g. "America/New_York")' });
+    }
+    const timeZone = isValidTimeZone(data.timezone) ? data.timezone : DEFAULT_TIMEZONE;
+
     // Type-specific validation
     if (data.type === 'fixed') {
         if (!data.startDate) {
@@ -39,8 +93,8 @@ const validateTimerInput = (data, isUpdate = false) => {
             errors.push({ field: 'endDate', message: 'End date is required for fixed timers' });
         }
         if (data.startDate && data.endDate) {
-            const start = new Date(data.startDate);
-            const end = new Date(data.endDate);
+            const start = parseZonedDateTime(data.startDate, timeZone);
+            const end = parseZonedDateTime(data.endDate, timeZone);
             if (isNaN(start.getTime())) {
                 errors.push({ field: 'startDate', message: 'Invalid start date format' });
             }
@@ -62,6 +116,28 @@ const validateTimerInput = (data, isUpdate = false) => {
         }
     }
 
+    // Evergreen expiry policy validation
+    if (data.onExpire) {
+        const { action, cooldownMinutes, message } = data.onExpire;
+        if (action && !EXPIRE_ACTIONS.includes(action)) {
+            errors.push({ field: 'onExpire.action', message: 'Expiry action must be "restart", "cooldown", "hide", or "message"' });
+        }
+        if (action === 'cooldown' && (!Number.isInteger(cooldownMinutes) || cooldownMinutes < 1 || cooldownMinutes > 43200)) {
+            errors.push({ field: 'onExpire.cooldownMinutes', message: 'Cooldown must be between 1 minute and 30 days' });
+        }
+        if (message && message.length > 100) {
+            errors.push({ field: 'onExpire.message', message: 'Expiry message cannot exceed 100 characters' });
+        }
+    }
+
+    if (data.type === 'recurring') {
+        errors.push(...validateSchedule(data.schedule));
+    }
+
+    if (data.priority !== undefined && (!Number.isInteger(data.priority) || data.priority < 0 || data.priority > 100)) {
+        errors.push({ field: 'priority', message: 'Priority must be a whole number between 0 and 100' });
+    }
+
     // Appearance validation
     if (data.appearance) {
         const hexColorRegex = /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/;
@@ -77,11 +153,31 @@ const validateTimerInput = (data, isUpdate = false) => {
         if (data.appearance.supportingText && data.appearance.supportingText.length > 100) {
             errors.push({ field: 'appearance.supportingText', message: 'Supporting text cannot exceed 100 characters' });
         }
+
+        // Fixed/recurring end-of-timer action
+        const expiryAction = data.appearance.expiryAction;
+        if (expiryAction) {
+            if (expiryAction.type && !EXPIRY_ACTION_TYPES.includes(expiryAction.type)) {
+                errors.push({ field: 'appearance.expiryAction.type', message: 'Expiry action must be "hide", "message", "redirect", or "zero"' });
+            }
+            if (expiryAction.message && expiryAction.message.length > 100) {
+                errors.push({ field: 'appearance.expiryAction.message', message: 'Expiry message cannot exceed 100 characters' });
+            }
+            if (expiryAction.type === 'redirect' && !REDIRECT_URL_REGEX.test(expiryAction.redirectUrl || '')) {
+                errors.push({ field: 'appearance.expiryAction.redirectUrl', message: 'Redirect URL must be an http(s) URL or a path starting with "/"' });
+            }
+            if (expiryAction.backgroundColor && !hexColorRegex.test(expiryAction.backgroundColor)) {
+                errors.push({ field: 'appearance.expiryAction.backgroundColor', message: 'Invalid hex color format' });
+            }
+            if (expiryAction.textColor && !hexColorRegex.test(expiryAction.textColor)) {
+                errors.push({ field: 'appearance.expiryAction.textColor', message: 'Invalid hex color format' });
+            }
+        }
     }
 
     // Targeting validation
     if (data.targeting) {
-        if (data.targeting.scope && !['all', 'products', 'collections'].includes(data.targeting.scope)) {
+        if (data.targeting.scope && !TARGETING_SCOPES.includes(data.targeting.scope)) {
             errors.push({ field: 'targeting.scope', message: 'Invalid targeting scope' });
         }
         if (data.targeting.scope === 'products' && (!data.targeting.productIds || !data.targeting.productIds.length)) {
@@ -90,11 +186,123 @@ const validateTimerInput = (data, isUpdate = false) => {
         if (data.targeting.scope === 'collections' && (!data.targeting.collectionIds || !data.targeting.collectionIds.length)) {
             errors.push({ field: 'targeting.collectionIds', message: 'At least one collection must be selected' });
         }
+        for (const [field, label] of Object.entries(ATTRIBUTE_LABELS)) {
+            const values = data.targeting[field];
+            if (values !== undefined && (!Array.isArray(values) || !values.every(value => typeof value === 'string'))) {
+                errors.push({ field: `targeting.${field}`, message: `Each ${label} must be text` });
+            } else if (data.targeting.scope === field && !values?.some(value => value.trim())) {
+                errors.push({ field: `targeting.${field}`, message: `At least one ${label} must be entered` });
+            }
+        }
+        for (const [field, resource] of Object.entries(ID_FIELDS)) {
+            const ids = data.targeting[field];
+            if (ids === undefined) {
+                continue;
+            }
+            if (!Array.isArray(ids)) {
+                errors.push({ field: `targeting.${field}`, message: 'Must be a list of IDs' });
+                continue;
+            }
+            const invalid = ids.filter(id => !normalizeShopifyId(id, resource));
+            if (invalid.length > 0) {
+                errors.push({
+                    field: `targeting.${field}`,
+                    message: `Invalid ${resource.toLowerCase()} ID: ${invalid.slice(0, 3).join(', ')} (use a numeric ID or gid://shopify/${resource}/...)`
+                });
+            }
+        }
+        const { pageTypes, pageHandles } = data.targeting;
+        if (pageTypes !== undefined && (!Array.isArray(pageTypes) || pageTypes.length === 0)) {
+            errors.push({ field: 'targeting.pageTypes', message: 'Select at least one page type' });
+        } else if (pageTypes?.some(pageType => !PAGE_TYPES.includes(pageType))) {
+            errors.push({ field: 'targeting.pageTypes', message: `Page types must be from: ${PAGE_TYPES.join(', ')}` });
+        }
+        if (pageHandles !== undefined && (!Array.isArray(pageHandles) || !pageHandles.every(handle => /^[a-z0-9-]+$/.test(handle)))) {
+            errors.push({ field: 'targeting.pageHandles', message: 'Page handles may only contain lowercase letters, numbers and dashes' });
+        }
+        if (data.targeting.context !== undefined && !TIMER_CONTEXTS.includes(data.targeting.context)) {
+            errors.push({ field: 'targeting.context', message: 'Context must be "page" or "cart"' });
+        }
+        const cart = data.targeting.cart;
+        if (cart !== undefined) {
+            for (const [field, resource] of Object.entries(CART_ID_FIELDS)) {
+                const ids = cart?.[field];
+                if (ids !== undefined && (!Array.isArray(ids) || ids.some(id => !normalizeShopifyId(id, resource)))) {
+                    errors.push({
+                        field: `targeting.cart.${field}`,
+                        message: `Cart ${resource.toLowerCase()}s must be numeric IDs or gid://shopify/${resource}/... IDs`
+                    });
+                }
+            }
+            const minSubtotal = cart?.minSubtotal;
+            if (minSubtotal !== undefined && (typeof minSubtotal !== 'number' || !Number.isFinite(minSubtotal) || minSubtotal < 0)) {
+                errors.push({ field: 'targeting.cart.minSubtotal', message: 'Minimum cart subtotal must be a number of 0 or more' });
+            }
+        }
+        if (data.targeting.scope === 'products' && data.targeting.excludeProductIds?.length &&
+            data.targeting.productIds?.every(id => data.targeting.excludeProductIds.includes(id))) {
+            errors.push({ field: 'targeting.excludeProductIds', message: 'Every selected product is excluded' });
+        }
     }
 
     return errors;
 };
 
+/**
+ * Get the shop's IANA timezone, falling back to UTC
+ */
+const getShopTimezone = (req) => {
+    const timezone = req.shopRecord?.shopInfo?.timezone;
+    return isValidTimeZone(timezone) ? timezone : DEFAULT_TIMEZONE;
+};
+
+/**
+ * Resolve naive local dates (e.g. "2026-11-27T09:00") in the timer's timezone
+ */
+const applyTimezone = (data, timeZone) => {
+    const resolved = { ...data };
+
+    if (resolved.startDate) {
+        resolved.startDate = parseZonedDateTime(resolved.startDate, timeZone);
+    }
+    if (resolved.endDate) {
+        resolved.endDate = parseZonedDateTime(resolved.endDate, timeZone);
+    }
+
+    return resolved;
+};
+
+/**
+ * Warn about other active timers competing for the same products
+ * Overlaps are allowed - precedence decides which one the storefront shows
+ */
+const findOverlapWarnings = async (timer) => {
+    if (!timer.isActive) {
+        return [];
+    }
+
+    const others = await Timer.find({
+        shop: timer.shop,
+        isActive: true,
+        _id: { $ne: timer._id },
+        $or: [
+            { type: { $ne: 'fixed' } },
+            { endDate: { $gte: new Date() } }
+        ]
+    }).lean();
+
+    return others
+        .filter(other => timersOverlap(timer, other))
+        .map(other => {
+            const winner = compareTimerPrecedence(timer, other) <= 0 ? timer : other;
+            return {
+                field: 'targeting',
+                timerId: other._id,
+                message: `Overlaps with active timer "${other.name}"; "${winner.name}" takes precedence`
+            };
+        });
+};
+
 /**
  * Sanitize user input
  */
@@ -104,12 +312,50 @@ const sanitizeInput = (data) => {
     if (sanitized.name) {
         sanitized.name = sanitized.name.trim().slice(0, 100);
     }
+    // Store IDs as GIDs so they compare exactly; invalid ones are left for validation
+    for (const [field, resource] of Object.entries(ID_FIELDS)) {
+        if (Array.isArray(sanitized.targeting?.[field])) {
+            sanitized.targeting[field] = [...new Set(
+                sanitized.targeting[field].map(id => normalizeShopifyId(id, resource) || id)
+            )];
+        }
+    }
+    for (const [field, resource] of Object.entries(CART_ID_FIELDS)) {
+        if (Array.isArray(sanitized.targeting?.cart?.[field])) {
+            sanitized.targeting.cart[field] = [...new Set(
+                sanitized.targeting.cart[field].map(id => normalizeShopifyId(id, resource) || id)
+            )];
+        }
+    }
+    if (Array.isArray(sanitized.targeting?.pageHandles)) {
+        sanitized.targeting.pageHandles = sanitized.targeting.pageHandles
+            .filter(handle => typeof handle === 'string')
+            .map(handle => handle.trim().toLowerCase())
+            .filter(Boolean);
+    }
+    for (const field of Object.keys(ATTRIBUTE_LABELS)) {
+        if (Array.isArray(sanitized.targeting?.[field])) {
+            sanitized.targeting[field] = sanitized.targeting[field]
+                .filter(value => typeof value === 'string')
+                .map(value => value.trim())
+                .filter(Boolean);
+        }
+    }
     if (sanitized.appearance?.headline) {
         sanitized.appearance.headline = sanitized.appearance.headline.trim().slice(0, 50);
     }
     if (sanitized.appearance?.supportingText) {
         sanitized.appearance.supportingText = sanitized.appearance.supportingText.trim().slice(0, 100);
     }
+    if (sanitized.appearance?.expiryAction?.message) {
+        sanitized.appearance.expiryAction.message = sanitized.appearance.expiryAction.message.trim().slice(0, 100);
+    }
+    if (sanitized.appearance?.expiryAction?.redirectUrl) {
+        sanitized.appearance.expiryAction.redirectUrl = sanitized.appearance.expiryAction.redirectUrl.trim();
+    }
+    if (sanitized.onExpire?.message) {
+        sanitized.onExpire.message = sanitized.onExpire.message.trim().slice(0, 100);
+    }
 
     return sanitized;
 };
@@ -125,7 +371,7 @@ router.get('/', async (req, res) => {
         // Build query
         const query = { shop };
 
-        if (type && ['fixed', 'evergreen'].includes(type)) {
+        if (type && TIMER_TYPES.includes(type)) {
             query.type = type;
         }
 
@@ -145,31 +391,18 @@ router.get('/', async (req, res) => {
 
         // Calculate status for each timer (since virtual fields don't work with lean)
         const now = new Date();
-        const timersWithStatus = timers.map(timer => {
-            let timerStatus = 'active';
-
-            if (!timer.isActive) {
-                timerStatus = 'inactive';
-            } else if (timer.type === 'fixed') {
-                if (new Date(timer.startDate) > now) {
-                    timerStatus = 'scheduled';
-                } else if (new Date(timer.endDate) < now) {
-                    timerStatus = 'expired';
-                }
-            }
-
-            return { ...timer, status: timerStatus };
-        });
+        const timersWithStatus = timers.map(timer => ({ ...timer, status: getTimerStatus(timer, now) }));
 
         // Filter by status if provided
         let filteredTimers = timersWithStatus;
-        if (status && ['active', 'scheduled', 'expired', 'inactive'].includes(status)) {
+        if (status && TIMER_STATUSES.includes(status)) {
             filteredTimers = timersWithStatus.filter(t => t.status === status);
         }
 
         res.json({
             success: true,
             data: filteredTimers,
+            timezone: getShopTimezone(req),
             pagination: {
                 page: parseInt(page),
                 limit: limitNum,
@@ -195,6 +428,11 @@ router.post('/', async (req, res) => {
         const shop = req.shop;
         const data = sanitizeInput(req.body);
 
+        // New timers are authored in the shop's timezone unless one is given
+        if (!data.timezone) {
+            data.timezone = getShopTimezone(req);
+        }
+
         // Validate input
         const errors = validateTimerInput(data);
         if (errors.length > 0) {
@@ -207,7 +445,7 @@ router.post('/', async (req, res) => {
 
         // Create timer with shop association
         const timerData = {
-            ...data,
+            ...applyTimezone(data, data.timezone),
             shop,
             targeting: data.targeting || { scope: 'all' },
             appearance: {
@@ -215,12 +453,14 @@ router.post('/', async (req, res) => {
                 textColor: data.appearance?.textColor || '#FFFFFF',
                 position: data.appearance?.position || 'above-cart',
                 headline: data.appearance?.headline || 'Hurry! Offer ends soon',
-                supportingText: data.appearance?.supportingText || ''
+                supportingText: data.appearance?.supportingText || '',
+                expiryAction: data.appearance?.expiryAction
             }
         };
 
         const timer = new Timer(timerData);
         await timer.save();
+        await invalidateShopTimers(shop);
 
         // Update onboarding if first timer
         if (req.shopRecord) {
@@ -230,6 +470,7 @@ router.post('/', async (req, res) => {
         res.status(201).json({
             success: true,
             data: timer,
+            warnings: await findOverlapWarnings(timer),
             message: 'Timer created successfully'
         });
     } catch (error) {
@@ -256,6 +497,161 @@ router.post('/', async (req, res) => {
     }
 });
 
+/**
+ * The from..to range of an analytics request, in stats dates (YYYY-MM-DD)
+ * Defaults to the last 30 days, ending today in the given timezone
+ * Returns { from, to, errors }
+ */
+const parseAnalyticsRange = (query, timeZone) => {
+    const to = query.to || getStatsDate(new Date(), timeZone);
+    const from = query.from
+        || getStatsDate(new Date(parseStatsDate(to) - (DEFAULT_ANALYTICS_DAYS - 1) * DAY_MS), 'UTC');
+
+    const errors = [];
+    if (parseStatsDate(from) === null) {
+        errors.push({ field: 'from', message: 'From must be a date (YYYY-MM-DD)' });
+    }
+    if (parseStatsDate(to) === null) {
+        errors.push({ field: 'to', message: 'To must be a date (YYYY-MM-DD)' });
+    }
+    if (errors.length === 0) {
+        const days = (parseStatsDate(to) - parseStatsDate(from)) / DAY_MS + 1;
+        if (days < 1) {
+            errors.push({ field: 'from', message: 'From must not be after to' });
+        } else if (days > MAX_ANALYTICS_DAYS) {
+            errors.push({ field: 'from', message: `Range can be at most ${MAX_ANALYTICS_DAYS} days` });
+        }
+    }
+
+    return { from, to, errors };
+};
+
+/**
+ * Validation errors for an export's format (csv or ndjson)
+ */
+const validateExportFormat = (format) => (EXPORT_FORMATS[format]
+    ? []
+    : [{ field: 'format', message: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` }]);
+
+/**
+ * A timer's export records for each day of the range, read from its daily
+ * stats with a cursor
+ */
+async function* getTimerExportRecords(timer, range, now) {
+    const settings = getTimerExportFields(timer, now);
+    const rows = TimerStatsDaily.find({
+        timer: timer._id,
+        date: { $gte: range.from, $lte: range.to }
+    }).sort({ date: 1 }).lean().cursor();
+
+    for await (const day of fillStatsDays(rows, range)) {
+        yield { ...settings, ...day };
+    }
+}
+
+/**
+ * Export records of every timer from a timer cursor, one timer at a time
+ */
+async function* getShopExportRecords(timers, range, now) {
+    for await (const timer of timers) {
+        yield* getTimerExportRecords(timer, range, now);
+    }
+}
+
+/**
+ * Wait until a response takes more data or is closed, removing both
+ * listeners either way so long downloads do not pile them up
+ */
+const waitForDrain = (res) => new Promise(resolve => {
+    const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+});
+
+/**
+ * Stream export records as a file download, waiting for the client to keep
+ * up and stopping if it goes away. Errors once the download has started
+ * abort it, so a truncated file is never mistaken for a complete one
+ */
+const streamExport = async (res, { format, filename, records }) => {
+    const serializer = createExportSerializer(format);
+
+    res.set({
+        'Content-Type': EXPORT_FORMATS[format].contentType,
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Cache-Control': 'no-store'
+    });
+    res.write(serializer.header());
+
+    for await (const record of records) {
+        if (res.destroyed || res.writableEnded) {
+            return;
+        }
+        if (!res.write(serializer.record(record))) {
+            await waitForDrain(res);
+        }
+    }
+    res.end();
+};
+
+
+/**
+ * Respond to an export error: JSON before the download started, otherwise
+ * abort the download
+ */
+const handleExportError = (res, error) => {
+    console.error('Error exporting timer analytics:', error);
+    if (res.headersSent) {
+        res.destroy(error);
+        return;
+    }
+    res.status(500).json({
+        success: false,
+        error: 'Failed to export timer analytics',
+        message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+};
+
+/**
+ * GET /api/timers/export - Download all the shop's timers with their daily metrics
+ * Query params:
+ *   - format: csv or ndjson (optional, defaults to csv)
+ *   - from, to: First and last day, YYYY-MM-DD (optional, defaults to the
+ *     last 30 days in the shop's timezone); days are in each timer's timezone
+ * One record per timer per day, newest timer first. Timers and their stats
+ * are read with cursors, so exports of large shops are streamed
+ */
+router.get('/export', async (req, res) => {
+    try {
+        const shop = req.shop;
+        const { format = 'csv' } = req.query;
+
+        const range = parseAnalyticsRange(req.query, getShopTimezone(req));
+        const errors = [...range.errors, ...validateExportFormat(format)];
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                errors
+            });
+        }
+
+        const timers = Timer.find({ shop }).sort({ createdAt: -1 }).lean().cursor();
+
+        await streamExport(res, {
+            format,
+            filename: getExportFilename('timers', range, format),
+            records: getShopExportRecords(timers, range, new Date())
+        });
+    } catch (error) {
+        handleExportError(res, error);
+    }
+});
+
 /**
  * GET /api/timers/:id - Get a single timer
  */
@@ -295,6 +691,131 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/timers/:id/analytics - Storefront event counts over time
+ * Query params:
+ *   - from, to: First and last day, YYYY-MM-DD in the timer's timezone
+ *     (optional, defaults to the last 30 days)
+ *   - granularity: day, week or month (optional, defaults to day)
+ * Returns a series with a point per period (zero when nothing happened)
+ * and the totals for the range, with the conversion rate and average order
+ * value of attributed orders (revenue is in the shop's currency)
+ */
+router.get('/:id/analytics', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const shop = req.shop;
+        const { granularity = 'day' } = req.query;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid timer ID format'
+            });
+        }
+
+        const timer = await Timer.findOne({ _id: id, shop }).select('timezone currency').lean();
+
+        if (!timer) {
+            return res.status(404).json({
+                success: false,
+                error: 'Timer not found'
+            });
+        }
+
+        const { from, to, errors } = parseAnalyticsRange(req.query, timer.timezone);
+        if (!STATS_GRANULARITIES.includes(granularity)) {
+            errors.push({ field: 'granularity', message: `Granularity must be one of: ${STATS_GRANULARITIES.join(', ')}` });
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                errors
+            });
+        }
+
+        const rows = await TimerStatsDaily.find({
+            timer: timer._id,
+            date: { $gte: from, $lte: to }
+        }).sort({ date: 1 }).lean();
+
+        const { series, totals } = buildStatsSeries(rows, { from, to, granularity });
+
+        res.json({
+            success: true,
+            data: {
+                timerId: timer._id,
+                timezone: timer.timezone,
+                currency: timer.currency || null,
+                from,
+                to,
+                granularity,
+                series,
+                totals: { ...totals, ...getOrderMetrics(totals) }
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching timer analytics:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch timer analytics',
+            message: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * GET /api/timers/:id/analytics/export - Download a timer's daily metrics
+ * Query params:
+ *   - format: csv or ndjson (optional, defaults to csv)
+ *   - from, to: First and last day, YYYY-MM-DD in the timer's timezone
+ *     (optional, defaults to the last 30 days)
+ * One record per day, with the timer's settings, streamed from a cursor
+ */
+router.get('/:id/analytics/export', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const shop = req.shop;
+        const { format = 'csv' } = req.query;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid timer ID format'
+            });
+        }
+
+        const timer = await Timer.findOne({ _id: id, shop }).lean();
+
+        if (!timer) {
+            return res.status(404).json({
+                success: false,
+                error: 'Timer not found'
+            });
+        }
+
+        const range = parseAnalyticsRange(req.query, timer.timezone);
+        const errors = [...range.errors, ...validateExportFormat(format)];
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                errors
+            });
+        }
+
+        await streamExport(res, {
+            format,
+            filename: getExportFilename(`timer-${timer._id}`, range, format),
+            records: getTimerExportRecords(timer, range, new Date())
+        });
+    } catch (error) {
+        handleExportError(res, error);
+    }
+});
+
 /**
  * PUT /api/timers/:id - Update a timer
  */
@@ -324,7 +845,8 @@ router.put('/:id', async (req, res) => {
 
         // Use existing type if not provided in update
         const timerType = data.type || existingTimer.type;
-        const validationData = { ...data, type: timerType };
+        const timeZone = data.timezone || existingTimer.timezone;
+        const validationData = { ...data, type: timerType, timezone: timeZone };
 
         // Skip validation for simple toggle operations (only isActive changed)
         const isSimpleToggle = Object.keys(data).length === 1 && 'isActive' in data;
@@ -342,12 +864,14 @@ router.put('/:id', async (req, res) => {
         }
 
         // Update timer
-        Object.assign(existingTimer, data);
+        Object.assign(existingTimer, applyTimezone(data, timeZone));
         await existingTimer.save();
+        await invalidateShopTimers(shop);
 
         res.json({
             success: true,
             data: existingTimer,
+            warnings: await findOverlapWarnings(existingTimer),
             message: 'Timer updated successfully'
         });
     } catch (error) {
@@ -398,6 +922,11 @@ router.delete('/:id', async (req, res) => {
             });
         }
 
+        await invalidateShopTimers(shop);
+        await TimerStatsDaily.deleteMany({ timer: timer._id });
+        await TimerOrder.deleteMany({ timer: timer._id });
+        await Experiment.deleteWithStats({ timer: timer._id });
+
         res.json({
             success: true,
             message: 'Timer deleted successfully'
@@ -438,10 +967,12 @@ router.patch('/:id/toggle', async (req, res) => {
 
         timer.isActive = !timer.isActive;
         await timer.save();
+        await invalidateShopTimers(shop);
 
         res.json({
             success: true,
             data: timer,
+            warnings: await findOverlapWarnings(timer),
             message: `Timer ${timer.isActive ? 'activated' : 'deactivated'} successfully`
         });
     } catch (error) {
@@ -0,0 +1,85 @@
+const express = require('express');
+const { Timer, TimerOrder, Experiment } = require('../models');
+const { verifyShopifyWebhook } = require('../middleware');
+const {
+    parseOrderAttribution,
+    getOrderRevenue,
+    getStatsDate,
+    hashVisitorKey,
+    hasVariant
+} = require('../services');
+
+const router = express.Router();
+
+// Shopify webhooks: the raw body is kept for the signature check, which
+// must pass before anything else happens
+router.use(express.raw({ type: 'application/json', limit: '1mb' }));
+router.use(verifyShopifyWebhook);
+
+/**
+ * POST /api/webhooks/orders/create - Attribute a new order to a timer
+ * Reads the cart attribute the widget wrote at add to cart and records the
+ * order's total against that timer, and its experiment variant if the
+ * visitor was in one. Orders without one (or for a timer the shop no longer
+ * has) are acknowledged and ignored; errors return 500 so Shopify retries
+ * the delivery
+ */
+router.post('/orders/create', async (req, res) => {
+    try {
+        const shop = req.shop;
+        const order = req.body;
+
+        if (req.webhook.topic !== 'ORDERS_CREATE' || order?.id === undefined) {
+            return res.status(400).json({
+                success: false,
+                error: 'Expected an orders/create webhook'
+            });
+        }
+
+        const attribution = parseOrderAttribution(order);
+        const timer = attribution
+            ? await Timer.findOne({ _id: attribution.timerId, shop }).select('timezone').lean()
+            : null;
+
+        if (!timer) {
+            return res.json({
+                success: true,
+                message: 'Order not attributed to a timer'
+            });
+        }
+
+        // Variants of a deleted experiment are dropped, the order still counts
+        const experiment = attribution.experimentId
+            ? await Experiment.findOne({ _id: attribution.experimentId, timer: timer._id, shop })
+                .select('variants holdoutPercent')
+                .lean()
+            : null;
+        const inExperiment = Boolean(experiment) && hasVariant(experiment, attribution.variant);
+
+        const orderedAt = new Date(Date.parse(order.created_at) || Date.now());
+        const recorded = await TimerOrder.recordOrder({
+            shop,
+            timer: timer._id,
+            orderId: String(order.id),
+            visitor: attribution.visitorId ? hashVisitorKey(`v:${attribution.visitorId}`) : null,
+            experiment: inExperiment ? attribution.experimentId : null,
+            variant: inExperiment ? attribution.variant : null,
+            ...getOrderRevenue(order),
+            date: getStatsDate(orderedAt, timer.timezone),
+            orderedAt
+        });
+
+        res.json({
+            success: true,
+            message: recorded ? 'Order attributed' : 'Order already attributed'
+        });
+    } catch (error) {
+        console.error('Order webhook error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Unable to attribute order'
+        });
+    }
+});
+
+module.exports = router;
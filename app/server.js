@@ -5,12 +5,24 @@ const mongoose = require('mongoose');
 const helmet = require('helmet');
 const cors = require('cors');
 
-const { timersRouter, storefrontRouter } = require('./routes');
-const { Timer, Shop } = require('./models');
+const { timersRouter, storefrontRouter, webhooksRouter, experimentsRouter } = require('./routes');
+const { Timer, Shop, TimerStatsDaily } = require('./models');
+const { verifyAppProxySignature } = require('./middleware');
+const {
+    connectRedisBackend,
+    startTimerStatsFlush,
+    stopTimerStatsFlush,
+    flushTimerStats
+} = require('./services');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a load balancer req.ip would be the balancer's address; trust the
+// proxies in front of the app (TRUST_PROXY_HOPS, default one) so it is the
+// visitor's, which rate limits and evergreen sessions key on
+app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS ?? 1));
+
 /**
  * MongoDB Connection
  */
@@ -96,9 +108,21 @@ const corsOptions = {
 
 app.use(cors(corsOptions));
 
+/**
+ * Shopify Webhooks
+ * Mounted before the body parsers: the signature covers the raw body
+ */
+app.use('/api/webhooks', webhooksRouter);
+
 /**
  * Body Parsing Middleware
+ * Batch lookups list up to 100 products and cart lookups up to 500 line
+ * items, so those two storefront routes take larger bodies; they are
+ * parsed here first, and the 10kb limit applies everywhere else
  */
+const STOREFRONT_LIST_PATHS = ['/timers/batch', '/timer/cart']
+    .flatMap(path => [`/api/storefront${path}`, `/apps/countdown/api/storefront${path}`]);
+app.use(STOREFRONT_LIST_PATHS, express.json({ limit: '256kb' }));
 app.use(express.json({ limit: '10kb' }));
 app.use(express.urlencoded({ extended: true, limit: '10kb' }));
 
@@ -146,9 +170,18 @@ app.get('/api/health', async (req, res) => {
  */
 // Protected routes (require authentication)
 app.use('/api/timers', timersRouter);
+app.use('/api/experiments', experimentsRouter);
 
-// Public routes (no authentication)
-app.use('/api/storefront', storefrontRouter);
+// Public storefront routes, through the Shopify app proxy: /apps/countdown/*
+// on the shop's domain is forwarded here, signed by Shopify, and the shop
+// is taken from the signature
+app.use('/apps/countdown/api/storefront', verifyAppProxySignature, storefrontRouter);
+
+// Direct requests name their own shop, so anyone could ask for (or record
+// events against) another shop's timers; they are only served locally
+if (process.env.NODE_ENV === 'development') {
+    app.use('/api/storefront', storefrontRouter);
+}
 
 /**
  * Root Route - Embedded App HTML
@@ -191,6 +224,8 @@ app.get('/', (req, res) => {
         .timer-status { padding: 4px 12px; border-radius: 12px; font-size: 12px; }
         .status-active { background: #aee9d1; color: #006e52; }
         .status-inactive { background: #ffd8d8; color: #d82c0d; }
+        .status-scheduled { background: #e4e5e7; color: #44474a; margin-left: 8px; }
+        .status-expired { background: #fff5ea; color: #8a6116; margin-left: 8px; }
         .empty-state { text-align: center; padding: 60px 20px; color: #6d7175; }
         .empty-state h2 { font-size: 16px; margin-bottom: 8px; color: #202223; }
         
@@ -221,6 +256,7 @@ app.get('/', (req, res) => {
         .toast { position: fixed; bottom: 20px; right: 20px; background: #202223; color: white; padding: 12px 20px; border-radius: 8px; font-size: 14px; z-index: 2000; display: none; }
         .toast.success { background: #008060; }
         .toast.error { background: #d82c0d; }
+        .toast.warning { background: #b98900; }
         .toast.show { display: block; animation: slideIn 0.3s ease; }
         @keyframes slideIn { from { transform: translateY(20px); opacity: 0; } to { transform: translateY(0); opacity: 1; } }
         
@@ -229,6 +265,8 @@ app.get('/', (req, res) => {
         .badge { display: inline-block; padding: 2px 8px; border-radius: 4px; font-size: 11px; font-weight: 500; margin-left: 8px; }
         .badge-fixed { background: #e3f1ff; color: #0066cc; }
         .badge-evergreen { background: #e9f5e9; color: #008060; }
+        .badge-recurring { background: #fff4e4; color: #8a6116; }
+        .weekday-row { display: flex; gap: 12px; flex-wrap: wrap; font-size: 14px; }
     </style>
 </head>
 <body>
@@ -291,11 +329,13 @@ app.get('/', (req, res) => {
                         <select class="form-input" id="timer-type" onchange="toggleTimerTypeFields()">
                             <option value="fixed">Fixed - Ends at specific date/time (same for all visitors)</option>
                             <option value="evergreen">Evergreen - Per-visitor countdown (resets per session)</option>
+                            <option value="recurring">Recurring - Repeats daily, weekly or monthly</option>
                         </select>
                     </div>
                     
                     <!-- Fixed Timer Fields -->
                     <div id="fixed-fields">
+                        <div class="form-hint timezone-hint" style="margin-bottom: 8px;"></div>
                         <div class="form-row">
                             <div class="form-group">
                                 <label class="form-label">Start Date</label>
@@ -315,20 +355,121 @@ app.get('/', (req, res) => {
                             <input type="number" class="form-input" id="timer-duration" min="1" max="10080" value="60" placeholder="e.g., 60">
                             <div class="form-hint">Timer resets for each new visitor. Max: 10080 min (7 days)</div>
                         </div>
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label class="form-label">When the Countdown Ends</label>
+                                <select class="form-input" id="timer-on-expire" onchange="toggleExpireFields()">
+                                    <option value="restart">Restart immediately</option>
+                                    <option value="cooldown">Restart after a cooldown</option>
+                                    <option value="hide">Hide for this visitor</option>
+                                    <option value="message">Show the expired message</option>
+                                </select>
+                            </div>
+                            <div class="form-group hidden" id="cooldown-field">
+                                <label class="form-label">Cooldown (minutes) *</label>
+                                <input type="number" class="form-input" id="timer-cooldown" min="1" max="43200" value="1440">
+                            </div>
+                        </div>
+                    </div>
+                    
+                    <!-- Recurring Timer Fields -->
+                    <div id="recurring-fields" class="hidden">
+                        <div class="form-hint timezone-hint" style="margin-bottom: 8px;"></div>
+                        <div class="form-group">
+                            <label class="form-label">Repeats *</label>
+                            <select class="form-input" id="timer-frequency" onchange="toggleFrequencyFields()">
+                                <option value="daily">Every day</option>
+                                <option value="weekly">On specific weekdays</option>
+                                <option value="monthly">On a day of the month</option>
+                            </select>
+                        </div>
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label class="form-label">Starts At</label>
+                                <input type="time" class="form-input" id="timer-window-start" value="00:00">
+                            </div>
+                            <div class="form-group">
+                                <label class="form-label">Ends At *</label>
+                                <input type="time" class="form-input" id="timer-window-end" value="14:00">
+                            </div>
+                        </div>
+                        <div class="form-hint" style="margin-top: -8px; margin-bottom: 16px;">An end time before the start time runs past midnight</div>
+                        <div id="weekdays-field" class="form-group hidden">
+                            <label class="form-label">Weekdays *</label>
+                            <div class="weekday-row">
+                                ${['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map((day, i) => `<label><input type="checkbox" name="timer-weekday" value="${i}"> ${day}</label>`).join('')}
+                            </div>
+                        </div>
+                        <div id="day-of-month-field" class="form-group hidden">
+                            <label class="form-label">Day of Month *</label>
+                            <input type="number" class="form-input" id="timer-day-of-month" min="1" max="31" value="1">
+                            <div class="form-hint">Days past the end of a shorter month fall on its last day</div>
+                        </div>
                     </div>
                     
                     <!-- Targeting Section -->
                     <div class="form-section">
                         <div class="form-section-title">Targeting</div>
+                        <div class="form-group">
+                            <label class="form-label">Show Timer In</label>
+                            <select class="form-input" id="timer-context" onchange="toggleContextFields()">
+                                <option value="page">Store Pages</option>
+                                <option value="cart">Cart (cart page and cart drawer)</option>
+                            </select>
+                        </div>
+                        
+                        <div id="cart-targeting-fields" class="hidden">
+                            <div class="form-row">
+                                <div class="form-group">
+                                    <label class="form-label">Cart Contains Product IDs</label>
+                                    <textarea class="form-input" id="timer-cart-product-ids" rows="2" placeholder="One per line"></textarea>
+                                </div>
+                                <div class="form-group">
+                                    <label class="form-label">Cart Contains Collection IDs</label>
+                                    <textarea class="form-input" id="timer-cart-collection-ids" rows="2" placeholder="One per line"></textarea>
+                                </div>
+                            </div>
+                            <div class="form-hint">Leave both empty to show the timer for any cart</div>
+                            <div class="form-group">
+                                <label class="form-label">Minimum Cart Subtotal</label>
+                                <input type="number" class="form-input" id="timer-cart-min-subtotal" min="0" step="0.01" value="0">
+                                <div class="form-hint">In your store currency; 0 for no minimum</div>
+                            </div>
+                        </div>
+                        
+                        <div id="page-targeting-fields">
                         <div class="form-group">
                             <label class="form-label">Apply Timer To</label>
                             <select class="form-input" id="timer-scope" onchange="toggleTargetingFields()">
                                 <option value="all">All Products</option>
                                 <option value="products">Specific Products</option>
                                 <option value="collections">Specific Collections</option>
+                                <option value="tags">Products With Tags</option>
+                                <option value="vendors">Products From Vendors</option>
+                                <option value="productTypes">Products Of Types</option>
                             </select>
                         </div>
                         
+                        <div class="form-group">
+                            <label class="form-label">Show On</label>
+                            <div class="weekday-row">
+                                ${[['home', 'Home'], ['collection', 'Collections'], ['product', 'Products'], ['cart', 'Cart'], ['search', 'Search'], ['page', 'Pages']].map(([value, label]) => `<label><input type="checkbox" name="timer-page-type" value="${value}" onchange="togglePageHandlesField()"> ${label}</label>`).join('')}
+                            </div>
+                            <div class="form-hint">Add the Countdown Timer block to these templates in your theme</div>
+                        </div>
+                        
+                        <div id="page-handles-field" class="form-group hidden">
+                            <label class="form-label">Page Handles</label>
+                            <input type="text" class="form-input" id="timer-page-handles" placeholder="e.g., shipping, black-friday">
+                            <div class="form-hint">Comma-separated; leave empty to show on every page</div>
+                        </div>
+                        
+                        <div id="attribute-values-field" class="form-group hidden">
+                            <label class="form-label" id="attribute-values-label">Values</label>
+                            <textarea class="form-input" id="timer-attribute-values" rows="2" placeholder="One per line, e.g., summer-sale"></textarea>
+                            <div class="form-hint">Matched without regard to upper/lower case</div>
+                        </div>
+                        
                         <div id="product-ids-field" class="form-group hidden">
                             <label class="form-label">Product IDs</label>
                             <textarea class="form-input" id="timer-product-ids" rows="2" placeholder="Enter Shopify Product IDs, one per line\ne.g., gid://shopify/Product/123456"></textarea>
@@ -340,6 +481,25 @@ app.get('/', (req, res) => {
                             <textarea class="form-input" id="timer-collection-ids" rows="2" placeholder="Enter Shopify Collection IDs, one per line\ne.g., gid://shopify/Collection/789"></textarea>
                             <div class="form-hint">Enter full Shopify GIDs or numeric IDs, one per line</div>
                         </div>
+                        
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label class="form-label">Exclude Product IDs</label>
+                                <textarea class="form-input" id="timer-exclude-product-ids" rows="2" placeholder="One per line, e.g., gift card products"></textarea>
+                            </div>
+                            <div class="form-group">
+                                <label class="form-label">Exclude Collection IDs</label>
+                                <textarea class="form-input" id="timer-exclude-collection-ids" rows="2"></textarea>
+                            </div>
+                        </div>
+                        <div class="form-hint">Never show the timer on these products, or on products in these collections</div>
+                        </div>
+                        
+                        <div class="form-group">
+                            <label class="form-label">Priority</label>
+                            <input type="number" class="form-input" id="timer-priority" min="0" max="100" value="0">
+                            <div class="form-hint">When timers overlap, the highest priority wins, then products over collections over all products</div>
+                        </div>
                     </div>
                     
                     <!-- Appearance Section -->
@@ -362,6 +522,32 @@ app.get('/', (req, res) => {
                             </div>
                         </div>
                         
+                        <div id="expiry-action-fields">
+                            <div class="form-group">
+                                <label class="form-label">When the Timer Ends</label>
+                                <select class="form-input" id="timer-expiry-action" onchange="toggleExpiryActionFields()">
+                                    <option value="hide">Hide the timer</option>
+                                    <option value="message">Show the expired message</option>
+                                    <option value="redirect">Redirect to a URL</option>
+                                    <option value="zero">Keep showing 00:00:00</option>
+                                </select>
+                            </div>
+                            <div class="form-group hidden" id="redirect-url-field">
+                                <label class="form-label">Redirect URL *</label>
+                                <input type="text" class="form-input" id="timer-redirect-url" placeholder="e.g., /collections/all">
+                            </div>
+                            <div class="form-row hidden" id="expired-colors-field">
+                                <div class="form-group">
+                                    <label class="form-label">Ended Background Color</label>
+                                    <input type="color" class="color-preview" id="timer-expired-bg" value="#6B7280">
+                                </div>
+                                <div class="form-group">
+                                    <label class="form-label">Ended Text Color</label>
+                                    <input type="color" class="color-preview" id="timer-expired-text" value="#FFFFFF">
+                                </div>
+                            </div>
+                        </div>
+                        
                         <div class="form-group">
                             <label class="form-label">Expired Message</label>
                             <input type="text" class="form-input" id="timer-expired" placeholder="e.g., This offer has ended">
@@ -382,6 +568,10 @@ app.get('/', (req, res) => {
         const shop = '${shop}';
         let editingTimerId = null;
         
+        // Timers are authored in the store's timezone, not the browser's
+        let shopTimezone = 'UTC';
+        let editingTimezone = null;
+        
         // Color picker sync
         document.getElementById('timer-bg').addEventListener('input', e => {
             document.getElementById('timer-bg-text').value = e.target.value;
@@ -396,58 +586,122 @@ app.get('/', (req, res) => {
             document.getElementById('timer-text').value = e.target.value;
         });
         
-        // Format date to local datetime-local format
-        function formatLocalDateTime(date) {
-            const year = date.getFullYear();
-            const month = String(date.getMonth() + 1).padStart(2, '0');
-            const day = String(date.getDate()).padStart(2, '0');
-            const hours = String(date.getHours()).padStart(2, '0');
-            const minutes = String(date.getMinutes()).padStart(2, '0');
-            return year + '-' + month + '-' + day + 'T' + hours + ':' + minutes;
+        // Format date to datetime-local format in a timezone
+        function formatLocalDateTime(date, timeZone) {
+            const parts = {};
+            new Intl.DateTimeFormat('en-US', {
+                timeZone: timeZone || shopTimezone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit'
+            }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+            return parts.year + '-' + parts.month + '-' + parts.day + 'T' + parts.hour + ':' + parts.minute;
+        }
+        
+        function currentTimezone() {
+            return editingTimezone || shopTimezone;
+        }
+        
+        function updateTimezoneHints() {
+            document.querySelectorAll('.timezone-hint').forEach(el => {
+                el.textContent = 'Times are in the store timezone: ' + currentTimezone();
+            });
         }
         
         // Set default dates
         function setDefaultDates() {
             const now = new Date();
             const tomorrow = new Date(now.getTime() + 24 * 60 * 60 * 1000);
-            document.getElementById('timer-start').value = formatLocalDateTime(now);
-            document.getElementById('timer-end').value = formatLocalDateTime(tomorrow);
+            document.getElementById('timer-start').value = formatLocalDateTime(now, currentTimezone());
+            document.getElementById('timer-end').value = formatLocalDateTime(tomorrow, currentTimezone());
         }
         setDefaultDates();
         
         // Toggle timer type fields
         function toggleTimerTypeFields() {
             const type = document.getElementById('timer-type').value;
-            const fixedFields = document.getElementById('fixed-fields');
-            const evergreenFields = document.getElementById('evergreen-fields');
             
-            if (type === 'fixed') {
-                fixedFields.classList.remove('hidden');
-                evergreenFields.classList.add('hidden');
-            } else {
-                fixedFields.classList.add('hidden');
-                evergreenFields.classList.remove('hidden');
-            }
+            document.getElementById('fixed-fields').classList.toggle('hidden', type !== 'fixed');
+            document.getElementById('evergreen-fields').classList.toggle('hidden', type !== 'evergreen');
+            document.getElementById('recurring-fields').classList.toggle('hidden', type !== 'recurring');
+            document.getElementById('expiry-action-fields').classList.toggle('hidden', type === 'evergreen');
         }
         
+        // Toggle fixed/recurring end-of-timer fields
+        function toggleExpiryActionFields() {
+            const action = document.getElementById('timer-expiry-action').value;
+            document.getElementById('redirect-url-field').classList.toggle('hidden', action !== 'redirect');
+            document.getElementById('expired-colors-field').classList.toggle('hidden', action !== 'zero');
+        }
+        
+        // Toggle recurring frequency fields
+        function toggleFrequencyFields() {
+            const frequency = document.getElementById('timer-frequency').value;
+            
+            document.getElementById('weekdays-field').classList.toggle('hidden', frequency !== 'weekly');
+            document.getElementById('day-of-month-field').classList.toggle('hidden', frequency !== 'monthly');
+        }
+        
+        // Toggle evergreen expiry fields
+        function toggleExpireFields() {
+            const action = document.getElementById('timer-on-expire').value;
+            document.getElementById('cooldown-field').classList.toggle('hidden', action !== 'cooldown');
+        }
+        
+        function setWeekdays(days) {
+            document.querySelectorAll('input[name="timer-weekday"]').forEach(input => {
+                input.checked = days.includes(parseInt(input.value));
+            });
+        }
+        
+        function setPageTypes(pageTypes) {
+            document.querySelectorAll('input[name="timer-page-type"]').forEach(input => {
+                input.checked = pageTypes.includes(input.value);
+            });
+            togglePageHandlesField();
+        }
+        
+        function togglePageHandlesField() {
+            const pageSelected = document.querySelector('input[name="timer-page-type"][value="page"]').checked;
+            document.getElementById('page-handles-field').classList.toggle('hidden', !pageSelected);
+        }
+        
+        function toggleContextFields() {
+            const isCart = document.getElementById('timer-context').value === 'cart';
+            document.getElementById('cart-targeting-fields').classList.toggle('hidden', !isCart);
+            document.getElementById('page-targeting-fields').classList.toggle('hidden', isCart);
+        }
+        
+        const ATTRIBUTE_LABELS = { tags: 'Product Tags', vendors: 'Vendors', productTypes: 'Product Types' };
+        
         // Toggle targeting fields
         function toggleTargetingFields() {
             const scope = document.getElementById('timer-scope').value;
             const productField = document.getElementById('product-ids-field');
             const collectionField = document.getElementById('collection-ids-field');
+            const attributeField = document.getElementById('attribute-values-field');
             
             productField.classList.add('hidden');
             collectionField.classList.add('hidden');
+            attributeField.classList.add('hidden');
             
             if (scope === 'products') {
                 productField.classList.remove('hidden');
             } else if (scope === 'collections') {
                 collectionField.classList.remove('hidden');
+            } else if (ATTRIBUTE_LABELS[scope]) {
+                document.getElementById('attribute-values-label').textContent = ATTRIBUTE_LABELS[scope];
+                attributeField.classList.remove('hidden');
             }
         }
         
         function openModal(timer = null) {
             editingTimerId = timer ? timer._id : null;
+            editingTimezone = timer ? timer.timezone || null : null;
+            updateTimezoneHints();
             document.getElementById('modal-title').textContent = timer ? 'Edit Timer' : 'Create New Timer';
             document.getElementById('save-btn').textContent = timer ? 'Save Changes' : 'Create Timer';
             
@@ -461,19 +715,41 @@ app.get('/', (req, res) => {
                 if (timer.type === 'fixed') {
                     if (timer.startDate) {
                         const start = new Date(timer.startDate);
-                        document.getElementById('timer-start').value = formatLocalDateTime(start);
+                        document.getElementById('timer-start').value = formatLocalDateTime(start, currentTimezone());
                     }
                     if (timer.endDate) {
                         const end = new Date(timer.endDate);
-                        document.getElementById('timer-end').value = formatLocalDateTime(end);
+                        document.getElementById('timer-end').value = formatLocalDateTime(end, currentTimezone());
                     }
+                } else if (timer.type === 'recurring') {
+                    const schedule = timer.schedule || {};
+                    document.getElementById('timer-frequency').value = schedule.frequency || 'daily';
+                    document.getElementById('timer-window-start').value = schedule.startTime || '00:00';
+                    document.getElementById('timer-window-end').value = schedule.endTime || '';
+                    document.getElementById('timer-day-of-month').value = schedule.dayOfMonth || 1;
+                    setWeekdays(schedule.daysOfWeek || []);
                 } else {
                     document.getElementById('timer-duration').value = timer.durationMinutes || 60;
+                    document.getElementById('timer-on-expire').value = timer.onExpire?.action || 'restart';
+                    document.getElementById('timer-cooldown').value = timer.onExpire?.cooldownMinutes || 1440;
                 }
                 
+                document.getElementById('timer-context').value = timer.targeting?.context || 'page';
+                document.getElementById('timer-cart-product-ids').value = (timer.targeting?.cart?.productIds || []).join('\\n');
+                document.getElementById('timer-cart-collection-ids').value = (timer.targeting?.cart?.collectionIds || []).join('\\n');
+                document.getElementById('timer-cart-min-subtotal').value = timer.targeting?.cart?.minSubtotal || 0;
                 document.getElementById('timer-scope').value = timer.targeting?.scope || 'all';
+                document.getElementById('timer-priority').value = timer.priority || 0;
+                setPageTypes(timer.targeting?.pageTypes?.length ? timer.targeting.pageTypes : ['product']);
+                document.getElementById('timer-page-handles').value = (timer.targeting?.pageHandles || []).join(', ');
                 document.getElementById('timer-product-ids').value = (timer.targeting?.productIds || []).join('\\n');
                 document.getElementById('timer-collection-ids').value = (timer.targeting?.collectionIds || []).join('\\n');
+                const attributeScope = timer.targeting?.scope;
+                document.getElementById('timer-attribute-values').value = ATTRIBUTE_LABELS[attributeScope]
+                    ? (timer.targeting[attributeScope] || []).join('\\n')
+                    : '';
+                document.getElementById('timer-exclude-product-ids').value = (timer.targeting?.excludeProductIds || []).join('\\n');
+                document.getElementById('timer-exclude-collection-ids').value = (timer.targeting?.excludeCollectionIds || []).join('\\n');
                 
                 const bgColor = timer.appearance?.backgroundColor || timer.style?.backgroundColor || '#000000';
                 const textColor = timer.appearance?.textColor || timer.style?.textColor || '#FFFFFF';
@@ -481,10 +757,20 @@ app.get('/', (req, res) => {
                 document.getElementById('timer-bg-text').value = bgColor;
                 document.getElementById('timer-text').value = textColor;
                 document.getElementById('timer-text-text').value = textColor;
-                document.getElementById('timer-expired').value = timer.expiredMessage || '';
+                
+                const expiryAction = timer.appearance?.expiryAction || {};
+                document.getElementById('timer-expiry-action').value = expiryAction.type || 'hide';
+                document.getElementById('timer-redirect-url').value = expiryAction.redirectUrl || '';
+                document.getElementById('timer-expired-bg').value = expiryAction.backgroundColor || '#6B7280';
+                document.getElementById('timer-expired-text').value = expiryAction.textColor || '#FFFFFF';
+                document.getElementById('timer-expired').value = (timer.type === 'evergreen' ? timer.onExpire?.message : expiryAction.message) || '';
                 
                 toggleTimerTypeFields();
+                toggleExpireFields();
+                toggleExpiryActionFields();
+                toggleFrequencyFields();
                 toggleTargetingFields();
+                toggleContextFields();
             } else {
                 resetForm();
             }
@@ -495,6 +781,7 @@ app.get('/', (req, res) => {
         function closeModal() {
             document.getElementById('modal').classList.remove('active');
             editingTimerId = null;
+            editingTimezone = null;
             resetForm();
         }
         
@@ -507,17 +794,37 @@ app.get('/', (req, res) => {
             document.getElementById('timer-text').value = '#FFFFFF';
             document.getElementById('timer-text-text').value = '#FFFFFF';
             document.getElementById('timer-type').value = 'fixed';
+            document.getElementById('timer-context').value = 'page';
             document.getElementById('timer-scope').value = 'all';
+            document.getElementById('timer-priority').value = 0;
+            setPageTypes(['product']);
             document.getElementById('timer-duration').value = 60;
+            document.getElementById('timer-frequency').value = 'daily';
+            setWeekdays([]);
+            document.getElementById('timer-on-expire').value = 'restart';
+            document.getElementById('timer-expiry-action').value = 'hide';
             toggleTimerTypeFields();
+            toggleExpireFields();
+            toggleExpiryActionFields();
+            toggleFrequencyFields();
             toggleTargetingFields();
+            toggleContextFields();
         }
         
         function showToast(message, type = 'success') {
             const toast = document.getElementById('toast');
             toast.textContent = message;
             toast.className = 'toast ' + type + ' show';
-            setTimeout(() => toast.classList.remove('show'), 3000);
+            setTimeout(() => toast.classList.remove('show'), type === 'warning' ? 6000 : 3000);
+        }
+        
+        // Show a saved timer's overlap warnings, or the success message
+        function showSaveResult(data, successMessage) {
+            if (data.warnings && data.warnings.length > 0) {
+                showToast(successMessage + ' ' + data.warnings.map(w => w.message).join('. '), 'warning');
+            } else {
+                showToast(successMessage, 'success');
+            }
         }
         
         async function getSessionToken() {
@@ -545,6 +852,7 @@ app.get('/', (req, res) => {
                     name: document.getElementById('timer-name').value,
                     type: timerType,
                     targeting: {
+                        context: document.getElementById('timer-context').value,
                         scope: scope
                     },
                     appearance: {
@@ -552,15 +860,49 @@ app.get('/', (req, res) => {
                         textColor: document.getElementById('timer-text').value,
                         headline: document.getElementById('timer-title').value
                     },
+                    priority: parseInt(document.getElementById('timer-priority').value) || 0,
+                    timezone: currentTimezone(),
                     isActive: true
                 };
                 
-                // Add type-specific fields
+                // Add type-specific fields (local times, resolved in the timezone by the server)
                 if (timerType === 'fixed') {
-                    timerData.startDate = new Date(document.getElementById('timer-start').value).toISOString();
-                    timerData.endDate = new Date(document.getElementById('timer-end').value).toISOString();
+                    timerData.startDate = document.getElementById('timer-start').value;
+                    timerData.endDate = document.getElementById('timer-end').value;
+                } else if (timerType === 'recurring') {
+                    const frequency = document.getElementById('timer-frequency').value;
+                    timerData.schedule = {
+                        frequency: frequency,
+                        startTime: document.getElementById('timer-window-start').value || '00:00',
+                        endTime: document.getElementById('timer-window-end').value
+                    };
+                    if (frequency === 'weekly') {
+                        timerData.schedule.daysOfWeek = Array.from(
+                            document.querySelectorAll('input[name="timer-weekday"]:checked')
+                        ).map(input => parseInt(input.value));
+                    } else if (frequency === 'monthly') {
+                        timerData.schedule.dayOfMonth = parseInt(document.getElementById('timer-day-of-month').value);
+                    }
                 } else {
                     timerData.durationMinutes = parseInt(document.getElementById('timer-duration').value) || 60;
+                    timerData.onExpire = {
+                        action: document.getElementById('timer-on-expire').value,
+                        message: document.getElementById('timer-expired').value || undefined
+                    };
+                    if (timerData.onExpire.action === 'cooldown') {
+                        timerData.onExpire.cooldownMinutes = parseInt(document.getElementById('timer-cooldown').value);
+                    }
+                }
+                
+                // Fixed and recurring timers share the end-of-timer action
+                if (timerType !== 'evergreen') {
+                    timerData.appearance.expiryAction = {
+                        type: document.getElementById('timer-expiry-action').value,
+                        message: document.getElementById('timer-expired').value || undefined,
+                        redirectUrl: document.getElementById('timer-redirect-url').value || undefined,
+                        backgroundColor: document.getElementById('timer-expired-bg').value,
+                        textColor: document.getElementById('timer-expired-text').value
+                    };
                 }
                 
                 // Add targeting IDs
@@ -568,11 +910,21 @@ app.get('/', (req, res) => {
                     timerData.targeting.productIds = parseIds(document.getElementById('timer-product-ids').value);
                 } else if (scope === 'collections') {
                     timerData.targeting.collectionIds = parseIds(document.getElementById('timer-collection-ids').value);
+                } else if (ATTRIBUTE_LABELS[scope]) {
+                    timerData.targeting[scope] = parseIds(document.getElementById('timer-attribute-values').value);
                 }
-                
-                // Add expired message
-                const expiredMsg = document.getElementById('timer-expired').value;
-                if (expiredMsg) timerData.expiredMessage = expiredMsg;
+                timerData.targeting.pageTypes = Array.from(
+                    document.querySelectorAll('input[name="timer-page-type"]:checked')
+                ).map(input => input.value);
+                timerData.targeting.pageHandles = document.getElementById('timer-page-handles').value
+                    .split(',').map(handle => handle.trim()).filter(Boolean);
+                timerData.targeting.excludeProductIds = parseIds(document.getElementById('timer-exclude-product-ids').value);
+                timerData.targeting.excludeCollectionIds = parseIds(document.getElementById('timer-exclude-collection-ids').value);
+                timerData.targeting.cart = {
+                    productIds: parseIds(document.getElementById('timer-cart-product-ids').value),
+                    collectionIds: parseIds(document.getElementById('timer-cart-collection-ids').value),
+                    minSubtotal: parseFloat(document.getElementById('timer-cart-min-subtotal').value) || 0
+                };
                 
                 const token = await getSessionToken();
                 const url = isEditing ? '/api/timers/' + editingTimerId : '/api/timers';
@@ -590,7 +942,7 @@ app.get('/', (req, res) => {
                 const data = await res.json();
                 
                 if (data.success) {
-                    showToast(isEditing ? 'Timer updated!' : 'Timer created!', 'success');
+                    showSaveResult(data, isEditing ? 'Timer updated!' : 'Timer created!');
                     closeModal();
                     loadTimers();
                 } else {
@@ -639,7 +991,7 @@ app.get('/', (req, res) => {
                 });
                 const data = await res.json();
                 if (data.success) {
-                    showToast('Timer ' + (!currentStatus ? 'activated' : 'deactivated'), 'success');
+                    showSaveResult(data, 'Timer ' + (!currentStatus ? 'activated' : 'deactivated') + '.');
                     loadTimers();
                 }
             } catch (err) {
@@ -659,6 +1011,9 @@ app.get('/', (req, res) => {
                 const data = await res.json();
                 if (data.success && data.data) {
                     allTimers = data.data;
+                    if (data.timezone) {
+                        shopTimezone = data.timezone;
+                    }
                     renderTimers(data.data);
                 }
             } catch (err) {
@@ -671,6 +1026,18 @@ app.get('/', (req, res) => {
             if (timer) openModal(timer);
         }
         
+        // Share of impressions, e.g. click-through rate
+        function formatRate(count, impressions) {
+            return impressions ? (100 * (count || 0) / impressions).toFixed(1) + '%' : '–';
+        }
+        
+        // Attributed revenue, in the shop's currency when known
+        function formatMoney(amount, currency) {
+            return currency
+                ? new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount)
+                : amount.toFixed(2);
+        }
+        
         function renderTimers(timers) {
             const list = document.getElementById('timer-list');
             const totalEl = document.getElementById('total-timers');
@@ -678,7 +1045,8 @@ app.get('/', (req, res) => {
             const viewsEl = document.getElementById('views');
             
             totalEl.textContent = timers.length;
-            activeEl.textContent = timers.filter(t => t.isActive).length;
+            // Status comes from the server's timer rules
+            activeEl.textContent = timers.filter(t => t.status === 'active').length;
             viewsEl.textContent = timers.reduce((sum, t) => sum + (t.impressions || 0), 0);
             
             if (timers.length === 0) {
@@ -687,18 +1055,24 @@ app.get('/', (req, res) => {
             }
             
             list.innerHTML = timers.map(t => {
-                const typeBadge = t.type === 'evergreen' 
-                    ? '<span class="badge badge-evergreen">Evergreen</span>' 
-                    : '<span class="badge badge-fixed">Fixed</span>';
-                const endInfo = t.type === 'fixed' 
-                    ? 'Ends: ' + new Date(t.endDate).toLocaleString() 
-                    : 'Duration: ' + t.durationMinutes + ' minutes';
+                const typeBadge = {
+                    evergreen: '<span class="badge badge-evergreen">Evergreen</span>',
+                    recurring: '<span class="badge badge-recurring">Recurring</span>'
+                }[t.type] || '<span class="badge badge-fixed">Fixed</span>';
+                const endInfo = {
+                    fixed: 'Ends: ' + new Date(t.endDate).toLocaleString(undefined, { timeZone: t.timezone || shopTimezone, timeZoneName: 'short' }),
+                    recurring: 'Repeats ' + (t.schedule?.frequency || '') + ': ' + (t.schedule?.startTime || '00:00') + ' - ' + (t.schedule?.endTime || '') + ' ' + (t.timezone || shopTimezone)
+                }[t.type] || 'Duration: ' + t.durationMinutes + ' minutes';
+                const statusBadge = ['scheduled', 'expired'].includes(t.status)
+                    ? '<span class="timer-status status-' + t.status + '">' + t.status.charAt(0).toUpperCase() + t.status.slice(1) + '</span>'
+                    : '';
                 
                 return \`
                 <div class="timer-item">
                     <div>
-                        <div class="timer-name">\${t.name}\${typeBadge}</div>
-                        <div style="font-size: 12px; color: #6d7175;">\${endInfo} | Impressions: \${t.impressions || 0}</div>
+                        <div class="timer-name">\${t.name}\${typeBadge}\${statusBadge}</div>
+                        <div style="font-size: 12px; color: #6d7175;">\${endInfo} | Rendered: \${t.renders || 0} | Viewed: \${t.impressions || 0} | Click-through: \${formatRate(t.clicks, t.impressions)} | Add to cart: \${formatRate(t.addToCarts, t.impressions)}</div>
+                        <div style="font-size: 12px; color: #6d7175;">Revenue: \${formatMoney(t.revenue || 0, t.currency)} | Conversion: \${formatRate(t.orders, t.impressions)} | Avg. order: \${t.orders ? formatMoney(t.revenue / t.orders, t.currency) : '–'}</div>
                     </div>
                     <div class="timer-actions">
                         <button class="btn btn-sm btn-secondary" onclick="editTimer('\${t._id}')">Edit</button>
@@ -746,12 +1120,26 @@ app.use((err, req, res, next) => {
     });
 });
 
+/**
+ * Storefront events are buffered and written to the daily stats in batches
+ */
+const writeTimerStats = (entries, flushId) => TimerStatsDaily.recordBatch(entries, flushId);
+
 /**
  * Start Server
  */
 const startServer = async () => {
+    // Share the storefront timer cache between instances when Redis is
+    // configured (requires the optional ioredis package); in-memory otherwise
+    if (process.env.REDIS_URL && !connectRedisBackend(process.env.REDIS_URL)) {
+        console.warn('⚠️ REDIS_URL is set but ioredis is not installed (npm install ioredis). Caching timers in memory per instance');
+    }
+
     await connectDB();
 
+    // Write buffered storefront events to the daily stats
+    startTimerStatsFlush(writeTimerStats);
+
     app.listen(PORT, () => {
         console.log(`
 🚀 Countdown Timer App Server
@@ -764,21 +1152,30 @@ const startServer = async () => {
     });
 };
 
-// Handle graceful shutdown
-process.on('SIGTERM', async () => {
-    console.log('SIGTERM received. Shutting down gracefully...');
-    await mongoose.connection.close();
-    process.exit(0);
-});
+/**
+ * Graceful shutdown: write what is buffered (waiting for a flush in
+ * progress), close the database connection and exit, even if those fail
+ */
+const shutdown = async (signal) => {
+    console.log(`${signal} received. Shutting down gracefully...`);
+    let exitCode = 0;
+    try {
+        stopTimerStatsFlush();
+        await flushTimerStats(writeTimerStats);
+        await mongoose.connection.close();
+    } catch (error) {
+        console.error('Shutdown error:', error);
+        exitCode = 1;
+    } finally {
+        process.exit(exitCode);
+    }
+};
 
-process.on('SIGINT', async () => {
-    console.log('SIGINT received. Shutting down gracefully...');
-    await mongoose.connection.close();
-    process.exit(0);
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 // Export for testing
-module.exports = { app, startServer };
+module.exports = { app, startServer, shutdown };
 
 // Start if run directly
 if (require.main === module) {
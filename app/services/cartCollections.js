@@ -0,0 +1,140 @@
+/**
+ * Cart Collections Service - Which of the collections cart timers target
+ * the products in a visitor's cart are in
+ *
+ * /cart.js does not list a line item's collections, and the ones the theme
+ * renders into the page are missing for products added since it loaded
+ * (AJAX carts, cart drawers). Cart lookups therefore ask the Admin API for
+ * the products the widget sent no collections for, checking only the
+ * collections the shop's cart timers target. Answers are kept in memory
+ * (per process) for MEMBERSHIP_TTL_MS, bounded by MAX_CACHED_MEMBERSHIPS.
+ */
+
+const { normalizeShopifyId, normalizeShopifyIds } = require('./targeting');
+
+// Merchants rarely move products between collections mid-visit
+const MEMBERSHIP_TTL_MS = 5 * 60 * 1000;
+
+// Oldest entries are dropped beyond this, to bound memory
+const MAX_CACHED_MEMBERSHIPS = 100000;
+
+// Products looked up per cart, in one Admin API query (each costs 1 point)
+const MAX_LOOKUP_PRODUCTS = 50;
+
+// "shop|productId|collectionId" -> { member, expiresAt }
+const memberships = new Map();
+
+/**
+ * The collections the shop's cart timers target, as GIDs
+ */
+function getTargetedCartCollections(timers) {
+    return normalizeShopifyIds(
+        timers
+            .filter(timer => timer.targeting?.context === 'cart')
+            .flatMap(timer => timer.targeting.cart?.collectionIds || []),
+        'Collection'
+    );
+}
+
+/**
+ * Admin API query checking each product against each collection:
+ * p0: product(id: $p0) { c0: inCollection(id: $c0) ... }
+ */
+function buildMembershipQuery(productIds, collectionIds) {
+    const variables = {};
+    const declarations = [];
+    collectionIds.forEach((id, index) => {
+        variables[`c${index}`] = id;
+        declarations.push(`$c${index}: ID!`);
+    });
+
+    const checks = collectionIds.map((id, index) => `c${index}: inCollection(id: $c${index})`).join(' ');
+    const products = productIds.map((id, index) => {
+        variables[`p${index}`] = id;
+        declarations.push(`$p${index}: ID!`);
+        return `p${index}: product(id: $p${index}) { ${checks} }`;
+    });
+
+    return {
+        query: `query CartCollections(${declarations.join(', ')}) { ${products.join(' ')} }`,
+        variables
+    };
+}
+
+/**
+ * Remember whether a product is in a collection
+ */
+function cacheMembership(key, member, now) {
+    if (memberships.size >= MAX_CACHED_MEMBERSHIPS) {
+        memberships.delete(memberships.keys().next().value);
+    }
+    memberships.set(key, { member, expiresAt: now + MEMBERSHIP_TTL_MS });
+}
+
+/**
+ * Map of product GID -> the given collections it is in, for up to
+ * MAX_LOOKUP_PRODUCTS products. Products not in the cache are looked up
+ * with runQuery(query, variables), which resolves to the query's data
+ */
+async function getCartCollections(shop, productIds, collectionIds, runQuery, now = Date.now()) {
+    const products = normalizeShopifyIds(productIds, 'Product').slice(0, MAX_LOOKUP_PRODUCTS);
+    const collections = normalizeShopifyIds(collectionIds, 'Collection');
+    const keyFor = (product, collection) => `${shop}|${product}|${collection}`;
+    const isCached = (product, collection) => (memberships.get(keyFor(product, collection))?.expiresAt || 0) > now;
+
+    const missing = products.filter(product => collections.some(collection => !isCached(product, collection)));
+    if (missing.length > 0 && collections.length > 0) {
+        const { query, variables } = buildMembershipQuery(missing, collections);
+        const data = await runQuery(query, variables);
+        missing.forEach((product, p) => {
+            // A deleted product is in no collection
+            const checks = data?.[`p${p}`] || {};
+            collections.forEach((collection, c) => {
+                cacheMembership(keyFor(product, collection), checks[`c${c}`] === true, now);
+            });
+        });
+    }
+
+    const result = new Map();
+    for (const product of products) {
+        result.set(product, collections.filter(collection => memberships.get(keyFor(product, collection))?.member));
+    }
+    return result;
+}
+
+/**
+ * Cart items with the targeted collections the Admin API says they are in
+ * added, for items the widget sent no collections for
+ */
+async function addCartCollections(shop, items, timers, runQuery, now = Date.now()) {
+    const collectionIds = getTargetedCartCollections(timers);
+    const unknown = items.filter(item => item.collectionIds.length === 0);
+    if (collectionIds.length === 0 || unknown.length === 0) {
+        return items;
+    }
+
+    const found = await getCartCollections(shop, unknown.map(item => item.productId), collectionIds, runQuery, now);
+    return items.map(item => {
+        const productId = normalizeShopifyId(item.productId, 'Product');
+        return item.collectionIds.length === 0 && found.has(productId)
+            ? { ...item, collectionIds: found.get(productId) }
+            : item;
+    });
+}
+
+/**
+ * Forget every cached membership
+ */
+function resetCartCollections() {
+    memberships.clear();
+}
+
+module.exports = {
+    MEMBERSHIP_TTL_MS,
+    MAX_LOOKUP_PRODUCTS,
+    getTargetedCartCollections,
+    buildMembershipQuery,
+    getCartCollections,
+    addCartCollections,
+    resetCartCollections
+};
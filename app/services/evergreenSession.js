@@ -0,0 +1,147 @@
+/**
+ * Evergreen Session Service - Signed visitor tokens for evergreen timers
+ *
+ * Tokens are "<payload>.<signature>" where the payload is base64url JSON and
+ * the signature is an HMAC-SHA256 of it keyed with the app secret, so the
+ * visitor can hold their session but cannot move its start time. Tokens
+ * expire with the session they were issued for.
+ */
+
+const crypto = require('crypto');
+
+// Keep sessions after the countdown ends so repeat visits are recognised
+const SESSION_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+
+function getSecret() {
+    const secret = process.env.SHOPIFY_API_SECRET;
+    if (!secret) {
+        throw new Error('SHOPIFY_API_SECRET is required to sign evergreen sessions');
+    }
+    return secret;
+}
+
+function sign(value) {
+    return crypto.createHmac('sha256', getSecret()).update(value).digest('base64url');
+}
+
+/**
+ * Create a signed token for a visitor's evergreen session, valid until the
+ * session expires
+ */
+function signSessionToken({ timerId, visitorId, startedAt, expiresAt }) {
+    const payload = Buffer.from(JSON.stringify({
+        t: String(timerId),
+        v: visitorId,
+        s: new Date(startedAt).getTime(),
+        e: new Date(expiresAt).getTime()
+    })).toString('base64url');
+
+    return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Verify a token and return { timerId, visitorId, startedAt }, or null if it
+ * is malformed, its signature does not match or it has expired
+ */
+function verifySessionToken(token, now = Date.now()) {
+    if (!token || typeof token !== 'string') {
+        return null;
+    }
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) {
+        return null;
+    }
+
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    try {
+        const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (!(data.e > now)) {
+            return null;
+        }
+        return {
+            timerId: data.t,
+            visitorId: data.v,
+            startedAt: new Date(data.s)
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Keyed hash of the visitor's IP and user agent for a timer
+ * Lets a cleared or private-window visitor find a session that still
+ * decides their countdown (see getFingerprintWindowMs)
+ */
+function getVisitorFingerprint(req, timerId) {
+    const userAgent = req.get('user-agent') || '';
+    // App proxy requests carry the visitor's address as clientIp
+    return sign(`${timerId}|${req.clientIp || req.ip}|${userAgent}`);
+}
+
+/**
+ * Check whether an evergreen countdown that ended at `endTime` may restart,
+ * according to the timer's onExpire policy
+ */
+function canRestart(timer, endTime, now = Date.now()) {
+    const { action = 'restart', cooldownMinutes = 0 } = timer.onExpire || {};
+
+    if (action === 'restart') {
+        return true;
+    }
+
+    if (action === 'cooldown') {
+        return now >= endTime + cooldownMinutes * 60 * 1000;
+    }
+
+    // hide / message: expired for good for this visitor
+    return false;
+}
+
+/**
+ * How long after it started a session is matched by fingerprint for a
+ * visitor without their token (cleared storage, private window): while
+ * its countdown runs and, after it ends, for as long as the expiry policy
+ * stops it restarting - the cooldown, or for good with "hide" and
+ * "message". Older sessions no longer change what the visitor sees, so
+ * visitors sharing an address and browser (offices, carrier NAT) are not
+ * handed them
+ */
+function getFingerprintWindowMs(timer) {
+    const durationMs = timer.durationMinutes * 60 * 1000;
+    const { action = 'restart', cooldownMinutes = 0 } = timer.onExpire || {};
+
+    if (action === 'restart') {
+        return durationMs;
+    }
+
+    if (action === 'cooldown') {
+        return durationMs + cooldownMinutes * 60 * 1000;
+    }
+
+    return durationMs + SESSION_RETENTION_MS;
+}
+
+/**
+ * Generate a new random visitor ID
+ */
+function createVisitorId() {
+    return crypto.randomUUID();
+}
+
+module.exports = {
+    SESSION_RETENTION_MS,
+    signSessionToken,
+    verifySessionToken,
+    getVisitorFingerprint,
+    canRestart,
+    getFingerprintWindowMs,
+    createVisitorId
+};
@@ -0,0 +1,190 @@
+/**
+ * Experiments Service - A/B tests of timer appearance variants
+ *
+ * An experiment splits a timer's visitors between appearance variants and,
+ * optionally, a holdout that sees no timer at all. Assignment hashes the
+ * experiment and visitor, so a visitor gets the same variant on every
+ * request without storing it; variants cannot change while it runs.
+ *
+ * Results compare each variant's conversion rate (attributed orders per
+ * exposed visitor) with a baseline - the holdout when there is one,
+ * otherwise the first variant - using a two-proportion z-test.
+ */
+
+const crypto = require('crypto');
+
+// Variant key of visitors who see no timer
+const HOLDOUT_VARIANT = 'holdout';
+
+const MAX_VARIANTS = 5;
+const MAX_HOLDOUT_PERCENT = 50;
+
+// Appearance fields a variant may override
+const VARIANT_APPEARANCE_FIELDS = ['headline', 'supportingText', 'backgroundColor', 'textColor'];
+
+// Per-variant counters kept for a running experiment
+const EXPERIMENT_STATS_FIELDS = ['visitors', 'renders', 'impressions', 'clicks', 'addToCarts', 'orders', 'revenue'];
+
+const DEFAULT_CONFIDENCE = 0.95;
+
+/**
+ * Variant keys for new experiments: a, b, c, ...
+ */
+const getVariantKey = (index) => String.fromCharCode(97 + index);
+
+/**
+ * Whether a key is one of the experiment's variants or its holdout
+ */
+function hasVariant(experiment, key) {
+    if (key === HOLDOUT_VARIANT) {
+        return (experiment.holdoutPercent || 0) > 0;
+    }
+    return experiment.variants.some(variant => variant.key === key);
+}
+
+/**
+ * The variant a visitor sees: a stable point in [0, 100) from the
+ * experiment and visitor, split into the holdout share and then the
+ * variants by weight
+ */
+function assignVariant(experiment, visitorKey) {
+    const hash = crypto.createHash('sha256').update(`${experiment._id}|${visitorKey}`).digest();
+    const point = (hash.readUInt32BE(0) / 0x100000000) * 100;
+
+    const holdoutPercent = experiment.holdoutPercent || 0;
+    if (point < holdoutPercent) {
+        return HOLDOUT_VARIANT;
+    }
+
+    const totalWeight = experiment.variants.reduce((sum, variant) => sum + (variant.weight || 1), 0);
+    let threshold = holdoutPercent;
+    for (const variant of experiment.variants) {
+        threshold += ((100 - holdoutPercent) * (variant.weight || 1)) / totalWeight;
+        if (point < threshold) {
+            return variant.key;
+        }
+    }
+    return experiment.variants[experiment.variants.length - 1].key;
+}
+
+/**
+ * The widget payload for a variant: the timer's appearance with the
+ * variant's overrides, or just the timer ID for the holdout. Either way it
+ * says which variant it is, for the widget to report back
+ */
+function applyVariant(response, experiment, key) {
+    const assignment = { id: experiment._id, variant: key };
+
+    if (key === HOLDOUT_VARIANT) {
+        return { id: response.id, holdout: true, experiment: assignment };
+    }
+
+    const variant = experiment.variants.find(item => item.key === key);
+    const appearance = { ...response.appearance };
+    for (const field of VARIANT_APPEARANCE_FIELDS) {
+        const value = variant?.appearance?.[field];
+        if (typeof value === 'string') {
+            appearance[field] = value;
+        }
+    }
+
+    return { ...response, appearance, experiment: assignment };
+}
+
+/**
+ * Standard normal CDF (Abramowitz and Stegun 7.1.26, error below 1.5e-7)
+ */
+function normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Two-sided two-proportion z-test of conversions out of trials;
+ * null while either side has no trials or nothing differs
+ */
+function twoProportionTest(baseline, variant) {
+    if (!baseline.trials || !variant.trials) {
+        return null;
+    }
+
+    const pooled = (baseline.conversions + variant.conversions) / (baseline.trials + variant.trials);
+    const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / baseline.trials + 1 / variant.trials));
+    if (!standardError) {
+        return null;
+    }
+
+    const zScore = (variant.conversions / variant.trials - baseline.conversions / baseline.trials) / standardError;
+    return { zScore, pValue: 2 * (1 - normalCdf(Math.abs(zScore))) };
+}
+
+const round = (value, digits) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+/**
+ * Per-variant stats and significance for an experiment
+ * rows: ExperimentStats documents ({ variant, visitors, orders, ... })
+ */
+function getExperimentResults(experiment, rows, { confidence = DEFAULT_CONFIDENCE } = {}) {
+    const statsByVariant = new Map(rows.map(row => [row.variant, row]));
+
+    const arms = experiment.variants.map(variant => ({ key: variant.key, name: variant.name }));
+    if ((experiment.holdoutPercent || 0) > 0) {
+        arms.push({ key: HOLDOUT_VARIANT, name: 'No timer' });
+    }
+
+    const variants = arms.map(arm => {
+        const row = statsByVariant.get(arm.key) || {};
+        const stats = Object.fromEntries(EXPERIMENT_STATS_FIELDS.map(field => [field, row[field] || 0]));
+        stats.revenue = round(stats.revenue, 2);
+        return {
+            ...arm,
+            ...stats,
+            clickRate: stats.impressions ? round(stats.clicks / stats.impressions, 4) : null,
+            conversionRate: stats.visitors ? round(stats.orders / stats.visitors, 4) : null
+        };
+    });
+
+    const baseline = variants.find(variant => variant.key === HOLDOUT_VARIANT) || variants[0];
+    // A visitor converts at most once, for the test
+    const trialsOf = (variant) => ({ trials: variant.visitors, conversions: Math.min(variant.orders, variant.visitors) });
+
+    for (const variant of variants) {
+        // The baseline is not compared with itself
+        const test = variant === baseline ? null : twoProportionTest(trialsOf(baseline), trialsOf(variant));
+        variant.lift = variant !== baseline && baseline.conversionRate && variant.conversionRate !== null
+            ? round(variant.conversionRate / baseline.conversionRate - 1, 4)
+            : null;
+        variant.zScore = test ? round(test.zScore, 2) : null;
+        variant.pValue = test ? round(test.pValue, 4) : null;
+        variant.significant = test ? test.pValue < 1 - confidence : false;
+    }
+
+    // The best variant that significantly beats the baseline, if any
+    const winner = variants
+        .filter(variant => variant.significant && variant.zScore > 0)
+        .sort((a, b) => b.conversionRate - a.conversionRate)[0];
+
+    return {
+        baseline: baseline.key,
+        confidence,
+        variants,
+        winner: winner ? winner.key : null
+    };
+}
+
+module.exports = {
+    HOLDOUT_VARIANT,
+    MAX_VARIANTS,
+    MAX_HOLDOUT_PERCENT,
+    VARIANT_APPEARANCE_FIELDS,
+    EXPERIMENT_STATS_FIELDS,
+    getVariantKey,
+    hasVariant,
+    assignVariant,
+    applyVariant,
+    normalCdf,
+    twoProportionTest,
+    getExperimentResults
+};
@@ -0,0 +1,145 @@
+/**
+ * Impression Guard Service - Decide which storefront impressions (and other
+ * timer events, such as expiries) to count
+ *
+ * The event endpoints are public, so bots are ignored and each visitor
+ * counts once per timer and event within IMPRESSION_DEDUPE_MS. Visitors are
+ * known by the ID the widget keeps in localStorage, or by IP and user agent
+ * when it sends none. The ID is chosen by the client, so an address only
+ * gets MAX_VISITOR_IDS_PER_ADDRESS of them counted separately per window.
+ * Seen events are kept in memory (per process), bounded by
+ * MAX_TRACKED_IMPRESSIONS.
+ */
+
+const crypto = require('crypto');
+const { isbot } = require('isbot');
+
+// A visitor browsing for a while counts once per timer
+const IMPRESSION_DEDUPE_MS = 30 * 60 * 1000;
+
+// Oldest entries are dropped beyond this, to bound memory
+const MAX_TRACKED_IMPRESSIONS = 100000;
+
+// Widget visitor IDs: UUIDs or similar random tokens
+const VISITOR_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+// "timerId|eventType|visitorKey" -> time the event stops counting as seen
+const seenImpressions = new Map();
+
+// Visitor IDs an address (IP and user agent) may present within the dedupe
+// window; further ones count as the address. Enough for a household or
+// office sharing an address, too few to inflate counts by rotating IDs
+const MAX_VISITOR_IDS_PER_ADDRESS = 20;
+
+// "a:addressHash" -> Map of visitor key -> time it stops counting towards
+// the address's IDs, oldest address first
+const addressVisitors = new Map();
+
+/**
+ * Whether a request comes from a crawler or script rather than a browser
+ * Requests without a user agent are treated as scripts
+ */
+function isBotRequest(userAgent) {
+    return !userAgent || isbot(userAgent);
+}
+
+/**
+ * Key identifying the visitor behind a request: the widget's visitor ID
+ * (from the body or query), else their address
+ */
+function getVisitorKey(req) {
+    const visitorId = req.body?.visitorId ?? req.query?.visitorId;
+    if (typeof visitorId === 'string' && VISITOR_ID_PATTERN.test(visitorId)) {
+        return `v:${visitorId}`;
+    }
+
+    return getAddressKey(req);
+}
+
+/**
+ * Key for the visitor's address: their IP and user agent
+ */
+function getAddressKey(req) {
+    const address = `${req.clientIp || req.ip}|${req.get('user-agent') || ''}`;
+    return `a:${crypto.createHash('sha256').update(address).digest('base64url')}`;
+}
+
+/**
+ * Key to count a visitor's events (and rate limit them) under: their
+ * visitor key, unless their address has already presented
+ * MAX_VISITOR_IDS_PER_ADDRESS other visitor IDs within the dedupe window
+ */
+function getEventVisitorKey(req, now = Date.now()) {
+    const visitorKey = getVisitorKey(req);
+    const addressKey = getAddressKey(req);
+    if (visitorKey === addressKey) {
+        return addressKey;
+    }
+
+    const visitors = addressVisitors.get(addressKey) || new Map();
+    for (const [key, until] of visitors) {
+        if (until <= now) {
+            visitors.delete(key);
+        }
+    }
+    if (!visitors.has(visitorKey) && visitors.size >= MAX_VISITOR_IDS_PER_ADDRESS) {
+        return addressKey;
+    }
+
+    visitors.set(visitorKey, now + IMPRESSION_DEDUPE_MS);
+    // Re-insert so the Map stays ordered oldest first
+    addressVisitors.delete(addressKey);
+    if (addressVisitors.size >= MAX_TRACKED_IMPRESSIONS) {
+        addressVisitors.delete(addressVisitors.keys().next().value);
+    }
+    addressVisitors.set(addressKey, visitors);
+    return visitorKey;
+}
+
+/**
+ * Record a timer event (e.g. 'impression') by a visitor; false if the
+ * visitor was already counted for it within the dedupe window
+ */
+function claimTimerEvent(timerId, eventType, visitorKey, now = Date.now()) {
+    const key = `${timerId}|${eventType}|${visitorKey}`;
+    const seenUntil = seenImpressions.get(key);
+    if (seenUntil && seenUntil > now) {
+        return false;
+    }
+
+    if (seenImpressions.size >= MAX_TRACKED_IMPRESSIONS) {
+        for (const [entry, until] of seenImpressions) {
+            if (until <= now) {
+                seenImpressions.delete(entry);
+            }
+        }
+        // Still full - forget the oldest
+        if (seenImpressions.size >= MAX_TRACKED_IMPRESSIONS) {
+            seenImpressions.delete(seenImpressions.keys().next().value);
+        }
+    }
+
+    // Re-insert so the Map stays ordered oldest first
+    seenImpressions.delete(key);
+    seenImpressions.set(key, now + IMPRESSION_DEDUPE_MS);
+    return true;
+}
+
+/**
+ * Forget every seen event and visitor ID
+ */
+function resetImpressions() {
+    seenImpressions.clear();
+    addressVisitors.clear();
+}
+
+module.exports = {
+    IMPRESSION_DEDUPE_MS,
+    MAX_VISITOR_IDS_PER_ADDRESS,
+    VISITOR_ID_PATTERN,
+    isBotRequest,
+    getVisitorKey,
+    getEventVisitorKey,
+    claimTimerEvent,
+    resetImpressions
+};
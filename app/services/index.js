@@ -0,0 +1,32 @@
+/**
+ * Services Index - Export all server-side service modules
+ */
+const schedule = require('./schedule');
+const timezone = require('./timezone');
+const evergreenSession = require('./evergreenSession');
+const timerPrecedence = require('./timerPrecedence');
+const targeting = require('./targeting');
+const timerRules = require('./timerRules');
+const timerCache = require('./timerCache');
+const impressionGuard = require('./impressionGuard');
+const timerStats = require('./timerStats');
+const orderAttribution = require('./orderAttribution');
+const experiments = require('./experiments');
+const statsExport = require('./statsExport');
+const cartCollections = require('./cartCollections');
+
+module.exports = {
+    ...schedule,
+    ...timezone,
+    ...evergreenSession,
+    ...timerPrecedence,
+    ...targeting,
+    ...timerRules,
+    ...timerCache,
+    ...impressionGuard,
+    ...timerStats,
+    ...orderAttribution,
+    ...experiments,
+    ...statsExport,
+    ...cartCollections
+};
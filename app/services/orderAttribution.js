@@ -0,0 +1,63 @@
+/**
+ * Order Attribution Service - Credit orders to the timer that was showing
+ *
+ * When a visitor adds to cart while a timer shows, the widget writes the
+ * timer's ID and the visitor's ID to a cart attribute. Shopify copies cart
+ * attributes to the order's note_attributes, which the orders/create
+ * webhook reads here. The last timer shown at add to cart gets the order.
+ */
+
+const { VISITOR_ID_PATTERN } = require('./impressionGuard');
+
+// Cart attribute written by the widget: "timerId:visitorId", followed by
+// ":experimentId:variant" when the visitor is in an experiment. The leading
+// underscore keeps it out of the checkout and order status pages
+const ATTRIBUTION_ATTRIBUTE = '_countdown_timer';
+
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+const VARIANT_PATTERN = /^([a-z]|holdout)$/;
+
+/**
+ * The timer and visitor an order is attributed to, plus experimentId and
+ * variant for visitors in an experiment, or null when the order has no
+ * (valid) attribution
+ */
+function parseOrderAttribution(order) {
+    const attributes = Array.isArray(order?.note_attributes) ? order.note_attributes : [];
+    const attribute = attributes.find(item => item?.name === ATTRIBUTION_ATTRIBUTE);
+    if (typeof attribute?.value !== 'string') {
+        return null;
+    }
+
+    const [timerId, visitorId, experimentId, variant] = attribute.value.split(':');
+    if (!OBJECT_ID_PATTERN.test(timerId || '')) {
+        return null;
+    }
+
+    const attribution = {
+        timerId,
+        visitorId: VISITOR_ID_PATTERN.test(visitorId || '') ? visitorId : null
+    };
+    if (OBJECT_ID_PATTERN.test(experimentId || '') && VARIANT_PATTERN.test(variant || '')) {
+        attribution.experimentId = experimentId;
+        attribution.variant = variant;
+    }
+    return attribution;
+}
+
+/**
+ * An order's total (including shipping and taxes) in the shop's currency
+ */
+function getOrderRevenue(order) {
+    const revenue = Number.parseFloat(order?.total_price);
+    return {
+        revenue: Number.isFinite(revenue) && revenue > 0 ? revenue : 0,
+        currency: typeof order?.currency === 'string' ? order.currency.toUpperCase() : null
+    };
+}
+
+module.exports = {
+    ATTRIBUTION_ATTRIBUTE,
+    parseOrderAttribution,
+    getOrderRevenue
+};
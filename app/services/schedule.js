@@ -0,0 +1,186 @@
+/**
+ * Schedule Service - Resolves occurrences of recurring timers
+ *
+ * A recurring schedule describes a daily window (startTime - endTime) that
+ * repeats every day, on specific weekdays, or on a day of the month.
+ * Windows whose endTime is at or before startTime run past midnight.
+ * Times are wall-clock times in the timer's timezone.
+ */
+
+const { DEFAULT_TIMEZONE, getZonedParts, zonedTimeToUtc } = require('./timezone');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// How far ahead to look for the next occurrence (covers every monthly schedule)
+const LOOKAHEAD_DAYS = 62;
+
+/**
+ * Convert "HH:mm" into minutes after midnight
+ */
+function parseTime(value) {
+    if (!value || !TIME_PATTERN.test(value)) {
+        return 0;
+    }
+
+    const [hours, minutes] = value.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Number of days in a month (month is 0-based)
+ */
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+/**
+ * Check whether the schedule has an occurrence starting on the given calendar day
+ */
+function occursOn(schedule, day) {
+    if (schedule.frequency === 'daily') {
+        return true;
+    }
+
+    if (schedule.frequency === 'weekly') {
+        return (schedule.daysOfWeek || []).includes(day.weekday);
+    }
+
+    if (schedule.frequency === 'monthly') {
+        // Day 31 falls back to the last day of shorter months
+        const target = Math.min(schedule.dayOfMonth, daysInMonth(day.year, day.month));
+        return day.date === target;
+    }
+
+    return false;
+}
+
+/**
+ * Calendar day in the timezone that is `offset` days away from the given instant
+ */
+function calendarDay(now, offset, timeZone) {
+    const today = getZonedParts(now, timeZone);
+    const shifted = new Date(Date.UTC(today.year, today.month, today.date + offset));
+    return {
+        year: shifted.getUTCFullYear(),
+        month: shifted.getUTCMonth(),
+        date: shifted.getUTCDate(),
+        weekday: shifted.getUTCDay()
+    };
+}
+
+/**
+ * Build the concrete start/end of the occurrence that starts on a calendar day
+ */
+function occurrenceOn(schedule, day, timeZone) {
+    const startMinutes = parseTime(schedule.startTime);
+    let endMinutes = parseTime(schedule.endTime);
+
+    if (endMinutes <= startMinutes) {
+        endMinutes += 24 * 60;
+    }
+
+    return {
+        startDate: zonedTimeToUtc(day.year, day.month, day.date, startMinutes, timeZone),
+        endDate: zonedTimeToUtc(day.year, day.month, day.date, endMinutes, timeZone)
+    };
+}
+
+/**
+ * Get the occurrence running at `now`, or null between occurrences
+ */
+function getCurrentOccurrence(schedule, now = new Date(), timeZone = DEFAULT_TIMEZONE) {
+    if (!schedule || !FREQUENCIES.includes(schedule.frequency)) {
+        return null;
+    }
+
+    // An occurrence that started yesterday may still be running past midnight
+    for (const offset of [0, -1]) {
+        const day = calendarDay(now, offset, timeZone);
+        if (!occursOn(schedule, day)) {
+            continue;
+        }
+
+        const occurrence = occurrenceOn(schedule, day, timeZone);
+        if (occurrence.startDate <= now && occurrence.endDate > now) {
+            return occurrence;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Get the first occurrence starting after `now`, or null if there is none
+ */
+function getNextOccurrence(schedule, now = new Date(), timeZone = DEFAULT_TIMEZONE) {
+    if (!schedule || !FREQUENCIES.includes(schedule.frequency)) {
+        return null;
+    }
+
+    for (let offset = 0; offset <= LOOKAHEAD_DAYS; offset++) {
+        const day = calendarDay(now, offset, timeZone);
+        if (!occursOn(schedule, day)) {
+            continue;
+        }
+
+        const occurrence = occurrenceOn(schedule, day, timeZone);
+        if (occurrence.startDate > now) {
+            return occurrence;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Validate a schedule definition, returning a list of { field, message } errors
+ */
+function validateSchedule(schedule) {
+    const errors = [];
+
+    if (!schedule || typeof schedule !== 'object') {
+        errors.push({ field: 'schedule', message: 'Schedule is required for recurring timers' });
+        return errors;
+    }
+
+    if (!FREQUENCIES.includes(schedule.frequency)) {
+        errors.push({ field: 'schedule.frequency', message: 'Frequency must be "daily", "weekly", or "monthly"' });
+    }
+
+    if (schedule.startTime && !TIME_PATTERN.test(schedule.startTime)) {
+        errors.push({ field: 'schedule.startTime', message: 'Start time must be in HH:mm format' });
+    }
+    if (!schedule.endTime || !TIME_PATTERN.test(schedule.endTime)) {
+        errors.push({ field: 'schedule.endTime', message: 'End time must be in HH:mm format' });
+    }
+    if (parseTime(schedule.startTime) === parseTime(schedule.endTime)) {
+        errors.push({ field: 'schedule.endTime', message: 'End time must differ from start time' });
+    }
+
+    if (schedule.frequency === 'weekly') {
+        const days = schedule.daysOfWeek;
+        if (!Array.isArray(days) || !days.length) {
+            errors.push({ field: 'schedule.daysOfWeek', message: 'Select at least one day of the week' });
+        } else if (!days.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) {
+            errors.push({ field: 'schedule.daysOfWeek', message: 'Days of the week must be between 0 (Sunday) and 6 (Saturday)' });
+        }
+    }
+
+    if (schedule.frequency === 'monthly') {
+        const day = schedule.dayOfMonth;
+        if (!Number.isInteger(day) || day < 1 || day > 31) {
+            errors.push({ field: 'schedule.dayOfMonth', message: 'Day of month must be between 1 and 31' });
+        }
+    }
+
+    return errors;
+}
+
+module.exports = {
+    FREQUENCIES,
+    TIME_PATTERN,
+    getCurrentOccurrence,
+    getNextOccurrence,
+    validateSchedule
+};
@@ -0,0 +1,142 @@
+/**
+ * Stats Export Service - CSV and NDJSON exports of timer analytics
+ *
+ * An export has one record per timer per day: the timer's settings, then
+ * that day's metrics, so it opens in a spreadsheet as-is. Records are built
+ * one at a time from the daily rollups as the routes read them from Mongo
+ * cursors, so large shops are never loaded into memory at once.
+ */
+
+const { getTimerStatus } = require('./timerRules');
+const { STATS_FIELDS, parseStatsDate, formatStatsDate, roundMoney } = require('./timerStats');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Content type and file extension per format
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+// Timer settings repeated on each of its rows
+const TIMER_EXPORT_FIELDS = [
+    'timerId',
+    'timerName',
+    'type',
+    'status',
+    'isActive',
+    'priority',
+    'timezone',
+    'startDate',
+    'endDate',
+    'durationMinutes',
+    'scheduleFrequency',
+    'targetingContext',
+    'targetingScope',
+    'pageTypes',
+    'headline',
+    'currency'
+];
+
+const EXPORT_COLUMNS = [...TIMER_EXPORT_FIELDS, 'date', ...STATS_FIELDS];
+
+/**
+ * The settings columns of a timer (a lean document)
+ */
+function getTimerExportFields(timer, now = new Date()) {
+    return {
+        timerId: String(timer._id),
+        timerName: timer.name,
+        type: timer.type,
+        status: getTimerStatus(timer, now),
+        isActive: Boolean(timer.isActive),
+        priority: timer.priority ?? 0,
+        timezone: timer.timezone || null,
+        startDate: timer.startDate || null,
+        endDate: timer.endDate || null,
+        durationMinutes: timer.durationMinutes ?? null,
+        scheduleFrequency: timer.schedule?.frequency || null,
+        targetingContext: timer.targeting?.context || 'page',
+        targetingScope: timer.targeting?.scope || 'all',
+        pageTypes: timer.targeting?.pageTypes || [],
+        headline: timer.appearance?.headline || '',
+        currency: timer.currency || null
+    };
+}
+
+/**
+ * Daily rollups for every day of from..to (inclusive), with zeros for days
+ * without events. rows is any iterable or async iterable (e.g. a Mongo
+ * cursor) of rollups sorted by date; it is read one row at a time
+ */
+async function* fillStatsDays(rows, { from, to }) {
+    const iterator = (rows[Symbol.asyncIterator] || rows[Symbol.iterator]).call(rows);
+    try {
+        let next = await iterator.next();
+        for (let time = parseStatsDate(from); time <= parseStatsDate(to); time += DAY_MS) {
+            const date = formatStatsDate(time);
+            while (!next.done && next.value.date < date) {
+                next = await iterator.next();
+            }
+
+            const row = !next.done && next.value.date === date ? next.value : {};
+            const day = { date };
+            for (const field of STATS_FIELDS) {
+                day[field] = row[field] || 0;
+            }
+            day.revenue = roundMoney(day.revenue);
+            yield day;
+        }
+    } finally {
+        // Closes the cursor, including when the export stops early
+        await iterator.return?.();
+    }
+}
+
+/**
+ * A CSV cell: dates as ISO strings, lists space-separated, and text that a
+ * spreadsheet would run as a formula prefixed with a quote
+ */
+const toCsvCell = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = value instanceof Date ? value.toISOString() : Array.isArray(value) ? value.join(' ') : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvLine = (values) => `${values.map(toCsvCell).join(',')}\r\n`;
+
+/**
+ * Serializer for an export format: header() is written once, then
+ * record(record) per record
+ */
+function createExportSerializer(format) {
+    if (format === 'ndjson') {
+        return {
+            header: () => '',
+            record: (record) => `${JSON.stringify(record)}\n`
+        };
+    }
+    return {
+        header: () => toCsvLine(EXPORT_COLUMNS),
+        record: (record) => toCsvLine(EXPORT_COLUMNS.map(column => record[column]))
+    };
+}
+
+/**
+ * Download file name for an export, e.g. timers-2026-03-01-to-2026-03-30.csv
+ */
+const getExportFilename = (name, { from, to }, format) => `${name}-${from}-to-${to}.${EXPORT_FORMATS[format].extension}`;
+
+module.exports = {
+    EXPORT_FORMATS,
+    EXPORT_COLUMNS,
+    getTimerExportFields,
+    fillStatsDays,
+    createExportSerializer,
+    getExportFilename
+};
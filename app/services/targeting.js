@@ -0,0 +1,165 @@
+/**
+ * Targeting Service - ID and product attribute matching for timer targeting
+ *
+ * Product and collection IDs are compared exactly after normalising to GIDs
+ * ("gid://shopify/Product/123"), so numeric, legacy REST and GID forms of
+ * the same ID match but "12" never matches "123".
+ * Tag, vendor and product type scopes match the product's attributes
+ * case-insensitively, as Shopify treats them.
+ */
+
+const GID_PATTERN = /^gid:\/\/shopify\/(\w+)\/(\d+)(?:\?.*)?$/;
+const NUMERIC_ID_PATTERN = /^\d+$/;
+
+// Storefront page types a timer can target; "page" is a custom page
+const PAGE_TYPES = ['home', 'collection', 'product', 'cart', 'search', 'page'];
+
+// Timers without page types keep their original product-page-only behaviour
+const DEFAULT_PAGE_TYPES = ['product'];
+
+// Where a timer is evaluated: against the page being viewed, or against
+// the visitor's cart (cart page and cart drawer)
+const TIMER_CONTEXTS = ['page', 'cart'];
+
+// Scope -> the product attribute it matches against
+const ATTRIBUTE_SCOPES = {
+    tags: 'tags',
+    vendors: 'vendor',
+    productTypes: 'productType'
+};
+
+/**
+ * Normalise a numeric ID, legacy REST ID or GID to a GID of the given
+ * resource type ("Product", "Collection"), or null if it is not one
+ */
+function normalizeShopifyId(id, resource) {
+    if (id === null || id === undefined) {
+        return null;
+    }
+
+    const value = String(id).trim();
+    if (NUMERIC_ID_PATTERN.test(value)) {
+        return `gid://shopify/${resource}/${value}`;
+    }
+
+    const match = value.match(GID_PATTERN);
+    if (match && match[1] === resource) {
+        return `gid://shopify/${resource}/${match[2]}`;
+    }
+
+    return null;
+}
+
+/**
+ * Normalise a list of IDs, dropping invalid ones and duplicates
+ */
+function normalizeShopifyIds(ids, resource) {
+    const normalized = [].concat(ids || [])
+        .map(id => normalizeShopifyId(id, resource))
+        .filter(Boolean);
+    return [...new Set(normalized)];
+}
+
+/**
+ * Whether any of a timer's IDs is exactly one of the candidate IDs
+ */
+function matchesAnyId(ids, candidates, resource) {
+    const wanted = new Set(normalizeShopifyIds(candidates, resource));
+    return (ids || []).some(id => wanted.has(normalizeShopifyId(id, resource)));
+}
+
+/**
+ * Normalise a tag, vendor or product type for case-insensitive comparison
+ */
+const normalizeAttributeValue = (value) => String(value).trim().toLowerCase();
+
+/**
+ * Split a comma-separated query value (e.g. "sale,summer") into a list
+ */
+function parseList(value) {
+    if (!value) {
+        return [];
+    }
+    return [].concat(value)
+        .flatMap(item => String(item).split(','))
+        .map(item => item.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Whether a timer with a tags/vendors/productTypes scope matches a product
+ * product: { tags: [], vendor: '', productType: '' }
+ */
+function matchesProductAttributes(targeting, product = {}) {
+    const scope = targeting?.scope;
+    const attribute = ATTRIBUTE_SCOPES[scope];
+    if (!attribute) {
+        return false;
+    }
+
+    const productValues = [].concat(product[attribute] || []).map(normalizeAttributeValue);
+    return (targeting[scope] || []).some(value => productValues.includes(normalizeAttributeValue(value)));
+}
+
+/**
+ * Whether a timer's page types allow the page being viewed
+ * page: { pageType, pageHandle }; a missing pageType is a product page,
+ * which is all widgets sent before page targeting existed
+ */
+function matchesPageType(targeting, page = {}) {
+    const pageTypes = targeting?.pageTypes?.length ? targeting.pageTypes : DEFAULT_PAGE_TYPES;
+    const pageType = page.pageType || 'product';
+
+    if (!pageTypes.includes(pageType)) {
+        return false;
+    }
+
+    const pageHandles = targeting?.pageHandles || [];
+    if (pageType === 'page' && pageHandles.length > 0) {
+        return pageHandles.includes(String(page.pageHandle || '').toLowerCase());
+    }
+
+    return true;
+}
+
+/**
+ * Whether a cart timer's conditions hold for the visitor's cart
+ * cart: { items: [{ productId, collectionIds }], subtotal }
+ * With no products or collections chosen, any non-empty cart matches
+ */
+function matchesCart(cartTargeting = {}, cart = {}) {
+    const items = cart.items || [];
+    if (items.length === 0) {
+        return false;
+    }
+
+    if ((Number(cart.subtotal) || 0) < (cartTargeting.minSubtotal || 0)) {
+        return false;
+    }
+
+    const productIds = cartTargeting.productIds || [];
+    const collectionIds = cartTargeting.collectionIds || [];
+    if (productIds.length === 0 && collectionIds.length === 0) {
+        return true;
+    }
+
+    return items.some(item =>
+        matchesAnyId(productIds, item.productId, 'Product') ||
+        matchesAnyId(collectionIds, item.collectionIds, 'Collection')
+    );
+}
+
+module.exports = {
+    PAGE_TYPES,
+    DEFAULT_PAGE_TYPES,
+    TIMER_CONTEXTS,
+    matchesPageType,
+    matchesCart,
+    normalizeShopifyId,
+    normalizeShopifyIds,
+    matchesAnyId,
+    ATTRIBUTE_SCOPES,
+    normalizeAttributeValue,
+    parseList,
+    matchesProductAttributes
+};
@@ -0,0 +1,209 @@
+/**
+ * Timer Cache Service - Per-shop cache of the timers the storefront may show
+ *
+ * Storefront lookups read a shop's candidate timers from here instead of
+ * querying Mongo on every page view. Entries are dropped when the admin
+ * routes change a timer, and expire at the shop's next scheduled start or
+ * end so fixed and recurring timers flip on time.
+ *
+ * The backend is pluggable: in-memory by default (per process), or any
+ * Redis-compatible client via createRedisBackend() to share it between
+ * instances (connectRedisBackend() uses ioredis, when installed). Backend
+ * errors fall back to loading from Mongo.
+ */
+
+const { getNextOccurrence } = require('./schedule');
+const { getCurrentWindow } = require('./timerRules');
+
+// Upper bound on staleness, e.g. for changes made by another instance
+// while using the in-memory backend
+const DEFAULT_TTL_MS = 60 * 1000;
+
+/**
+ * In-memory backend: { get, set, del } over a Map with per-entry expiry
+ */
+function createMemoryBackend() {
+    const entries = new Map();
+
+    return {
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry) {
+                return undefined;
+            }
+            if (entry.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return undefined;
+            }
+            return entry.value;
+        },
+        async set(key, value, ttlMs) {
+            entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+        },
+        async del(key) {
+            entries.delete(key);
+        }
+    };
+}
+
+/**
+ * Redis backend for an ioredis-style client: get(key),
+ * set(key, value, 'PX', ttlMs) and del(key). Timers are stored as JSON,
+ * so dates come back as ISO strings, which the timer rules accept
+ */
+function createRedisBackend(client, { prefix = 'countdown:timers:' } = {}) {
+    return {
+        async get(key) {
+            const value = await client.get(prefix + key);
+            return value ? JSON.parse(value) : undefined;
+        },
+        async set(key, value, ttlMs) {
+            await client.set(prefix + key, JSON.stringify(value), 'PX', ttlMs);
+        },
+        async del(key) {
+            await client.del(prefix + key);
+        }
+    };
+}
+
+let backend = createMemoryBackend();
+let ttlMs = DEFAULT_TTL_MS;
+
+// Loads in progress per shop, so a burst of requests queries Mongo once
+const pendingLoads = new Map();
+
+// Bumped on invalidation so a load that started earlier is not cached
+const generations = new Map();
+
+/**
+ * Replace the cache backend (and optionally the maximum entry age)
+ */
+function setTimerCacheBackend(newBackend, options = {}) {
+    backend = newBackend;
+    ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+    pendingLoads.clear();
+}
+
+/**
+ * Share the cache through the Redis server at `url`, with the optional
+ * ioredis package. Without the package the current backend is kept and
+ * false is returned
+ */
+function connectRedisBackend(url, options = {}) {
+    let Redis;
+    try {
+        Redis = require('ioredis');
+    } catch (error) {
+        if (error.code !== 'MODULE_NOT_FOUND') {
+            throw error;
+        }
+        return false;
+    }
+
+    setTimerCacheBackend(createRedisBackend(new Redis(url)), options);
+    return true;
+}
+
+/**
+ * The next moment after `now` at which one of the timers starts or ends
+ * (Infinity if none does)
+ */
+function getNextBoundary(timers, now = new Date()) {
+    let next = Infinity;
+    const consider = (date) => {
+        const time = new Date(date).getTime();
+        if (time > now.getTime() && time < next) {
+            next = time;
+        }
+    };
+
+    for (const timer of timers) {
+        if (timer.type === 'fixed') {
+            consider(timer.startDate);
+            // Fixed timers are active up to and including their end
+            consider(new Date(timer.endDate).getTime() + 1);
+        } else if (timer.type === 'recurring') {
+            const current = getCurrentWindow(timer, now);
+            if (current) {
+                consider(current.endDate);
+            }
+            const upcoming = getNextOccurrence(timer.schedule, now, timer.timezone);
+            if (upcoming) {
+                consider(upcoming.startDate);
+            }
+        }
+    }
+
+    return next;
+}
+
+/**
+ * Get a shop's candidate timers, calling loadTimers() on a cache miss
+ */
+async function getShopTimers(shop, loadTimers, now = new Date()) {
+    const generation = generations.get(shop) || 0;
+
+    try {
+        const cached = await backend.get(shop);
+        if (cached) {
+            return cached;
+        }
+    } catch (error) {
+        console.error('Timer cache read error:', error);
+        return loadTimers();
+    }
+
+    if (pendingLoads.has(shop)) {
+        return pendingLoads.get(shop);
+    }
+
+    const load = (async () => {
+        const timers = await loadTimers();
+
+        // Skip caching if a timer changed while loading
+        if ((generations.get(shop) || 0) === generation) {
+            const ttl = Math.min(ttlMs, getNextBoundary(timers, now) - now.getTime());
+            try {
+                await backend.set(shop, timers, Math.max(ttl, 1));
+            } catch (error) {
+                console.error('Timer cache write error:', error);
+            }
+        }
+
+        return timers;
+    })();
+
+    pendingLoads.set(shop, load);
+    try {
+        return await load;
+    } finally {
+        // An invalidation may already have made way for a newer load
+        if (pendingLoads.get(shop) === load) {
+            pendingLoads.delete(shop);
+        }
+    }
+}
+
+/**
+ * Drop a shop's cached timers after one is created, updated or deleted
+ */
+async function invalidateShopTimers(shop) {
+    generations.set(shop, (generations.get(shop) || 0) + 1);
+    pendingLoads.delete(shop);
+
+    try {
+        await backend.del(shop);
+    } catch (error) {
+        console.error('Timer cache invalidation error:', error);
+    }
+}
+
+module.exports = {
+    createMemoryBackend,
+    createRedisBackend,
+    setTimerCacheBackend,
+    connectRedisBackend,
+    getNextBoundary,
+    getShopTimers,
+    invalidateShopTimers
+};
@@ -0,0 +1,134 @@
+/**
+ * Timer Precedence Service - Decide which timer wins when several match
+ *
+ * Timers are ranked by explicit priority (higher first), then by targeting
+ * specificity (products > collections > all), then newest first.
+ */
+
+const { DEFAULT_PAGE_TYPES, normalizeShopifyId, normalizeAttributeValue } = require('./targeting');
+
+// Tags, vendors and product types group products like collections do
+const SCOPE_SPECIFICITY = {
+    products: 3,
+    collections: 2,
+    tags: 2,
+    vendors: 2,
+    productTypes: 2,
+    all: 1
+};
+
+const getSpecificity = (timer) => SCOPE_SPECIFICITY[timer.targeting?.scope || 'all'] || 0;
+
+/**
+ * Sort comparator: negative when timer a takes precedence over timer b
+ */
+function compareTimerPrecedence(a, b) {
+    const priorityDiff = (b.priority || 0) - (a.priority || 0);
+    if (priorityDiff !== 0) {
+        return priorityDiff;
+    }
+
+    const specificityDiff = getSpecificity(b) - getSpecificity(a);
+    if (specificityDiff !== 0) {
+        return specificityDiff;
+    }
+
+    return new Date(b.createdAt || 0) - new Date(a.createdAt || 0);
+}
+
+/**
+ * Return a copy of timers ordered from winner to loser
+ */
+function sortByPrecedence(timers) {
+    return [...timers].sort(compareTimerPrecedence);
+}
+
+// Targeted values per scope, normalised the way targeting compares them:
+// IDs as GIDs, tags, vendors and product types case-insensitively
+const TARGET_KEYS = {
+    products: { ids: 'productIds', exclude: 'excludeProductIds', normalize: (id) => normalizeShopifyId(id, 'Product') },
+    collections: { ids: 'collectionIds', exclude: 'excludeCollectionIds', normalize: (id) => normalizeShopifyId(id, 'Collection') },
+    tags: { ids: 'tags', normalize: normalizeAttributeValue },
+    vendors: { ids: 'vendors', normalize: normalizeAttributeValue },
+    productTypes: { ids: 'productTypes', normalize: normalizeAttributeValue }
+};
+
+/**
+ * Whether two timers could show on the same product
+ * Across different scopes (e.g. products vs collections) it is unknown
+ * without the catalogue, so not flagged
+ */
+function targetsOverlap(a, b) {
+    const scopeA = a.targeting?.scope || 'all';
+    const scopeB = b.targeting?.scope || 'all';
+
+    // Cart timers only compete with each other, for the same cart
+    const contextA = a.targeting?.context || 'page';
+    const contextB = b.targeting?.context || 'page';
+    if (contextA !== contextB) {
+        return false;
+    }
+    if (contextA === 'cart') {
+        return true;
+    }
+
+    // Timers on different kinds of page never meet
+    const pagesA = a.targeting?.pageTypes?.length ? a.targeting.pageTypes : DEFAULT_PAGE_TYPES;
+    const pagesB = b.targeting?.pageTypes?.length ? b.targeting.pageTypes : DEFAULT_PAGE_TYPES;
+    if (!pagesA.some(pageType => pagesB.includes(pageType))) {
+        return false;
+    }
+
+    if (scopeA === 'all' && scopeB === 'all') {
+        return true;
+    }
+    if (scopeA !== 'all' && scopeB !== 'all' && scopeA !== scopeB) {
+        return false;
+    }
+
+    // IDs of the narrower scope that neither timer excludes
+    const { ids, exclude, normalize } = TARGET_KEYS[scopeA === 'all' ? scopeB : scopeA];
+    const values = (timer, key) => (key ? timer.targeting?.[key] || [] : []).map(normalize).filter(Boolean);
+    const excluded = new Set([...values(a, exclude), ...values(b, exclude)]);
+    const notExcluded = (id) => !excluded.has(id);
+
+    if (scopeA === 'all') {
+        return values(b, ids).some(notExcluded);
+    }
+    if (scopeB === 'all') {
+        return values(a, ids).some(notExcluded);
+    }
+
+    const idsB = new Set(values(b, ids));
+    return values(a, ids).some(id => idsB.has(id) && notExcluded(id));
+}
+
+/**
+ * Whether two timers could be running at the same time
+ * Evergreen and recurring timers are treated as always running
+ */
+function schedulesOverlap(a, b) {
+    const window = (timer) => timer.type === 'fixed'
+        ? [new Date(timer.startDate).getTime(), new Date(timer.endDate).getTime()]
+        : [-Infinity, Infinity];
+
+    const [startA, endA] = window(a);
+    const [startB, endB] = window(b);
+    return startA < endB && startB < endA;
+}
+
+/**
+ * Whether two timers compete for the same product at the same time
+ */
+function timersOverlap(a, b) {
+    return targetsOverlap(a, b) && schedulesOverlap(a, b);
+}
+
+module.exports = {
+    SCOPE_SPECIFICITY,
+    compareTimerPrecedence,
+    sortByPrecedence,
+    targetsOverlap,
+    schedulesOverlap,
+    timersOverlap
+};
@@ -0,0 +1,177 @@
+/**
+ * Timer Rules - The one place timer status and targeting are decided
+ *
+ * The Timer model, the admin and storefront routes and the client utils all
+ * call these functions, so a new timer type or targeting rule is added here
+ * once. Works on Mongoose documents and plain (lean) objects alike.
+ */
+
+const { getCurrentOccurrence, getNextOccurrence } = require('./schedule');
+const {
+    matchesAnyId,
+    matchesProductAttributes,
+    matchesPageType,
+    matchesCart,
+    ATTRIBUTE_SCOPES
+} = require('./targeting');
+const { sortByPrecedence } = require('./timerPrecedence');
+
+const TIMER_STATUSES = ['active', 'scheduled', 'expired', 'inactive'];
+
+/**
+ * The window a fixed or recurring timer is currently counting down,
+ * as { startDate, endDate }, or null if it is not running right now
+ */
+function getCurrentWindow(timer, now = new Date()) {
+    if (timer.type === 'recurring') {
+        return getCurrentOccurrence(timer.schedule, now, timer.timezone);
+    }
+
+    if (timer.type === 'fixed' && new Date(timer.startDate) <= now && new Date(timer.endDate) >= now) {
+        return { startDate: timer.startDate, endDate: timer.endDate };
+    }
+
+    return null;
+}
+
+/**
+ * Whether a timer should be shown to storefront visitors right now
+ */
+function isTimerLive(timer, now = new Date()) {
+    if (!timer.isActive) {
+        return false;
+    }
+    return timer.type === 'evergreen' || Boolean(getCurrentWindow(timer, now));
+}
+
+/**
+ * Status shown to merchants: active, scheduled, expired or inactive
+ */
+function getTimerStatus(timer, now = new Date()) {
+    if (!timer.isActive) {
+        return 'inactive';
+    }
+
+    if (isTimerLive(timer, now)) {
+        return 'active';
+    }
+
+    if (timer.type === 'recurring') {
+        return getNextOccurrence(timer.schedule, now, timer.timezone) ? 'scheduled' : 'expired';
+    }
+
+    if (timer.type === 'fixed' && new Date(timer.startDate) > now) {
+        return 'scheduled';
+    }
+
+    return 'expired';
+}
+
+/**
+ * Whether a timer targets the page and product being viewed, or the cart
+ * context: { pageType, pageHandle, productId, collectionIds, tags, vendor, productType }
+ * or, for cart timers: { cart: { items, subtotal } }
+ */
+function matchesTargeting(timer, context = {}) {
+    const { productId, collectionIds = [] } = context;
+    const targeting = timer.targeting || {};
+    const scope = targeting.scope || 'all';
+
+    // Cart timers are only evaluated against a cart, page timers never are
+    const isCartTimer = targeting.context === 'cart';
+    if (isCartTimer !== Boolean(context.cart)) {
+        return false;
+    }
+    if (isCartTimer) {
+        return matchesCart(targeting.cart, context.cart);
+    }
+
+    if (!matchesPageType(targeting, context)) {
+        return false;
+    }
+
+    // Exclusions win over every scope
+    if (matchesAnyId(targeting.excludeProductIds, productId, 'Product')) {
+        return false;
+    }
+    if (matchesAnyId(targeting.excludeCollectionIds, collectionIds, 'Collection')) {
+        return false;
+    }
+
+    if (scope === 'all') {
+        return true;
+    }
+
+    if (scope === 'products') {
+        return matchesAnyId(targeting.productIds, productId, 'Product');
+    }
+
+    if (scope === 'collections') {
+        return matchesAnyId(targeting.collectionIds, collectionIds, 'Collection');
+    }
+
+    if (ATTRIBUTE_SCOPES[scope]) {
+        return matchesProductAttributes(targeting, context);
+    }
+
+    return false;
+}
+
+/**
+ * Mongo query for a shop's timers that may be live; recurring timers
+ * still need their schedule checked, which selectTimers() does
+ */
+function buildActiveTimerQuery(shop, now = new Date()) {
+    return {
+        shop,
+        isActive: true,
+        $or: [
+            // Evergreen timers are always active
+            { type: 'evergreen' },
+            // Fixed timers within date range
+            {
+                type: 'fixed',
+                startDate: { $lte: now },
+                endDate: { $gte: now }
+            },
+            // Recurring timers are checked against their schedule
+            { type: 'recurring' }
+        ]
+    };
+}
+
+/**
+ * Mongo query for every timer a shop may show now or later: those that
+ * may be live plus fixed timers that have not started yet. The storefront
+ * caches this per shop and filters it with selectTimers() on each request
+ */
+function buildCandidateTimerQuery(shop, now = new Date()) {
+    return {
+        shop,
+        isActive: true,
+        $or: [
+            { type: { $ne: 'fixed' } },
+            { endDate: { $gte: now } }
+        ]
+    };
+}
+
+/**
+ * Live timers that target a product or cart, winner first
+ */
+function selectTimers(timers, context = {}, now = new Date()) {
+    return sortByPrecedence(timers.filter(timer =>
+        isTimerLive(timer, now) && matchesTargeting(timer, context)
+    ));
+}
+
+module.exports = {
+    TIMER_STATUSES,
+    getCurrentWindow,
+    isTimerLive,
+    getTimerStatus,
+    matchesTargeting,
+    buildActiveTimerQuery,
+    buildCandidateTimerQuery,
+    selectTimers
+};
@@ -0,0 +1,286 @@
+/**
+ * Timer Stats Service - Buffered daily rollups of storefront timer events
+ *
+ * Storefront routes record events here instead of writing to Mongo on every
+ * request. Counts are grouped per timer per day (in the timer's timezone)
+ * and flushed in one batch every STATS_FLUSH_INTERVAL_MS by the writer the
+ * server supplies (TimerStatsDaily.recordBatch). A failed flush is retried
+ * unchanged, under the same ID, with the next one. Meanwhile new events keep
+ * being counted, but at most MAX_BUFFERED_VISITORS new visitors are kept,
+ * so a long outage undercounts unique visitors rather than running out of
+ * memory. Attributed orders are low volume and written to the same rollups
+ * directly by the orders webhook.
+ *
+ * The analytics route turns stored rollups into a zero-filled series by
+ * day, week (starting Monday) or month.
+ */
+
+const crypto = require('crypto');
+const { DEFAULT_TIMEZONE, getZonedParts } = require('./timezone');
+const { HOLDOUT_VARIANT, EXPERIMENT_STATS_FIELDS } = require('./experiments');
+
+// Event type -> rollup field
+const STATS_EVENT_FIELDS = {
+    render: 'renders',
+    impression: 'impressions',
+    expiry: 'expiries',
+    click: 'clicks',
+    addToCart: 'addToCarts'
+};
+
+// Every field of a rollup, including derived ones and attributed orders
+const STATS_FIELDS = ['renders', 'impressions', 'uniqueVisitors', 'expiries', 'clicks', 'addToCarts', 'orders', 'revenue'];
+
+// Rollup fields also kept as lifetime counters on the timer
+const TIMER_COUNTER_FIELDS = ['renders', 'impressions', 'clicks', 'addToCarts'];
+
+const STATS_GRANULARITIES = ['day', 'week', 'month'];
+
+const STATS_FLUSH_INTERVAL_MS = 10 * 1000;
+
+// Visitors (hashed) buffered across all entries; counts are unaffected
+const MAX_BUFFERED_VISITORS = 100000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "timerId|date" -> { shop, timer, date, counts, visitors, variants }
+// variants: "experimentId|variant" -> { experiment, variant, counts, visitors }
+let buffer = new Map();
+let bufferedVisitors = 0;
+let flushIntervalId = null;
+
+// The last flush, if it failed: { id, entries }
+let failedFlush = null;
+// The flush in progress (flushes never throw)
+let flushing = Promise.resolve();
+
+/**
+ * A date as YYYY-MM-DD in a timezone
+ */
+function getStatsDate(date, timeZone = DEFAULT_TIMEZONE) {
+    const p = getZonedParts(date, timeZone || DEFAULT_TIMEZONE);
+    const pad = (num) => String(num).padStart(2, '0');
+    return `${p.year}-${pad(p.month + 1)}-${pad(p.date)}`;
+}
+
+/**
+ * One-way hash of a visitor key, so no raw IPs or visitor IDs are stored
+ */
+const hashVisitorKey = (visitorKey) => crypto.createHash('sha256').update(visitorKey).digest('base64url');
+
+const getEntry = (key, fields) => {
+    if (!buffer.has(key)) {
+        buffer.set(key, { ...fields, counts: {}, visitors: new Set(), variants: new Map() });
+    }
+    return buffer.get(key);
+};
+
+const addVisitor = (visitors, visitorKey) => {
+    const hash = hashVisitorKey(visitorKey);
+    if (!visitors.has(hash) && bufferedVisitors < MAX_BUFFERED_VISITORS) {
+        visitors.add(hash);
+        bufferedVisitors++;
+    }
+};
+
+const getVariantEntry = (entry, experiment, variant) => {
+    const key = `${experiment}|${variant}`;
+    if (!entry.variants.has(key)) {
+        entry.variants.set(key, { experiment, variant, counts: {}, visitors: new Set() });
+    }
+    return entry.variants.get(key);
+};
+
+/**
+ * Buffer a storefront event for a timer
+ * Impressions also record the visitor (hashed) for unique visitor counts.
+ * Events from an experiment ({ id, variant }) also count for the variant,
+ * whose visitors are recorded on render; holdout visitors saw no timer, so
+ * their events count for the experiment only
+ */
+function recordTimerEvent({ shop, timer, type, visitorKey, experiment, now = new Date() }) {
+    const field = STATS_EVENT_FIELDS[type];
+    if (!field) {
+        throw new Error(`Unknown timer event type: ${type}`);
+    }
+
+    const date = getStatsDate(now, timer.timezone);
+    const entry = getEntry(`${timer._id}|${date}`, { shop, timer: timer._id, date });
+
+    if (experiment?.variant !== HOLDOUT_VARIANT) {
+        entry.counts[field] = (entry.counts[field] || 0) + 1;
+
+        if (type === 'impression' && visitorKey) {
+            addVisitor(entry.visitors, visitorKey);
+        }
+    }
+
+    if (experiment && EXPERIMENT_STATS_FIELDS.includes(field)) {
+        const variantEntry = getVariantEntry(entry, String(experiment.id), experiment.variant);
+        variantEntry.counts[field] = (variantEntry.counts[field] || 0) + 1;
+
+        if (type === 'render' && visitorKey) {
+            addVisitor(variantEntry.visitors, visitorKey);
+        }
+    }
+}
+
+/**
+ * Write everything buffered so far with writeBatch(entries, flushId)
+ * A failed batch is kept as it was and retried, with the same flushId,
+ * before anything newer, so the writer can skip what it already applied.
+ * Flushes run one at a time
+ */
+function flushTimerStats(writeBatch) {
+    const flush = flushing.then(() => writeBufferedStats(writeBatch));
+    flushing = flush;
+    return flush;
+}
+
+const writeBufferedStats = async (writeBatch) => {
+    if (failedFlush) {
+        try {
+            await writeBatch(failedFlush.entries, failedFlush.id);
+            failedFlush = null;
+        } catch (error) {
+            console.error('Timer stats flush error:', error);
+            return;
+        }
+    }
+
+    if (buffer.size === 0) {
+        return;
+    }
+
+    const pending = {
+        id: crypto.randomUUID(),
+        entries: [...buffer.values()].map(entry => ({
+            ...entry,
+            visitors: [...entry.visitors],
+            variants: [...entry.variants.values()].map(variant => ({ ...variant, visitors: [...variant.visitors] }))
+        }))
+    };
+    buffer = new Map();
+    bufferedVisitors = 0;
+
+    try {
+        await writeBatch(pending.entries, pending.id);
+    } catch (error) {
+        console.error('Timer stats flush error:', error);
+        failedFlush = pending;
+    }
+};
+
+/**
+ * Flush buffered stats periodically until stopTimerStatsFlush()
+ */
+function startTimerStatsFlush(writeBatch, intervalMs = STATS_FLUSH_INTERVAL_MS) {
+    stopTimerStatsFlush();
+    flushIntervalId = setInterval(() => flushTimerStats(writeBatch), intervalMs);
+    flushIntervalId.unref?.();
+}
+
+function stopTimerStatsFlush() {
+    if (flushIntervalId) {
+        clearInterval(flushIntervalId);
+        flushIntervalId = null;
+    }
+}
+
+// YYYY-MM-DD <-> UTC midnight, for calendar arithmetic on stats dates
+const parseStatsDate = (value) => {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return null;
+    }
+    const time = Date.parse(`${value}T00:00:00Z`);
+    return isNaN(time) || new Date(time).toISOString().slice(0, 10) !== value ? null : time;
+};
+const formatStatsDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+/**
+ * First day of the period containing a date
+ */
+function getPeriodStart(date, granularity) {
+    const time = parseStatsDate(date);
+    if (granularity === 'week') {
+        // Weeks start on Monday
+        const weekday = (new Date(time).getUTCDay() + 6) % 7;
+        return formatStatsDate(time - weekday * DAY_MS);
+    }
+    if (granularity === 'month') {
+        return `${date.slice(0, 7)}-01`;
+    }
+    return date;
+}
+
+/**
+ * Sum daily rollups into a series covering from..to (inclusive), with a
+ * zero entry for every period without events. Unique visitors of a week or
+ * month are the sum of its daily unique visitors
+ */
+function buildStatsSeries(rows, { from, to, granularity = 'day' }) {
+    const zero = () => Object.fromEntries(STATS_FIELDS.map(field => [field, 0]));
+
+    const periods = new Map();
+    for (let time = parseStatsDate(from); time <= parseStatsDate(to); time += DAY_MS) {
+        const period = getPeriodStart(formatStatsDate(time), granularity);
+        if (!periods.has(period)) {
+            periods.set(period, { date: period, ...zero() });
+        }
+    }
+
+    const totals = zero();
+
+    for (const row of rows) {
+        const point = periods.get(getPeriodStart(row.date, granularity));
+        if (!point || row.date < from || row.date > to) {
+            continue;
+        }
+        for (const field of STATS_FIELDS) {
+            point[field] += row[field] || 0;
+            totals[field] += row[field] || 0;
+        }
+    }
+
+    // Revenue is summed from decimal amounts
+    for (const point of [...periods.values(), totals]) {
+        point.revenue = roundMoney(point.revenue);
+    }
+
+    return { series: [...periods.values()], totals };
+}
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Conversion rate (orders per impression) and average order value for
+ * totals of impressions, orders and revenue; null without a denominator.
+ * Impressions count once per visitor per 30 minutes, roughly a session
+ */
+function getOrderMetrics({ impressions = 0, orders = 0, revenue = 0 }) {
+    return {
+        conversionRate: impressions ? Math.round((orders / impressions) * 10000) / 10000 : null,
+        averageOrderValue: orders ? roundMoney(revenue / orders) : null
+    };
+}
+
+module.exports = {
+    STATS_EVENT_FIELDS,
+    STATS_FIELDS,
+    TIMER_COUNTER_FIELDS,
+    STATS_GRANULARITIES,
+    STATS_FLUSH_INTERVAL_MS,
+    MAX_BUFFERED_VISITORS,
+    getStatsDate,
+    parseStatsDate,
+    formatStatsDate,
+    hashVisitorKey,
+    recordTimerEvent,
+    flushTimerStats,
+    startTimerStatsFlush,
+    stopTimerStatsFlush,
+    getPeriodStart,
+    buildStatsSeries,
+    roundMoney,
+    getOrderMetrics
+};
@@ -0,0 +1,138 @@
+/**
+ * Timezone Service - IANA timezone helpers built on Intl
+ *
+ * Timers are authored in the shop's timezone ("2026-11-27T09:00" means 9am
+ * in the store, not in the merchant's browser) and stored as UTC instants
+ * alongside the zone name, so wall-clock rules survive DST transitions.
+ */
+
+const DEFAULT_TIMEZONE = 'UTC';
+
+// Naive local datetime as produced by <input type="datetime-local">
+const LOCAL_DATETIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/;
+
+const formatterCache = new Map();
+
+/**
+ * Get a cached formatter that splits instants into wall-clock parts
+ */
+function getFormatter(timeZone) {
+    if (!formatterCache.has(timeZone)) {
+        formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+    return formatterCache.get(timeZone);
+}
+
+/**
+ * Check if a string is a valid IANA timezone name
+ */
+function isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') {
+        return false;
+    }
+
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Split an instant into wall-clock parts in a timezone (month is 0-based)
+ */
+function getZonedParts(date, timeZone = DEFAULT_TIMEZONE) {
+    const parts = {};
+    for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+        if (type !== 'literal') {
+            parts[type] = parseInt(value, 10);
+        }
+    }
+
+    return {
+        year: parts.year,
+        month: parts.month - 1,
+        date: parts.day,
+        hour: parts.hour,
+        minute: parts.minute,
+        second: parts.second,
+        weekday: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()
+    };
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant, in milliseconds
+ */
+function getTimeZoneOffset(date, timeZone = DEFAULT_TIMEZONE) {
+    const p = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(p.year, p.month, p.date, p.hour, p.minute, p.second);
+    return asUtc - (Math.floor(date.getTime() / 1000) * 1000);
+}
+
+/**
+ * Convert a wall-clock time in a timezone into a UTC instant
+ * Minutes may exceed a day; times skipped by a DST jump move forward
+ */
+function zonedTimeToUtc(year, month, day, minutes, timeZone = DEFAULT_TIMEZONE) {
+    const wallClock = Date.UTC(year, month, day, 0, minutes);
+
+    // The offset depends on the instant we are solving for, so refine once
+    const firstGuess = wallClock - getTimeZoneOffset(new Date(wallClock), timeZone);
+    const candidate = wallClock - getTimeZoneOffset(new Date(firstGuess), timeZone);
+
+    // Inside a DST gap neither guess maps back to the wall clock; take the later one
+    if (candidate + getTimeZoneOffset(new Date(candidate), timeZone) !== wallClock) {
+        return new Date(Math.max(firstGuess, candidate));
+    }
+
+    return new Date(candidate);
+}
+
+/**
+ * Parse a date input for a timezone
+ * - Naive "YYYY-MM-DDTHH:mm" strings are read as wall-clock time in the zone
+ * - Anything else (ISO with offset, Date, timestamp) is an absolute instant
+ */
+function parseZonedDateTime(value, timeZone = DEFAULT_TIMEZONE) {
+    if (typeof value === 'string') {
+        const match = value.trim().match(LOCAL_DATETIME_PATTERN);
+        if (match) {
+            const [year, month, day, hours, minutes, seconds = 0] = match.slice(1)
+                .filter(part => part !== undefined)
+                .map(Number);
+            const date = zonedTimeToUtc(year, month - 1, day, hours * 60 + minutes, timeZone);
+            return new Date(date.getTime() + seconds * 1000);
+        }
+    }
+
+    return new Date(value);
+}
+
+/**
+ * Format an instant as a naive "YYYY-MM-DDTHH:mm" string in a timezone
+ */
+function formatZonedDateTime(date, timeZone = DEFAULT_TIMEZONE) {
+    const p = getZonedParts(new Date(date), timeZone);
+    const pad = (num) => String(num).padStart(2, '0');
+    return `${p.year}-${pad(p.month + 1)}-${pad(p.date)}T${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    isValidTimeZone,
+    getZonedParts,
+    getTimeZoneOffset,
+    zonedTimeToUtc,
+    parseZonedDateTime,
+    formatZonedDateTime
+};
@@ -1,6 +1,7 @@
 /**
  * Timer Utilities - Shared helper functions
  */
+import { getTimerStatus, matchesTargeting as matchesTimerTargeting } from '../services/timerRules';
 
 /**
  * Calculate remaining time in milliseconds
@@ -67,52 +68,49 @@ export const sanitizeString = (str, maxLength = 100) => {
 };
 
 /**
- * Calculate timer status
+ * Calculate timer status (same rules as the server)
  */
 export const calculateTimerStatus = (timer) => {
     if (!timer) return 'unknown';
-    if (!timer.isActive) return 'inactive';
-
-    if (timer.type === 'evergreen') {
-        return 'active';
-    }
-
-    const now = new Date();
-    const start = new Date(timer.startDate);
-    const end = new Date(timer.endDate);
-
-    if (now < start) return 'scheduled';
-    if (now > end) return 'expired';
-    return 'active';
+    return getTimerStatus(timer);
 };
 
 /**
- * Check if timer matches product targeting
+ * Check if timer matches product targeting (same rules as the server)
+ * product: optional { tags, vendor, productType } for attribute scopes
  */
-export const matchesTargeting = (timer, productId, collectionIds = []) => {
-    const scope = timer.targeting?.scope || 'all';
-
-    if (scope === 'all') return true;
+export const matchesTargeting = (timer, productId, collectionIds = [], product = {}) => {
+    return matchesTimerTargeting(timer, { ...product, productId, collectionIds });
+};
 
-    if (scope === 'products' && productId) {
-        return timer.targeting.productIds?.some(id =>
-            id === productId || id.includes(productId) || productId.includes(id)
-        );
-    }
+/**
+ * Generate localStorage key for evergreen timer
+ */
+export const getEvergreenStorageKey = (timerId) => `countdown_timer_${timerId}`;
 
-    if (scope === 'collections' && collectionIds.length > 0) {
-        return timer.targeting.collectionIds?.some(id =>
-            collectionIds.some(cid => cid === id || cid.includes(id) || id.includes(cid))
-        );
+/**
+ * Format a count as a share of impressions (e.g. click-through rate)
+ * "–" until the timer has impressions
+ */
+export const formatRate = (count, impressions) => {
+    if (!impressions) {
+        return '–';
     }
-
-    return false;
+    return `${((100 * (count || 0)) / impressions).toFixed(1)}%`;
 };
 
 /**
- * Generate localStorage key for evergreen timer
+ * Format an amount of money, in a currency when one is known
+ * "–" for a missing amount (e.g. average order value without orders)
  */
-export const getEvergreenStorageKey = (timerId) => `countdown_timer_${timerId}`;
+export const formatMoney = (amount, currency) => {
+    if (amount === null || amount === undefined || Number.isNaN(amount)) {
+        return '–';
+    }
+    return currency
+        ? new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount)
+        : new Intl.NumberFormat(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(amount);
+};
 
 export default {
     calculateTimeRemaining,
@@ -123,5 +121,7 @@ export default {
     sanitizeString,
     calculateTimerStatus,
     matchesTargeting,
-    getEvergreenStorageKey
+    getEvergreenStorageKey,
+    formatRate,
+    formatMoney
 };
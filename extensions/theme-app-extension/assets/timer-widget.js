@@ -70,6 +70,11 @@ const { h, render, Component } = window.preact || (function () {
  */
 const getStorageKey = (timerId) => `countdown_timer_${timerId}`;
 
+/**
+ * Storage key for the signed evergreen session token
+ */
+const getSessionKey = (timerId) => `countdown_timer_session_${timerId}`;
+
 /**
  * Parse time remaining into components
  */
@@ -84,11 +89,300 @@ const parseTimeRemaining = (ms) => {
     return { hours, minutes, seconds, expired: false };
 };
 
+// Longest delay setTimeout can handle (~24.8 days)
+const MAX_TIMEOUT_MS = 2147483647;
+
 /**
  * Pad number with leading zero
  */
 const pad = (num) => String(num).padStart(2, '0');
 
+// How often long-lived pages re-check the server clock
+const CLOCK_SYNC_INTERVAL_MS = 10 * 60 * 1000;
+
+// The measured clock offset is kept for the visit
+const CLOCK_OFFSET_KEY = 'countdown_timer_clock_offset';
+
+/**
+ * Offset of the server's clock from this device's clock, shared by every
+ * widget on the page, so a visitor whose clock is wrong still sees the
+ * right remaining time
+ */
+const clock = { offset: null, synced: false, initialSync: null, syncIntervalId: null };
+try {
+    const stored = sessionStorage.getItem(CLOCK_OFFSET_KEY);
+    clock.offset = stored === null ? null : Number(stored);
+} catch (e) { }
+
+/**
+ * Current time on the server's clock
+ */
+const clockNow = () => Date.now() + (clock.offset || 0);
+
+/**
+ * Record a server timestamp received between sentAt and receivedAt (device
+ * time), assuming the server answered halfway through the round trip.
+ * Only uncached responses may be used: a cached timer lookup carries the
+ * serverNow of when it was cached
+ */
+const syncClock = (serverNow, sentAt, receivedAt) => {
+    const serverTime = new Date(serverNow).getTime();
+    if (!serverNow || isNaN(serverTime)) return;
+
+    clock.offset = serverTime - (sentAt + receivedAt) / 2;
+    clock.synced = true;
+
+    try {
+        sessionStorage.setItem(CLOCK_OFFSET_KEY, String(clock.offset));
+    } catch (e) { }
+};
+
+/**
+ * Measure the offset against the uncached time endpoint
+ */
+const requestServerTime = async (apiUrl) => {
+    const sentAt = Date.now();
+    try {
+        const response = await fetch(`${apiUrl}/api/storefront/time`, { cache: 'no-store' });
+        const data = await response.json();
+        syncClock(data.data?.serverNow, sentAt, Date.now());
+    } catch (e) {
+        // Keep the last offset
+    }
+};
+
+/**
+ * Sync the clock once per page, unless an uncached response already did;
+ * every widget waits on the same request
+ */
+const syncClockOnce = (apiUrl) => {
+    if (clock.synced) return Promise.resolve();
+    if (!clock.initialSync) {
+        clock.initialSync = requestServerTime(apiUrl);
+    }
+    return clock.initialSync;
+};
+
+/**
+ * Re-sync the clock every so often on long-lived pages, once per page
+ */
+const startClockSync = (apiUrl) => {
+    if (clock.syncIntervalId) return;
+
+    clock.syncIntervalId = setInterval(() => requestServerTime(apiUrl), CLOCK_SYNC_INTERVAL_MS);
+};
+
+// Random ID for this visitor, so impressions are counted once per visitor
+const VISITOR_ID_KEY = 'countdown_timer_visitor';
+
+const getVisitorId = () => {
+    try {
+        let visitorId = localStorage.getItem(VISITOR_ID_KEY);
+        if (!visitorId) {
+            visitorId = window.crypto?.randomUUID
+                ? window.crypto.randomUUID()
+                : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+            localStorage.setItem(VISITOR_ID_KEY, visitorId);
+        }
+        return visitorId;
+    } catch (e) {
+        return undefined;
+    }
+};
+
+/**
+ * The experiment variant a timer was served as, reported with its events
+ */
+const getVariantFields = (timer) => (timer.experiment
+    ? { experimentId: timer.experiment.id, variant: timer.experiment.variant }
+    : {});
+
+// Timers whose render and impression were already recorded on this page,
+// so a grid of badges for one timer counts once
+const trackedRenders = new Set();
+const trackedImpressions = new Set();
+
+// An impression needs this share of the widget on screen for the dwell time
+// (configurable per block), so timers far down the page are not counted
+// just for rendering
+const IMPRESSION_VISIBLE_RATIO = 0.5;
+const DEFAULT_IMPRESSION_DWELL_MS = 1000;
+
+// Interactions wait this long to be sent together, unless the page is left
+const EVENT_FLUSH_DELAY_MS = 5000;
+
+// Queued interactions ({ timerId, type, experimentId, variant }) and where to send them
+const eventQueue = { events: [], apiUrl: '', shop: '', timeoutId: null };
+
+// "timerId|type" already queued on this page
+const queuedEvents = new Set();
+
+/**
+ * Send queued interactions in one beacon, which survives the page unloading
+ * (e.g. add to cart going to the cart page). It is sent as text/plain so a
+ * cross-origin API needs no preflight
+ */
+const flushEvents = () => {
+    clearTimeout(eventQueue.timeoutId);
+    eventQueue.timeoutId = null;
+    if (eventQueue.events.length === 0) return;
+
+    const url = `${eventQueue.apiUrl}/api/storefront/events`;
+    const body = JSON.stringify({
+        shop: eventQueue.shop,
+        visitorId: getVisitorId(),
+        events: eventQueue.events.splice(0)
+    });
+
+    try {
+        if (navigator.sendBeacon?.(url, new Blob([body], { type: 'text/plain' }))) return;
+    } catch (e) { }
+
+    fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/plain' },
+        body,
+        keepalive: true
+    }).catch(() => { });
+};
+
+/**
+ * Queue an interaction ('click' or 'addToCart') with a timer, once per page
+ */
+const queueEvent = (config, timer, type) => {
+    const key = `${timer.id}|${type}`;
+    if (queuedEvents.has(key)) return;
+    queuedEvents.add(key);
+
+    eventQueue.apiUrl = config.apiUrl;
+    eventQueue.shop = config.shop;
+    eventQueue.events.push({ timerId: timer.id, type, ...getVariantFields(timer) });
+    if (!eventQueue.timeoutId) {
+        eventQueue.timeoutId = setTimeout(flushEvents, EVENT_FLUSH_DELAY_MS);
+    }
+};
+
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flushEvents();
+});
+window.addEventListener('pagehide', flushEvents);
+
+// Add to cart buttons of product forms, including the theme's own
+const ADD_TO_CART_SELECTOR = 'form[action*="/cart/add"] [type="submit"], form[action*="/cart/add"] [name="add"]';
+
+// Every widget on the page, to credit add to cart clicks to the ones showing
+const widgets = new Set();
+
+// Capture phase, so themes that stop the click still let it be counted
+document.addEventListener('click', (event) => {
+    if (!event.target?.closest?.(ADD_TO_CART_SELECTOR)) return;
+    widgets.forEach(widget => widget.trackAddToCart());
+}, true);
+
+// In-flight evergreen session requests by timer, shared by badges
+const pendingSessions = {};
+
+// Shopify Ajax API requests that change the cart
+const CART_CHANGE_PATTERN = /\/cart\/(add|change|update|clear)/;
+
+// Events some themes dispatch after updating the cart themselves
+const CART_EVENTS = ['cart:updated', 'cart:refresh'];
+
+const cartListeners = [];
+
+/**
+ * Call listener whenever the cart changes, by watching the theme's
+ * fetch/XHR calls to the Ajax cart API and common theme cart events
+ */
+const watchCartChanges = (listener) => {
+    cartListeners.push(listener);
+    if (cartListeners.length > 1) return;
+
+    const notify = () => cartListeners.forEach(callback => callback());
+
+    const originalFetch = window.fetch;
+    window.fetch = function (...args) {
+        const result = originalFetch.apply(this, args);
+        const url = typeof args[0] === 'string' ? args[0] : args[0]?.url;
+        if (CART_CHANGE_PATTERN.test(url || '')) {
+            result.then(notify, () => { });
+        }
+        return result;
+    };
+
+    const originalOpen = XMLHttpRequest.prototype.open;
+    XMLHttpRequest.prototype.open = function (method, url, ...rest) {
+        if (CART_CHANGE_PATTERN.test(String(url))) {
+            this.addEventListener('load', notify);
+        }
+        return originalOpen.call(this, method, url, ...rest);
+    };
+
+    CART_EVENTS.forEach(name => document.addEventListener(name, notify));
+};
+
+/**
+ * Parse the "productId:collectionId,collectionId;..." map rendered by Liquid
+ * for the items in the cart when the page loaded
+ */
+const parseCartCollections = (value) => {
+    const collections = {};
+    (value || '').split(';').filter(Boolean).forEach(entry => {
+        const [productId, ids = ''] = entry.split(':');
+        collections[productId] = ids.split(',').filter(Boolean);
+    });
+    return collections;
+};
+
+// Cart attribute the orders webhook reads to attribute an order to a timer
+const ATTRIBUTION_ATTRIBUTE = '_countdown_timer';
+
+// "timerId:visitorId[:experimentId:variant]" waiting to be written to the cart
+const ATTRIBUTION_KEY = 'countdown_timer_attribution';
+
+let attributionWatched = false;
+
+/**
+ * Write the pending attribution to the cart. Runs once the theme's add to
+ * cart request has finished, or on the next page when the product form
+ * navigated away, so it never races the request that creates the cart
+ */
+const writeAttribution = () => {
+    let value;
+    try {
+        value = sessionStorage.getItem(ATTRIBUTION_KEY);
+        if (!value) return;
+        sessionStorage.removeItem(ATTRIBUTION_KEY);
+    } catch (e) {
+        return;
+    }
+
+    fetch(`${window.Shopify?.routes?.root || '/'}cart/update.js`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ attributes: { [ATTRIBUTION_ATTRIBUTE]: value } })
+    }).catch(() => { });
+};
+
+/**
+ * Attribute the visitor's order to a timer shown as they added to cart
+ * (the last one wins), and to the experiment variant it was served as
+ */
+const attributeCart = (timer) => {
+    const { experimentId, variant } = getVariantFields(timer);
+    const value = [timer.id, getVisitorId() || ''].concat(experimentId ? [experimentId, variant] : []).join(':');
+    try {
+        sessionStorage.setItem(ATTRIBUTION_KEY, value);
+    } catch (e) {
+        return;
+    }
+
+    if (!attributionWatched) {
+        attributionWatched = true;
+        watchCartChanges(writeAttribution);
+    }
+};
+
 /**
  * Main CountdownTimer component
  */
@@ -98,16 +392,34 @@ class CountdownTimer {
         this.config = config;
         this.timer = null;
         this.intervalId = null;
-        this.impressionSent = false;
+        this.viewObserver = null;
+        this.dwellTimeout = null;
+
+        widgets.add(this);
+        this.container.addEventListener('click', () => this.trackInteraction('click'));
 
         this.init();
     }
 
     async init() {
+        if (this.config.mode === 'cart') {
+            watchCartChanges(() => this.scheduleRefresh());
+        }
+
         try {
-            await this.fetchTimer();
+            if (this.config.timer) {
+                // Badges arrive with their timer from the batch request
+                this.timer = this.config.timer;
+                await this.setupTimerEndpoint();
+            } else {
+                await this.fetchTimer();
+            }
 
-            if (this.timer) {
+            // The cart drawer embed starts hidden until it is in the drawer
+            if (this.timer?.holdout) {
+                this.trackHoldout();
+            } else if (this.timer && (!this.config.drawerSelector || this.mountInDrawer())) {
+                this.container.style.display = '';
                 this.render();
                 this.startCountdown();
                 this.trackImpression();
@@ -119,14 +431,28 @@ class CountdownTimer {
     }
 
     async fetchTimer() {
-        const { shop, productId, collectionIds, apiUrl } = this.config;
+        if (this.config.mode === 'cart') {
+            return this.fetchCartTimer();
+        }
+
+        const { shop, pageType, pageHandle, productId, collectionIds, productTags, productVendor, productType, apiUrl } = this.config;
 
+        // The same for every visitor, so the lookup can be cached
         const params = new URLSearchParams({ shop });
+        if (pageType) params.append('pageType', pageType);
+        if (pageHandle) params.append('pageHandle', pageHandle);
         if (productId) params.append('productId', productId);
         if (collectionIds) params.append('collectionIds', collectionIds);
+        if (productTags) params.append('tags', productTags);
+        if (productVendor) params.append('vendor', productVendor);
+        if (productType) params.append('productType', productType);
 
         const url = `${apiUrl}/api/storefront/timer?${params}`;
 
+        // Timer lookups may come from a browser or CDN cache, so the clock
+        // is synced separately, alongside the lookup
+        const clockSynced = syncClockOnce(apiUrl);
+
         try {
             const response = await fetch(url, {
                 method: 'GET',
@@ -145,67 +471,269 @@ class CountdownTimer {
             const data = await response.json();
 
             if (data.success && data.data) {
-                this.timer = data.data;
-                this.setupTimerEndpoint();
+                // A timer in an experiment is shown as the visitor's variant
+                const timer = data.data.experiment ? await this.fetchVariant(data.data.id) : data.data;
+                await clockSynced;
+                if (!timer) return;
+                this.timer = timer;
+                await this.setupTimerEndpoint();
             }
         } catch (error) {
             console.error('[CountdownTimer] Fetch error:', error);
         }
     }
 
-    setupTimerEndpoint() {
+    /**
+     * The visitor's variant of a timer in an experiment (or the holdout);
+     * the visitor ID keeps them in the same variant on every page
+     */
+    async fetchVariant(timerId) {
+        const { shop, apiUrl } = this.config;
+
+        const response = await fetch(`${apiUrl}/api/storefront/timer/${timerId}/variant`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ shop, visitorId: getVisitorId() })
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const data = await response.json();
+        return data.success ? data.data : null;
+    }
+
+    /**
+     * Cart mode - read the visitor's cart and ask for the timer matching it
+     */
+    async fetchCartTimer() {
+        const { shop, apiUrl, cartCollections } = this.config;
+        const root = window.Shopify?.routes?.root || '/';
+
+        try {
+            const cartResponse = await fetch(`${root}cart.js`, {
+                headers: { 'Accept': 'application/json' }
+            });
+            if (!cartResponse.ok) {
+                throw new Error(`HTTP ${cartResponse.status}`);
+            }
+            const cart = await cartResponse.json();
+            if (!cart.items?.length) {
+                // Empty cart - nothing to reserve
+                return;
+            }
+
+            const sentAt = Date.now();
+            const response = await fetch(`${apiUrl}/api/storefront/timer/cart`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    shop,
+                    items: cart.items.map(item => ({
+                        productId: item.product_id,
+                        collectionIds: cartCollections[item.product_id] || []
+                    })),
+                    // Cart prices are in cents
+                    subtotal: cart.items_subtotal_price / 100,
+                    visitorId: getVisitorId()
+                })
+            });
+
+            if (!response.ok) {
+                if (response.status === 404) {
+                    // No timer for this cart - this is expected
+                    return;
+                }
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const data = await response.json();
+            if (data.success && data.data) {
+                // Cart lookups are never cached
+                syncClock(data.data.serverNow, sentAt, Date.now());
+                this.timer = data.data;
+                await this.setupTimerEndpoint();
+            }
+        } catch (error) {
+            console.error('[CountdownTimer] Cart fetch error:', error);
+        }
+    }
+
+    /**
+     * Re-evaluate the cart timer shortly after the cart changes; a burst of
+     * quantity changes results in one request
+     */
+    scheduleRefresh() {
+        clearTimeout(this.refreshTimeout);
+        this.refreshTimeout = setTimeout(() => this.refresh(), 300);
+    }
+
+    async refresh() {
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+        this.timer = null;
+
+        try {
+            await this.fetchTimer();
+        } catch (error) {
+            console.error('[CountdownTimer] Refresh error:', error);
+        }
+
+        if (this.timer?.holdout) {
+            this.trackHoldout();
+            return;
+        }
+
+        if (!this.timer || (this.config.drawerSelector && !this.mountInDrawer())) {
+            this.hide();
+            return;
+        }
+
+        this.container.style.display = '';
+        this.render();
+        this.startCountdown();
+        this.trackImpression();
+    }
+
+    /**
+     * Cart drawer embed - move the container into the theme's cart drawer
+     * Returns false if the drawer is not on the page
+     */
+    mountInDrawer() {
+        const drawer = document.querySelector(this.config.drawerSelector);
+        if (!drawer) return false;
+
+        if (!drawer.contains(this.container)) {
+            drawer.prepend(this.container);
+        }
+        return true;
+    }
+
+    async setupTimerEndpoint() {
         const timer = this.timer;
 
         if (timer.type === 'fixed') {
             // Fixed timer - use endDate directly
             this.endTime = new Date(timer.endDate).getTime();
         } else if (timer.type === 'evergreen') {
-            // Evergreen timer - check localStorage for start time
             const storageKey = getStorageKey(timer.id);
-            let startTime;
+            const durationMs = timer.durationMinutes * 60 * 1000;
+
+            // Prefer the server-side session - it survives cleared storage
+            let startTime = await this.fetchEvergreenSession();
+
+            if (!startTime) {
+                // Offline fallback - check localStorage for start time
+                try {
+                    const stored = localStorage.getItem(storageKey);
+                    startTime = stored ? parseInt(stored, 10) : null;
+                } catch (e) { }
+            }
+
+            // First visit, or the countdown ran out and the expiry policy allows a restart
+            // An expired countdown that may not restart is handled by handleExpired()
+            if (!startTime || (startTime + durationMs <= clockNow() && this.canRestart(startTime))) {
+                startTime = clockNow();
+            }
 
             try {
-                const stored = localStorage.getItem(storageKey);
-
-                if (stored) {
-                    startTime = parseInt(stored, 10);
-                    const elapsed = Date.now() - startTime;
-                    const durationMs = timer.durationMinutes * 60 * 1000;
-
-                    // Check if timer has expired
-                    if (elapsed >= durationMs) {
-                        // Timer expired - restart it
-                        localStorage.removeItem(storageKey);
-                        startTime = Date.now();
-                        localStorage.setItem(storageKey, String(startTime));
-                    }
-                } else {
-                    // First visit - start timer now
-                    startTime = Date.now();
-                    localStorage.setItem(storageKey, String(startTime));
-                }
-            } catch (e) {
-                // localStorage not available - start fresh
-                startTime = Date.now();
+                localStorage.setItem(storageKey, String(startTime));
+            } catch (e) { }
+
+            this.endTime = startTime + durationMs;
+        }
+    }
+
+    /**
+     * Check the evergreen onExpire policy for a countdown started at startTime
+     */
+    canRestart(startTime) {
+        const { action = 'restart', cooldownMinutes = 0 } = this.timer.onExpire || {};
+        const endTime = startTime + this.timer.durationMinutes * 60 * 1000;
+
+        if (action === 'restart') return true;
+        if (action === 'cooldown') return clockNow() >= endTime + cooldownMinutes * 60 * 1000;
+        return false;
+    }
+
+    fetchEvergreenSession() {
+        const id = this.timer.id;
+        if (!pendingSessions[id]) {
+            pendingSessions[id] = this.requestEvergreenSession().finally(() => {
+                delete pendingSessions[id];
+            });
+        }
+        return pendingSessions[id];
+    }
+
+    async requestEvergreenSession() {
+        const { apiUrl, shop } = this.config;
+        const sessionKey = getSessionKey(this.timer.id);
+
+        let token = null;
+        try {
+            token = localStorage.getItem(sessionKey);
+        } catch (e) { }
+
+        try {
+            const sentAt = Date.now();
+            const response = await fetch(`${apiUrl}/api/storefront/timer/${this.timer.id}/session`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ shop, token })
+            });
+
+            if (!response.ok) {
+                return null;
+            }
+
+            const data = await response.json();
+            if (!data.success || !data.data) {
+                return null;
             }
 
-            this.endTime = startTime + (timer.durationMinutes * 60 * 1000);
+            syncClock(data.data.serverNow, sentAt, Date.now());
+
+            try {
+                localStorage.setItem(sessionKey, data.data.token);
+            } catch (e) { }
+
+            return new Date(data.data.startedAt).getTime();
+        } catch (error) {
+            // Offline or API unavailable - use localStorage instead
+            return null;
         }
     }
 
     startCountdown() {
+        startClockSync(this.config.apiUrl);
+        this.counting = false;
         this.updateCountdown();
         this.intervalId = setInterval(() => this.updateCountdown(), 1000);
     }
 
     updateCountdown() {
-        const remaining = this.endTime - Date.now();
+        // Themes re-render the cart drawer's contents when the cart changes
+        if (this.config.drawerSelector && !this.container.isConnected) {
+            this.mountInDrawer();
+        }
+
+        const remaining = this.endTime - clockNow();
         const time = parseTimeRemaining(remaining);
 
         if (time.expired) {
+            // Only a countdown seen running counts as an expiry
+            if (this.counting) {
+                this.counting = false;
+                this.trackEvent('expiry');
+            }
             this.handleExpired();
             return;
         }
+        this.counting = true;
 
         // Update DOM efficiently
         const timeDisplay = this.container.querySelector('.countdown-time');
@@ -220,50 +748,216 @@ class CountdownTimer {
             this.intervalId = null;
         }
 
-        // For evergreen timers, restart
+        // For evergreen timers, follow the onExpire policy
         if (this.timer.type === 'evergreen') {
-            const storageKey = getStorageKey(this.timer.id);
-            try {
-                localStorage.removeItem(storageKey);
-            } catch (e) { }
+            const { action = 'restart', cooldownMinutes = 0, message } = this.timer.onExpire || {};
 
-            // Restart after a brief delay
-            setTimeout(() => {
-                this.setupTimerEndpoint();
-                this.startCountdown();
-            }, 100);
+            if (action === 'restart') {
+                // Restart after a brief delay
+                setTimeout(() => this.restart(), 100);
+            } else if (action === 'cooldown') {
+                // Hide until the cooldown has passed, then restart
+                this.hide();
+                const wait = this.endTime + cooldownMinutes * 60 * 1000 - clockNow();
+                if (wait < MAX_TIMEOUT_MS) {
+                    setTimeout(() => this.restart(), Math.max(wait, 100));
+                }
+            } else if (action === 'message') {
+                this.renderMessage(message || 'This offer has expired');
+            } else {
+                // Hide permanently for this visitor
+                this.hide();
+            }
+        } else {
+            // Fixed timer - follow the merchant's end-of-timer action
+            this.handleFixedExpiry(this.timer.appearance?.expiryAction || {});
+        }
+    }
+
+    handleFixedExpiry({ type = 'hide', message, redirectUrl, backgroundColor, textColor }) {
+        // A badge never navigates away from the grid it sits in
+        if (type === 'redirect' && this.config.layout !== 'badge' && this.redirectTo(redirectUrl)) {
+            return;
+        }
+
+        if (type === 'message') {
+            this.renderMessage(message || 'Sale has ended');
+        } else if (type === 'zero') {
+            // Keep showing 00:00:00 in the expired colour scheme
+            const widget = this.container.querySelector('.countdown-widget');
+            const timeDisplay = this.container.querySelector('.countdown-time');
+            if (widget) {
+                widget.style.backgroundColor = backgroundColor || '#6B7280';
+                widget.style.color = textColor || '#FFFFFF';
+            }
+            if (timeDisplay) {
+                timeDisplay.textContent = '00:00:00';
+            }
         } else {
-            // Fixed timer - hide widget
-            this.container.style.display = 'none';
+            this.hide();
         }
     }
 
-    async trackImpression() {
-        if (this.impressionSent) return;
+    /**
+     * Navigate to an http(s) URL, unless it is the current page
+     */
+    redirectTo(redirectUrl) {
+        try {
+            const target = new URL(redirectUrl, window.location.href);
+            if (!/^https?:$/.test(target.protocol) || target.href === window.location.href) {
+                return false;
+            }
+            window.location.assign(target.href);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
 
-        // Debounce - wait 2 seconds before tracking
-        setTimeout(async () => {
-            if (this.impressionSent) return;
-            this.impressionSent = true;
+    hide() {
+        this.container.style.display = 'none';
+        this.updateBarOffset();
+    }
 
-            const { apiUrl, shop } = this.config;
+    async restart() {
+        await this.setupTimerEndpoint();
+        this.container.style.display = '';
+        this.render();
+        this.startCountdown();
+    }
 
-            try {
-                await fetch(`${apiUrl}/api/storefront/timer/${this.timer.id}/impression`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ shop })
-                });
-            } catch (e) {
-                // Fail silently
+    renderMessage(message) {
+        const timeDisplay = this.container.querySelector('.countdown-time');
+        if (timeDisplay) {
+            timeDisplay.textContent = message;
+            timeDisplay.style.fontSize = this.config.layout === 'badge' ? '' : '18px';
+            timeDisplay.style.letterSpacing = 'normal';
+        }
+    }
+
+    /**
+     * Record that the timer rendered, then an impression once at least half
+     * of it has been on screen for the dwell time. Without
+     * IntersectionObserver the impression follows the dwell time alone
+     */
+    trackImpression() {
+        const timerId = this.timer.id;
+        if (!trackedRenders.has(timerId)) {
+            trackedRenders.add(timerId);
+            this.trackEvent('render');
+        }
+
+        this.stopViewTracking();
+        if (trackedImpressions.has(timerId)) return;
+
+        const dwellMs = this.config.impressionDwellMs ?? DEFAULT_IMPRESSION_DWELL_MS;
+        const countImpression = () => {
+            if (trackedImpressions.has(timerId) || this.timer?.id !== timerId) return;
+            trackedImpressions.add(timerId);
+            this.stopViewTracking();
+
+            this.trackEvent('impression');
+        };
+
+        if (typeof IntersectionObserver === 'undefined') {
+            this.dwellTimeout = setTimeout(countImpression, dwellMs);
+            return;
+        }
+
+        // Scrolling away (or hiding the timer) before the dwell time is up
+        // starts it over
+        this.viewObserver = new IntersectionObserver((entries) => {
+            const entry = entries[entries.length - 1];
+            clearTimeout(this.dwellTimeout);
+            if (entry.isIntersecting && entry.intersectionRatio >= IMPRESSION_VISIBLE_RATIO) {
+                this.dwellTimeout = setTimeout(countImpression, dwellMs);
             }
-        }, 2000);
+        }, { threshold: IMPRESSION_VISIBLE_RATIO });
+        this.viewObserver.observe(this.container);
+    }
+
+    /**
+     * Experiment holdout - the visitor sees no timer, but the render records
+     * them in the holdout, whose orders are what the variants are compared with
+     */
+    trackHoldout() {
+        this.hide();
+        if (!trackedRenders.has(this.timer.id)) {
+            trackedRenders.add(this.timer.id);
+            this.trackEvent('render');
+        }
+    }
+
+    stopViewTracking() {
+        clearTimeout(this.dwellTimeout);
+        this.dwellTimeout = null;
+        if (this.viewObserver) {
+            this.viewObserver.disconnect();
+            this.viewObserver = null;
+        }
+    }
+
+    /**
+     * Whether the countdown is on screen and running
+     */
+    isShowing() {
+        return Boolean(this.timer && this.intervalId && this.container.style.display !== 'none');
+    }
+
+    /**
+     * Queue an interaction with this timer while it is showing
+     */
+    trackInteraction(type) {
+        if (this.isShowing()) {
+            queueEvent(this.config, this.timer, type);
+        }
+    }
+
+    /**
+     * An add to cart click - credited to timers shown for the product, not
+     * to badges or cart timers, which also get the order if one follows.
+     * Holdout visitors count too, for their experiment
+     */
+    trackAddToCart() {
+        if (!this.config.productId || this.config.mode === 'cart' || this.config.layout === 'badge') return;
+        if (!this.isShowing() && !this.timer?.holdout) return;
+
+        queueEvent(this.config, this.timer, 'addToCart');
+        attributeCart(this.timer);
+    }
+
+    /**
+     * Report a storefront event ('render', 'impression' or 'expiry') for
+     * analytics
+     */
+    async trackEvent(type) {
+        const { apiUrl, shop } = this.config;
+
+        try {
+            await fetch(`${apiUrl}/api/storefront/timer/${this.timer.id}/${type}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ shop, visitorId: getVisitorId(), ...getVariantFields(this.timer) })
+            });
+        } catch (e) {
+            // Fail silently
+        }
     }
 
     render() {
         const timer = this.timer;
         const appearance = timer.appearance || {};
 
+        if (this.config.layout === 'bar') {
+            this.renderBar(appearance);
+            return;
+        }
+
+        if (this.config.layout === 'badge') {
+            this.renderBadge(appearance);
+            return;
+        }
+
         // Create element with inline styles
         const html = `
       <div class="countdown-widget" style="
@@ -306,6 +1000,97 @@ class CountdownTimer {
         this.container.innerHTML = html;
     }
 
+    /**
+     * Announcement bar layout - fixed to the top or bottom of the page
+     */
+    renderBar(appearance) {
+        const edge = ['top', 'bottom'].includes(appearance.position)
+            ? appearance.position
+            : this.config.barPosition;
+        this.barEdge = edge;
+
+        Object.assign(this.container.style, {
+            position: 'fixed',
+            left: '0',
+            right: '0',
+            top: edge === 'top' ? '0' : '',
+            bottom: edge === 'bottom' ? '0' : '',
+            zIndex: '2147483000'
+        });
+
+        this.container.innerHTML = `
+      <div class="countdown-widget countdown-bar" style="
+        background-color: ${appearance.backgroundColor || '#000000'};
+        color: ${appearance.textColor || '#FFFFFF'};
+        padding: 10px 16px;
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        justify-content: center;
+        gap: 12px;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        box-sizing: border-box;
+      ">
+        ${appearance.headline ? `
+          <span class="countdown-headline" style="font-size: 14px; font-weight: 600;">${this.escapeHtml(appearance.headline)}</span>
+        ` : ''}
+        <span class="countdown-time" style="
+          font-size: 20px;
+          font-weight: 700;
+          font-variant-numeric: tabular-nums;
+          font-family: 'SF Mono', SFMono-Regular, Consolas, 'Liberation Mono', monospace;
+          letter-spacing: 1px;
+        ">00:00:00</span>
+        ${appearance.supportingText ? `
+          <span class="countdown-supporting" style="font-size: 12px; opacity: 0.85;">${this.escapeHtml(appearance.supportingText)}</span>
+        ` : ''}
+      </div>
+    `;
+
+        this.updateBarOffset();
+    }
+
+    /**
+     * Compact badge layout - a small pill on a product card
+     */
+    renderBadge(appearance) {
+        this.container.innerHTML = `
+      <div class="countdown-widget countdown-badge" style="
+        display: inline-flex;
+        align-items: center;
+        gap: 4px;
+        background-color: ${appearance.backgroundColor || '#000000'};
+        color: ${appearance.textColor || '#FFFFFF'};
+        padding: 2px 8px;
+        border-radius: 4px;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 12px;
+        line-height: 1.5;
+        margin-top: 4px;
+      ">
+        <span class="countdown-time" style="
+          font-weight: 600;
+          font-variant-numeric: tabular-nums;
+        ">00:00:00</span>
+      </div>
+    `;
+    }
+
+    /**
+     * Pad the page so the bar does not cover its top or bottom
+     */
+    updateBarOffset() {
+        if (this.config.layout !== 'bar' || !this.barEdge) return;
+
+        const property = this.barEdge === 'top' ? 'paddingTop' : 'paddingBottom';
+        if (this.bodyPadding === undefined) {
+            this.bodyPadding = document.body.style[property];
+        }
+
+        const visible = this.container.style.display !== 'none';
+        document.body.style[property] = visible ? `${this.container.offsetHeight}px` : this.bodyPadding;
+    }
+
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
@@ -313,32 +1098,142 @@ class CountdownTimer {
     }
 
     destroy() {
+        widgets.delete(this);
+        this.stopViewTracking();
         if (this.intervalId) {
             clearInterval(this.intervalId);
             this.intervalId = null;
         }
         this.container.innerHTML = '';
+        this.hide();
     }
 }
 
+// The app proxy path on the shop's own domain, which Shopify forwards to
+// the app with a signature
+const APP_PROXY_PATH = '/apps/countdown';
+
+// Impression dwell time from the block settings, in seconds
+const parseDwell = (value) => {
+    const seconds = parseFloat(value);
+    return Number.isFinite(seconds) && seconds >= 0 ? seconds * 1000 : DEFAULT_IMPRESSION_DWELL_MS;
+};
+
 /**
- * Initialize widget on page load
+ * Read widget settings from a container's data attributes
  */
-(function initCountdownWidget() {
-    // Find all widget containers on the page
-    const containers = document.querySelectorAll('[data-countdown-timer]');
+const readConfig = (container) => ({
+    shop: container.dataset.shop,
+    pageType: container.dataset.pageType,
+    pageHandle: container.dataset.pageHandle,
+    productId: container.dataset.productId,
+    collectionIds: container.dataset.collectionIds,
+    productTags: container.dataset.productTags,
+    productVendor: container.dataset.productVendor,
+    productType: container.dataset.productType,
+    apiUrl: container.dataset.apiUrl || APP_PROXY_PATH,
+    layout: container.dataset.layout || 'inline',
+    barPosition: container.dataset.barPosition || 'top',
+    mode: container.dataset.mode || 'page',
+    cartCollections: parseCartCollections(container.dataset.cartCollections),
+    drawerSelector: container.dataset.drawerSelector || '',
+    cardSelector: container.dataset.cardSelector || '',
+    impressionDwellMs: parseDwell(container.dataset.impressionDwell)
+});
 
-    if (containers.length === 0) {
+/**
+ * Product cards in the grid that link to a product handle
+ */
+const findProductCards = (handle, cardSelector) => {
+    const cards = new Set();
+    document.querySelectorAll(`a[href*="/products/${handle}"]`).forEach(link => {
+        // Exact handle only - "shirt" must not match "shirt-blue"
+        const path = new URL(link.href, window.location.href).pathname;
+        if (path.split('/').pop() !== handle) return;
+
+        const card = link.closest(cardSelector);
+        if (card) cards.add(card);
+    });
+    return cards;
+};
+
+/**
+ * Collection grid badges - fetch every product's timer in one request and
+ * add a badge to each matching product card
+ */
+const initBadges = async (element) => {
+    const config = readConfig(element);
+    if (!config.shop) {
+        console.warn('[CountdownTimer] Missing shop domain');
         return;
     }
 
-    containers.forEach(container => {
-        const config = {
-            shop: container.dataset.shop,
-            productId: container.dataset.productId,
-            collectionIds: container.dataset.collectionIds,
-            apiUrl: container.dataset.apiUrl || ''
-        };
+    let products = [];
+    try {
+        products = JSON.parse(element.querySelector('script[type="application/json"]').textContent);
+    } catch (e) {
+        return;
+    }
+    if (products.length === 0) return;
+
+    let data;
+    try {
+        const sentAt = Date.now();
+        const response = await fetch(`${config.apiUrl}/api/storefront/timers/batch`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                shop: config.shop,
+                products: products.map(product => ({
+                    productId: product.id,
+                    collectionIds: product.collectionIds,
+                    tags: product.tags,
+                    vendor: product.vendor,
+                    productType: product.productType
+                })),
+                visitorId: getVisitorId()
+            })
+        });
+        if (!response.ok) return;
+        data = (await response.json()).data;
+
+        // Batch lookups are never cached
+        const [firstTimer] = Object.values(data.timers);
+        syncClock(firstTimer?.serverNow, sentAt, Date.now());
+    } catch (error) {
+        console.error('[CountdownTimer] Batch fetch error:', error);
+        return;
+    }
+
+    products.forEach(product => {
+        const timer = data.timers[data.products[product.id]];
+        if (!timer) return;
+
+        findProductCards(product.handle, config.cardSelector).forEach(card => {
+            if (card.querySelector('.countdown-badge-wrapper')) return;
+
+            const container = document.createElement('div');
+            container.className = 'countdown-badge-wrapper';
+            card.appendChild(container);
+            new CountdownTimer(container, { ...config, layout: 'badge', timer });
+        });
+    });
+};
+
+/**
+ * Initialize widget on page load
+ */
+(function initCountdownWidget() {
+    // An add to cart that left the previous page before it could be written
+    writeAttribution();
+
+    // Find all widget containers on the page
+    document.querySelectorAll('[data-countdown-timer]').forEach(container => {
+        // The block and the app embeds may all load this script
+        if (container.dataset.countdownReady) return;
+        container.dataset.countdownReady = 'true';
+
+        const config = readConfig(container);
 
         // Validate required config
         if (!config.shop) {
@@ -349,6 +1244,14 @@ class CountdownTimer {
         // Initialize widget
         new CountdownTimer(container, config);
     });
+
+    // Collection grid badges
+    document.querySelectorAll('[data-countdown-badges]').forEach(element => {
+        if (element.dataset.countdownReady) return;
+        element.dataset.countdownReady = 'true';
+
+        initBadges(element);
+    });
 })();
 
 // Export for testing
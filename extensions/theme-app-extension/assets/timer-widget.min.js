@@ -1 +1 @@
-!function(){"use strict";const{h:t,render:n,Component:e}=window.preact||function(){const t=(n,e)=>{if(!n)return;if("string"==typeof n||"number"==typeof n)return void(e.textContent=n);const o=document.createElement(n.type);for(const[t,e]of Object.entries(n.props||{}))"children"!==t&&("style"===t&&"object"==typeof e?Object.assign(o.style,e):t.startsWith("on")?o.addEventListener(t.slice(2).toLowerCase(),e):o.setAttribute(t,e));const s=n.props?.children||[];for(const n of[].concat(s))if(n){const e=document.createElement("span");t(n,e),o.appendChild(e.firstChild||e)}e.innerHTML="",e.appendChild(o)};return{h:(t,n,...e)=>({type:t,props:{...n,children:e}}),render:t,Component:class{constructor(t){this.props=t,this.state={}}setState(t){this.state={...this.state,..."function"==typeof t?t(this.state):t},this.t()}t(){this.o&&t(this.render(),this.o)}}}}(),o=t=>`countdown_timer_${t}`,s=t=>String(t).padStart(2,"0");class i{constructor(t,n){this.container=t,this.config=n,this.timer=null,this.intervalId=null,this.impressionSent=!1,this.init()}async init(){try{await this.fetchTimer(),this.timer&&(this.render(),this.startCountdown(),this.trackImpression())}catch(t){}}async fetchTimer(){const{shop:t,productId:n,collectionIds:e,apiUrl:o}=this.config,s=new URLSearchParams({shop:t});n&&s.append("productId",n),e&&s.append("collectionIds",e);const i=`${o}/api/storefront/timer?${s}`;try{const t=await fetch(i,{method:"GET",headers:{Accept:"application/json"},cache:"default"});if(!t.ok){if(404===t.status)return;throw new Error(`HTTP ${t.status}`)}const n=await t.json();n.success&&n.data&&(this.timer=n.data,this.setupTimerEndpoint())}catch(t){}}setupTimerEndpoint(){const t=this.timer;if("fixed"===t.type)this.endTime=new Date(t.endDate).getTime();else if("evergreen"===t.type){const n=o(t.id);let e;try{const o=localStorage.getItem(n);if(o){e=parseInt(o,10);Date.now()-e>=60*t.durationMinutes*1e3&&(localStorage.removeItem(n),e=Date.now(),localStorage.setItem(n,String(e)))}else e=Date.now(),localStorage.setItem(n,String(e))}catch(t){e=Date.now()}this.endTime=e+60*t.durationMinutes*1e3}}startCountdown(){this.updateCountdown(),this.intervalId=setInterval(()=>this.updateCountdown(),1e3)}updateCountdown(){const t=(t=>{if(t<=0)return{hours:0,minutes:0,seconds:0,expired:!0};const n=Math.floor(t/1e3);return{hours:Math.floor(n/3600),minutes:Math.floor(n%3600/60),seconds:n%60,expired:!1}})(this.endTime-Date.now());if(t.expired)return void this.handleExpired();const n=this.container.querySelector(".countdown-time");n&&(n.textContent=`${s(t.hours)}:${s(t.minutes)}:${s(t.seconds)}`)}handleExpired(){if(this.intervalId&&(clearInterval(this.intervalId),this.intervalId=null),"evergreen"===this.timer.type){const t=o(this.timer.id);try{localStorage.removeItem(t)}catch(t){}setTimeout(()=>{this.setupTimerEndpoint(),this.startCountdown()},100)}else this.container.style.display="none"}async trackImpression(){this.impressionSent||setTimeout(async()=>{if(this.impressionSent)return;this.impressionSent=!0;const{apiUrl:t,shop:n}=this.config;try{await fetch(`${t}/api/storefront/timer/${this.timer.id}/impression`,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({shop:n})})}catch(t){}},2e3)}render(){const t=this.timer.appearance||{},n=`\n      <div class="countdown-widget" style="\n        background-color: ${t.backgroundColor||"#000000"};\n        color: ${t.textColor||"#FFFFFF"};\n        padding: 16px;\n        border-radiusor: 8px;\n        text-align: center;\n        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;\n        margin: 16px 0;\n        box-sizing: border-box;\n      ">\n        ${t.headline?`\n          <div class="countdown-headline" style="\n            font-size: 14px;\n            font-weight: 600;\n            margin-bottom: 8px;\n            letter-spacing: 0.5px;\n          ">${this.escapeHtml(t.headline)}</div>\n        `:""}\n        \n        <div class="countdown-time" style="\n          font-size: 32px;\n          font-weight: 700;\n          font-variant-numeric: tabular-nums;\n          font-family: 'SF Mono', SFMono-Regular, Consolas, 'Liberation Mono', monospace;\n          letter-spacing: 2px;\n        ">00:00:00</div>\n        \n        ${t.supportingText?`\n          <div class="countdown-supporting" style="\n            font-size: 12px;\n            margin-top: 8px;\n            opacity: 0.85;\n          ">${this.escapeHtml(t.supportingText)}</div>\n        `:""}\n      </div>\n    `;this.container.innerHTML=n}escapeHtml(t){const n=document.createElement("div");return n.textContent=t,n.innerHTML}destroy(){this.intervalId&&(clearInterval(this.intervalId),this.intervalId=null),this.container.innerHTML=""}}!function(){const t=document.querySelectorAll("[data-countdown-timer]");0!==t.length&&t.forEach(t=>{const n={shop:t.dataset.shop,productId:t.dataset.productId,collectionIds:t.dataset.collectionIds,apiUrl:t.dataset.apiUrl||""};n.shop&&new i(t,n)})}(),"undefined"!=typeof window&&(window.CountdownTimer=i)}();
+!function(){"use strict";const{h:t,render:n,Component:e}=window.preact||function(){const t=(n,e)=>{if(!n)return;if("string"==typeof n||"number"==typeof n)return void(e.textContent=n);const s=document.createElement(n.type);for(const[t,e]of Object.entries(n.props||{}))"children"!==t&&("style"===t&&"object"==typeof e?Object.assign(s.style,e):t.startsWith("on")?s.addEventListener(t.slice(2).toLowerCase(),e):s.setAttribute(t,e));const i=n.props?.children||[];for(const n of[].concat(i))if(n){const e=document.createElement("span");t(n,e),s.appendChild(e.firstChild||e)}e.innerHTML="",e.appendChild(s)};return{h:(t,n,...e)=>({type:t,props:{...n,children:e}}),render:t,Component:class{constructor(t){this.props=t,this.state={}}setState(t){this.state={...this.state,..."function"==typeof t?t(this.state):t},this.t()}t(){this.i&&t(this.render(),this.i)}}}}(),s=t=>String(t).padStart(2,"0"),i="countdown_timer_clock_offset",o={offset:null,synced:!1,initialSync:null,syncIntervalId:null};try{const t=sessionStorage.getItem(i);o.offset=null===t?null:Number(t)}catch(t){}const r=()=>Date.now()+(o.offset||0),a=(t,n,e)=>{const s=new Date(t).getTime();if(t&&!isNaN(s)){o.offset=s-(n+e)/2,o.synced=!0;try{sessionStorage.setItem(i,String(o.offset))}catch(t){}}},c=async t=>{const n=Date.now();try{const e=await fetch(`${t}/api/storefront/time`,{cache:"no-store"}),s=await e.json();a(s.data?.serverNow,n,Date.now())}catch(t){}},h="countdown_timer_visitor",d=()=>{try{let t=localStorage.getItem(h);return t||(t=window.crypto?.randomUUID?window.crypto.randomUUID():`${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`,localStorage.setItem(h,t)),t}catch(t){return}},l=t=>t.experiment?{experimentId:t.experiment.id,variant:t.experiment.variant}:{},p=new Set,u=new Set,f={events:[],apiUrl:"",shop:"",timeoutId:null},w=new Set,m=()=>{if(clearTimeout(f.timeoutId),f.timeoutId=null,0===f.events.length)return;const t=`${f.apiUrl}/api/storefront/events`,n=JSON.stringify({shop:f.shop,visitorId:d(),events:f.events.splice(0)});try{if(navigator.sendBeacon?.(t,new Blob([n],{type:"text/plain"})))return}catch(t){}fetch(t,{method:"POST",headers:{"Content-Type":"text/plain"},body:n,keepalive:!0}).catch(()=>{})},y=(t,n,e)=>{const s=`${n.id}|${e}`;w.has(s)||(w.add(s),f.apiUrl=t.apiUrl,f.shop=t.shop,f.events.push({timerId:n.id,type:e,...l(n)}),f.timeoutId||(f.timeoutId=setTimeout(m,5e3)))};document.addEventListener("visibilitychange",()=>{"hidden"===document.visibilityState&&m()}),window.addEventListener("pagehide",m);const g=new Set;document.addEventListener("click",t=>{t.target?.closest?.('form[action*="/cart/add"] [type="submit"], form[action*="/cart/add"] [name="add"]')&&g.forEach(t=>t.trackAddToCart())},!0);const b={},S=/\/cart\/(add|change|update|clear)/,v=["cart:updated","cart:refresh"],T=[],x=t=>{if(T.push(t),T.length>1)return;const n=()=>T.forEach(t=>t()),e=window.fetch;window.fetch=function(...t){const s=e.apply(this,t),i="string"==typeof t[0]?t[0]:t[0]?.url;return S.test(i||"")&&s.then(n,()=>{}),s};const s=XMLHttpRequest.prototype.open;XMLHttpRequest.prototype.open=function(t,e,...i){return S.test(String(e))&&this.addEventListener("load",n),s.call(this,t,e,...i)},v.forEach(t=>document.addEventListener(t,n))},$=t=>{const n={};return(t||"").split(";").filter(Boolean).forEach(t=>{const[e,s=""]=t.split(":");n[e]=s.split(",").filter(Boolean)}),n},I="_countdown_timer",F="countdown_timer_attribution";let O=!1;const C=()=>{let t;try{if(t=sessionStorage.getItem(F),!t)return;sessionStorage.removeItem(F)}catch(t){return}fetch(`${window.Shopify?.routes?.root||"/"}cart/update.js`,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({attributes:{[I]:t}})}).catch(()=>{})};class M{constructor(t,n){this.container=t,this.config=n,this.timer=null,this.intervalId=null,this.viewObserver=null,this.dwellTimeout=null,g.add(this),this.container.addEventListener("click",()=>this.trackInteraction("click")),this.init()}async init(){"cart"===this.config.mode&&x(()=>this.scheduleRefresh());try{this.config.timer?(this.timer=this.config.timer,await this.setupTimerEndpoint()):await this.fetchTimer(),this.timer?.holdout?this.trackHoldout():!this.timer||this.config.drawerSelector&&!this.mountInDrawer()||(this.container.style.display="",this.render(),this.startCountdown(),this.trackImpression())}catch(t){}}async fetchTimer(){if("cart"===this.config.mode)return this.fetchCartTimer();const{shop:t,pageType:n,pageHandle:e,productId:s,collectionIds:i,productTags:r,productVendor:a,productType:h,apiUrl:d}=this.config,l=new URLSearchParams({shop:t});n&&l.append("pageType",n),e&&l.append("pageHandle",e),s&&l.append("productId",s),i&&l.append("collectionIds",i),r&&l.append("tags",r),a&&l.append("vendor",a),h&&l.append("productType",h);const p=`${d}/api/storefront/timer?${l}`,u=(t=>o.synced?Promise.resolve():(o.initialSync||(o.initialSync=c(t)),o.initialSync))(d);try{const t=await fetch(p,{method:"GET",headers:{Accept:"application/json"},cache:"default"});if(!t.ok){if(404===t.status)return;throw new Error(`HTTP ${t.status}`)}const n=await t.json();if(n.success&&n.data){const t=n.data.experiment?await this.fetchVariant(n.data.id):n.data;if(await u,!t)return;this.timer=t,await this.setupTimerEndpoint()}}catch(t){}}async fetchVariant(t){const{shop:n,apiUrl:e}=this.config,s=await fetch(`${e}/api/storefront/timer/${t}/variant`,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({shop:n,visitorId:d()})});if(!s.ok)throw new Error(`HTTP ${s.status}`);const i=await s.json();return i.success?i.data:null}async fetchCartTimer(){const{shop:t,apiUrl:n,cartCollections:e}=this.config,s=window.Shopify?.routes?.root||"/";try{const i=await fetch(`${s}cart.js`,{headers:{Accept:"application/json"}});if(!i.ok)throw new Error(`HTTP ${i.status}`);const o=await i.json();if(!o.items?.length)return;const r=Date.now(),c=await fetch(`${n}/api/storefront/timer/cart`,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({shop:t,items:o.items.map(t=>({productId:t.product_id,collectionIds:e[t.product_id]||[]})),subtotal:o.items_subtotal_price/100,visitorId:d()})});if(!c.ok){if(404===c.status)return;throw new Error(`HTTP ${c.status}`)}const h=await c.json();h.success&&h.data&&(a(h.data.serverNow,r,Date.now()),this.timer=h.data,await this.setupTimerEndpoint())}catch(t){}}scheduleRefresh(){clearTimeout(this.refreshTimeout),this.refreshTimeout=setTimeout(()=>this.refresh(),300)}async refresh(){this.intervalId&&(clearInterval(this.intervalId),this.intervalId=null),this.timer=null;try{await this.fetchTimer()}catch(t){}this.timer?.holdout?this.trackHoldout():!this.timer||this.config.drawerSelector&&!this.mountInDrawer()?this.hide():(this.container.style.display="",this.render(),this.startCountdown(),this.trackImpression())}mountInDrawer(){const t=document.querySelector(this.config.drawerSelector);return!!t&&(t.contains(this.container)||t.prepend(this.container),!0)}async setupTimerEndpoint(){const t=this.timer;if("fixed"===t.type)this.endTime=new Date(t.endDate).getTime();else if("evergreen"===t.type){const n=`countdown_timer_${t.id}`,e=60*t.durationMinutes*1e3;let s=await this.fetchEvergreenSession();if(!s)try{const t=localStorage.getItem(n);s=t?parseInt(t,10):null}catch(t){}(!s||s+e<=r()&&this.canRestart(s))&&(s=r());try{localStorage.setItem(n,String(s))}catch(t){}this.endTime=s+e}}canRestart(t){const{action:n="restart",cooldownMinutes:e=0}=this.timer.onExpire||{},s=t+60*this.timer.durationMinutes*1e3;return"restart"===n||"cooldown"===n&&r()>=s+60*e*1e3}fetchEvergreenSession(){const t=this.timer.id;return b[t]||(b[t]=this.requestEvergreenSession().finally(()=>{delete b[t]})),b[t]}async requestEvergreenSession(){const{apiUrl:t,shop:n}=this.config,e=`countdown_timer_session_${this.timer.id}`;let s=null;try{s=localStorage.getItem(e)}catch(t){}try{const i=Date.now(),o=await fetch(`${t}/api/storefront/timer/${this.timer.id}/session`,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({shop:n,token:s})});if(!o.ok)return null;const r=await o.json();if(!r.success||!r.data)return null;a(r.data.serverNow,i,Date.now());try{localStorage.setItem(e,r.data.token)}catch(t){}return new Date(r.data.startedAt).getTime()}catch(t){return null}}startCountdown(){var t;t=this.config.apiUrl,o.syncIntervalId||(o.syncIntervalId=setInterval(()=>c(t),6e5)),this.counting=!1,this.updateCountdown(),this.intervalId=setInterval(()=>this.updateCountdown(),1e3)}updateCountdown(){this.config.drawerSelector&&!this.container.isConnected&&this.mountInDrawer();const t=(t=>{if(t<=0)return{hours:0,minutes:0,seconds:0,expired:!0};const n=Math.floor(t/1e3);return{hours:Math.floor(n/3600),minutes:Math.floor(n%3600/60),seconds:n%60,expired:!1}})(this.endTime-r());if(t.expired)return this.counting&&(this.counting=!1,this.trackEvent("expiry")),void this.handleExpired();this.counting=!0;const n=this.container.querySelector(".countdown-time");n&&(n.textContent=`${s(t.hours)}:${s(t.minutes)}:${s(t.seconds)}`)}handleExpired(){if(this.intervalId&&(clearInterval(this.intervalId),this.intervalId=null),"evergreen"===this.timer.type){const{action:t="restart",cooldownMinutes:n=0,message:e}=this.timer.onExpire||{};if("restart"===t)setTimeout(()=>this.restart(),100);else if("cooldown"===t){this.hide();const t=this.endTime+60*n*1e3-r();t<2147483647&&setTimeout(()=>this.restart(),Math.max(t,100))}else"message"===t?this.renderMessage(e||"This offer has expired"):this.hide()}else this.handleFixedExpiry(this.timer.appearance?.expiryAction||{})}handleFixedExpiry({type:t="hide",message:n,redirectUrl:e,backgroundColor:s,textColor:i}){if("redirect"!==t||"badge"===this.config.layout||!this.redirectTo(e))if("message"===t)this.renderMessage(n||"Sale has ended");else if("zero"===t){const t=this.container.querySelector(".countdown-widget"),n=this.container.querySelector(".countdown-time");t&&(t.style.backgroundColor=s||"#6B7280",t.style.color=i||"#FFFFFF"),n&&(n.textContent="00:00:00")}else this.hide()}redirectTo(t){try{const n=new URL(t,window.location.href);return!(!/^https?:$/.test(n.protocol)||n.href===window.location.href||(window.location.assign(n.href),0))}catch(t){return!1}}hide(){this.container.style.display="none",this.updateBarOffset()}async restart(){await this.setupTimerEndpoint(),this.container.style.display="",this.render(),this.startCountdown()}renderMessage(t){const n=this.container.querySelector(".countdown-time");n&&(n.textContent=t,n.style.fontSize="badge"===this.config.layout?"":"18px",n.style.letterSpacing="normal")}trackImpression(){const t=this.timer.id;if(p.has(t)||(p.add(t),this.trackEvent("render")),this.stopViewTracking(),u.has(t))return;const n=this.config.impressionDwellMs??1e3,e=()=>{u.has(t)||this.timer?.id!==t||(u.add(t),this.stopViewTracking(),this.trackEvent("impression"))};"undefined"!=typeof IntersectionObserver?(this.viewObserver=new IntersectionObserver(t=>{const s=t[t.length-1];clearTimeout(this.dwellTimeout),s.isIntersecting&&s.intersectionRatio>=.5&&(this.dwellTimeout=setTimeout(e,n))},{threshold:.5}),this.viewObserver.observe(this.container)):this.dwellTimeout=setTimeout(e,n)}trackHoldout(){this.hide(),p.has(this.timer.id)||(p.add(this.timer.id),this.trackEvent("render"))}stopViewTracking(){clearTimeout(this.dwellTimeout),this.dwellTimeout=null,this.viewObserver&&(this.viewObserver.disconnect(),this.viewObserver=null)}isShowing(){return Boolean(this.timer&&this.intervalId&&"none"!==this.container.style.display)}trackInteraction(t){this.isShowing()&&y(this.config,this.timer,t)}trackAddToCart(){this.config.productId&&"cart"!==this.config.mode&&"badge"!==this.config.layout&&(this.isShowing()||this.timer?.holdout)&&(y(this.config,this.timer,"addToCart"),(t=>{const{experimentId:n,variant:e}=l(t),s=[t.id,d()||""].concat(n?[n,e]:[]).join(":");try{sessionStorage.setItem(F,s)}catch(t){return}O||(O=!0,x(C))})(this.timer))}async trackEvent(t){const{apiUrl:n,shop:e}=this.config;try{await fetch(`${n}/api/storefront/timer/${this.timer.id}/${t}`,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({shop:e,visitorId:d(),...l(this.timer)})})}catch(t){}}render(){const t=this.timer.appearance||{};if("bar"===this.config.layout)return void this.renderBar(t);if("badge"===this.config.layout)return void this.renderBadge(t);const n=`\n      <div class="countdown-widget" style="\n        background-color: ${t.backgroundColor||"#000000"};\n        color: ${t.textColor||"#FFFFFF"};\n        padding: 16px;\n        border-radiusor: 8px;\n        text-align: center;\n        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;\n        margin: 16px 0;\n        box-sizing: border-box;\n      ">\n        ${t.headline?`\n          <div class="countdown-headline" style="\n            font-size: 14px;\n            font-weight: 600;\n            margin-bottom: 8px;\n            letter-spacing: 0.5px;\n          ">${this.escapeHtml(t.headline)}</div>\n        `:""}\n        \n        <div class="countdown-time" style="\n          font-size: 32px;\n          font-weight: 700;\n          font-variant-numeric: tabular-nums;\n          font-family: 'SF Mono', SFMono-Regular, Consolas, 'Liberation Mono', monospace;\n          letter-spacing: 2px;\n        ">00:00:00</div>\n        \n        ${t.supportingText?`\n          <div class="countdown-supporting" style="\n            font-size: 12px;\n            margin-top: 8px;\n            opacity: 0.85;\n          ">${this.escapeHtml(t.supportingText)}</div>\n        `:""}\n      </div>\n    `;this.container.innerHTML=n}renderBar(t){const n=["top","bottom"].includes(t.position)?t.position:this.config.barPosition;this.barEdge=n,Object.assign(this.container.style,{position:"fixed",left:"0",right:"0",top:"top"===n?"0":"",bottom:"bottom"===n?"0":"",zIndex:"2147483000"}),this.container.innerHTML=`\n      <div class="countdown-widget countdown-bar" style="\n        background-color: ${t.backgroundColor||"#000000"};\n        color: ${t.textColor||"#FFFFFF"};\n        padding: 10px 16px;\n        display: flex;\n        flex-wrap: wrap;\n        align-items: center;\n        justify-content: center;\n        gap: 12px;\n        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;\n        box-sizing: border-box;\n      ">\n        ${t.headline?`\n          <span class="countdown-headline" style="font-size: 14px; font-weight: 600;">${this.escapeHtml(t.headline)}</span>\n        `:""}\n        <span class="countdown-time" style="\n          font-size: 20px;\n          font-weight: 700;\n          font-variant-numeric: tabular-nums;\n          font-family: 'SF Mono', SFMono-Regular, Consolas, 'Liberation Mono', monospace;\n          letter-spacing: 1px;\n        ">00:00:00</span>\n        ${t.supportingText?`\n          <span class="countdown-supporting" style="font-size: 12px; opacity: 0.85;">${this.escapeHtml(t.supportingText)}</span>\n        `:""}\n      </div>\n    `,this.updateBarOffset()}renderBadge(t){this.container.innerHTML=`\n      <div class="countdown-widget countdown-badge" style="\n        display: inline-flex;\n        align-items: center;\n        gap: 4px;\n        background-color: ${t.backgroundColor||"#000000"};\n        color: ${t.textColor||"#FFFFFF"};\n        padding: 2px 8px;\n        border-radius: 4px;\n        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;\n        font-size: 12px;\n        line-height: 1.5;\n        margin-top: 4px;\n      ">\n        <span class="countdown-time" style="\n          font-weight: 600;\n          font-variant-numeric: tabular-nums;\n        ">00:00:00</span>\n      </div>\n    `}updateBarOffset(){if("bar"!==this.config.layout||!this.barEdge)return;const t="top"===this.barEdge?"paddingTop":"paddingBottom";void 0===this.bodyPadding&&(this.bodyPadding=document.body.style[t]);const n="none"!==this.container.style.display;document.body.style[t]=n?`${this.container.offsetHeight}px`:this.bodyPadding}escapeHtml(t){const n=document.createElement("div");return n.textContent=t,n.innerHTML}destroy(){g.delete(this),this.stopViewTracking(),this.intervalId&&(clearInterval(this.intervalId),this.intervalId=null),this.container.innerHTML="",this.hide()}}const k=t=>{const n=parseFloat(t);return Number.isFinite(n)&&n>=0?1e3*n:1e3},j=t=>({shop:t.dataset.shop,pageType:t.dataset.pageType,pageHandle:t.dataset.pageHandle,productId:t.dataset.productId,collectionIds:t.dataset.collectionIds,productTags:t.dataset.productTags,productVendor:t.dataset.productVendor,productType:t.dataset.productType,apiUrl:t.dataset.apiUrl||"/apps/countdown",layout:t.dataset.layout||"inline",barPosition:t.dataset.barPosition||"top",mode:t.dataset.mode||"page",cartCollections:$(t.dataset.cartCollections),drawerSelector:t.dataset.drawerSelector||"",cardSelector:t.dataset.cardSelector||"",impressionDwellMs:k(t.dataset.impressionDwell)});C(),document.querySelectorAll("[data-countdown-timer]").forEach(t=>{if(t.dataset.countdownReady)return;t.dataset.countdownReady="true";const n=j(t);n.shop&&new M(t,n)}),document.querySelectorAll("[data-countdown-badges]").forEach(t=>{t.dataset.countdownReady||(t.dataset.countdownReady="true",(async t=>{const n=j(t);if(!n.shop)return;let e,s=[];try{s=JSON.parse(t.querySelector('script[type="application/json"]').textContent)}catch(t){return}if(0!==s.length){try{const t=Date.now(),i=await fetch(`${n.apiUrl}/api/storefront/timers/batch`,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({shop:n.shop,products:s.map(t=>({productId:t.id,collectionIds:t.collectionIds,tags:t.tags,vendor:t.vendor,productType:t.productType})),visitorId:d()})});if(!i.ok)return;e=(await i.json()).data;const[o]=Object.values(e.timers);a(o?.serverNow,t,Date.now())}catch(t){return}s.forEach(t=>{const s=e.timers[e.products[t.id]];s&&((t,n)=>{const e=new Set;return document.querySelectorAll(`a[href*="/products/${t}"]`).forEach(s=>{if(new URL(s.href,window.location.href).pathname.split("/").pop()!==t)return;const i=s.closest(n);i&&e.add(i)}),e})(t.handle,n.cardSelector).forEach(t=>{if(t.querySelector(".countdown-badge-wrapper"))return;const e=document.createElement("div");e.className="countdown-badge-wrapper",t.appendChild(e),new M(e,{...n,layout:"badge",timer:s})})})}})(t))}),"undefined"!=typeof window&&(window.CountdownTimer=M)}();